@@ -1,4 +1,6 @@
 const mysql = require("mysql2/promise");
+const { migrateLatest } = require("./migrations");
+const { logger, LOG_SQL_PARAMS } = require("./logger");
 
 let pool;
 
@@ -19,19 +21,22 @@ const dbConfig = {
   timezone: "+00:00",
 };
 
+// Apply pending migrations when the server starts
+const MIGRATE_ON_BOOT = process.env.DB_MIGRATE_ON_BOOT !== "false";
+
 // Create connection pool
 const createPool = () => {
   try {
     pool = mysql.createPool(dbConfig);
-    console.log("✅ MySQL connection pool created");
+    logger.info("MySQL connection pool created", { host: dbConfig.host, database: dbConfig.database });
     return pool;
   } catch (error) {
-    console.error("❌ Error creating MySQL pool:", error.message);
+    logger.error("Error creating MySQL pool", { error });
     throw error;
   }
 };
 
-// Initialize database and create tables
+// Initialize database and apply pending migrations
 const initializeDatabase = async () => {
   try {
     if (!pool) {
@@ -40,36 +45,22 @@ const initializeDatabase = async () => {
 
     // Test connection
     const connection = await pool.getConnection();
-    console.log("✅ MySQL connection established");
-
-    // Create orders table if it doesn't exist
-    const createOrdersTable = `
-      CREATE TABLE IF NOT EXISTS orders (
-        orderId INT AUTO_INCREMENT PRIMARY KEY,
-        userUid VARCHAR(255) NOT NULL,
-        pickupAddress TEXT NOT NULL,
-        dropoffAddress TEXT NOT NULL,
-        latPickup DECIMAL(10, 8) NOT NULL,
-        lngPickup DECIMAL(11, 8) NOT NULL,
-        latDropoff DECIMAL(10, 8) NOT NULL,
-        lngDropoff DECIMAL(11, 8) NOT NULL,
-        amount DECIMAL(10, 2) NOT NULL,
-        orderType VARCHAR(100) NOT NULL,
-        status ENUM('pending', 'confirmed', 'in_progress', 'completed', 'cancelled') DEFAULT 'pending',
-        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        INDEX idx_userUid (userUid),
-        INDEX idx_status (status),
-        INDEX idx_createdAt (createdAt)
-      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
-    `;
-
-    await connection.execute(createOrdersTable);
-    console.log("✅ Orders table created/verified");
-
-    connection.release();
+    logger.info("MySQL connection established");
+
+    // Bring the schema up to date. Deployments that migrate in a separate
+    // release step (npm run migrate) can turn this off.
+    if (MIGRATE_ON_BOOT) {
+      try {
+        await migrateLatest(connection);
+      } finally {
+        connection.release();
+      }
+    } else {
+      connection.release();
+      logger.info("DB_MIGRATE_ON_BOOT is false, skipping migrations");
+    }
   } catch (error) {
-    console.error("❌ Database initialization failed:", error.message);
+    logger.error("Database initialization failed", { error });
     throw error;
   }
 };
@@ -82,32 +73,39 @@ const getConnection = async () => {
     }
     return await pool.getConnection();
   } catch (error) {
-    console.error("❌ Error getting database connection:", error.message);
+    logger.error("Error getting database connection", { error });
     throw error;
   }
 };
 
+// Statement fields for log entries. Parameters hold addresses, coordinates
+// and user IDs and cannot be redacted by name, so they are left out unless
+// LOG_SQL_PARAMS is set.
+const queryLogFields = (query, params) => ({
+  sql: `${query.substring(0, 100)}${query.length > 100 ? '...' : ''}`,
+  ...(LOG_SQL_PARAMS ? { params } : { paramCount: params.length }),
+});
+
 // Execute query with error handling
 const executeQuery = async (query, params = []) => {
-  console.log(`💾 [DATABASE] Executing query: ${query.substring(0, 100)}${query.length > 100 ? '...' : ''}`);
-  console.log(`   📋 Parameters: ${JSON.stringify(params)}`);
-  
   let connection;
   try {
     const startTime = Date.now();
     connection = await getConnection();
     const [results] = await connection.execute(query, params);
-    const duration = Date.now() - startTime;
-    
-    console.log(`   ✅ Query executed successfully in ${duration}ms`);
-    console.log(`   📊 Results: ${Array.isArray(results) ? results.length + ' rows' : 'affected rows: ' + (results.affectedRows || 0)}`);
-    
+
+    logger.debug("Query executed", {
+      ...queryLogFields(query, params),
+      durationMs: Date.now() - startTime,
+      ...(Array.isArray(results) ? { rows: results.length } : { affectedRows: results.affectedRows || 0 }),
+    });
+
     return results;
   } catch (error) {
-    console.error("❌ Database query error:", error.message);
-    console.error("   Query:", query);
-    console.error("   Parameters:", params);
-    console.error("   Stack trace:", error.stack);
+    logger.error("Database query error", {
+      ...queryLogFields(query, params),
+      error,
+    });
     throw error;
   } finally {
     if (connection) {
@@ -116,14 +114,88 @@ const executeQuery = async (query, params = []) => {
   }
 };
 
+// Errors after which InnoDB has rolled the transaction back (or we do) and
+// the whole transaction can simply be run again
+const RETRYABLE_TRANSACTION_ERRORS = ["ER_LOCK_DEADLOCK", "ER_LOCK_WAIT_TIMEOUT"];
+
+// How many times a transaction is retried after a deadlock
+const TRANSACTION_MAX_RETRIES = process.env.DB_TRANSACTION_MAX_RETRIES
+  ? parseInt(process.env.DB_TRANSACTION_MAX_RETRIES, 10)
+  : 3;
+
+// Run `fn(query)` in a transaction on a single connection. `query` has the
+// same signature as executeQuery; the transaction commits when fn resolves
+// and rolls back when it throws. Deadlocks and lock wait timeouts rerun fn
+// from the start, so fn must not have side effects outside the database
+// (publish events, send responses, ...) until withTransaction returns.
+const withTransaction = async (fn) => {
+  for (let attempt = 1; ; attempt++) {
+    const connection = await getConnection();
+    const query = async (sql, params = []) => {
+      logger.debug("Executing query in transaction", queryLogFields(sql, params));
+      const [results] = await connection.execute(sql, params);
+      return results;
+    };
+
+    try {
+      await connection.beginTransaction();
+      const result = await fn(query);
+      await connection.commit();
+      return result;
+    } catch (error) {
+      try {
+        await connection.rollback();
+      } catch (rollbackError) {
+        logger.error("Transaction rollback failed", { error: rollbackError });
+      }
+
+      if (RETRYABLE_TRANSACTION_ERRORS.includes(error.code) && attempt <= TRANSACTION_MAX_RETRIES) {
+        logger.warn("Retrying transaction", {
+          code: error.code,
+          attempt: attempt + 1,
+          maxAttempts: TRANSACTION_MAX_RETRIES + 1,
+        });
+        // Back off a little, with jitter, so the competing transaction can finish
+        await new Promise((resolve) => setTimeout(resolve, 50 * attempt + Math.random() * 50));
+        continue;
+      }
+
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+};
+
+// Stream the rows of a query instead of buffering them. The connection goes
+// back to the pool once every row is read; a stream destroyed early (e.g.
+// the client went away) leaves the connection mid-result, so it is dropped.
+const streamQuery = async (query, params = []) => {
+  logger.debug("Streaming query", queryLogFields(query, params));
+
+  const connection = await getConnection();
+  const stream = connection.connection.query(query, params).stream();
+
+  stream.once("close", () => {
+    if (stream.readableEnded) {
+      connection.release();
+    } else {
+      logger.warn("Query stream closed early, dropping its connection", queryLogFields(query, params));
+      connection.destroy();
+    }
+  });
+
+  return stream;
+};
+
 // Close pool (for graceful shutdown)
 const closePool = async () => {
   if (pool) {
     try {
       await pool.end();
-      console.log("✅ MySQL pool closed");
+      logger.info("MySQL pool closed");
     } catch (error) {
-      console.error("❌ Error closing MySQL pool:", error.message);
+      logger.error("Error closing MySQL pool", { error });
     }
   }
 };
@@ -132,6 +204,8 @@ module.exports = {
   initializeDatabase,
   getConnection,
   executeQuery,
+  withTransaction,
+  streamQuery,
   closePool,
   pool: () => pool,
 };
@@ -1,4 +1,5 @@
 const admin = require("firebase-admin");
+const { logger } = require("./logger");
 
 let firebaseApp;
 
@@ -7,7 +8,7 @@ const initializeFirebase = async () => {
   try {
     // Check if Firebase is already initialized
     if (firebaseApp) {
-      console.log("✅ Firebase already initialized");
+      logger.debug("Firebase already initialized");
       return firebaseApp;
     }
 
@@ -18,10 +19,7 @@ const initializeFirebase = async () => {
       try {
         serviceAccount = JSON.parse(process.env.FIREBASE_CREDENTIALS);
       } catch (parseError) {
-        console.error(
-          "❌ Error parsing FIREBASE_CREDENTIALS JSON:",
-          parseError.message
-        );
+        logger.error("Error parsing FIREBASE_CREDENTIALS JSON", { error: parseError });
         throw new Error("Invalid FIREBASE_CREDENTIALS format");
       }
     }
@@ -55,10 +53,10 @@ const initializeFirebase = async () => {
       projectId: serviceAccount.project_id,
     });
 
-    console.log("✅ Firebase Admin SDK initialized successfully");
+    logger.info("Firebase Admin SDK initialized", { projectId: serviceAccount.project_id });
     return firebaseApp;
   } catch (error) {
-    console.error("❌ Firebase initialization failed:", error.message);
+    logger.error("Firebase initialization failed", { error });
     throw error;
   }
 };
@@ -73,7 +71,7 @@ const verifyIdToken = async (idToken) => {
     const decodedToken = await admin.auth().verifyIdToken(idToken);
     return decodedToken;
   } catch (error) {
-    console.error("❌ Token verification failed:", error.message);
+    logger.debug("Token verification failed", { error });
     throw new Error("Invalid or expired token");
   }
 };
@@ -96,7 +94,7 @@ const getUserByUid = async (uid) => {
     const userRecord = await admin.auth().getUser(uid);
     return userRecord;
   } catch (error) {
-    console.error("❌ Error getting user by UID:", error.message);
+    logger.error("Error getting user by UID", { uid, error });
     throw error;
   }
 };
@@ -113,7 +111,7 @@ const createCustomToken = async (uid, additionalClaims = {}) => {
       .createCustomToken(uid, additionalClaims);
     return customToken;
   } catch (error) {
-    console.error("❌ Error creating custom token:", error.message);
+    logger.error("Error creating custom token", { uid, error });
     throw error;
   }
 };
@@ -0,0 +1,137 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+// Structured logger: one JSON object per line on stdout (errors and
+// warnings on stderr), tagged with the current request's ID and user.
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+// Least severe level that is written. Debug adds SQL statements and
+// redacted request bodies.
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] !== undefined
+  ? process.env.LOG_LEVEL
+  : process.env.NODE_ENV === "production" ? "info" : "debug";
+
+// Field names whose values never reach the logs. A field is redacted when
+// its name, ignoring case, equals or ends with one of these, so "address"
+// covers pickupAddress, "token" covers quoteToken and "phone" covers
+// recipientPhone.
+const DEFAULT_REDACT_FIELDS = [
+  "address",
+  "search",
+  "lat",
+  "lng",
+  "latitude",
+  "longitude",
+  "latPickup",
+  "lngPickup",
+  "latDropoff",
+  "lngDropoff",
+  "phone",
+  "pin",
+  "token",
+  "authorization",
+  "cookie",
+  "password",
+  "secret",
+  "signature",
+];
+
+// Extra fields to redact, comma-separated (e.g. LOG_REDACT_FIELDS=email,fullName)
+const REDACT_FIELDS = [
+  ...DEFAULT_REDACT_FIELDS,
+  ...(process.env.LOG_REDACT_FIELDS || "").split(",").map((field) => field.trim()),
+]
+  .filter(Boolean)
+  .map((field) => field.toLowerCase());
+
+// SQL parameters are positional, so they cannot be redacted by name. They
+// are only logged when LOG_SQL_PARAMS=true, which is meant for local use.
+const LOG_SQL_PARAMS = process.env.LOG_SQL_PARAMS === "true";
+
+const REDACTED = "[REDACTED]";
+
+const requestContext = new AsyncLocalStorage();
+
+const isRedactedField = (key) => {
+  const name = key.toLowerCase();
+  return REDACT_FIELDS.some((field) => name === field || name.endsWith(field));
+};
+
+// Copy of value with redacted fields masked, at any depth
+const redact = (value, seen = new WeakSet()) => {
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, code: value.code, stack: value.stack };
+  }
+  if (Buffer.isBuffer(value)) {
+    return `<Buffer ${value.length} bytes>`;
+  }
+  if (seen.has(value)) {
+    return "[Circular]";
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, seen));
+  }
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = isRedactedField(key) ? REDACTED : redact(item, seen);
+  }
+  return copy;
+};
+
+const write = (level, message, fields = {}) => {
+  if (LEVELS[level] > LEVELS[LOG_LEVEL]) {
+    return;
+  }
+
+  const context = requestContext.getStore() || {};
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    message,
+    ...(context.requestId && { requestId: context.requestId }),
+    ...(context.userUid && { userUid: context.userUid }),
+    ...redact(fields),
+  };
+
+  const stream = LEVELS[level] <= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+};
+
+const logger = {
+  error: (message, fields) => write("error", message, fields),
+  warn: (message, fields) => write("warn", message, fields),
+  info: (message, fields) => write("info", message, fields),
+  debug: (message, fields) => write("debug", message, fields),
+  isLevelEnabled: (level) => LEVELS[level] <= LEVELS[LOG_LEVEL],
+};
+
+// Run fn with a request context. Code awaited from fn logs with its
+// requestId; setRequestContext adds fields (e.g. userUid) once known.
+const runWithRequestContext = (context, fn) => requestContext.run({ ...context }, fn);
+
+const setRequestContext = (fields) => {
+  const context = requestContext.getStore();
+  if (context) {
+    Object.assign(context, fields);
+  }
+};
+
+const getRequestContext = () => requestContext.getStore() || {};
+
+module.exports = {
+  logger,
+  redact,
+  runWithRequestContext,
+  setRequestContext,
+  getRequestContext,
+  LOG_SQL_PARAMS,
+};
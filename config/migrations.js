@@ -0,0 +1,231 @@
+const fs = require("fs");
+const path = require("path");
+const { logger } = require("./logger");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+
+// Named MySQL lock held while migrating, so instances booting together
+// apply each migration once
+const MIGRATION_LOCK_NAME = "xride_schema_migrations";
+
+// How long to wait for another instance to finish migrating
+const MIGRATION_LOCK_TIMEOUT_SECONDS = process.env.MIGRATION_LOCK_TIMEOUT_SECONDS
+  ? parseInt(process.env.MIGRATION_LOCK_TIMEOUT_SECONDS, 10)
+  : 60;
+
+// Migration files are named <version>_<description>.js, e.g. 001_create_orders_table.js
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Load every migration file, ordered by version
+const loadMigrations = () => {
+  const migrations = fs
+    .readdirSync(MIGRATIONS_DIR)
+    .map((file) => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof migration.up !== "function" || typeof migration.down !== "function") {
+        throw new Error(`Migration ${file} must export up and down functions`);
+      }
+      return {
+        version: match[1],
+        name: path.basename(file, ".js"),
+        up: migration.up,
+        down: migration.down,
+      };
+    })
+    .sort((a, b) => parseInt(a.version, 10) - parseInt(b.version, 10));
+
+  const duplicate = migrations.find(
+    (migration, index) => index > 0 && parseInt(migrations[index - 1].version, 10) === parseInt(migration.version, 10)
+  );
+  if (duplicate) {
+    throw new Error(`Duplicate migration version ${duplicate.version}`);
+  }
+
+  return migrations;
+};
+
+const ensureMigrationsTable = async (connection) => {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(20) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      appliedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+  `);
+};
+
+// Applied migrations, oldest first
+const getAppliedMigrations = async (connection) => {
+  const [rows] = await connection.query(
+    "SELECT version, name, appliedAt FROM schema_migrations ORDER BY appliedAt, CAST(version AS UNSIGNED)"
+  );
+  return rows;
+};
+
+// Before migrations existed, tables were created at boot from their latest
+// definition and never altered. A database first started after a column or
+// index was added therefore already has it, while older ones do not, so
+// migrations that alter those tables add only what is missing.
+const columnExists = async (connection, table, column) => {
+  const [rows] = await connection.query(
+    `SELECT 1 FROM information_schema.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+  return rows.length > 0;
+};
+
+const indexExists = async (connection, table, index) => {
+  const [rows] = await connection.query(
+    `SELECT 1 FROM information_schema.STATISTICS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?`,
+    [table, index]
+  );
+  return rows.length > 0;
+};
+
+// e.g. addColumnIfMissing(connection, "orders", "promoCode", "VARCHAR(32) NULL AFTER discountAmount")
+const addColumnIfMissing = async (connection, table, column, definition) => {
+  if (!(await columnExists(connection, table, column))) {
+    await connection.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+};
+
+// e.g. addIndexIfMissing(connection, "orders", "idx_status", "INDEX idx_status (status)")
+const addIndexIfMissing = async (connection, table, index, definition) => {
+  if (!(await indexExists(connection, table, index))) {
+    await connection.query(`ALTER TABLE ${table} ADD ${definition}`);
+  }
+};
+
+// Run fn while holding the migration lock. MySQL named locks belong to the
+// connection, so fn must do all its work on the connection it is given.
+const withMigrationLock = async (connection, fn) => {
+  await ensureMigrationsTable(connection);
+
+  const [[{ acquired }]] = await connection.query("SELECT GET_LOCK(?, ?) AS acquired", [
+    MIGRATION_LOCK_NAME,
+    MIGRATION_LOCK_TIMEOUT_SECONDS,
+  ]);
+
+  if (acquired !== 1) {
+    throw new Error(
+      `Timed out after ${MIGRATION_LOCK_TIMEOUT_SECONDS}s waiting for another instance to finish migrating`
+    );
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await connection.query("SELECT RELEASE_LOCK(?)", [MIGRATION_LOCK_NAME]);
+  }
+};
+
+// Apply every pending migration in version order. MySQL commits DDL
+// implicitly, so a failed migration is not rolled back: it stays unrecorded
+// and is retried on the next run.
+const migrateLatest = async (connection) =>
+  withMigrationLock(connection, async () => {
+    const migrations = loadMigrations();
+    const applied = new Set((await getAppliedMigrations(connection)).map((row) => row.version));
+    const pending = migrations.filter((migration) => !applied.has(migration.version));
+
+    if (pending.length === 0) {
+      logger.info("Database schema is up to date");
+      return [];
+    }
+
+    for (const migration of pending) {
+      logger.info("Applying migration", { migration: migration.name });
+      const startTime = Date.now();
+
+      try {
+        await migration.up(connection);
+      } catch (error) {
+        logger.error("Migration failed", { migration: migration.name, error });
+        throw error;
+      }
+
+      await connection.query("INSERT INTO schema_migrations (version, name) VALUES (?, ?)", [
+        migration.version,
+        migration.name,
+      ]);
+      logger.info("Migration applied", { migration: migration.name, durationMs: Date.now() - startTime });
+    }
+
+    return pending.map((migration) => migration.name);
+  });
+
+// Revert the most recently applied migrations, newest first
+const rollbackMigrations = async (connection, steps = 1) =>
+  withMigrationLock(connection, async () => {
+    const migrations = new Map(loadMigrations().map((migration) => [migration.version, migration]));
+    const toRevert = (await getAppliedMigrations(connection)).reverse().slice(0, steps);
+
+    if (toRevert.length === 0) {
+      logger.info("No migrations to roll back");
+      return [];
+    }
+
+    for (const row of toRevert) {
+      const migration = migrations.get(row.version);
+      if (!migration) {
+        throw new Error(`Cannot roll back ${row.name}: its migration file is missing`);
+      }
+
+      logger.info("Rolling back migration", { migration: migration.name });
+
+      try {
+        await migration.down(connection);
+      } catch (error) {
+        logger.error("Migration rollback failed", { migration: migration.name, error });
+        throw error;
+      }
+
+      await connection.query("DELETE FROM schema_migrations WHERE version = ?", [row.version]);
+      logger.info("Migration rolled back", { migration: migration.name });
+    }
+
+    return toRevert.map((row) => row.name);
+  });
+
+// Every known migration with when it was applied (null while pending), plus
+// applied versions whose file no longer exists
+const getMigrationStatus = async (connection) => {
+  await ensureMigrationsTable(connection);
+
+  const applied = new Map(
+    (await getAppliedMigrations(connection)).map((row) => [row.version, row])
+  );
+  const migrations = loadMigrations();
+  const known = new Set(migrations.map((migration) => migration.version));
+
+  return [
+    ...migrations.map((migration) => ({
+      version: migration.version,
+      name: migration.name,
+      appliedAt: applied.has(migration.version) ? applied.get(migration.version).appliedAt : null,
+      missing: false,
+    })),
+    ...[...applied.values()]
+      .filter((row) => !known.has(row.version))
+      .map((row) => ({
+        version: row.version,
+        name: row.name,
+        appliedAt: row.appliedAt,
+        missing: true,
+      })),
+  ];
+};
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  migrateLatest,
+  rollbackMigrations,
+  getMigrationStatus,
+  addColumnIfMissing,
+  addIndexIfMissing,
+};
@@ -1,15 +1,14 @@
 const { verifyIdToken } = require("../config/firebase");
+const { logger, setRequestContext } = require("../config/logger");
 
 // Firebase authentication middleware
 const checkAuth = async (req, res, next) => {
-  console.log(`🔐 [AUTH CHECK] Authentication requested for ${req.method} ${req.originalUrl}`);
-  
   try {
     // Get token from Authorization header
     const authHeader = req.headers.authorization;
 
     if (!authHeader) {
-      console.log(`   ❌ Authorization header missing`);
+      logger.info("Authorization header missing");
       return res.status(401).json({
         error: "Authorization header missing",
         message: "Please provide a valid Bearer token",
@@ -18,7 +17,7 @@ const checkAuth = async (req, res, next) => {
 
     // Check if it starts with "Bearer "
     if (!authHeader.startsWith("Bearer ")) {
-      console.log(`   ❌ Invalid authorization format: ${authHeader.substring(0, 20)}...`);
+      logger.info("Invalid authorization format");
       return res.status(401).json({
         error: "Invalid authorization format",
         message: 'Authorization header must start with "Bearer "',
@@ -29,20 +28,16 @@ const checkAuth = async (req, res, next) => {
     const token = authHeader.substring(7);
 
     if (!token) {
-      console.log(`   ❌ Token is empty`);
+      logger.info("Token is empty");
       return res.status(401).json({
         error: "Token missing",
         message: "Please provide a valid Firebase ID token",
       });
     }
 
-    console.log(`   🔍 Verifying Firebase token (${token.substring(0, 20)}...)`);
-
     // Verify token with Firebase
     const decodedToken = await verifyIdToken(token);
 
-    console.log(`   ✅ Token verified for user: ${decodedToken.uid} (${decodedToken.email})`);
-
     // Add user info to request object
     req.user = {
       uid: decodedToken.uid,
@@ -50,21 +45,22 @@ const checkAuth = async (req, res, next) => {
       emailVerified: decodedToken.email_verified,
       name: decodedToken.name,
       picture: decodedToken.picture,
+      admin: decodedToken.admin === true,
       authTime: decodedToken.auth_time,
       iat: decodedToken.iat,
       exp: decodedToken.exp,
     };
 
+    // Tag the rest of this request's logs with the user
+    setRequestContext({ userUid: decodedToken.uid });
+
     // Continue to next middleware
     next();
   } catch (error) {
-    console.error("❌ Authentication error:", error.message);
-    console.error("   Error code:", error.code);
-    console.error("   Stack trace:", error.stack);
+    logger.warn("Authentication failed", { error });
 
     // Handle different Firebase Auth errors
     if (error.code === "auth/id-token-expired") {
-      console.log(`   📛 Token expired for request ${req.method} ${req.originalUrl}`);
       return res.status(401).json({
         error: "Token expired",
         message: "Your session has expired. Please sign in again.",
@@ -72,7 +68,6 @@ const checkAuth = async (req, res, next) => {
     }
 
     if (error.code === "auth/id-token-revoked") {
-      console.log(`   📛 Token revoked for request ${req.method} ${req.originalUrl}`);
       return res.status(401).json({
         error: "Token revoked",
         message: "Your session has been revoked. Please sign in again.",
@@ -80,7 +75,6 @@ const checkAuth = async (req, res, next) => {
     }
 
     if (error.code === "auth/invalid-id-token") {
-      console.log(`   📛 Invalid token for request ${req.method} ${req.originalUrl}`);
       return res.status(401).json({
         error: "Invalid token",
         message: "The provided token is invalid or malformed.",
@@ -88,7 +82,6 @@ const checkAuth = async (req, res, next) => {
     }
 
     // Generic authentication error
-    console.log(`   📛 Generic auth failure for request ${req.method} ${req.originalUrl}`);
     return res.status(401).json({
       error: "Authentication failed",
       message: "Unable to authenticate request. Please check your token.",
@@ -113,16 +106,15 @@ const optionalAuth = async (req, res, next) => {
             emailVerified: decodedToken.email_verified,
             name: decodedToken.name,
             picture: decodedToken.picture,
+            admin: decodedToken.admin === true,
             authTime: decodedToken.auth_time,
             iat: decodedToken.iat,
             exp: decodedToken.exp,
           };
+          setRequestContext({ userUid: decodedToken.uid });
         } catch (error) {
           // Token is invalid but we don't fail the request
-          console.log(
-            "⚠️ Optional auth failed, continuing without user:",
-            error.message
-          );
+          logger.info("Optional auth failed, continuing without user", { error });
         }
       }
     }
@@ -155,7 +147,7 @@ const requireAdmin = async (req, res, next) => {
 
     next();
   } catch (error) {
-    console.error("❌ Admin check error:", error.message);
+    logger.error("Admin check error", { error });
     return res.status(500).json({
       error: "Authorization error",
       message: "Unable to verify admin privileges",
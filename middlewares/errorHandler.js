@@ -1,6 +1,8 @@
+const { logger } = require("../config/logger");
+
 // Global error handler middleware
 const errorHandler = (err, req, res, next) => {
-  console.error("❌ Error caught by global handler:", err);
+  logger.error("Error caught by global handler", { error: err, method: req.method, path: req.path });
 
   // Default error
   let error = {
@@ -107,6 +109,8 @@ const errorHandler = (err, req, res, next) => {
   // Don't expose sensitive error details in production
   const response = {
     error: error.message,
+    // Field-level violations from the validation middleware
+    ...(Array.isArray(err.errors) && { errors: err.errors }),
     ...(process.env.NODE_ENV === "development" && {
       stack: err.stack,
       details: err,
@@ -115,10 +119,9 @@ const errorHandler = (err, req, res, next) => {
 
   // Log error details for debugging
   if (error.status >= 500) {
-    console.error("🚨 Server Error:", {
-      message: err.message,
-      stack: err.stack,
-      url: req.originalUrl,
+    logger.error("Server error", {
+      error: err,
+      path: req.originalUrl.split("?")[0],
       method: req.method,
       ip: req.ip,
       userAgent: req.get("User-Agent"),
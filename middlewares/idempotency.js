@@ -0,0 +1,178 @@
+const crypto = require("crypto");
+const { executeQuery } = require("../config/db");
+const { asyncHandler, createError } = require("./errorHandler");
+const { logger } = require("../config/logger");
+
+// How long a stored response is replayed for
+const IDEMPOTENCY_RETENTION_HOURS = process.env.IDEMPOTENCY_RETENTION_HOURS
+  ? parseInt(process.env.IDEMPOTENCY_RETENTION_HOURS, 10)
+  : 24;
+
+// A key still marked in progress after this long belongs to a request that
+// died before answering (e.g. the process crashed), and may be taken over
+// by a retry
+const IDEMPOTENCY_LOCK_SECONDS = process.env.IDEMPOTENCY_LOCK_SECONDS
+  ? parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS, 10)
+  : 60;
+
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+// JSON with object keys sorted, so the same payload always hashes the same
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const hashRequest = (req) =>
+  crypto
+    .createHash("sha256")
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${canonicalJson(req.body || {})}`)
+    .digest("hex");
+
+// Reserve a key for this request. Returns { recordId } when the caller
+// should run the request, or { existing } with the row that already holds
+// the key. The unique index settles races between concurrent duplicates.
+const claimKey = async (userUid, scope, idempotencyKey, requestHash) => {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    try {
+      const result = await executeQuery(
+        `INSERT INTO idempotency_keys (userUid, scope, idempotencyKey, requestHash, expiresAt)
+         VALUES (?, ?, ?, ?, NOW() + INTERVAL ? HOUR)`,
+        [userUid, scope, idempotencyKey, requestHash, IDEMPOTENCY_RETENTION_HOURS]
+      );
+      return { recordId: result.insertId };
+    } catch (error) {
+      if (error.code !== "ER_DUP_ENTRY") throw error;
+    }
+
+    const [existing] = await executeQuery(
+      `SELECT *,
+         expiresAt <= NOW() AS expired,
+         status = 'in_progress' AND createdAt <= NOW() - INTERVAL ? SECOND AS abandoned
+       FROM idempotency_keys
+       WHERE userUid = ? AND scope = ? AND idempotencyKey = ?`,
+      [IDEMPOTENCY_LOCK_SECONDS, userUid, scope, idempotencyKey]
+    );
+
+    // Released in the meantime: try again
+    if (!existing) continue;
+
+    if (!existing.expired && !existing.abandoned) {
+      return { existing };
+    }
+
+    // Expired or abandoned keys are free to reuse
+    await executeQuery(
+      `DELETE FROM idempotency_keys
+       WHERE recordId = ?
+         AND (expiresAt <= NOW()
+           OR (status = 'in_progress' AND createdAt <= NOW() - INTERVAL ? SECOND))`,
+      [existing.recordId, IDEMPOTENCY_LOCK_SECONDS]
+    );
+  }
+
+  throw createError("Could not reserve the Idempotency-Key. Please retry.", 409);
+};
+
+// Remove expired keys. Called after new keys are stored so the table does
+// not grow without bound.
+const purgeExpiredKeys = () =>
+  executeQuery("DELETE FROM idempotency_keys WHERE expiresAt <= NOW() LIMIT 500");
+
+// Make a POST endpoint idempotent per user. When the client sends an
+// Idempotency-Key header, the first response (unless it is a server error)
+// is stored and replayed for retries carrying the same key. Reusing a key
+// with a different payload is rejected with 422, and a retry that arrives
+// while the first request is still running gets 409.
+const idempotency = (scope) =>
+  asyncHandler(async (req, res, next) => {
+    const idempotencyKey = req.get("Idempotency-Key");
+
+    if (idempotencyKey === undefined) {
+      return next();
+    }
+
+    if (!KEY_PATTERN.test(idempotencyKey)) {
+      throw createError(
+        "Idempotency-Key must be 1-255 printable ASCII characters without spaces",
+        400
+      );
+    }
+
+    const requestHash = hashRequest(req);
+    const { recordId, existing } = await claimKey(
+      req.user.uid,
+      scope,
+      idempotencyKey,
+      requestHash
+    );
+
+    if (existing) {
+      if (existing.requestHash !== requestHash) {
+        logger.info("Idempotency-Key reused with a different payload", { scope, idempotencyKey });
+        throw createError(
+          "This Idempotency-Key was already used with a different request",
+          422
+        );
+      }
+
+      if (existing.status === "in_progress") {
+        logger.info("Idempotency-Key is still being processed", { scope, idempotencyKey });
+        throw createError(
+          "A request with this Idempotency-Key is still being processed. Please retry shortly.",
+          409
+        );
+      }
+
+      logger.info("Replaying stored response", { scope, idempotencyKey });
+      res.set("Idempotent-Replayed", "true");
+      return res.status(existing.responseStatus).json(JSON.parse(existing.responseBody));
+    }
+
+    purgeExpiredKeys().catch((error) => {
+      logger.error("Failed to purge expired idempotency keys", { error });
+    });
+
+    // Store the response before it is sent, so a retry never sees the
+    // request as finished without its result. Server errors release the
+    // key instead, letting the client retry.
+    const sendJson = res.json.bind(res);
+
+    res.json = (body) => {
+      res.json = sendJson;
+
+      const persist =
+        res.statusCode >= 500
+          ? executeQuery("DELETE FROM idempotency_keys WHERE recordId = ?", [recordId])
+          : executeQuery(
+              `UPDATE idempotency_keys
+               SET status = 'completed', responseStatus = ?, responseBody = ?
+               WHERE recordId = ?`,
+              [res.statusCode, JSON.stringify(body), recordId]
+            );
+
+      persist
+        .catch((error) => {
+          logger.error("Failed to store idempotent response", { scope, idempotencyKey, error });
+        })
+        .finally(() => sendJson(body));
+
+      return res;
+    };
+
+    next();
+  });
+
+module.exports = {
+  IDEMPOTENCY_RETENTION_HOURS,
+  idempotency,
+};
@@ -1,4 +1,5 @@
 const rateLimit = require("express-rate-limit");
+const { logger } = require("../config/logger");
 
 // Basic rate limiter: 100 requests per 15 minutes
 const limiter = rateLimit({
@@ -12,7 +13,7 @@ const limiter = rateLimit({
   standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
   legacyHeaders: false, // Disable the `X-RateLimit-*` headers
   handler: (req, res) => {
-    console.log(`⚠️ Rate limit exceeded for IP: ${req.ip}`);
+    logger.warn("Rate limit exceeded", { limiter: "default", ip: req.ip });
     res.status(429).json({
       error: "Too many requests",
       message: "Rate limit exceeded. Please try again later.",
@@ -34,9 +35,7 @@ const strictLimiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
   handler: (req, res) => {
-    console.log(
-      `⚠️ Strict rate limit exceeded for IP: ${req.ip} on ${req.path}`
-    );
+    logger.warn("Rate limit exceeded", { limiter: "strict", ip: req.ip, path: req.path });
     res.status(429).json({
       error: "Too many requests",
       message:
@@ -58,7 +57,7 @@ const publicLimiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
   handler: (req, res) => {
-    console.log(`⚠️ Public rate limit exceeded for IP: ${req.ip}`);
+    logger.warn("Rate limit exceeded", { limiter: "public", ip: req.ip });
     res.status(429).json({
       error: "Too many requests",
       message: "Rate limit exceeded. Please try again later.",
@@ -84,7 +83,7 @@ const createCustomLimiter = (options = {}) => {
     ...defaultOptions,
     ...options,
     handler: (req, res) => {
-      console.log(`⚠️ Custom rate limit exceeded for IP: ${req.ip}`);
+      logger.warn("Rate limit exceeded", { limiter: "custom", ip: req.ip });
       res.status(429).json({
         error: "Too many requests",
         message:
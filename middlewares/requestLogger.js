@@ -0,0 +1,71 @@
+const crypto = require("crypto");
+const { AsyncResource } = require("async_hooks");
+const morgan = require("morgan");
+const { logger, runWithRequestContext } = require("../config/logger");
+
+// Client-supplied request IDs are kept when they look like an ID, so a
+// request can be followed from the app or a proxy through our logs
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Tag each request with a correlation ID (X-Request-Id, generated when
+// missing or malformed), echo it in the response and run the rest of the
+// request in a logging context carrying it
+const requestId = (req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+
+  runWithRequestContext({ requestId: req.id }, next);
+};
+
+// Middleware that reads the request stream (body parsers, multer) calls
+// next from stream events, outside the request's logging context. Wrap it
+// so next runs back inside the context.
+const bindRequestContext = (middleware) => (req, res, next) =>
+  middleware(req, res, AsyncResource.bind(next));
+
+// Bodies can carry addresses and coordinates, so they are only logged
+// (redacted) at debug level
+const logRequest = (req, res, next) => {
+  logger.debug("Request received", {
+    method: req.method,
+    path: req.originalUrl.split("?")[0],
+    ...(Object.keys(req.query).length > 0 && { query: req.query }),
+    ...(req.body && Object.keys(req.body).length > 0 && { body: req.body }),
+  });
+  next();
+};
+
+// One access log entry per response, written when it finishes. morgan
+// runs the format outside the request's context, so the request ID and
+// user are read from req.
+const accessLog = morgan(
+  (tokens, req, res) => {
+    const status = res.statusCode;
+    const level = status >= 500 ? "error" : status >= 400 ? "warn" : "info";
+
+    logger[level]("Request completed", {
+      requestId: req.id,
+      ...(req.user && { userUid: req.user.uid }),
+      method: tokens.method(req, res),
+      // Only the path: the query string can hold coordinates or address
+      // searches
+      path: req.originalUrl.split("?")[0],
+      status,
+      durationMs: parseFloat(tokens["response-time"](req, res)) || null,
+      contentLength: parseInt(tokens.res(req, res, "content-length"), 10) || 0,
+      ip: tokens["remote-addr"](req, res),
+      userAgent: tokens["user-agent"](req, res),
+    });
+
+    // The entry is already written; tell morgan there is no line to print
+    return null;
+  }
+);
+
+module.exports = {
+  requestId,
+  bindRequestContext,
+  logRequest,
+  accessLog,
+};
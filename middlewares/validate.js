@@ -0,0 +1,49 @@
+const { createError } = require("./errorHandler");
+const { logger } = require("../config/logger");
+
+// Where each part of the request is validated from
+const LOCATIONS = ["params", "query", "body"];
+
+// Validate the request against Joi schemas for its params, query and/or
+// body. Unknown fields are stripped and values converted (e.g. "12" → 12
+// for numeric params); the cleaned values replace the originals. Every
+// violation is reported at once in a single 400.
+const validate = (schemas) => (req, res, next) => {
+  const errors = [];
+
+  for (const location of LOCATIONS) {
+    if (!schemas[location]) continue;
+
+    const { value, error } = schemas[location].validate(req[location] || {}, {
+      abortEarly: false,
+      stripUnknown: true,
+      errors: { wrap: { label: false } },
+    });
+
+    if (error) {
+      errors.push(
+        ...error.details.map((detail) => ({
+          location,
+          field: detail.path.join("."),
+          message: detail.message,
+          type: detail.type,
+        }))
+      );
+    } else {
+      req[location] = value;
+    }
+  }
+
+  if (errors.length > 0) {
+    logger.info("Validation failed", { fields: errors.map((e) => `${e.location}.${e.field}`) });
+    const error = createError("Validation failed", 400);
+    error.errors = errors;
+    return next(error);
+  }
+
+  next();
+};
+
+module.exports = {
+  validate,
+};
@@ -0,0 +1,32 @@
+// The orders table as initializeDatabase first created it at boot, before
+// migrations existed. IF NOT EXISTS lets deployments that already have it
+// record this migration; later migrations bring it up to date.
+
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS orders (
+        orderId INT AUTO_INCREMENT PRIMARY KEY,
+        userUid VARCHAR(255) NOT NULL,
+        pickupAddress TEXT NOT NULL,
+        dropoffAddress TEXT NOT NULL,
+        latPickup DECIMAL(10, 8) NOT NULL,
+        lngPickup DECIMAL(11, 8) NOT NULL,
+        latDropoff DECIMAL(10, 8) NOT NULL,
+        lngDropoff DECIMAL(11, 8) NOT NULL,
+        amount DECIMAL(10, 2) NOT NULL,
+        orderType VARCHAR(100) NOT NULL,
+        status ENUM('pending', 'confirmed', 'in_progress', 'completed', 'cancelled') DEFAULT 'pending',
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_userUid (userUid),
+        INDEX idx_status (status),
+        INDEX idx_createdAt (createdAt)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query("DROP TABLE IF EXISTS orders");
+  },
+};
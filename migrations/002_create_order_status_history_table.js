@@ -0,0 +1,24 @@
+// Audit trail of order status transitions
+
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS order_status_history (
+        historyId INT AUTO_INCREMENT PRIMARY KEY,
+        orderId INT NOT NULL,
+        fromStatus ENUM('pending', 'confirmed', 'in_progress', 'completed', 'cancelled') NULL,
+        toStatus ENUM('pending', 'confirmed', 'in_progress', 'completed', 'cancelled') NOT NULL,
+        actorUid VARCHAR(255) NOT NULL,
+        actorRole VARCHAR(50) NOT NULL,
+        reason VARCHAR(500) NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_orderId_createdAt (orderId, createdAt),
+        CONSTRAINT fk_history_order FOREIGN KEY (orderId) REFERENCES orders(orderId) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query("DROP TABLE IF EXISTS order_status_history");
+  },
+};
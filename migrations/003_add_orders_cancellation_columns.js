@@ -0,0 +1,22 @@
+const { addColumnIfMissing } = require("../config/migrations");
+
+// Reason, note and fee recorded when an order is cancelled
+
+module.exports = {
+  up: async (connection) => {
+    await addColumnIfMissing(connection, "orders", "cancellationReason", "VARCHAR(50) NULL AFTER status");
+    await addColumnIfMissing(connection, "orders", "cancellationNote", "VARCHAR(500) NULL AFTER cancellationReason");
+    await addColumnIfMissing(connection, "orders", "cancellationFee", "DECIMAL(10, 2) NULL AFTER cancellationNote");
+    await addColumnIfMissing(connection, "orders", "cancelledAt", "TIMESTAMP NULL AFTER cancellationFee");
+  },
+
+  down: async (connection) => {
+    await connection.query(`
+      ALTER TABLE orders
+        DROP COLUMN cancellationReason,
+        DROP COLUMN cancellationNote,
+        DROP COLUMN cancellationFee,
+        DROP COLUMN cancelledAt
+    `);
+  },
+};
@@ -0,0 +1,14 @@
+const { addColumnIfMissing, addIndexIfMissing } = require("../config/migrations");
+
+// The driver an order is assigned to
+
+module.exports = {
+  up: async (connection) => {
+    await addColumnIfMissing(connection, "orders", "assignedDriverUid", "VARCHAR(255) NULL AFTER cancelledAt");
+    await addIndexIfMissing(connection, "orders", "idx_assignedDriverUid", "INDEX idx_assignedDriverUid (assignedDriverUid)");
+  },
+
+  down: async (connection) => {
+    await connection.query("ALTER TABLE orders DROP INDEX idx_assignedDriverUid, DROP COLUMN assignedDriverUid");
+  },
+};
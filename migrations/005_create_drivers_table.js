@@ -0,0 +1,32 @@
+// Driver accounts and their onboarding review
+
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS drivers (
+        driverUid VARCHAR(255) PRIMARY KEY,
+        fullName VARCHAR(255) NOT NULL,
+        phone VARCHAR(50) NOT NULL,
+        licenseNumber VARCHAR(100) NULL,
+        licenseExpiry DATE NULL,
+        vehicleType VARCHAR(50) NULL,
+        vehicleMake VARCHAR(100) NULL,
+        vehicleModel VARCHAR(100) NULL,
+        vehiclePlate VARCHAR(50) NULL,
+        vehicleColor VARCHAR(50) NULL,
+        status ENUM('registered', 'pending_review', 'approved', 'rejected') DEFAULT 'registered',
+        rejectionReason VARCHAR(500) NULL,
+        reviewedBy VARCHAR(255) NULL,
+        reviewedAt TIMESTAMP NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_vehiclePlate (vehiclePlate),
+        INDEX idx_status (status)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query("DROP TABLE IF EXISTS drivers");
+  },
+};
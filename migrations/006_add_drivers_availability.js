@@ -0,0 +1,29 @@
+const { addColumnIfMissing, addIndexIfMissing } = require("../config/migrations");
+
+// Driver availability and last known position, used by dispatch
+
+module.exports = {
+  up: async (connection) => {
+    await addColumnIfMissing(connection, "drivers", "isAvailable", "BOOLEAN NOT NULL DEFAULT FALSE AFTER reviewedAt");
+    await addColumnIfMissing(connection, "drivers", "currentLat", "DECIMAL(10, 8) NULL AFTER isAvailable");
+    await addColumnIfMissing(connection, "drivers", "currentLng", "DECIMAL(11, 8) NULL AFTER currentLat");
+    await addColumnIfMissing(connection, "drivers", "locationUpdatedAt", "TIMESTAMP NULL AFTER currentLng");
+    await addIndexIfMissing(
+      connection,
+      "drivers",
+      "idx_available_location",
+      "INDEX idx_available_location (isAvailable, currentLat, currentLng)"
+    );
+  },
+
+  down: async (connection) => {
+    await connection.query(`
+      ALTER TABLE drivers
+        DROP INDEX idx_available_location,
+        DROP COLUMN isAvailable,
+        DROP COLUMN currentLat,
+        DROP COLUMN currentLng,
+        DROP COLUMN locationUpdatedAt
+    `);
+  },
+};
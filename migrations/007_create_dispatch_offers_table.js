@@ -0,0 +1,27 @@
+// Offers of pending orders to nearby drivers
+
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS dispatch_offers (
+        offerId INT AUTO_INCREMENT PRIMARY KEY,
+        orderId INT NOT NULL,
+        driverUid VARCHAR(255) NOT NULL,
+        distanceKm DECIMAL(8, 3) NOT NULL,
+        status ENUM('offered', 'accepted', 'declined', 'expired') DEFAULT 'offered',
+        offeredAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expiresAt TIMESTAMP NOT NULL,
+        respondedAt TIMESTAMP NULL,
+        UNIQUE KEY uniq_order_driver (orderId, driverUid),
+        INDEX idx_status_expiresAt (status, expiresAt),
+        INDEX idx_driverUid_status (driverUid, status),
+        CONSTRAINT fk_offer_order FOREIGN KEY (orderId) REFERENCES orders(orderId) ON DELETE CASCADE,
+        CONSTRAINT fk_offer_driver FOREIGN KEY (driverUid) REFERENCES drivers(driverUid) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query("DROP TABLE IF EXISTS dispatch_offers");
+  },
+};
@@ -0,0 +1,26 @@
+// Driver position trail of orders in progress
+
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS order_locations (
+        locationId BIGINT AUTO_INCREMENT PRIMARY KEY,
+        orderId INT NOT NULL,
+        driverUid VARCHAR(255) NOT NULL,
+        latitude DECIMAL(10, 8) NOT NULL,
+        longitude DECIMAL(11, 8) NOT NULL,
+        heading DECIMAL(5, 2) NULL,
+        speedKmh DECIMAL(6, 2) NULL,
+        accuracyMeters DECIMAL(8, 2) NULL,
+        recordedAt TIMESTAMP(3) NOT NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_orderId_recordedAt (orderId, recordedAt),
+        CONSTRAINT fk_location_order FOREIGN KEY (orderId) REFERENCES orders(orderId) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query("DROP TABLE IF EXISTS order_locations");
+  },
+};
@@ -0,0 +1,14 @@
+const { addColumnIfMissing } = require("../config/migrations");
+
+// Distance and duration estimated when the order is priced
+
+module.exports = {
+  up: async (connection) => {
+    await addColumnIfMissing(connection, "orders", "estimatedDistanceKm", "DECIMAL(8, 3) NULL AFTER amount");
+    await addColumnIfMissing(connection, "orders", "estimatedDurationMinutes", "INT NULL AFTER estimatedDistanceKm");
+  },
+
+  down: async (connection) => {
+    await connection.query("ALTER TABLE orders DROP COLUMN estimatedDistanceKm, DROP COLUMN estimatedDurationMinutes");
+  },
+};
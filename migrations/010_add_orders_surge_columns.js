@@ -0,0 +1,14 @@
+const { addColumnIfMissing } = require("../config/migrations");
+
+// Surge multiplier applied to the fare and the zone it came from
+
+module.exports = {
+  up: async (connection) => {
+    await addColumnIfMissing(connection, "orders", "surgeMultiplier", "DECIMAL(4, 2) NOT NULL DEFAULT 1.00 AFTER amount");
+    await addColumnIfMissing(connection, "orders", "pricingZoneId", "INT NULL AFTER surgeMultiplier");
+  },
+
+  down: async (connection) => {
+    await connection.query("ALTER TABLE orders DROP COLUMN surgeMultiplier, DROP COLUMN pricingZoneId");
+  },
+};
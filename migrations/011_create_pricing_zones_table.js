@@ -0,0 +1,27 @@
+// Surge pricing zones
+
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS pricing_zones (
+        zoneId INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        polygon JSON NOT NULL,
+        minLat DECIMAL(10, 8) NOT NULL,
+        maxLat DECIMAL(10, 8) NOT NULL,
+        minLng DECIMAL(11, 8) NOT NULL,
+        maxLng DECIMAL(11, 8) NOT NULL,
+        maxSurgeMultiplier DECIMAL(4, 2) NOT NULL DEFAULT 3.00,
+        isActive BOOLEAN NOT NULL DEFAULT TRUE,
+        createdBy VARCHAR(255) NOT NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_active_bbox (isActive, minLat, maxLat)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query("DROP TABLE IF EXISTS pricing_zones");
+  },
+};
@@ -0,0 +1,28 @@
+const { addColumnIfMissing, addIndexIfMissing } = require("../config/migrations");
+
+// Scheduled pickups: the 'scheduled' status and the pickup time
+
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      ALTER TABLE orders MODIFY COLUMN status
+        ENUM('scheduled', 'pending', 'confirmed', 'in_progress', 'completed', 'cancelled') DEFAULT 'pending'
+    `);
+    await addColumnIfMissing(connection, "orders", "scheduledFor", "TIMESTAMP NULL AFTER assignedDriverUid");
+    await addIndexIfMissing(
+      connection,
+      "orders",
+      "idx_status_scheduledFor",
+      "INDEX idx_status_scheduledFor (status, scheduledFor)"
+    );
+  },
+
+  // Fails while any order is still scheduled
+  down: async (connection) => {
+    await connection.query("ALTER TABLE orders DROP INDEX idx_status_scheduledFor, DROP COLUMN scheduledFor");
+    await connection.query(`
+      ALTER TABLE orders MODIFY COLUMN status
+        ENUM('pending', 'confirmed', 'in_progress', 'completed', 'cancelled') DEFAULT 'pending'
+    `);
+  },
+};
@@ -0,0 +1,20 @@
+// Let the status history record transitions from and to 'scheduled'
+
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      ALTER TABLE order_status_history
+        MODIFY COLUMN fromStatus ENUM('scheduled', 'pending', 'confirmed', 'in_progress', 'completed', 'cancelled') NULL,
+        MODIFY COLUMN toStatus ENUM('scheduled', 'pending', 'confirmed', 'in_progress', 'completed', 'cancelled') NOT NULL
+    `);
+  },
+
+  // Fails while the history holds any 'scheduled' transition
+  down: async (connection) => {
+    await connection.query(`
+      ALTER TABLE order_status_history
+        MODIFY COLUMN fromStatus ENUM('pending', 'confirmed', 'in_progress', 'completed', 'cancelled') NULL,
+        MODIFY COLUMN toStatus ENUM('pending', 'confirmed', 'in_progress', 'completed', 'cancelled') NOT NULL
+    `);
+  },
+};
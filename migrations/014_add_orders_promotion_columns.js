@@ -0,0 +1,20 @@
+const { addColumnIfMissing } = require("../config/migrations");
+
+// Fare before discount, the discount and the promo code that gave it
+
+module.exports = {
+  up: async (connection) => {
+    await addColumnIfMissing(connection, "orders", "originalAmount", "DECIMAL(10, 2) NULL AFTER amount");
+    await addColumnIfMissing(connection, "orders", "discountAmount", "DECIMAL(10, 2) NOT NULL DEFAULT 0.00 AFTER originalAmount");
+    await addColumnIfMissing(connection, "orders", "promoCode", "VARCHAR(32) NULL AFTER discountAmount");
+  },
+
+  down: async (connection) => {
+    await connection.query(`
+      ALTER TABLE orders
+        DROP COLUMN originalAmount,
+        DROP COLUMN discountAmount,
+        DROP COLUMN promoCode
+    `);
+  },
+};
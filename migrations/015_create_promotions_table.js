@@ -0,0 +1,32 @@
+// Promo codes
+
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS promotions (
+        promoId INT AUTO_INCREMENT PRIMARY KEY,
+        code VARCHAR(32) NOT NULL,
+        description VARCHAR(500) NULL,
+        discountType ENUM('percentage', 'fixed') NOT NULL,
+        discountValue DECIMAL(10, 2) NOT NULL,
+        maxDiscountAmount DECIMAL(10, 2) NULL,
+        minOrderAmount DECIMAL(10, 2) NULL,
+        orderTypes JSON NULL,
+        startsAt TIMESTAMP NULL,
+        expiresAt TIMESTAMP NOT NULL,
+        totalUsageLimit INT NULL,
+        perUserLimit INT NULL,
+        usageCount INT NOT NULL DEFAULT 0,
+        isActive BOOLEAN NOT NULL DEFAULT TRUE,
+        createdBy VARCHAR(255) NOT NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_code (code)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query("DROP TABLE IF EXISTS promotions");
+  },
+};
@@ -0,0 +1,24 @@
+// One row per promo code used on an order
+
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS promo_redemptions (
+        redemptionId INT AUTO_INCREMENT PRIMARY KEY,
+        promoId INT NOT NULL,
+        userUid VARCHAR(255) NOT NULL,
+        orderId INT NOT NULL,
+        discountAmount DECIMAL(10, 2) NOT NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_orderId (orderId),
+        INDEX idx_promo_user (promoId, userUid),
+        CONSTRAINT fk_redemption_promo FOREIGN KEY (promoId) REFERENCES promotions(promoId),
+        CONSTRAINT fk_redemption_order FOREIGN KEY (orderId) REFERENCES orders(orderId) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query("DROP TABLE IF EXISTS promo_redemptions");
+  },
+};
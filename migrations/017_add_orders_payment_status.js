@@ -0,0 +1,18 @@
+const { addColumnIfMissing } = require("../config/migrations");
+
+// Whether the rider has been charged for the order
+
+module.exports = {
+  up: async (connection) => {
+    await addColumnIfMissing(
+      connection,
+      "orders",
+      "paymentStatus",
+      "ENUM('unpaid', 'paid', 'failed', 'partially_refunded', 'refunded') NOT NULL DEFAULT 'unpaid' AFTER promoCode"
+    );
+  },
+
+  down: async (connection) => {
+    await connection.query("ALTER TABLE orders DROP COLUMN paymentStatus");
+  },
+};
@@ -0,0 +1,23 @@
+// Wallets. Balances are a cache of the ledger and only change together
+// with a ledger entry.
+
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS wallets (
+        walletId INT AUTO_INCREMENT PRIMARY KEY,
+        ownerUid VARCHAR(255) NOT NULL,
+        ownerType ENUM('rider', 'driver', 'system') NOT NULL,
+        currency CHAR(3) NOT NULL,
+        balance DECIMAL(12, 2) NOT NULL DEFAULT 0.00,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_owner (ownerUid, ownerType)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query("DROP TABLE IF EXISTS wallets");
+  },
+};
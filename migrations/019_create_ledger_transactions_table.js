@@ -0,0 +1,25 @@
+// Ledger transactions (append-only)
+
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS ledger_transactions (
+        transactionId INT AUTO_INCREMENT PRIMARY KEY,
+        type ENUM('topup', 'order_charge', 'refund') NOT NULL,
+        orderId INT NULL,
+        uniqueKey VARCHAR(100) NULL,
+        providerReference VARCHAR(255) NULL,
+        description VARCHAR(500) NULL,
+        createdBy VARCHAR(255) NOT NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_uniqueKey (uniqueKey),
+        INDEX idx_orderId (orderId),
+        CONSTRAINT fk_ledger_order FOREIGN KEY (orderId) REFERENCES orders(orderId)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query("DROP TABLE IF EXISTS ledger_transactions");
+  },
+};
@@ -0,0 +1,24 @@
+// Ledger entries (append-only). The entries of a transaction always sum
+// to zero.
+
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS ledger_entries (
+        entryId INT AUTO_INCREMENT PRIMARY KEY,
+        transactionId INT NOT NULL,
+        walletId INT NOT NULL,
+        amount DECIMAL(12, 2) NOT NULL,
+        balanceAfter DECIMAL(12, 2) NOT NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_wallet_entry (walletId, entryId),
+        CONSTRAINT fk_entry_transaction FOREIGN KEY (transactionId) REFERENCES ledger_transactions(transactionId),
+        CONSTRAINT fk_entry_wallet FOREIGN KEY (walletId) REFERENCES wallets(walletId)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query("DROP TABLE IF EXISTS ledger_entries");
+  },
+};
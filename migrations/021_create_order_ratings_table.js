@@ -0,0 +1,27 @@
+// Order ratings. Each side of an order rates the other at most once.
+
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS order_ratings (
+        ratingId INT AUTO_INCREMENT PRIMARY KEY,
+        orderId INT NOT NULL,
+        raterUid VARCHAR(255) NOT NULL,
+        raterRole ENUM('rider', 'driver') NOT NULL,
+        rateeUid VARCHAR(255) NOT NULL,
+        rateeRole ENUM('rider', 'driver') NOT NULL,
+        stars TINYINT NOT NULL,
+        comment VARCHAR(500) NULL,
+        tags JSON NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_order_rater (orderId, raterRole),
+        INDEX idx_ratee (rateeUid, rateeRole),
+        CONSTRAINT fk_rating_order FOREIGN KEY (orderId) REFERENCES orders(orderId) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query("DROP TABLE IF EXISTS order_ratings");
+  },
+};
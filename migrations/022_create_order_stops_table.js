@@ -0,0 +1,30 @@
+// Intermediate stops of multi-stop orders, visited in sequence order
+
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS order_stops (
+        stopId INT AUTO_INCREMENT PRIMARY KEY,
+        orderId INT NOT NULL,
+        sequence TINYINT UNSIGNED NOT NULL,
+        address TEXT NOT NULL,
+        latitude DECIMAL(10, 8) NOT NULL,
+        longitude DECIMAL(11, 8) NOT NULL,
+        contactName VARCHAR(255) NULL,
+        contactPhone VARCHAR(32) NULL,
+        notes VARCHAR(500) NULL,
+        status ENUM('pending', 'arrived', 'completed', 'skipped') NOT NULL DEFAULT 'pending',
+        arrivedAt TIMESTAMP NULL,
+        completedAt TIMESTAMP NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_order_sequence (orderId, sequence),
+        CONSTRAINT fk_stop_order FOREIGN KEY (orderId) REFERENCES orders(orderId) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query("DROP TABLE IF EXISTS order_stops");
+  },
+};
@@ -0,0 +1,25 @@
+// Parcel details (one per delivery order)
+
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS order_parcels (
+        orderId INT PRIMARY KEY,
+        sizeClass ENUM('small', 'medium', 'large', 'extra_large') NOT NULL,
+        weightKg DECIMAL(6, 2) NULL,
+        isFragile BOOLEAN NOT NULL DEFAULT FALSE,
+        recipientName VARCHAR(255) NOT NULL,
+        recipientPhone VARCHAR(32) NOT NULL,
+        deliveryPin CHAR(4) NOT NULL,
+        pinAttempts INT NOT NULL DEFAULT 0,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        CONSTRAINT fk_parcel_order FOREIGN KEY (orderId) REFERENCES orders(orderId) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query("DROP TABLE IF EXISTS order_parcels");
+  },
+};
@@ -0,0 +1,22 @@
+// Proof of delivery photos and signatures
+
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS order_delivery_proofs (
+        orderId INT PRIMARY KEY,
+        method ENUM('pin', 'photo') NOT NULL,
+        photoKey VARCHAR(255) NULL,
+        signatureKey VARCHAR(255) NULL,
+        receivedBy VARCHAR(255) NULL,
+        deliveredBy VARCHAR(255) NOT NULL,
+        deliveredAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT fk_proof_order FOREIGN KEY (orderId) REFERENCES orders(orderId) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query("DROP TABLE IF EXISTS order_delivery_proofs");
+  },
+};
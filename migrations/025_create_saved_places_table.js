@@ -0,0 +1,24 @@
+// Riders' saved places (address book)
+
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS saved_places (
+        placeId INT AUTO_INCREMENT PRIMARY KEY,
+        userUid VARCHAR(128) NOT NULL,
+        label VARCHAR(100) NOT NULL,
+        address TEXT NOT NULL,
+        latitude DECIMAL(10, 8) NOT NULL,
+        longitude DECIMAL(11, 8) NOT NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_user_label (userUid, label),
+        INDEX idx_userUid (userUid)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query("DROP TABLE IF EXISTS saved_places");
+  },
+};
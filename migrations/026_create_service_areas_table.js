@@ -0,0 +1,28 @@
+// Service areas. Orders are only accepted inside an active area that
+// enables their order type.
+
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS service_areas (
+        areaId INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        polygon JSON NOT NULL,
+        minLat DECIMAL(10, 8) NOT NULL,
+        maxLat DECIMAL(10, 8) NOT NULL,
+        minLng DECIMAL(11, 8) NOT NULL,
+        maxLng DECIMAL(11, 8) NOT NULL,
+        orderTypes JSON NOT NULL,
+        isActive BOOLEAN NOT NULL DEFAULT TRUE,
+        createdBy VARCHAR(255) NOT NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_active_bbox (isActive, minLat, maxLat)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query("DROP TABLE IF EXISTS service_areas");
+  },
+};
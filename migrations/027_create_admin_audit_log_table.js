@@ -0,0 +1,23 @@
+// Append-only record of staff overrides
+
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS admin_audit_log (
+        auditId INT AUTO_INCREMENT PRIMARY KEY,
+        adminUid VARCHAR(255) NOT NULL,
+        action VARCHAR(50) NOT NULL,
+        orderId INT NULL,
+        reason VARCHAR(500) NOT NULL,
+        details JSON NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_orderId_createdAt (orderId, createdAt),
+        INDEX idx_adminUid_createdAt (adminUid, createdAt)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query("DROP TABLE IF EXISTS admin_audit_log");
+  },
+};
@@ -0,0 +1,24 @@
+// Registered webhook endpoints
+
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS webhook_endpoints (
+        endpointId INT AUTO_INCREMENT PRIMARY KEY,
+        url VARCHAR(2048) NOT NULL,
+        description VARCHAR(255) NULL,
+        eventTypes JSON NOT NULL,
+        secret VARCHAR(100) NOT NULL,
+        isActive BOOLEAN DEFAULT TRUE,
+        createdBy VARCHAR(255) NOT NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_isActive (isActive)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query("DROP TABLE IF EXISTS webhook_endpoints");
+  },
+};
@@ -0,0 +1,31 @@
+// The webhook outbox: one row per event per endpoint
+
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        deliveryId INT AUTO_INCREMENT PRIMARY KEY,
+        endpointId INT NOT NULL,
+        eventId VARCHAR(64) NOT NULL,
+        eventType VARCHAR(50) NOT NULL,
+        payload MEDIUMTEXT NOT NULL,
+        status ENUM('pending', 'succeeded', 'failed') DEFAULT 'pending',
+        attempts INT NOT NULL DEFAULT 0,
+        nextAttemptAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        lastStatusCode INT NULL,
+        lastError VARCHAR(500) NULL,
+        deliveredAt TIMESTAMP NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (endpointId) REFERENCES webhook_endpoints(endpointId) ON DELETE CASCADE,
+        INDEX idx_status_nextAttemptAt (status, nextAttemptAt),
+        INDEX idx_endpointId_createdAt (endpointId, createdAt),
+        INDEX idx_eventId (eventId)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query("DROP TABLE IF EXISTS webhook_deliveries");
+  },
+};
@@ -0,0 +1,23 @@
+// Each delivery attempt of a webhook event
+
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS webhook_delivery_attempts (
+        attemptId INT AUTO_INCREMENT PRIMARY KEY,
+        deliveryId INT NOT NULL,
+        attemptNumber INT NOT NULL,
+        statusCode INT NULL,
+        error VARCHAR(500) NULL,
+        durationMs INT NOT NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (deliveryId) REFERENCES webhook_deliveries(deliveryId) ON DELETE CASCADE,
+        INDEX idx_deliveryId (deliveryId)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query("DROP TABLE IF EXISTS webhook_delivery_attempts");
+  },
+};
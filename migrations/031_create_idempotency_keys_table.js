@@ -0,0 +1,26 @@
+// Stored responses for retried requests
+
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        recordId INT AUTO_INCREMENT PRIMARY KEY,
+        userUid VARCHAR(255) NOT NULL,
+        scope VARCHAR(50) NOT NULL,
+        idempotencyKey VARCHAR(255) NOT NULL,
+        requestHash CHAR(64) NOT NULL,
+        status ENUM('in_progress', 'completed') DEFAULT 'in_progress',
+        responseStatus INT NULL,
+        responseBody MEDIUMTEXT NULL,
+        createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expiresAt TIMESTAMP NOT NULL,
+        UNIQUE KEY uniq_userUid_scope_key (userUid, scope, idempotencyKey),
+        INDEX idx_expiresAt (expiresAt)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query("DROP TABLE IF EXISTS idempotency_keys");
+  },
+};
@@ -0,0 +1,24 @@
+const { addIndexIfMissing } = require("../config/migrations");
+
+// Indexes for cursor pagination of a rider's orders and address search
+
+module.exports = {
+  up: async (connection) => {
+    await addIndexIfMissing(
+      connection,
+      "orders",
+      "idx_userUid_createdAt",
+      "INDEX idx_userUid_createdAt (userUid, createdAt, orderId)"
+    );
+    await addIndexIfMissing(
+      connection,
+      "orders",
+      "ft_addresses",
+      "FULLTEXT INDEX ft_addresses (pickupAddress, dropoffAddress)"
+    );
+  },
+
+  down: async (connection) => {
+    await connection.query("ALTER TABLE orders DROP INDEX idx_userUid_createdAt, DROP INDEX ft_addresses");
+  },
+};
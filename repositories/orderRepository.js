@@ -0,0 +1,226 @@
+const { executeQuery } = require("../config/db");
+
+// Columns written when an order is created
+const INSERT_COLUMNS = [
+  "userUid",
+  "pickupAddress",
+  "dropoffAddress",
+  "latPickup",
+  "lngPickup",
+  "latDropoff",
+  "lngDropoff",
+  "amount",
+  "originalAmount",
+  "discountAmount",
+  "promoCode",
+  "surgeMultiplier",
+  "pricingZoneId",
+  "estimatedDistanceKm",
+  "estimatedDurationMinutes",
+  "orderType",
+  "scheduledFor",
+  "status",
+];
+
+// How each role relates to an order
+const ROLE_CONDITIONS = {
+  rider: { condition: "userUid = ?", params: (uid) => [uid] },
+  driver: { condition: "assignedDriverUid = ?", params: (uid) => [uid] },
+  participant: {
+    condition: "(userUid = ? OR assignedDriverUid = ?)",
+    params: (uid) => [uid, uid],
+  },
+};
+
+// SQL for orders and their location trail. `query` runs a statement and
+// returns its results: executeQuery for standalone statements, or the
+// executor withTransaction passes to its callback. Reporting queries
+// (analytics, exports, surge) still read the table directly.
+const createOrderRepository = (query) => {
+  const findById = async (orderId, { forUpdate = false } = {}) => {
+    const [order] = await query(
+      `SELECT * FROM orders WHERE orderId = ?${forUpdate ? " FOR UPDATE" : ""}`,
+      [orderId]
+    );
+    return order || null;
+  };
+
+  // An order the user takes part in as `role` (rider, driver or either as
+  // participant). With `adminAccess`, admins get any order.
+  const findForUser = async (orderId, user, { role, adminAccess = false }) => {
+    if (adminAccess && user.admin) {
+      return findById(orderId);
+    }
+
+    const { condition, params } = ROLE_CONDITIONS[role];
+    const [order] = await query(
+      `SELECT * FROM orders WHERE orderId = ? AND ${condition}`,
+      [orderId, ...params(user.uid)]
+    );
+    return order || null;
+  };
+
+  // Insert an order and return its orderId
+  const create = async (order) => {
+    const result = await query(
+      `INSERT INTO orders (${INSERT_COLUMNS.join(", ")})
+       VALUES (${INSERT_COLUMNS.map(() => "?").join(", ")})`,
+      INSERT_COLUMNS.map((column) => (order[column] === undefined ? null : order[column]))
+    );
+    return result.insertId;
+  };
+
+  const count = async ({ conditions = [], params = [] } = {}) => {
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+    const [{ total }] = await query(`SELECT COUNT(*) AS total FROM orders ${where}`, params);
+    return total;
+  };
+
+  // A page of orders, newest first
+  const findPage = async ({ conditions = [], params = [], limit, offset = 0 }) => {
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+    return query(
+      `SELECT * FROM orders ${where}
+       ORDER BY createdAt DESC, orderId DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+  };
+
+  // A rider's upcoming scheduled orders, soonest first
+  const findScheduledByRider = (userUid) =>
+    query(
+      `SELECT * FROM orders
+       WHERE userUid = ? AND status = 'scheduled'
+       ORDER BY scheduledFor ASC`,
+      [userUid]
+    );
+
+  // Scheduled orders whose pickup is at most `withinSeconds` away
+  const findScheduledDueWithin = (withinSeconds) =>
+    query(
+      `SELECT orderId, scheduledFor FROM orders
+       WHERE status = 'scheduled'
+         AND scheduledFor <= NOW() + INTERVAL ? SECOND`,
+      [withinSeconds]
+    );
+
+  // Pending orders with no driver and no open offer, oldest first
+  const findAwaitingDispatch = (limit) =>
+    query(
+      `SELECT o.orderId FROM orders o
+       WHERE o.status = 'pending'
+         AND o.assignedDriverUid IS NULL
+         AND NOT EXISTS (
+           SELECT 1 FROM dispatch_offers f
+           WHERE f.orderId = o.orderId AND f.status = 'offered'
+         )
+       ORDER BY o.createdAt ASC
+       LIMIT ?`,
+      [limit]
+    );
+
+  // Set the status (and extra columns) of an order still in `fromStatus`.
+  // Column names must come from code, never from user input. Returns false
+  // when the order changed concurrently.
+  const updateStatus = async (orderId, fromStatus, toStatus, fields = {}) => {
+    const columns = Object.keys(fields);
+    const setClause = ["status = ?", ...columns.map((column) => `${column} = ?`)].join(", ");
+
+    const result = await query(
+      `UPDATE orders SET ${setClause} WHERE orderId = ? AND status = ?`,
+      [toStatus, ...columns.map((column) => fields[column]), orderId, fromStatus]
+    );
+    return result.affectedRows > 0;
+  };
+
+  // Hand an order to another driver, guarded on its current status and
+  // driver. Returns false when the order changed concurrently.
+  const reassignDriver = async (order, driverUid) => {
+    const result = await query(
+      `UPDATE orders SET assignedDriverUid = ?
+       WHERE orderId = ? AND status = ? AND assignedDriverUid <=> ?`,
+      [driverUid, order.orderId, order.status, order.assignedDriverUid]
+    );
+    return result.affectedRows > 0;
+  };
+
+  // Move the pickup time of an order that is still scheduled. Returns false
+  // when it has been released or cancelled.
+  const reschedule = async (orderId, scheduledFor) => {
+    const result = await query(
+      "UPDATE orders SET scheduledFor = ? WHERE orderId = ? AND status = 'scheduled'",
+      [scheduledFor, orderId]
+    );
+    return result.affectedRows > 0;
+  };
+
+  // Set the payment status, optionally only from a given one
+  const setPaymentStatus = async (orderId, paymentStatus, { from = null } = {}) => {
+    const result = await query(
+      `UPDATE orders SET paymentStatus = ? WHERE orderId = ?${from ? " AND paymentStatus = ?" : ""}`,
+      from ? [paymentStatus, orderId, from] : [paymentStatus, orderId]
+    );
+    return result.affectedRows > 0;
+  };
+
+  const insertLocation = (location) =>
+    query(
+      `INSERT INTO order_locations (
+        orderId, driverUid, latitude, longitude, heading, speedKmh, accuracyMeters, recordedAt
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        location.orderId,
+        location.driverUid,
+        location.latitude,
+        location.longitude,
+        location.heading,
+        location.speedKmh,
+        location.accuracyMeters,
+        location.recordedAt,
+      ]
+    );
+
+  // The latest `limit` positions of an order, oldest first
+  const findLocationTrail = async (orderId, limit) => {
+    const locations = await query(
+      `SELECT * FROM order_locations
+       WHERE orderId = ?
+       ORDER BY recordedAt DESC, locationId DESC
+       LIMIT ?`,
+      [orderId, limit]
+    );
+    return locations.reverse();
+  };
+
+  const findLastLocation = async (orderId) => {
+    const [location] = await findLocationTrail(orderId, 1);
+    return location || null;
+  };
+
+  return {
+    findById,
+    findForUser,
+    create,
+    count,
+    findPage,
+    findScheduledByRider,
+    findScheduledDueWithin,
+    findAwaitingDispatch,
+    updateStatus,
+    reassignDriver,
+    reschedule,
+    setPaymentStatus,
+    insertLocation,
+    findLocationTrail,
+    findLastLocation,
+  };
+};
+
+// Repository for standalone (non-transactional) statements
+const OrderRepository = createOrderRepository(executeQuery);
+
+module.exports = {
+  createOrderRepository,
+  OrderRepository,
+};
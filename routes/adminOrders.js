@@ -0,0 +1,535 @@
+const express = require("express");
+const { checkAuth, requireAdmin } = require("../middlewares/auth");
+const { asyncHandler, createError } = require("../middlewares/errorHandler");
+const { logger } = require("../config/logger");
+const { forceOrderStatus, getOrderStatusHistory } = require("../services/orderStatus");
+const { reassignOrder, getOrderOffers, triggerDispatch } = require("../services/dispatch");
+const { getOrderStops, formatStop } = require("../services/stops");
+const {
+  getParcel,
+  formatParcel,
+  getDeliveryProof,
+  formatDeliveryProof,
+} = require("../services/parcels");
+const { formatRating, getOrderRatings } = require("../services/ratings");
+const { getOrderTransactions } = require("../services/wallet");
+const { recordAdminAction, getOrderAuditLog } = require("../services/adminAudit");
+const { buildOrderFilters } = require("../services/orderSearch");
+const { OrderRepository } = require("../repositories/orderRepository");
+const { validate } = require("../middlewares/validate");
+const { orderIdParams } = require("../schemas/orders");
+const { forceOrderStatusRequest, reassignOrderRequest } = require("../schemas/adminOrders");
+
+const router = express.Router();
+
+// The order console is for operations staff only
+router.use(checkAuth, requireAdmin);
+
+// Convert an order row to the shape sent to clients
+const formatOrder = (order) => ({
+  ...order,
+  createdAt: order.createdAt.toISOString(),
+  updatedAt: order.updatedAt.toISOString(),
+});
+
+// A cancelled order forced back to an active status is no longer
+// cancelled, so none of its cancellation details may stay on it
+const CLEARED_CANCELLATION_FIELDS = {
+  cancellationReason: null,
+  cancellationNote: null,
+  cancellationFee: null,
+  cancelledAt: null,
+};
+
+const fetchOrder = async (orderId) => {
+  if (!orderId || isNaN(parseInt(orderId))) {
+    throw createError("Invalid order ID", 400);
+  }
+
+  const order = await OrderRepository.findById(parseInt(orderId));
+
+  if (!order) {
+    throw createError("Order not found", 404);
+  }
+  return order;
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin Orders
+ *   description: Order console for operations staff (admin only)
+ */
+
+/**
+ * @swagger
+ * /api/admin/orders:
+ *   get:
+ *     summary: List all orders (admin)
+ *     description: Lists every user's orders, newest first, with optional filters
+ *     tags: [Admin Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: One or more statuses, comma-separated
+ *         example: pending,confirmed
+ *       - in: query
+ *         name: orderType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: userUid
+ *         schema:
+ *           type: string
+ *         description: Orders placed by this rider
+ *       - in: query
+ *         name: driverUid
+ *         schema:
+ *           type: string
+ *         description: Orders assigned to this driver
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Created at or after
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Created before
+ *       - in: query
+ *         name: minAmount
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxAmount
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Words that must all appear in the pickup or dropoff address
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           minimum: 1
+ *           maximum: 100
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *           minimum: 0
+ *     responses:
+ *       200:
+ *         description: Orders retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Orders retrieved successfully
+ *                 orders:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Order'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                       example: 1250
+ *                     limit:
+ *                       type: integer
+ *                       example: 20
+ *                     offset:
+ *                       type: integer
+ *                       example: 0
+ *                     hasMore:
+ *                       type: boolean
+ *                       example: true
+ *       400:
+ *         description: Invalid filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Admin privileges required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/",
+  asyncHandler(async (req, res) => {
+    const { userUid, driverUid, limit = 20, offset = 0 } = req.query;
+
+    const parsedLimit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const parsedOffset = Math.max(parseInt(offset) || 0, 0);
+
+    const filters = buildOrderFilters(req.query);
+    const whereConditions = [...filters.conditions];
+    const queryParams = [...filters.params];
+
+    if (userUid) {
+      whereConditions.push("userUid = ?");
+      queryParams.push(userUid);
+    }
+
+    if (driverUid) {
+      whereConditions.push("assignedDriverUid = ?");
+      queryParams.push(driverUid);
+    }
+
+    try {
+      const total = await OrderRepository.count({
+        conditions: whereConditions,
+        params: queryParams,
+      });
+
+      const orders = await OrderRepository.findPage({
+        conditions: whereConditions,
+        params: queryParams,
+        limit: parsedLimit,
+        offset: parsedOffset,
+      });
+
+      logger.debug("Admin orders listed", { count: orders.length, total });
+
+      res.json({
+        message: "Orders retrieved successfully",
+        orders: orders.map(formatOrder),
+        pagination: {
+          total,
+          limit: parsedLimit,
+          offset: parsedOffset,
+          hasMore: parsedOffset + parsedLimit < total,
+        },
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error fetching admin orders", { error });
+      throw createError("Failed to retrieve orders. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/admin/orders/{orderId}:
+ *   get:
+ *     summary: Get full order details (admin)
+ *     description: Returns any order with its stops, parcel, delivery proof, status history, dispatch offers, ratings, ledger transactions and admin audit log
+ *     tags: [Admin Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Order retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Order retrieved successfully
+ *                 order:
+ *                   $ref: '#/components/schemas/Order'
+ *                 deliveryProof:
+ *                   $ref: '#/components/schemas/DeliveryProof'
+ *                 history:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 offers:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 ratings:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Rating'
+ *                 transactions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 auditLog:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AdminAuditEntry'
+ *       403:
+ *         description: Admin privileges required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/:orderId",
+  asyncHandler(async (req, res) => {
+    const { orderId } = req.params;
+
+    try {
+      const order = await fetchOrder(orderId);
+
+      const stops = await getOrderStops(order.orderId);
+      const parcel = await getParcel(order.orderId);
+      const deliveryProof = await getDeliveryProof(order.orderId);
+      const history = await getOrderStatusHistory(order.orderId);
+      const offers = await getOrderOffers(order.orderId);
+      const ratings = await getOrderRatings(order.orderId);
+      const transactions = await getOrderTransactions(order.orderId);
+      const auditLog = await getOrderAuditLog(order.orderId);
+
+      res.json({
+        message: "Order retrieved successfully",
+        order: {
+          ...formatOrder(order),
+          stops: stops.map(formatStop),
+          parcel: parcel && formatParcel(parcel),
+        },
+        deliveryProof: deliveryProof && formatDeliveryProof(deliveryProof),
+        history,
+        offers: offers.map((offer) => ({
+          ...offer,
+          distanceKm: parseFloat(offer.distanceKm),
+          offeredAt: offer.offeredAt.toISOString(),
+          expiresAt: offer.expiresAt.toISOString(),
+          respondedAt: offer.respondedAt ? offer.respondedAt.toISOString() : null,
+        })),
+        ratings: ratings.map(formatRating),
+        transactions: transactions.map((transaction) => ({
+          ...transaction,
+          createdAt: transaction.createdAt.toISOString(),
+        })),
+        auditLog,
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error fetching admin order", { error });
+      throw createError("Failed to retrieve order. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/admin/orders/{orderId}/status:
+ *   post:
+ *     summary: Force an order status (admin)
+ *     description: Moves an order to any other status, bypassing the normal transition rules. Payments are not touched; use the wallet endpoints to charge or refund. The reason is recorded in the status history and the audit log.
+ *     tags: [Admin Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ForceOrderStatusRequest'
+ *     responses:
+ *       200:
+ *         description: Order status forced successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Order status forced successfully
+ *                 order:
+ *                   $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Invalid status or missing reason
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Order already in that status or changed concurrently
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post(
+  "/:orderId/status",
+  validate({ params: orderIdParams, body: forceOrderStatusRequest }),
+  asyncHandler(async (req, res) => {
+    const { orderId } = req.params;
+    const { status, reason } = req.body;
+
+    try {
+      const order = await fetchOrder(orderId);
+
+      const fields = {
+        ...(status === "cancelled" && { cancelledAt: new Date() }),
+        ...(order.status === "cancelled" && CLEARED_CANCELLATION_FIELDS),
+        // Dispatch only picks up pending orders without a driver
+        ...(status === "pending" && { assignedDriverUid: null }),
+      };
+
+      // The audit row is written in the override's transaction
+      const updatedOrder = await forceOrderStatus(order, status, {
+        actorUid: req.user.uid,
+        reason,
+        fields,
+        inTransaction: (query) =>
+          recordAdminAction(query, {
+            adminUid: req.user.uid,
+            action: "force_status",
+            orderId: order.orderId,
+            reason,
+            details: { fromStatus: order.status, toStatus: status },
+          }),
+      });
+
+      if (status === "pending") {
+        triggerDispatch(order.orderId);
+      }
+
+      res.json({
+        message: "Order status forced successfully",
+        order: formatOrder(updatedOrder),
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error forcing order status", { error });
+      throw createError("Failed to change order status. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/admin/orders/{orderId}/reassign:
+ *   post:
+ *     summary: Reassign an order (admin)
+ *     description: Hands a pending, confirmed or in-progress order to another approved driver (a pending order becomes confirmed). With driverUid null, a confirmed order goes back to pending and is dispatched again. The reason is recorded in the audit log.
+ *     tags: [Admin Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReassignOrderRequest'
+ *     responses:
+ *       200:
+ *         description: Order reassigned successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Order reassigned successfully
+ *                 order:
+ *                   $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Missing driver or reason
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Order or driver not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Order cannot be reassigned or driver not approved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post(
+  "/:orderId/reassign",
+  validate({ params: orderIdParams, body: reassignOrderRequest }),
+  asyncHandler(async (req, res) => {
+    const { orderId } = req.params;
+    const { driverUid, reason } = req.body;
+
+    try {
+      const order = await fetchOrder(orderId);
+
+      const updatedOrder = await reassignOrder(order, driverUid, {
+        actorUid: req.user.uid,
+        reason,
+        inTransaction: (query, reassignedOrder) =>
+          recordAdminAction(query, {
+            adminUid: req.user.uid,
+            action: "reassign",
+            orderId: order.orderId,
+            reason,
+            details: {
+              fromDriverUid: order.assignedDriverUid,
+              toDriverUid: driverUid,
+              fromStatus: order.status,
+              toStatus: reassignedOrder.status,
+            },
+          }),
+      });
+
+      res.json({
+        message: "Order reassigned successfully",
+        order: formatOrder(updatedOrder),
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error reassigning order", { error });
+      throw createError("Failed to reassign order. Please try again.", 500);
+    }
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,394 @@
+const express = require("express");
+const { checkAuth, requireAdmin } = require("../middlewares/auth");
+const { asyncHandler, createError } = require("../middlewares/errorHandler");
+const { logger } = require("../config/logger");
+const {
+  GRANULARITY_BUCKETS,
+  resolveReportRange,
+  getOrderVolume,
+  getOrderBreakdown,
+  getOrderSummary,
+  getPeakPickupHours,
+} = require("../services/analytics");
+
+const router = express.Router();
+
+// Reports are for management and operations staff only
+router.use(checkAuth, requireAdmin);
+
+// Build a report handler: resolve the period from the query string, run
+// the report and send it alongside the period it covers
+const reportHandler = (name, buildReport) =>
+  asyncHandler(async (req, res) => {
+    const range = await resolveReportRange(req.query);
+
+    logger.debug("Generating report", { report: name, ...range });
+
+    try {
+      const report = await buildReport(range, req.query);
+
+      res.json({
+        message: "Report generated successfully",
+        period: range,
+        ...report,
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error generating report", { report: name, error });
+      throw createError("Failed to generate report. Please try again.", 500);
+    }
+  });
+
+/**
+ * @swagger
+ * tags:
+ *   name: Analytics
+ *   description: Business reporting on orders (admin only)
+ */
+
+/**
+ * @swagger
+ * /api/analytics/orders/volume:
+ *   get:
+ *     summary: Order volume over time (admin)
+ *     description: Orders and gross order value (amounts of orders not cancelled) per day, week or month of creation
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: granularity
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: day
+ *         description: Bucket size. Weeks start on Monday.
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First local date of the period (default 29 days before `to`)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last local date of the period, inclusive (default today)
+ *       - in: query
+ *         name: timezone
+ *         schema:
+ *           type: string
+ *           default: "+00:00"
+ *         description: IANA name (e.g. Africa/Lagos) or UTC offset (e.g. +01:00) that dates and hours are reported in
+ *     responses:
+ *       200:
+ *         description: Report generated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Report generated successfully
+ *                 period:
+ *                   $ref: '#/components/schemas/ReportPeriod'
+ *                 granularity:
+ *                   type: string
+ *                   example: day
+ *                 buckets:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       period:
+ *                         type: string
+ *                         format: date
+ *                         description: First local date of the bucket
+ *                         example: "2024-03-04"
+ *                       orders:
+ *                         type: integer
+ *                         example: 182
+ *                       completedOrders:
+ *                         type: integer
+ *                         example: 160
+ *                       cancelledOrders:
+ *                         type: integer
+ *                         example: 14
+ *                       grossOrderValue:
+ *                         type: number
+ *                         example: 4380.5
+ *       400:
+ *         description: Invalid period or timezone
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Admin privileges required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/orders/volume",
+  reportHandler("volume", async (range, { granularity = "day" }) => {
+    if (!GRANULARITY_BUCKETS[granularity]) {
+      throw createError(
+        `Invalid granularity. Must be one of: ${Object.keys(GRANULARITY_BUCKETS).join(", ")}`,
+        400
+      );
+    }
+
+    return { granularity, buckets: await getOrderVolume(range, granularity) };
+  })
+);
+
+/**
+ * @swagger
+ * /api/analytics/orders/breakdown:
+ *   get:
+ *     summary: Orders by type and status (admin)
+ *     description: Order counts and amounts per orderType and per status for orders created in the period
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First local date of the period (default 29 days before `to`)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last local date of the period, inclusive (default today)
+ *       - in: query
+ *         name: timezone
+ *         schema:
+ *           type: string
+ *           default: "+00:00"
+ *         description: IANA name (e.g. Africa/Lagos) or UTC offset (e.g. +01:00) that dates and hours are reported in
+ *     responses:
+ *       200:
+ *         description: Report generated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Report generated successfully
+ *                 period:
+ *                   $ref: '#/components/schemas/ReportPeriod'
+ *                 byOrderType:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       orderType:
+ *                         type: string
+ *                         example: express
+ *                       orders:
+ *                         type: integer
+ *                         example: 420
+ *                       grossOrderValue:
+ *                         type: number
+ *                         example: 10250.75
+ *                 byStatus:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       status:
+ *                         type: string
+ *                         example: completed
+ *                       orders:
+ *                         type: integer
+ *                         example: 390
+ *                       totalAmount:
+ *                         type: number
+ *                         example: 9870.25
+ *       400:
+ *         description: Invalid period or timezone
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Admin privileges required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/orders/breakdown",
+  reportHandler("breakdown", (range) => getOrderBreakdown(range))
+);
+
+/**
+ * @swagger
+ * /api/analytics/orders/summary:
+ *   get:
+ *     summary: Headline order figures (admin)
+ *     description: Cancellation rate, average ticket size and totals for orders created in the period
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First local date of the period (default 29 days before `to`)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last local date of the period, inclusive (default today)
+ *       - in: query
+ *         name: timezone
+ *         schema:
+ *           type: string
+ *           default: "+00:00"
+ *         description: IANA name (e.g. Africa/Lagos) or UTC offset (e.g. +01:00) that dates and hours are reported in
+ *     responses:
+ *       200:
+ *         description: Report generated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Report generated successfully
+ *                 period:
+ *                   $ref: '#/components/schemas/ReportPeriod'
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     orders:
+ *                       type: integer
+ *                       example: 1200
+ *                     completedOrders:
+ *                       type: integer
+ *                       example: 1050
+ *                     cancelledOrders:
+ *                       type: integer
+ *                       example: 96
+ *                     cancellationRate:
+ *                       type: number
+ *                       description: Cancelled orders / all orders (0-1)
+ *                       example: 0.08
+ *                     grossOrderValue:
+ *                       type: number
+ *                       example: 30120.4
+ *                     averageTicketSize:
+ *                       type: number
+ *                       nullable: true
+ *                       description: Mean amount of completed orders
+ *                       example: 26.85
+ *       400:
+ *         description: Invalid period or timezone
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Admin privileges required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/orders/summary",
+  reportHandler("summary", async (range) => ({
+    summary: await getOrderSummary(range),
+  }))
+);
+
+/**
+ * @swagger
+ * /api/analytics/orders/peak-hours:
+ *   get:
+ *     summary: Busiest pickup hours (admin)
+ *     description: Orders per local hour of pickup (scheduled time for scheduled orders, booking time otherwise)
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First local date of the period (default 29 days before `to`)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last local date of the period, inclusive (default today)
+ *       - in: query
+ *         name: timezone
+ *         schema:
+ *           type: string
+ *           default: "+00:00"
+ *         description: IANA name (e.g. Africa/Lagos) or UTC offset (e.g. +01:00) that dates and hours are reported in
+ *     responses:
+ *       200:
+ *         description: Report generated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Report generated successfully
+ *                 period:
+ *                   $ref: '#/components/schemas/ReportPeriod'
+ *                 hours:
+ *                   type: array
+ *                   description: All 24 local hours, busiest first
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       hour:
+ *                         type: integer
+ *                         example: 18
+ *                       orders:
+ *                         type: integer
+ *                         example: 143
+ *       400:
+ *         description: Invalid period or timezone
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Admin privileges required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/orders/peak-hours",
+  reportHandler("peak hours", async (range) => ({
+    hours: await getPeakPickupHours(range),
+  }))
+);
+
+module.exports = router;
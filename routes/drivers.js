@@ -0,0 +1,761 @@
+const express = require("express");
+const { checkAuth, requireAdmin } = require("../middlewares/auth");
+const { executeQuery } = require("../config/db");
+const { asyncHandler, createError } = require("../middlewares/errorHandler");
+const { logger } = require("../config/logger");
+const { validate } = require("../middlewares/validate");
+const { respondToOffer } = require("../services/dispatch");
+const {
+  registerDriverRequest,
+  driverDocumentsRequest,
+  driverAvailabilityRequest,
+  reviewDriverRequest,
+  driverListQuery,
+  offerParams,
+  driverUidParams,
+} = require("../schemas/drivers");
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(checkAuth);
+
+// Convert driver timestamps to ISO strings for responses
+const formatDriver = (driver) => ({
+  ...driver,
+  reviewedAt: driver.reviewedAt ? driver.reviewedAt.toISOString() : null,
+  locationUpdatedAt: driver.locationUpdatedAt
+    ? driver.locationUpdatedAt.toISOString()
+    : null,
+  createdAt: driver.createdAt.toISOString(),
+  updatedAt: driver.updatedAt.toISOString(),
+});
+
+// Load the caller's driver account and make sure it is approved
+const getApprovedDriver = async (driverUid) => {
+  const [driver] = await executeQuery(
+    "SELECT * FROM drivers WHERE driverUid = ?",
+    [driverUid]
+  );
+
+  if (!driver) {
+    logger.info("Driver not found", { driverUid });
+    throw createError("Driver not found", 404);
+  }
+
+  if (driver.status !== "approved") {
+    logger.info("Driver is not approved", { driverUid, status: driver.status });
+    throw createError("Driver account is not approved", 403);
+  }
+
+  return driver;
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Drivers
+ *   description: Driver onboarding, review and dispatch endpoints
+ */
+
+/**
+ * @swagger
+ * /api/drivers/register:
+ *   post:
+ *     summary: Register as a driver
+ *     description: Creates a driver account for the authenticated user. License and vehicle details are submitted separately.
+ *     tags: [Drivers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RegisterDriverRequest'
+ *     responses:
+ *       201:
+ *         description: Driver registered successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Driver registered successfully
+ *                 driver:
+ *                   $ref: '#/components/schemas/Driver'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: User is already registered as a driver
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post(
+  "/register",
+  validate({ body: registerDriverRequest }),
+  asyncHandler(async (req, res) => {
+    const { fullName, phone } = req.body;
+
+    try {
+      const [existing] = await executeQuery(
+        "SELECT driverUid FROM drivers WHERE driverUid = ?",
+        [req.user.uid]
+      );
+
+      if (existing) {
+        logger.info("User is already a driver");
+        throw createError("You are already registered as a driver", 409);
+      }
+
+      await executeQuery(
+        "INSERT INTO drivers (driverUid, fullName, phone, status) VALUES (?, ?, ?, 'registered')",
+        [req.user.uid, fullName, phone]
+      );
+
+      const [driver] = await executeQuery(
+        "SELECT * FROM drivers WHERE driverUid = ?",
+        [req.user.uid]
+      );
+
+      logger.info("Driver registered");
+
+      res.status(201).json({
+        message: "Driver registered successfully",
+        driver: formatDriver(driver),
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error registering driver", { error });
+      throw createError("Failed to register driver. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/drivers/me:
+ *   get:
+ *     summary: Get own driver profile
+ *     description: Returns the driver account of the authenticated user, including its review status
+ *     tags: [Drivers]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Driver retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Driver retrieved successfully
+ *                 driver:
+ *                   $ref: '#/components/schemas/Driver'
+ *       404:
+ *         description: User is not registered as a driver
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/me",
+  asyncHandler(async (req, res) => {
+    try {
+      const [driver] = await executeQuery(
+        "SELECT * FROM drivers WHERE driverUid = ?",
+        [req.user.uid]
+      );
+
+      if (!driver) {
+        logger.info("Driver not found");
+        throw createError("Driver not found", 404);
+      }
+
+      res.json({
+        message: "Driver retrieved successfully",
+        driver: formatDriver(driver),
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error fetching driver", { error });
+      throw createError("Failed to retrieve driver. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/drivers/me/documents:
+ *   put:
+ *     summary: Submit license and vehicle details
+ *     description: Stores the driver's license and vehicle details and puts the account up for admin review. Allowed while registered or after a rejection.
+ *     tags: [Drivers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DriverDocumentsRequest'
+ *     responses:
+ *       200:
+ *         description: Documents submitted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Documents submitted for review
+ *                 driver:
+ *                   $ref: '#/components/schemas/Driver'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: User is not registered as a driver
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Documents cannot be changed in the current status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.put(
+  "/me/documents",
+  validate({ body: driverDocumentsRequest }),
+  asyncHandler(async (req, res) => {
+    const {
+      licenseNumber,
+      licenseExpiry,
+      vehicleType,
+      vehicleMake,
+      vehicleModel,
+      vehiclePlate,
+      vehicleColor,
+    } = req.body;
+
+    try {
+      const [driver] = await executeQuery(
+        "SELECT * FROM drivers WHERE driverUid = ?",
+        [req.user.uid]
+      );
+
+      if (!driver) {
+        logger.info("Driver not found");
+        throw createError("Driver not found", 404);
+      }
+
+      if (!["registered", "rejected"].includes(driver.status)) {
+        logger.info("Driver documents are locked", { status: driver.status });
+        throw createError(
+          `Documents cannot be changed while the driver is ${driver.status}`,
+          409
+        );
+      }
+
+      await executeQuery(
+        `UPDATE drivers SET
+          licenseNumber = ?, licenseExpiry = ?, vehicleType = ?,
+          vehicleMake = ?, vehicleModel = ?, vehiclePlate = ?, vehicleColor = ?,
+          status = 'pending_review', rejectionReason = NULL,
+          reviewedBy = NULL, reviewedAt = NULL
+        WHERE driverUid = ?`,
+        [
+          licenseNumber,
+          licenseExpiry,
+          vehicleType,
+          vehicleMake,
+          vehicleModel,
+          vehiclePlate,
+          vehicleColor,
+          req.user.uid,
+        ]
+      );
+
+      const [updatedDriver] = await executeQuery(
+        "SELECT * FROM drivers WHERE driverUid = ?",
+        [req.user.uid]
+      );
+
+      logger.info("Driver documents submitted for review");
+
+      res.json({
+        message: "Documents submitted for review",
+        driver: formatDriver(updatedDriver),
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      if (error.code === "ER_DUP_ENTRY") {
+        throw createError("Vehicle plate is already registered", 409);
+      }
+      logger.error("Error submitting driver documents", { error });
+      throw createError("Failed to submit documents. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/drivers/me/availability:
+ *   put:
+ *     summary: Go online/offline and update location
+ *     description: Sets whether the approved driver is available for dispatch and updates their current location. A location is required when going online; drivers should call this periodically while online so their location stays fresh.
+ *     tags: [Drivers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DriverAvailabilityRequest'
+ *     responses:
+ *       200:
+ *         description: Availability updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Availability updated successfully
+ *                 driver:
+ *                   $ref: '#/components/schemas/Driver'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Driver account is not approved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.put(
+  "/me/availability",
+  validate({ body: driverAvailabilityRequest }),
+  asyncHandler(async (req, res) => {
+    const { isAvailable, latitude, longitude } = req.body;
+
+    const hasLocation = latitude !== undefined;
+
+    try {
+      await getApprovedDriver(req.user.uid);
+
+      if (hasLocation) {
+        await executeQuery(
+          `UPDATE drivers SET isAvailable = ?, currentLat = ?, currentLng = ?, locationUpdatedAt = CURRENT_TIMESTAMP
+           WHERE driverUid = ?`,
+          [isAvailable, latitude, longitude, req.user.uid]
+        );
+      } else {
+        await executeQuery(
+          "UPDATE drivers SET isAvailable = ? WHERE driverUid = ?",
+          [isAvailable, req.user.uid]
+        );
+      }
+
+      const [driver] = await executeQuery(
+        "SELECT * FROM drivers WHERE driverUid = ?",
+        [req.user.uid]
+      );
+
+      logger.info("Driver availability changed", { isAvailable });
+
+      res.json({
+        message: "Availability updated successfully",
+        driver: formatDriver(driver),
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error updating driver availability", { error });
+      throw createError("Failed to update availability. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/drivers/me/offers:
+ *   get:
+ *     summary: Get open dispatch offers
+ *     description: Returns the order offers currently waiting for the driver's answer, with pickup and dropoff details
+ *     tags: [Drivers]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Offers retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Offers retrieved successfully
+ *                 offers:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DispatchOffer'
+ *       403:
+ *         description: Driver account is not approved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/me/offers",
+  asyncHandler(async (req, res) => {
+    try {
+      await getApprovedDriver(req.user.uid);
+
+      const offers = await executeQuery(
+        `SELECT f.offerId, f.orderId, f.distanceKm, f.status, f.offeredAt, f.expiresAt,
+           o.pickupAddress, o.dropoffAddress, o.latPickup, o.lngPickup,
+           o.latDropoff, o.lngDropoff, o.amount, o.orderType
+         FROM dispatch_offers f
+         JOIN orders o ON o.orderId = f.orderId
+         WHERE f.driverUid = ? AND f.status = 'offered' AND f.expiresAt > NOW()
+         ORDER BY f.offeredAt ASC`,
+        [req.user.uid]
+      );
+
+      logger.debug("Open offers listed", { count: offers.length });
+
+      res.json({
+        message: "Offers retrieved successfully",
+        offers: offers.map((offer) => ({
+          ...offer,
+          offeredAt: offer.offeredAt.toISOString(),
+          expiresAt: offer.expiresAt.toISOString(),
+        })),
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error fetching driver offers", { error });
+      throw createError("Failed to retrieve offers. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/drivers/me/offers/{offerId}/{action}:
+ *   post:
+ *     summary: Accept or decline a dispatch offer
+ *     description: Accepting assigns the order to the driver and moves it to confirmed. Declining passes the order to the next nearest driver. Offers that have timed out can no longer be answered.
+ *     tags: [Drivers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: offerId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Offer ID
+ *       - in: path
+ *         name: action
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [accept, decline]
+ *         description: Response to the offer
+ *     responses:
+ *       200:
+ *         description: Offer answered successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Offer accepted
+ *                 order:
+ *                   nullable: true
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Order'
+ *       403:
+ *         description: Driver account is not approved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Offer not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Offer has expired or the order is no longer available
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post(
+  "/me/offers/:offerId/:action(accept|decline)",
+  validate({ params: offerParams }),
+  asyncHandler(async (req, res) => {
+    const { offerId, action } = req.params;
+
+    logger.info("Responding to offer", { offerId, action });
+
+    try {
+      await getApprovedDriver(req.user.uid);
+
+      const { order } = await respondToOffer(
+        offerId,
+        req.user.uid,
+        action === "accept"
+      );
+
+      res.json({
+        message: action === "accept" ? "Offer accepted" : "Offer declined",
+        order: order
+          ? {
+              ...order,
+              createdAt: order.createdAt.toISOString(),
+              updatedAt: order.updatedAt.toISOString(),
+            }
+          : null,
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error responding to offer", { error });
+      throw createError("Failed to respond to offer. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/drivers:
+ *   get:
+ *     summary: List drivers (admin)
+ *     description: Lists driver accounts, optionally filtered by review status
+ *     tags: [Drivers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [registered, pending_review, approved, rejected]
+ *         description: Filter by driver status
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           minimum: 1
+ *           maximum: 100
+ *         description: Number of drivers to return
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *           minimum: 0
+ *         description: Number of drivers to skip
+ *     responses:
+ *       200:
+ *         description: Drivers retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Drivers retrieved successfully
+ *                 drivers:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Driver'
+ *       403:
+ *         description: Admin privileges required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/",
+  requireAdmin,
+  validate({ query: driverListQuery }),
+  asyncHandler(async (req, res) => {
+    const { status, limit, offset } = req.query;
+
+    try {
+      const whereClause = status ? "WHERE status = ?" : "";
+      const queryParams = status ? [status] : [];
+
+      const drivers = await executeQuery(
+        `SELECT * FROM drivers ${whereClause}
+         ORDER BY createdAt ASC
+         LIMIT ? OFFSET ?`,
+        [...queryParams, limit, offset]
+      );
+
+      logger.debug("Drivers listed", { count: drivers.length });
+
+      res.json({
+        message: "Drivers retrieved successfully",
+        drivers: drivers.map(formatDriver),
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error fetching drivers", { error });
+      throw createError("Failed to retrieve drivers. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/drivers/{driverUid}/review:
+ *   post:
+ *     summary: Approve or reject a driver (admin)
+ *     description: Records an admin decision on a driver whose documents are pending review. A reason is required when rejecting.
+ *     tags: [Drivers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: driverUid
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Firebase UID of the driver
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReviewDriverRequest'
+ *     responses:
+ *       200:
+ *         description: Driver reviewed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Driver approved
+ *                 driver:
+ *                   $ref: '#/components/schemas/Driver'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Admin privileges required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Driver not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Driver is not pending review
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post(
+  "/:driverUid/review",
+  requireAdmin,
+  validate({ params: driverUidParams, body: reviewDriverRequest }),
+  asyncHandler(async (req, res) => {
+    const { driverUid } = req.params;
+    const { decision, reason } = req.body;
+
+    try {
+      const newStatus = decision === "approve" ? "approved" : "rejected";
+
+      // Only drivers awaiting review can be decided on
+      const result = await executeQuery(
+        `UPDATE drivers SET status = ?, rejectionReason = ?, reviewedBy = ?, reviewedAt = CURRENT_TIMESTAMP
+         WHERE driverUid = ? AND status = 'pending_review'`,
+        [
+          newStatus,
+          decision === "reject" ? reason : null,
+          req.user.uid,
+          driverUid,
+        ]
+      );
+
+      const [driver] = await executeQuery(
+        "SELECT * FROM drivers WHERE driverUid = ?",
+        [driverUid]
+      );
+
+      if (!driver) {
+        logger.info("Driver not found", { driverUid });
+        throw createError("Driver not found", 404);
+      }
+
+      if (result.affectedRows === 0) {
+        logger.info("Driver is not pending review", { driverUid, status: driver.status });
+        throw createError(
+          `Driver is ${driver.status} and cannot be reviewed`,
+          409
+        );
+      }
+
+      logger.info("Driver reviewed", { driverUid, decision, status: newStatus });
+
+      res.json({
+        message: `Driver ${newStatus}`,
+        driver: formatDriver(driver),
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error reviewing driver", { error });
+      throw createError("Failed to review driver. Please try again.", 500);
+    }
+  })
+);
+
+module.exports = router;
@@ -1,10 +1,219 @@
 const express = require("express");
+const { pipeline } = require("stream");
+const multer = require("multer");
 const { checkAuth } = require("../middlewares/auth");
-const { executeQuery } = require("../config/db");
+const { createCustomLimiter } = require("../middlewares/rateLimiter");
+const { idempotency } = require("../middlewares/idempotency");
+const { validate } = require("../middlewares/validate");
+const { bindRequestContext } = require("../middlewares/requestLogger");
+const { withTransaction } = require("../config/db");
+const { OrderRepository, createOrderRepository } = require("../repositories/orderRepository");
 const { asyncHandler, createError } = require("../middlewares/errorHandler");
+const { logger } = require("../config/logger");
+const {
+  recordStatusHistory,
+  transitionOrderStatus,
+  getOrderStatusHistory,
+} = require("../services/orderStatus");
+const {
+  CANCELLATION_REASONS,
+  CANCELLATION_GRACE_MINUTES,
+  calculateCancellationFee,
+} = require("../services/cancellation");
+const { triggerDispatch, updateDriverPosition } = require("../services/dispatch");
+const { publishLocation, subscribe } = require("../services/tracking");
+const { createQuote, verifyQuote } = require("../services/pricing");
+const { parseScheduledFor, scheduleOrder } = require("../services/scheduler");
+const { redeemPromotionForOrder } = require("../services/promotions");
+const { chargeOrder } = require("../services/wallet");
+const {
+  STOP_STATUS_TRANSITIONS,
+  insertStops,
+  getOrderStops,
+  getOrderStop,
+  countOpenStops,
+  updateStopStatus,
+  formatStop,
+} = require("../services/stops");
+const {
+  PROOF_IMAGE_TYPES,
+  insertParcel,
+  getParcel,
+  formatParcel,
+  verifyDeliveryPin,
+  storeProofImages,
+  discardProofImages,
+  recordDeliveryProof,
+  getDeliveryProof,
+  proofContentType,
+  formatDeliveryProof,
+} = require("../services/parcels");
+const { getStorage } = require("../services/storage");
+const {
+  RATING_TAGS,
+  RATING_WINDOW_HOURS,
+  submitRating,
+  getOrderRatings,
+  formatRating,
+} = require("../services/ratings");
+const { resolveSavedPlaces } = require("../services/places");
+const { assertTripServiceable } = require("../services/serviceAreas");
+const {
+  buildReceipt,
+  renderReceiptHtml,
+  writeReceiptPdf,
+} = require("../services/receipts");
+const { EXPORT_FORMATS, createOrderExport } = require("../services/orderExport");
+const { enqueueWebhookEvent } = require("../services/webhooks");
+const {
+  buildOrderFilters,
+  encodeCursor,
+  decodeCursor,
+  cursorCondition,
+} = require("../services/orderSearch");
+const {
+  createOrderRequest,
+  estimateRequest,
+  updateOrderStatusRequest,
+  cancelOrderRequest,
+  locationPingRequest,
+  rateOrderRequest,
+  rescheduleOrderRequest,
+  updateOrderStopRequest,
+  deliveryProofRequest,
+  receiptQuery,
+  orderExportQuery,
+  orderListQuery,
+  orderIdParams,
+  orderStopParams,
+  proofFileParams,
+} = require("../schemas/orders");
 
 const router = express.Router();
 
+// Who may set each status through PATCH /:orderId/status. Riders cancel
+// through POST /:orderId/cancel and orders get confirmed when a driver
+// accepts a dispatch offer.
+const STATUS_CHANGE_ROLES = {
+  scheduled: [],
+  pending: [],
+  confirmed: ["admin"],
+  in_progress: ["driver", "admin"],
+  completed: ["driver", "admin"],
+  cancelled: ["admin"],
+};
+
+// Drivers report their position every few seconds, far more often than
+// the global limit allows
+const locationLimiter = createCustomLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 1200,
+  message: { message: "Too many location updates. Please slow down." },
+});
+
+// Exports read a user's whole history, so keep them rare
+const exportLimiter = createCustomLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: { message: "Too many exports. Please try again later." },
+});
+
+// How often an idle tracking stream sends a keep-alive comment
+const TRACKING_HEARTBEAT_MS = 25000;
+
+// Convert a location trail row to the shape sent to clients
+const formatLocation = (location) => ({
+  orderId: location.orderId,
+  latitude: parseFloat(location.latitude),
+  longitude: parseFloat(location.longitude),
+  heading: location.heading === null ? null : parseFloat(location.heading),
+  speedKmh: location.speedKmh === null ? null : parseFloat(location.speedKmh),
+  accuracyMeters:
+    location.accuracyMeters === null
+      ? null
+      : parseFloat(location.accuracyMeters),
+  recordedAt: new Date(location.recordedAt).toISOString(),
+});
+
+// Proof-of-delivery images are held in memory until they are stored
+const PROOF_MAX_FILE_BYTES = 5 * 1024 * 1024;
+const proofUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: PROOF_MAX_FILE_BYTES, files: 2 },
+  fileFilter: (req, file, cb) => {
+    if (!PROOF_IMAGE_TYPES[file.mimetype]) {
+      return cb(createError("Proof images must be JPEG, PNG or WebP", 400));
+    }
+    cb(null, true);
+  },
+}).fields([
+  { name: "photo", maxCount: 1 },
+  { name: "signature", maxCount: 1 },
+]);
+
+// Run the proof upload and turn multer errors into 400s
+const parseProofUpload = bindRequestContext((req, res, next) =>
+  proofUpload(req, res, (error) => {
+    if (!error) return next();
+    if (error.status) return next(error);
+    next(
+      createError(
+        error.code === "LIMIT_FILE_SIZE"
+          ? "Proof images must be at most 5 MB"
+          : `Invalid upload: ${error.message}`,
+        400
+      )
+    );
+  }));
+
+// Complete an order: check its stops are done, record the transition and
+// charge the rider once it is committed. A failed payment leaves the order
+// completed with paymentStatus "failed" for an admin to retry.
+// `inTransaction(query, completedOrder)` writes other rows together with the
+// transition.
+const completeOrder = async (order, { actorUid, actorRole, reason = null, inTransaction }) => {
+  const openStops = await countOpenStops(order.orderId);
+  if (openStops > 0) {
+    logger.info("Order has open stops", { orderId: order.orderId, openStops });
+    throw createError(
+      "All stops must be completed or skipped before the order can be completed",
+      409
+    );
+  }
+
+  const completedOrder = await transitionOrderStatus(order, "completed", {
+    actorUid,
+    actorRole,
+    reason,
+    inTransaction,
+  });
+
+  try {
+    return await chargeOrder(completedOrder);
+  } catch (paymentError) {
+    logger.error("Order payment failed", { orderId: order.orderId, error: paymentError });
+    return OrderRepository.findById(order.orderId);
+  }
+};
+
+// Delivery proof of an order owned by the user (any order for admins)
+const getOwnedDeliveryProof = async (orderId, user) => {
+  const order = await OrderRepository.findForUser(orderId, user, {
+    role: "rider",
+    adminAccess: true,
+  });
+
+  if (!order) {
+    throw createError("Order not found", 404);
+  }
+
+  const proof = await getDeliveryProof(orderId);
+  if (!proof) {
+    throw createError("This order has no proof of delivery", 404);
+  }
+  return proof;
+};
+
 // All routes require authentication
 router.use(checkAuth);
 
@@ -15,15 +224,29 @@ router.use(checkAuth);
  *   description: Order management endpoints
  */
 
+/**
+ * @swagger
+ * tags:
+ *   name: Tracking
+ *   description: Live driver location and order tracking endpoints
+ */
+
 /**
  * @swagger
  * /api/orders:
  *   post:
  *     summary: Create a new order
- *     description: Creates a new order for the authenticated user
+ *     description: Creates a new order for the authenticated user. The order must carry a quote token from POST /api/orders/estimate; the amount is taken from the quote. Orders of type scheduled need a scheduledFor pickup time and start in the scheduled status until they are released for dispatch shortly before pickup. An optional promoCode discounts the quoted amount; the order then records originalAmount, discountAmount and the final amount. Delivery orders must include parcel details; the response carries the deliveryPin the recipient gives the courier. Send an Idempotency-Key to make retries safe; a retry with the same key and payload gets the first response back instead of creating another order.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *           maxLength: 255
+ *         description: Client-generated key (e.g. a UUID) identifying this order attempt. Responses are kept for 24 hours per user; replays carry the Idempotent-Replayed header.
  *     requestBody:
  *       required: true
  *       content:
@@ -55,6 +278,18 @@ router.use(checkAuth);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: A request with the same Idempotency-Key is still being processed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       422:
+ *         description: A point of the trip is outside the service area, or the Idempotency-Key was already used with a different payload
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       500:
  *         description: Internal server error
  *         content:
@@ -64,8 +299,11 @@ router.use(checkAuth);
  */
 router.post(
   "/",
+  validate({ body: createOrderRequest }),
+  idempotency("orders.create"),
   asyncHandler(async (req, res) => {
-    console.log(`🚛 [ORDER CREATE] User ${req.user.uid} attempting to create new order`);
+    // Saved places stand in for the raw pickup/dropoff fields
+    const body = await resolveSavedPlaces(req.body, req.user.uid);
     
     const {
       pickupAddress,
@@ -76,142 +314,228 @@ router.post(
       lngDropoff,
       amount,
       orderType,
-    } = req.body;
-
-    console.log(`   📍 Pickup: ${pickupAddress} (${latPickup}, ${lngPickup})`);
-    console.log(`   📍 Dropoff: ${dropoffAddress} (${latDropoff}, ${lngDropoff})`);
-    console.log(`   💰 Amount: $${amount}`);
-    console.log(`   📦 Order Type: ${orderType}`);
-
-    // Validation
-    const requiredFields = [
-      "pickupAddress",
-      "dropoffAddress",
-      "latPickup",
-      "lngPickup",
-      "latDropoff",
-      "lngDropoff",
-      "amount",
-      "orderType",
-    ];
-
-    const missingFields = requiredFields.filter(
-      (field) => !req.body[field] && req.body[field] !== 0
-    );
+      quoteToken,
+      acceptedSurgeMultiplier,
+      scheduledFor,
+      promoCode,
+      stops,
+      parcel,
+    } = body;
 
-    if (missingFields.length > 0) {
-      console.log(`   ❌ Validation failed - Missing fields: ${missingFields.join(", ")}`);
-      throw createError(
-        `Missing required fields: ${missingFields.join(", ")}`,
-        400
-      );
-    }
+    await assertTripServiceable(body);
 
-    // Validate coordinates
-    if (latPickup < -90 || latPickup > 90) {
-      console.log(`   ❌ Invalid pickup latitude: ${latPickup}`);
-      throw createError(
-        "Invalid pickup latitude. Must be between -90 and 90",
-        400
-      );
-    }
+    const tripStops = stops || [];
 
-    if (lngPickup < -180 || lngPickup > 180) {
-      console.log(`   ❌ Invalid pickup longitude: ${lngPickup}`);
-      throw createError(
-        "Invalid pickup longitude. Must be between -180 and 180",
-        400
-      );
-    }
+    // Only deliveries carry a parcel (the schema enforces it)
+    const isDelivery = orderType === "delivery";
 
-    if (latDropoff < -90 || latDropoff > 90) {
-      console.log(`   ❌ Invalid dropoff latitude: ${latDropoff}`);
-      throw createError(
-        "Invalid dropoff latitude. Must be between -90 and 90",
-        400
-      );
-    }
+    // The price comes from the quote, a client-supplied amount is only
+    // checked against it
+    const fare = verifyQuote(quoteToken, req.user.uid, {
+      latPickup,
+      lngPickup,
+      latDropoff,
+      lngDropoff,
+      stops: tripStops,
+      orderType,
+    });
 
-    if (lngDropoff < -180 || lngDropoff > 180) {
-      console.log(`   ❌ Invalid dropoff longitude: ${lngDropoff}`);
+    // Surge must be acknowledged explicitly so riders never pay it unknowingly
+    if (fare.surgeMultiplier > 1 && acceptedSurgeMultiplier !== fare.surgeMultiplier) {
+      logger.info("Surge not acknowledged", { surgeMultiplier: fare.surgeMultiplier, acceptedSurgeMultiplier });
       throw createError(
-        "Invalid dropoff longitude. Must be between -180 and 180",
+        `Surge pricing of ${fare.surgeMultiplier}x applies to this quote. Confirm it by sending acceptedSurgeMultiplier: ${fare.surgeMultiplier}`,
         400
       );
     }
 
-    // Validate amount
-    if (typeof amount !== "number" || amount <= 0) {
-      console.log(`   ❌ Invalid amount: ${amount}`);
-      throw createError("Amount must be a positive number", 400);
-    }
-
-    // Validate orderType
-    const validOrderTypes = ["delivery", "pickup", "express", "scheduled"];
-    if (!validOrderTypes.includes(orderType.toLowerCase())) {
-      console.log(`   ❌ Invalid order type: ${orderType}`);
+    if (amount !== undefined && amount !== null && amount !== fare.amount) {
+      logger.info("Amount does not match quote", { amount, quotedAmount: fare.amount });
       throw createError(
-        `Invalid order type. Must be one of: ${validOrderTypes.join(", ")}`,
+        `Amount does not match the quoted fare of ${fare.amount}`,
         400
       );
     }
 
-    console.log(`   ✅ Validation passed for user ${req.user.uid}`);
+    // Scheduled orders wait for the scheduler instead of going to dispatch
+    // (the schema requires scheduledFor exactly for them)
+    const isScheduled = orderType === "scheduled";
+    const scheduledDate = isScheduled ? parseScheduledFor(scheduledFor) : null;
+    const initialStatus = isScheduled ? "scheduled" : "pending";
 
     try {
-      // Insert order into database
-      console.log(`   💾 Inserting order into database for user ${req.user.uid}...`);
-      const insertQuery = `
-      INSERT INTO orders (
-        userUid, pickupAddress, dropoffAddress, 
-        latPickup, lngPickup, latDropoff, lngDropoff, 
-        amount, orderType, status
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending')
-    `;
-
-      const result = await executeQuery(insertQuery, [
-        req.user.uid,
-        pickupAddress,
-        dropoffAddress,
-        latPickup,
-        lngPickup,
-        latDropoff,
-        lngDropoff,
-        amount,
-        orderType.toLowerCase(),
-      ]);
-
-      console.log(`   ✅ Order created with ID: ${result.insertId}`);
-
-      // Fetch the created order
-      console.log(`   📋 Fetching created order details...`);
-      const selectQuery = "SELECT * FROM orders WHERE orderId = ?";
-      const [order] = await executeQuery(selectQuery, [result.insertId]);
-
-      console.log(`   🎉 Order creation successful for user ${req.user.uid}, Order ID: ${result.insertId}`);
+      // The order, its stops, parcel, first history entry, any promo
+      // redemption and the order.created webhooks are written in one
+      // transaction
+      const order = await withTransaction(async (query) => {
+        const orders = createOrderRepository(query);
+
+        const insertOrder = async (pricing) => {
+          const orderId = await orders.create({
+            userUid: req.user.uid,
+            pickupAddress,
+            dropoffAddress,
+            latPickup,
+            lngPickup,
+            latDropoff,
+            lngDropoff,
+            ...pricing,
+            surgeMultiplier: fare.surgeMultiplier,
+            pricingZoneId: fare.pricingZoneId,
+            estimatedDistanceKm: fare.distanceKm,
+            estimatedDurationMinutes: fare.durationMinutes,
+            orderType,
+            scheduledFor: scheduledDate,
+            status: initialStatus,
+          });
+          await insertStops(query, orderId, tripStops);
+          if (isDelivery) {
+            await insertParcel(query, orderId, parcel);
+          }
+          return orderId;
+        };
+
+        const orderId = promoCode
+          ? (
+              await redeemPromotionForOrder(
+                query,
+                {
+                  code: promoCode,
+                  userUid: req.user.uid,
+                  orderType,
+                  amount: fare.amount,
+                },
+                insertOrder
+              )
+            ).orderId
+          : await insertOrder({
+              amount: fare.amount,
+              originalAmount: fare.amount,
+              discountAmount: 0,
+              promoCode: null,
+            });
+
+        await recordStatusHistory(query, orderId, null, initialStatus, {
+          actorUid: req.user.uid,
+          actorRole: "rider",
+        });
+
+        const createdOrder = await orders.findById(orderId);
+        const createdStops = await getOrderStops(orderId, query);
+        await enqueueWebhookEvent(query, "order.created", {
+          order: { ...createdOrder, stops: createdStops.map(formatStop) },
+        });
+
+        return createdOrder;
+      });
+
+      const { orderId } = order;
+      logger.info("Order created", { orderId, orderType, status: initialStatus });
+
+      const orderStops = await getOrderStops(orderId);
+      const orderParcel = isDelivery ? await getParcel(orderId) : null;
+
+      if (isScheduled) {
+        scheduleOrder(order);
+      } else {
+        // Start looking for a driver without holding up the response
+        triggerDispatch(orderId);
+      }
 
       res.status(201).json({
         message: "Order created successfully",
         order: {
           ...order,
+          stops: orderStops.map(formatStop),
+          parcel: orderParcel && formatParcel(orderParcel, { includePin: true }),
           createdAt: order.createdAt.toISOString(),
           updatedAt: order.updatedAt.toISOString(),
         },
       });
     } catch (error) {
-      console.error("❌ Error creating order:", error.message);
-      console.error("   Stack trace:", error.stack);
+      if (error.status) throw error;
+      logger.error("Error creating order", { error });
       throw createError("Failed to create order. Please try again.", 500);
     }
   })
 );
 
+/**
+ * @swagger
+ * /api/orders/estimate:
+ *   post:
+ *     summary: Get a fare estimate
+ *     description: Prices a trip from its pickup and dropoff coordinates and orderType, including any surge multiplier in force in the pickup's pricing zone. The returned quote token must be sent with the order; it is bound to the user and trip and expires after a few minutes. When the surge multiplier is above 1 the rider must confirm it when creating the order.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EstimateRequest'
+ *     responses:
+ *       200:
+ *         description: Estimate computed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FareQuote'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       422:
+ *         description: A point of the trip is outside the service area
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post(
+  "/estimate",
+  validate({ body: estimateRequest }),
+  asyncHandler(async (req, res) => {
+    const body = await resolveSavedPlaces(req.body, req.user.uid);
+    const { latPickup, lngPickup, latDropoff, lngDropoff, stops, orderType } =
+      body;
+
+    await assertTripServiceable(body);
+
+    const { quoteToken, fare, expiresAt } = await createQuote(req.user.uid, {
+      latPickup,
+      lngPickup,
+      latDropoff,
+      lngDropoff,
+      stops: stops || [],
+      orderType,
+    });
+
+    logger.debug("Fare quoted", {
+      amount: fare.amount,
+      distanceKm: fare.distanceKm,
+      orderType,
+      surgeMultiplier: fare.surgeMultiplier,
+    });
+
+    res.json({
+      message: "Estimate computed successfully",
+      quoteToken,
+      expiresAt,
+      fare,
+    });
+  })
+);
+
 /**
  * @swagger
  * /api/orders:
  *   get:
  *     summary: Get orders for authenticated user
- *     description: Retrieves all orders for the authenticated user with optional filtering and pagination
+ *     description: Retrieves the authenticated user's orders, newest first, with optional filtering and search. Pages are fetched either by offset or, faster for deep pages and stable while new orders arrive, by passing the previous page's nextCursor as cursor.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -220,8 +544,42 @@ router.post(
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, confirmed, in_progress, completed, cancelled]
- *         description: Filter by order status
+ *         description: Filter by one or more statuses, comma-separated (scheduled, pending, confirmed, in_progress, completed, cancelled)
+ *         example: pending,confirmed
+ *       - in: query
+ *         name: orderType
+ *         schema:
+ *           type: string
+ *         description: Filter by order type
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only orders created at or after this time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only orders created before this time
+ *       - in: query
+ *         name: minAmount
+ *         schema:
+ *           type: number
+ *         description: Minimum order amount
+ *       - in: query
+ *         name: maxAmount
+ *         schema:
+ *           type: number
+ *         description: Maximum order amount
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *           maxLength: 200
+ *         description: Words (3+ characters each) that must all appear, as word prefixes, in the pickup or dropoff address
+ *         example: main street
  *       - in: query
  *         name: limit
  *         schema:
@@ -236,12 +594,12 @@ router.post(
  *           type: integer
  *           default: 0
  *           minimum: 0
- *         description: Number of orders to skip
+ *         description: Number of orders to skip (not combinable with cursor)
  *       - in: query
- *         name: orderType
+ *         name: cursor
  *         schema:
  *           type: string
- *         description: Filter by order type
+ *         description: nextCursor from the previous page. Cursor pages omit total and offset.
  *     responses:
  *       200:
  *         description: Orders retrieved successfully
@@ -262,16 +620,29 @@ router.post(
  *                   properties:
  *                     total:
  *                       type: integer
+ *                       description: Offset pages only
  *                       example: 45
- *                     limit:
- *                       type: integer
- *                       example: 20
  *                     offset:
  *                       type: integer
+ *                       description: Offset pages only
  *                       example: 0
+ *                     limit:
+ *                       type: integer
+ *                       example: 20
  *                     hasMore:
  *                       type: boolean
  *                       example: true
+ *                     nextCursor:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Pass as cursor to fetch the next page
+ *                       example: WyIyMDIzLTEyLTAxVDEwOjAwOjAwLjAwMFoiLDEyM10
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       401:
  *         description: Authentication required
  *         content:
@@ -287,74 +658,40 @@ router.post(
  */
 router.get(
   "/",
+  validate({ query: orderListQuery }),
   asyncHandler(async (req, res) => {
-    console.log(`📋 [ORDER LIST] User ${req.user.uid} requesting orders list`);
-    
-    const { status, limit = 20, offset = 0, orderType } = req.query;
-
-    console.log(`   📊 Query params - Status: ${status || 'all'}, Limit: ${limit}, Offset: ${offset}, Type: ${orderType || 'all'}`);
+    const { limit, offset = 0, cursor } = req.query;
 
-    // Validate pagination parameters
-    const parsedLimit = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
-    const parsedOffset = Math.max(parseInt(offset) || 0, 0);
+    const parsedCursor = cursor === undefined ? null : decodeCursor(cursor);
 
-    console.log(`   📏 Parsed pagination - Limit: ${parsedLimit}, Offset: ${parsedOffset}`);
+    // Build query conditions
+    const filters = buildOrderFilters(req.query);
+    const whereConditions = ["userUid = ?", ...filters.conditions];
+    const queryParams = [req.user.uid, ...filters.params];
 
     try {
-      // Build query conditions
-      let whereConditions = ["userUid = ?"];
-      let queryParams = [req.user.uid];
-
-      if (status) {
-        console.log(`   🔍 Filtering by status: ${status}`);
-        const validStatuses = [
-          "pending",
-          "confirmed",
-          "in_progress",
-          "completed",
-          "cancelled",
-        ];
-        if (!validStatuses.includes(status)) {
-          console.log(`   ❌ Invalid status filter: ${status}`);
-          throw createError(
-            `Invalid status. Must be one of: ${validStatuses.join(", ")}`,
-            400
-          );
-        }
-        whereConditions.push("status = ?");
-        queryParams.push(status);
+      // Cursor pages skip the count: keyset pages stay fast however deep
+      // they go and do not shift when new orders arrive
+      let total = null;
+      if (!parsedCursor) {
+        total = await OrderRepository.count({
+          conditions: whereConditions,
+          params: queryParams,
+        });
       }
 
-      if (orderType) {
-        console.log(`   🔍 Filtering by order type: ${orderType}`);
-        whereConditions.push("orderType = ?");
-        queryParams.push(orderType.toLowerCase());
-      }
+      const page = parsedCursor ? cursorCondition(parsedCursor) : null;
+
+      // Fetch one extra row to learn whether another page follows
+      const rows = await OrderRepository.findPage({
+        conditions: page ? [...whereConditions, page.condition] : whereConditions,
+        params: page ? [...queryParams, ...page.params] : queryParams,
+        limit: limit + 1,
+        offset: page ? 0 : offset,
+      });
 
-      const whereClause = whereConditions.join(" AND ");
-
-      // Get total count
-      console.log(`   🔢 Getting total count for user ${req.user.uid}...`);
-      const countQuery = `SELECT COUNT(*) as total FROM orders WHERE ${whereClause}`;
-      const [countResult] = await executeQuery(countQuery, queryParams);
-      const total = countResult.total;
-      
-      console.log(`   📊 Found ${total} total orders for user`);
-
-      // Get orders with pagination
-      console.log(`   📋 Fetching orders with pagination...`);
-      const selectQuery = `
-      SELECT * FROM orders 
-      WHERE ${whereClause}
-      ORDER BY createdAt DESC 
-      LIMIT ? OFFSET ?
-    `;
-
-      const orders = await executeQuery(selectQuery, [
-        ...queryParams,
-        parsedLimit,
-        parsedOffset,
-      ]);
+      const hasMore = rows.length > limit;
+      const orders = rows.slice(0, limit);
 
       // Format dates
       const formattedOrders = orders.map((order) => ({
@@ -363,23 +700,21 @@ router.get(
         updatedAt: order.updatedAt.toISOString(),
       }));
 
-      console.log(`   ✅ Successfully retrieved ${formattedOrders.length} orders for user ${req.user.uid}`);
-      console.log(`   📈 Pagination: ${parsedOffset}-${parsedOffset + formattedOrders.length} of ${total}`);
+      logger.debug("Orders listed", { count: formattedOrders.length });
 
       res.json({
         message: "Orders retrieved successfully",
         orders: formattedOrders,
         pagination: {
-          total,
-          limit: parsedLimit,
-          offset: parsedOffset,
-          hasMore: parsedOffset + parsedLimit < total,
+          ...(parsedCursor ? {} : { total, offset }),
+          limit,
+          hasMore,
+          nextCursor: hasMore ? encodeCursor(orders[orders.length - 1]) : null,
         },
       });
     } catch (error) {
-      console.error("❌ Error fetching orders:", error.message);
-      console.error("   Stack trace:", error.stack);
       if (error.status) throw error;
+      logger.error("Error fetching orders", { error });
       throw createError("Failed to retrieve orders. Please try again.", 500);
     }
   })
@@ -387,23 +722,16 @@ router.get(
 
 /**
  * @swagger
- * /api/orders/{orderId}:
+ * /api/orders/cancellation-reasons:
  *   get:
- *     summary: Get a specific order
- *     description: Retrieves a specific order by ID for the authenticated user
+ *     summary: List cancellation reasons
+ *     description: Returns the catalogue of reason codes accepted by the cancel endpoint, plus the free cancellation window
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: orderId
- *         required: true
- *         schema:
- *           type: integer
- *         description: Order ID
  *     responses:
  *       200:
- *         description: Order retrieved successfully
+ *         description: Cancellation reasons retrieved successfully
  *         content:
  *           application/json:
  *             schema:
@@ -411,67 +739,1712 @@ router.get(
  *               properties:
  *                 message:
  *                   type: string
- *                   example: Order retrieved successfully
- *                 order:
- *                   $ref: '#/components/schemas/Order'
- *       404:
- *         description: Order not found
+ *                   example: Cancellation reasons retrieved successfully
+ *                 reasons:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       code:
+ *                         type: string
+ *                         example: changed_plans
+ *                       label:
+ *                         type: string
+ *                         example: Plans changed
+ *                 graceWindowMinutes:
+ *                   type: number
+ *                   example: 5
+ */
+router.get("/cancellation-reasons", (req, res) => {
+  res.json({
+    message: "Cancellation reasons retrieved successfully",
+    reasons: Object.entries(CANCELLATION_REASONS).map(([code, label]) => ({
+      code,
+      label,
+    })),
+    graceWindowMinutes: CANCELLATION_GRACE_MINUTES,
+  });
+});
+
+/**
+ * @swagger
+ * /api/orders/rating-tags:
+ *   get:
+ *     summary: List rating tags
+ *     description: Returns the tags that can be attached to a rating, for rating a driver and for rating a rider
+ *     tags: [Ratings]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Rating tags retrieved successfully
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
- *       401:
- *         description: Authentication required
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Rating tags retrieved successfully
+ *                 tags:
+ *                   type: object
+ *                   properties:
+ *                     driver:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           code:
+ *                             type: string
+ *                             example: clean_vehicle
+ *                           label:
+ *                             type: string
+ *                             example: Clean vehicle
+ *                     rider:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           code:
+ *                             type: string
+ *                             example: polite
+ *                           label:
+ *                             type: string
+ *                             example: Polite
+ *                 ratingWindowHours:
+ *                   type: number
+ *                   example: 72
+ */
+router.get("/rating-tags", (req, res) => {
+  const toList = (tags) =>
+    Object.entries(tags).map(([code, label]) => ({ code, label }));
+
+  res.json({
+    message: "Rating tags retrieved successfully",
+    tags: {
+      driver: toList(RATING_TAGS.driver),
+      rider: toList(RATING_TAGS.rider),
+    },
+    ratingWindowHours: RATING_WINDOW_HOURS,
+  });
+});
+
+/**
+ * @swagger
+ * /api/orders/scheduled:
+ *   get:
+ *     summary: List upcoming scheduled orders
+ *     description: Returns the authenticated user's orders that are still waiting for their scheduled pickup, soonest first
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Scheduled orders retrieved successfully
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/ErrorResponse'
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Scheduled orders retrieved successfully
+ *                 orders:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Order'
  */
 router.get(
-  "/:orderId",
+  "/scheduled",
   asyncHandler(async (req, res) => {
-    const { orderId } = req.params;
-
-    console.log(`🔍 [ORDER DETAILS] User ${req.user.uid} requesting order ${orderId}`);
-
-    // Validate orderId
-    if (!orderId || isNaN(parseInt(orderId))) {
-      console.log(`   ❌ Invalid order ID provided: ${orderId}`);
-      throw createError("Invalid order ID", 400);
-    }
-
-    const parsedOrderId = parseInt(orderId);
-    console.log(`   🔎 Searching for order ID: ${parsedOrderId}`);
-
     try {
-      const selectQuery =
-        "SELECT * FROM orders WHERE orderId = ? AND userUid = ?";
-      const [order] = await executeQuery(selectQuery, [
-        parsedOrderId,
-        req.user.uid,
-      ]);
-
-      if (!order) {
-        console.log(`   ❌ Order ${parsedOrderId} not found for user ${req.user.uid}`);
-        throw createError("Order not found", 404);
-      }
-
-      console.log(`   ✅ Found order ${parsedOrderId} - Status: ${order.status}, Amount: $${order.amount}`);
-      console.log(`   📍 Route: ${order.pickupAddress} → ${order.dropoffAddress}`);
+      const orders = await OrderRepository.findScheduledByRider(req.user.uid);
 
       res.json({
-        message: "Order retrieved successfully",
-        order: {
+        message: "Scheduled orders retrieved successfully",
+        orders: orders.map((order) => ({
           ...order,
+          scheduledFor: order.scheduledFor.toISOString(),
           createdAt: order.createdAt.toISOString(),
           updatedAt: order.updatedAt.toISOString(),
-        },
+        })),
       });
     } catch (error) {
-      console.error("❌ Error fetching order:", error.message);
-      console.error("   Stack trace:", error.stack);
       if (error.status) throw error;
-      throw createError("Failed to retrieve order. Please try again.", 500);
+      logger.error("Error fetching scheduled orders", { error });
+      throw createError("Failed to retrieve scheduled orders. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/orders/export:
+ *   get:
+ *     summary: Export own order history
+ *     description: Streams every order of the authenticated user created in the period, oldest first, as CSV or a JSON array
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: csv
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Created at or after
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Created before
+ *     responses:
+ *       200:
+ *         description: Order history file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *       400:
+ *         description: Invalid format or dates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Too many exports
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/export",
+  exportLimiter,
+  validate({ query: orderExportQuery }),
+  asyncHandler(async (req, res) => {
+    const { format, from = null, to = null } = req.query;
+
+    logger.info("Exporting orders", { format, from, to });
+
+    let exportStream;
+    try {
+      exportStream = await createOrderExport(req.user.uid, { from, to, format });
+    } catch (error) {
+      logger.error("Error starting order export", { error });
+      throw createError("Failed to export orders. Please try again.", 500);
+    }
+
+    const { extension, contentType } = EXPORT_FORMATS[format];
+    res.setHeader("Content-Type", contentType);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="xride-orders-${new Date().toISOString().slice(0, 10)}.${extension}"`
+    );
+
+    // Headers are already sent once rows flow, so a failure mid-way can
+    // only cut the download short
+    pipeline(exportStream.rows, exportStream.serializer, res, (error) => {
+      if (error) {
+        logger.error("Order export aborted", { format, error });
+      } else {
+        logger.info("Order export finished", { format });
+      }
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/orders/{orderId}:
+ *   get:
+ *     summary: Get a specific order
+ *     description: Retrieves a specific order by ID, with its intermediate stops, for the rider who placed it or its assigned driver
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Order ID
+ *     responses:
+ *       200:
+ *         description: Order retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Order retrieved successfully
+ *                 order:
+ *                   $ref: '#/components/schemas/Order'
+ *       404:
+ *         description: Order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/:orderId",
+  validate({ params: orderIdParams }),
+  asyncHandler(async (req, res) => {
+    const { orderId } = req.params;
+
+    const parsedOrderId = parseInt(orderId);
+
+    try {
+      // The assigned driver needs the order too, to work through its stops
+      const order = await OrderRepository.findForUser(parsedOrderId, req.user, {
+        role: "participant",
+      });
+
+      if (!order) {
+        logger.info("Order not found", { orderId: parsedOrderId });
+        throw createError("Order not found", 404);
+      }
+
+      const orderStops = await getOrderStops(parsedOrderId);
+      const orderParcel = await getParcel(parsedOrderId);
+
+      res.json({
+        message: "Order retrieved successfully",
+        order: {
+          ...order,
+          stops: orderStops.map(formatStop),
+          parcel:
+            orderParcel &&
+            formatParcel(orderParcel, {
+              includePin: order.userUid === req.user.uid,
+            }),
+          createdAt: order.createdAt.toISOString(),
+          updatedAt: order.updatedAt.toISOString(),
+        },
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error fetching order", { error });
+      throw createError("Failed to retrieve order. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/orders/{orderId}/receipt:
+ *   get:
+ *     summary: Get the receipt of an order
+ *     description: Renders the receipt of a completed order (or a cancelled order that was charged a fee) as an HTML page or a PDF, with route, amounts, order type and timestamps
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Order ID
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [html, pdf]
+ *           default: html
+ *       - in: query
+ *         name: timezone
+ *         schema:
+ *           type: string
+ *           default: UTC
+ *         description: IANA time zone the timestamps are shown in
+ *     responses:
+ *       200:
+ *         description: Receipt
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid order ID, format or timezone
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Order has no receipt yet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/:orderId/receipt",
+  validate({ params: orderIdParams, query: receiptQuery }),
+  asyncHandler(async (req, res) => {
+    const { orderId } = req.params;
+    const { format, timezone } = req.query;
+
+    logger.debug("Rendering receipt", { orderId, format });
+
+    const parsedOrderId = parseInt(orderId);
+
+    try {
+      const order = await OrderRepository.findForUser(parsedOrderId, req.user, { role: "rider" });
+
+      if (!order) {
+        logger.info("Order not found", { orderId: parsedOrderId });
+        throw createError("Order not found", 404);
+      }
+
+      const receipt = await buildReceipt(order, { timezone });
+
+      if (format === "pdf") {
+        res.setHeader("Content-Type", "application/pdf");
+        res.setHeader(
+          "Content-Disposition",
+          `attachment; filename="receipt-${receipt.receiptNumber}.pdf"`
+        );
+        writeReceiptPdf(receipt, res);
+        return;
+      }
+
+      res.type("html").send(renderReceiptHtml(receipt));
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error rendering receipt", { error });
+      throw createError("Failed to render receipt. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/orders/{orderId}/stops/{stopId}:
+ *   patch:
+ *     summary: Update the status of an intermediate stop
+ *     description: The assigned driver (or an admin) marks a stop of an in-progress order as arrived, completed or skipped. Stops move pending → arrived → completed, and can be skipped until completed.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Order ID
+ *       - in: path
+ *         name: stopId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Stop ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateOrderStopRequest'
+ *     responses:
+ *       200:
+ *         description: Stop updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Stop updated successfully
+ *                 stops:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/OrderStop'
+ *       400:
+ *         description: Invalid status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Order or stop not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Order not in progress or illegal stop transition
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.patch(
+  "/:orderId/stops/:stopId",
+  validate({ params: orderStopParams, body: updateOrderStopRequest }),
+  asyncHandler(async (req, res) => {
+    const { orderId, stopId } = req.params;
+    const { status } = req.body;
+
+    const parsedOrderId = parseInt(orderId);
+    const parsedStopId = parseInt(stopId);
+
+    try {
+      const order = await OrderRepository.findForUser(parsedOrderId, req.user, {
+        role: "driver",
+        adminAccess: true,
+      });
+
+      if (!order) {
+        logger.info("Order not found", { orderId: parsedOrderId });
+        throw createError("Order not found", 404);
+      }
+
+      if (order.status !== "in_progress") {
+        throw createError("Stops can only be updated while the order is in progress", 409);
+      }
+
+      const stop = await getOrderStop(parsedOrderId, parsedStopId);
+
+      if (!stop) {
+        throw createError("Stop not found", 404);
+      }
+
+      if (!STOP_STATUS_TRANSITIONS[stop.status].includes(status)) {
+        logger.info("Illegal stop transition", { orderId: parsedOrderId, stopId: parsedStopId, from: stop.status, to: status });
+        throw createError(`Cannot change stop status from ${stop.status} to ${status}`, 409);
+      }
+
+      const updated = await updateStopStatus(stop, status);
+
+      if (!updated) {
+        throw createError("Stop was changed by another request. Please retry.", 409);
+      }
+
+      logger.info("Stop status changed", { orderId: parsedOrderId, sequence: stop.sequence, status });
+
+      const orderStops = await getOrderStops(parsedOrderId);
+
+      res.json({
+        message: "Stop updated successfully",
+        stops: orderStops.map(formatStop),
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error updating stop", { error });
+      throw createError("Failed to update stop. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/orders/{orderId}/status:
+ *   patch:
+ *     summary: Change the status of an order
+ *     description: Moves an order to a new status. Only legal transitions are allowed (pending → confirmed → in_progress → completed, or cancelled from any non-terminal status). Completed and cancelled orders cannot change. The assigned driver moves the order to in_progress and completed; riders cancel through the cancel endpoint and admins may set any legal status. Every transition is recorded in the order history. Completing an order charges the rider wallet (see paymentStatus). Couriers complete delivery orders through POST /api/orders/{orderId}/proof-of-delivery instead.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Order ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateOrderStatusRequest'
+ *     responses:
+ *       200:
+ *         description: Order status updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Order status updated successfully
+ *                 order:
+ *                   $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Caller may not set this status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Illegal status transition
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.patch(
+  "/:orderId/status",
+  validate({ params: orderIdParams, body: updateOrderStatusRequest }),
+  asyncHandler(async (req, res) => {
+    const { orderId } = req.params;
+    const { status, reason } = req.body;
+
+    const parsedOrderId = parseInt(orderId);
+
+    try {
+      // Admins may act on any order, everyone else only on orders they
+      // own or are assigned to as driver
+      const order = await OrderRepository.findForUser(parsedOrderId, req.user, {
+        role: "participant",
+        adminAccess: true,
+      });
+
+      if (!order) {
+        logger.info("Order not found", { orderId: parsedOrderId });
+        throw createError("Order not found", 404);
+      }
+
+      let actorRole = "rider";
+      if (req.user.admin) {
+        actorRole = "admin";
+      } else if (order.assignedDriverUid === req.user.uid) {
+        actorRole = "driver";
+      }
+
+      // Orders are confirmed by dispatch and progressed by their driver
+      const allowedRoles = STATUS_CHANGE_ROLES[status];
+      if (!allowedRoles.includes(actorRole)) {
+        logger.info("Status change not allowed for role", { orderId: parsedOrderId, role: actorRole, status });
+        throw createError(
+          allowedRoles.length > 0
+            ? `Only ${allowedRoles.join(" or ")} users can set status ${status}`
+            : `Status ${status} cannot be set manually`,
+          403
+        );
+      }
+
+      // Couriers finish deliveries by submitting proof of delivery
+      if (status === "completed" && actorRole === "driver" && order.orderType === "delivery") {
+        throw createError(
+          "Delivery orders are completed by submitting proof of delivery",
+          409
+        );
+      }
+
+      const transitionOptions = {
+        actorUid: req.user.uid,
+        actorRole,
+        reason: reason || null,
+      };
+      const updatedOrder =
+        status === "completed"
+          ? await completeOrder(order, transitionOptions)
+          : await transitionOrderStatus(order, status, transitionOptions);
+
+      res.json({
+        message: "Order status updated successfully",
+        order: {
+          ...updatedOrder,
+          createdAt: updatedOrder.createdAt.toISOString(),
+          updatedAt: updatedOrder.updatedAt.toISOString(),
+        },
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error updating order status", { error });
+      throw createError("Failed to update order status. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/orders/{orderId}/history:
+ *   get:
+ *     summary: Get the status history of an order
+ *     description: Returns every status transition of the order, oldest first
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Order ID
+ *     responses:
+ *       200:
+ *         description: Order history retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Order history retrieved successfully
+ *                 history:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/OrderStatusHistoryEntry'
+ *       404:
+ *         description: Order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/:orderId/history",
+  validate({ params: orderIdParams }),
+  asyncHandler(async (req, res) => {
+    const { orderId } = req.params;
+
+    const parsedOrderId = parseInt(orderId);
+
+    try {
+      const order = await OrderRepository.findForUser(parsedOrderId, req.user, {
+        role: "rider",
+        adminAccess: true,
+      });
+
+      if (!order) {
+        logger.info("Order not found", { orderId: parsedOrderId });
+        throw createError("Order not found", 404);
+      }
+
+      const history = await getOrderStatusHistory(parsedOrderId);
+
+      res.json({
+        message: "Order history retrieved successfully",
+        history,
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error fetching order history", { error });
+      throw createError("Failed to retrieve order history. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/orders/{orderId}/proof-of-delivery:
+ *   post:
+ *     summary: Complete a delivery with proof of delivery
+ *     description: The assigned courier completes an in-progress delivery order by submitting either the recipient's delivery PIN or a photo of the handed-over parcel plus an image of the recipient's signature. After 5 wrong PINs only photo proof is accepted. The order becomes completed and the rider is charged.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Order ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DeliveryProofRequest'
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [photo, signature]
+ *             properties:
+ *               photo:
+ *                 type: string
+ *                 format: binary
+ *                 description: JPEG, PNG or WebP, at most 5 MB
+ *               signature:
+ *                 type: string
+ *                 format: binary
+ *                 description: JPEG, PNG or WebP, at most 5 MB
+ *               receivedBy:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Delivery completed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Delivery completed successfully
+ *                 order:
+ *                   $ref: '#/components/schemas/Order'
+ *                 proof:
+ *                   $ref: '#/components/schemas/DeliveryProof'
+ *       400:
+ *         description: Wrong PIN or missing images
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Not an in-progress delivery, or stops still open
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       423:
+ *         description: PIN attempts exhausted, photo proof required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post(
+  "/:orderId/proof-of-delivery",
+  validate({ params: orderIdParams }),
+  parseProofUpload,
+  validate({ body: deliveryProofRequest }),
+  asyncHandler(async (req, res) => {
+    const { orderId } = req.params;
+    const { pin, receivedBy } = req.body;
+    const photo = req.files?.photo?.[0];
+    const signature = req.files?.signature?.[0];
+
+    const usesPin = pin !== undefined && pin !== null && pin !== "";
+    if (!usesPin && (!photo || !signature)) {
+      throw createError("Submit either the recipient's PIN or both a photo and a signature image", 400);
+    }
+
+    const parsedOrderId = parseInt(orderId);
+    let imageKeys = null;
+    let proofRecorded = false;
+
+    try {
+      const order = await OrderRepository.findForUser(parsedOrderId, req.user, { role: "driver" });
+
+      if (!order) {
+        logger.info("Order not found", { orderId: parsedOrderId });
+        throw createError("Order not found", 404);
+      }
+
+      if (order.orderType !== "delivery" || order.status !== "in_progress") {
+        throw createError("Only in-progress delivery orders take proof of delivery", 409);
+      }
+
+      if (usesPin) {
+        await verifyDeliveryPin(parsedOrderId, pin);
+        logger.debug("Delivery PIN verified", { orderId: parsedOrderId });
+      } else {
+        imageKeys = await storeProofImages(parsedOrderId, { photo, signature });
+        logger.debug("Delivery proof images stored", { orderId: parsedOrderId });
+      }
+
+      // The proof is written in the completion's transaction, so an order
+      // is never completed (or charged) without one
+      const updatedOrder = await completeOrder(order, {
+        actorUid: req.user.uid,
+        actorRole: "driver",
+        reason: usesPin ? "Delivered (PIN verified)" : "Delivered (photo and signature)",
+        inTransaction: (query) =>
+          recordDeliveryProof(query, parsedOrderId, {
+            method: usesPin ? "pin" : "photo",
+            photoKey: imageKeys?.photoKey,
+            signatureKey: imageKeys?.signatureKey,
+            receivedBy: receivedBy || null,
+            deliveredBy: req.user.uid,
+          }),
+      });
+      proofRecorded = true;
+
+      logger.info("Order delivered", { orderId: parsedOrderId });
+
+      const proof = await getDeliveryProof(parsedOrderId);
+
+      res.json({
+        message: "Delivery completed successfully",
+        order: {
+          ...updatedOrder,
+          createdAt: updatedOrder.createdAt.toISOString(),
+          updatedAt: updatedOrder.updatedAt.toISOString(),
+        },
+        proof: formatDeliveryProof(proof),
+      });
+    } catch (error) {
+      logger.error("Error submitting proof of delivery", { error });
+      if (imageKeys && !proofRecorded) {
+        // No proof refers to the images, so don't keep them
+        await discardProofImages(imageKeys);
+      }
+      if (error.status) throw error;
+      throw createError("Failed to submit proof of delivery. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/orders/{orderId}/proof-of-delivery:
+ *   get:
+ *     summary: Get the proof of delivery of an order
+ *     description: Returns how a delivery was confirmed. Photo proofs link to the photo and signature images. Available to the rider who placed the order and to admins.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Order ID
+ *     responses:
+ *       200:
+ *         description: Proof of delivery retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Proof of delivery retrieved successfully
+ *                 proof:
+ *                   $ref: '#/components/schemas/DeliveryProof'
+ *       404:
+ *         description: Order or proof not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/:orderId/proof-of-delivery",
+  validate({ params: orderIdParams }),
+  asyncHandler(async (req, res) => {
+    const { orderId } = req.params;
+
+    const parsedOrderId = parseInt(orderId);
+
+    try {
+      const proof = await getOwnedDeliveryProof(parsedOrderId, req.user);
+
+      res.json({
+        message: "Proof of delivery retrieved successfully",
+        proof: formatDeliveryProof(proof),
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error fetching proof of delivery", { error });
+      throw createError("Failed to retrieve proof of delivery. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/orders/{orderId}/proof-of-delivery/{file}:
+ *   get:
+ *     summary: Download a proof-of-delivery image
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Order ID
+ *       - in: path
+ *         name: file
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [photo, signature]
+ *     responses:
+ *       200:
+ *         description: The image
+ *         content:
+ *           image/jpeg: {}
+ *           image/png: {}
+ *           image/webp: {}
+ *       404:
+ *         description: Order, proof or image not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/:orderId/proof-of-delivery/:file(photo|signature)",
+  validate({ params: proofFileParams }),
+  asyncHandler(async (req, res) => {
+    const { orderId, file } = req.params;
+
+    const parsedOrderId = parseInt(orderId);
+
+    try {
+      const proof = await getOwnedDeliveryProof(parsedOrderId, req.user);
+      const key = file === "photo" ? proof.photoKey : proof.signatureKey;
+
+      if (!key) {
+        throw createError("This delivery has no photo proof", 404);
+      }
+
+      const stream = await getStorage().createReadStream(key);
+
+      // The type was checked against the file's bytes on upload; browsers
+      // must not guess another one
+      res.setHeader("Content-Type", proofContentType(key));
+      res.setHeader("X-Content-Type-Options", "nosniff");
+      res.setHeader("Cache-Control", "private, max-age=300");
+      stream.on("error", (streamError) => {
+        logger.error("Error streaming delivery proof", { orderId, file, error: streamError });
+        res.destroy(streamError);
+      });
+      stream.pipe(res);
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error downloading proof of delivery", { error });
+      throw createError("Failed to retrieve proof of delivery. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/orders/{orderId}/rating:
+ *   post:
+ *     summary: Rate the other party of a completed order
+ *     description: The rider rates the driver and the assigned driver rates the rider. Each side can rate an order once, within the rating window after completion.
+ *     tags: [Ratings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Order ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RateOrderRequest'
+ *     responses:
+ *       201:
+ *         description: Rating submitted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Rating submitted successfully
+ *                 rating:
+ *                   $ref: '#/components/schemas/Rating'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Order not completed, already rated or rating window closed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post(
+  "/:orderId/rating",
+  validate({ params: orderIdParams, body: rateOrderRequest }),
+  asyncHandler(async (req, res) => {
+    const { orderId } = req.params;
+    const { stars, comment, tags } = req.body;
+
+    const parsedOrderId = parseInt(orderId);
+
+    try {
+      const order = await OrderRepository.findForUser(parsedOrderId, req.user, { role: "participant" });
+
+      if (!order) {
+        logger.info("Order not found", { orderId: parsedOrderId });
+        throw createError("Order not found", 404);
+      }
+
+      const raterRole = order.userUid === req.user.uid ? "rider" : "driver";
+
+      const rating = await submitRating(order, {
+        raterUid: req.user.uid,
+        raterRole,
+        stars,
+        comment,
+        tags,
+      });
+
+      logger.info("Order rated", { orderId: parsedOrderId, role: raterRole, stars });
+
+      res.status(201).json({
+        message: "Rating submitted successfully",
+        rating: formatRating(rating),
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error rating order", { error });
+      throw createError("Failed to submit rating. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/orders/{orderId}/ratings:
+ *   get:
+ *     summary: Get the ratings of an order
+ *     description: Returns the ratings both parties gave on the order. Visible to the rider, the assigned driver and admins.
+ *     tags: [Ratings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Order ID
+ *     responses:
+ *       200:
+ *         description: Ratings retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ratings retrieved successfully
+ *                 ratings:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Rating'
+ *       404:
+ *         description: Order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/:orderId/ratings",
+  validate({ params: orderIdParams }),
+  asyncHandler(async (req, res) => {
+    const { orderId } = req.params;
+
+    const parsedOrderId = parseInt(orderId);
+
+    try {
+      const order = await OrderRepository.findForUser(parsedOrderId, req.user, {
+        role: "participant",
+        adminAccess: true,
+      });
+
+      if (!order) {
+        logger.info("Order not found", { orderId: parsedOrderId });
+        throw createError("Order not found", 404);
+      }
+
+      const ratings = await getOrderRatings(parsedOrderId);
+
+      res.json({
+        message: "Ratings retrieved successfully",
+        ratings: ratings.map(formatRating),
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error fetching order ratings", { error });
+      throw createError("Failed to retrieve ratings. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/orders/{orderId}/cancel:
+ *   post:
+ *     summary: Cancel an order
+ *     description: Cancels one of the authenticated user's orders. Cancellation is free within the grace window after the order was created; after that a fee based on the order's current status is charged. The reason code and fee are stored on the order.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Order ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CancelOrderRequest'
+ *     responses:
+ *       200:
+ *         description: Order cancelled successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Order cancelled successfully
+ *                 order:
+ *                   $ref: '#/components/schemas/Order'
+ *                 cancellation:
+ *                   type: object
+ *                   properties:
+ *                     reason:
+ *                       type: string
+ *                       example: changed_plans
+ *                     fee:
+ *                       type: number
+ *                       example: 3.00
+ *                     withinGracePeriod:
+ *                       type: boolean
+ *                       example: false
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Order can no longer be cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post(
+  "/:orderId/cancel",
+  validate({ params: orderIdParams, body: cancelOrderRequest }),
+  asyncHandler(async (req, res) => {
+    const { orderId } = req.params;
+    const { reason, note } = req.body;
+
+    const parsedOrderId = parseInt(orderId);
+
+    try {
+      const order = await OrderRepository.findForUser(parsedOrderId, req.user, { role: "rider" });
+
+      if (!order) {
+        logger.info("Order not found", { orderId: parsedOrderId });
+        throw createError("Order not found", 404);
+      }
+
+      const { fee, withinGracePeriod } = calculateCancellationFee(order);
+
+      logger.debug("Cancellation fee calculated", { orderId: parsedOrderId, fee, withinGracePeriod });
+
+      const cancelledOrder = await transitionOrderStatus(order, "cancelled", {
+        actorUid: req.user.uid,
+        actorRole: "rider",
+        reason,
+        fields: {
+          cancellationReason: reason,
+          cancellationNote: note || null,
+          cancellationFee: fee,
+          cancelledAt: new Date(),
+        },
+      });
+
+      logger.info("Order cancelled", { orderId: parsedOrderId });
+
+      res.json({
+        message: "Order cancelled successfully",
+        order: {
+          ...cancelledOrder,
+          cancelledAt: cancelledOrder.cancelledAt.toISOString(),
+          createdAt: cancelledOrder.createdAt.toISOString(),
+          updatedAt: cancelledOrder.updatedAt.toISOString(),
+        },
+        cancellation: {
+          reason,
+          fee,
+          withinGracePeriod,
+        },
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error cancelling order", { error });
+      throw createError("Failed to cancel order. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/orders/{orderId}/location:
+ *   post:
+ *     summary: Report driver location for an order
+ *     description: Called by the assigned driver while the order is confirmed or in progress. The position is appended to the order's location trail and pushed to anyone tracking the order.
+ *     tags: [Tracking]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Order ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LocationPingRequest'
+ *     responses:
+ *       201:
+ *         description: Location recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Location recorded
+ *                 location:
+ *                   $ref: '#/components/schemas/OrderLocation'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Order not found or not assigned to the caller
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Order is not active
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post(
+  "/:orderId/location",
+  validate({ params: orderIdParams, body: locationPingRequest }),
+  locationLimiter,
+  asyncHandler(async (req, res) => {
+    const { orderId } = req.params;
+    const { latitude, longitude, heading, speedKmh, accuracyMeters, recordedAt } =
+      req.body;
+
+    const recordedDate = recordedAt ? new Date(recordedAt) : new Date();
+
+    const parsedOrderId = parseInt(orderId);
+
+    try {
+      const order = await OrderRepository.findForUser(parsedOrderId, req.user, { role: "driver" });
+
+      if (!order) {
+        logger.info("Order not assigned to driver", { orderId: parsedOrderId });
+        throw createError("Order not found", 404);
+      }
+
+      if (!["confirmed", "in_progress"].includes(order.status)) {
+        logger.info("Order no longer tracked", { orderId: parsedOrderId, status: order.status });
+        throw createError(`Order is ${order.status} and is no longer tracked`, 409);
+      }
+
+      const location = {
+        orderId: parsedOrderId,
+        latitude,
+        longitude,
+        heading: heading ?? null,
+        speedKmh: speedKmh ?? null,
+        accuracyMeters: accuracyMeters ?? null,
+        recordedAt: recordedDate,
+      };
+
+      await OrderRepository.insertLocation({ ...location, driverUid: req.user.uid });
+      await updateDriverPosition(req.user.uid, latitude, longitude);
+
+      const formattedLocation = formatLocation(location);
+      publishLocation(parsedOrderId, formattedLocation);
+
+      res.status(201).json({
+        message: "Location recorded",
+        location: formattedLocation,
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error recording location", { error });
+      throw createError("Failed to record location. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/orders/{orderId}/tracking:
+ *   get:
+ *     summary: Get the location trail of an order
+ *     description: Returns the most recent driver positions for one of the authenticated user's orders, oldest first
+ *     tags: [Tracking]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Order ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           minimum: 1
+ *           maximum: 1000
+ *         description: Maximum number of positions to return
+ *     responses:
+ *       200:
+ *         description: Location trail retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Location trail retrieved successfully
+ *                 status:
+ *                   type: string
+ *                   example: in_progress
+ *                 trail:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/OrderLocation'
+ *       404:
+ *         description: Order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/:orderId/tracking",
+  validate({ params: orderIdParams }),
+  asyncHandler(async (req, res) => {
+    const { orderId } = req.params;
+
+    const parsedOrderId = parseInt(orderId);
+    const parsedLimit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+
+    try {
+      const order = await OrderRepository.findForUser(parsedOrderId, req.user, { role: "rider" });
+
+      if (!order) {
+        logger.info("Order not found", { orderId: parsedOrderId });
+        throw createError("Order not found", 404);
+      }
+
+      const locations = await OrderRepository.findLocationTrail(parsedOrderId, parsedLimit);
+
+      res.json({
+        message: "Location trail retrieved successfully",
+        status: order.status,
+        trail: locations.map(formatLocation),
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error fetching location trail", { error });
+      throw createError("Failed to retrieve location trail. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/orders/{orderId}/tracking/stream:
+ *   get:
+ *     summary: Live tracking stream (Server-Sent Events)
+ *     description: |
+ *       Opens a Server-Sent Events stream for one of the authenticated user's orders.
+ *       Events:
+ *       - `status` — `{ orderId, status }`, sent on connect and on every status change
+ *       - `location` — an OrderLocation, sent on connect (last known position) and for every driver ping
+ *
+ *       The stream closes once the order is completed or cancelled.
+ *     tags: [Tracking]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Order ID
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/:orderId/tracking/stream",
+  validate({ params: orderIdParams }),
+  asyncHandler(async (req, res) => {
+    const { orderId } = req.params;
+
+    logger.debug("Order stream opened", { orderId });
+
+    const parsedOrderId = parseInt(orderId);
+
+    const order = await OrderRepository.findForUser(parsedOrderId, req.user, { role: "rider" });
+
+    if (!order) {
+      logger.info("Order not found", { orderId: parsedOrderId });
+      throw createError("Order not found", 404);
+    }
+
+    const lastLocation = await OrderRepository.findLastLocation(parsedOrderId);
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+
+    const sendEvent = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const isTerminal = (status) => ["completed", "cancelled"].includes(status);
+
+    sendEvent("status", { orderId: parsedOrderId, status: order.status });
+    if (lastLocation) {
+      sendEvent("location", formatLocation(lastLocation));
+    }
+
+    if (isTerminal(order.status)) {
+      res.end();
+      return;
+    }
+
+    let closed = false;
+    let unsubscribe = () => {};
+    let heartbeat = null;
+
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      unsubscribe();
+      clearInterval(heartbeat);
+      res.end();
+      logger.debug("Order stream closed", { orderId: parsedOrderId });
+    };
+
+    unsubscribe = subscribe(parsedOrderId, ({ type, data }) => {
+      sendEvent(type, data);
+      if (type === "status" && isTerminal(data.status)) {
+        close();
+      }
+    });
+
+    heartbeat = setInterval(() => res.write(": heartbeat\n\n"), TRACKING_HEARTBEAT_MS);
+    req.on("close", close);
+  })
+);
+
+/**
+ * @swagger
+ * /api/orders/{orderId}/schedule:
+ *   patch:
+ *     summary: Reschedule a scheduled order
+ *     description: Moves the pickup time of one of the authenticated user's orders that has not been released for dispatch yet
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Order ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RescheduleOrderRequest'
+ *     responses:
+ *       200:
+ *         description: Order rescheduled successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Order rescheduled successfully
+ *                 order:
+ *                   $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Order is no longer scheduled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.patch(
+  "/:orderId/schedule",
+  validate({ params: orderIdParams, body: rescheduleOrderRequest }),
+  asyncHandler(async (req, res) => {
+    const { orderId } = req.params;
+
+    const scheduledDate = parseScheduledFor(req.body.scheduledFor);
+    const parsedOrderId = parseInt(orderId);
+
+    try {
+      const order = await OrderRepository.findForUser(parsedOrderId, req.user, { role: "rider" });
+
+      if (!order) {
+        logger.info("Order not found", { orderId: parsedOrderId });
+        throw createError("Order not found", 404);
+      }
+
+      // Guarded on status so a concurrent release wins cleanly
+      const rescheduled = await OrderRepository.reschedule(parsedOrderId, scheduledDate);
+
+      if (!rescheduled) {
+        logger.info("Order is no longer scheduled", { orderId: parsedOrderId });
+        throw createError("Only orders that are still scheduled can be rescheduled", 409);
+      }
+
+      const updatedOrder = await OrderRepository.findById(parsedOrderId);
+
+      scheduleOrder(updatedOrder);
+
+      logger.info("Order rescheduled", { orderId: parsedOrderId, scheduledFor: scheduledDate });
+
+      res.json({
+        message: "Order rescheduled successfully",
+        order: {
+          ...updatedOrder,
+          scheduledFor: updatedOrder.scheduledFor.toISOString(),
+          createdAt: updatedOrder.createdAt.toISOString(),
+          updatedAt: updatedOrder.updatedAt.toISOString(),
+        },
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error rescheduling order", { error });
+      throw createError("Failed to reschedule order. Please try again.", 500);
     }
   })
 );
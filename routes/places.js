@@ -0,0 +1,378 @@
+const express = require("express");
+const { checkAuth } = require("../middlewares/auth");
+const { executeQuery } = require("../config/db");
+const { asyncHandler, createError } = require("../middlewares/errorHandler");
+const { logger } = require("../config/logger");
+const { validate } = require("../middlewares/validate");
+const { MAX_SAVED_PLACES, getSavedPlace, formatPlace } = require("../services/places");
+const {
+  savedPlaceRequest,
+  updateSavedPlaceRequest,
+  placeIdParams,
+} = require("../schemas/places");
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(checkAuth);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Places
+ *   description: Riders' saved places (address book)
+ */
+
+/**
+ * @swagger
+ * /api/places:
+ *   get:
+ *     summary: List own saved places
+ *     tags: [Places]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Saved places retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Saved places retrieved successfully
+ *                 places:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SavedPlace'
+ */
+router.get(
+  "/",
+  asyncHandler(async (req, res) => {
+    try {
+      const places = await executeQuery(
+        "SELECT * FROM saved_places WHERE userUid = ? ORDER BY label ASC",
+        [req.user.uid]
+      );
+
+      res.json({
+        message: "Saved places retrieved successfully",
+        places: places.map(formatPlace),
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error fetching saved places", { error });
+      throw createError("Failed to retrieve saved places. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/places:
+ *   post:
+ *     summary: Save a place
+ *     tags: [Places]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SavedPlaceRequest'
+ *     responses:
+ *       201:
+ *         description: Place saved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Place saved successfully
+ *                 place:
+ *                   $ref: '#/components/schemas/SavedPlace'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Label already used or too many saved places
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post(
+  "/",
+  validate({ body: savedPlaceRequest }),
+  asyncHandler(async (req, res) => {
+    const { label, address, latitude, longitude } = req.body;
+
+    try {
+      const [{ total }] = await executeQuery(
+        "SELECT COUNT(*) AS total FROM saved_places WHERE userUid = ?",
+        [req.user.uid]
+      );
+
+      if (total >= MAX_SAVED_PLACES) {
+        throw createError(`You can save at most ${MAX_SAVED_PLACES} places`, 409);
+      }
+
+      const result = await executeQuery(
+        "INSERT INTO saved_places (userUid, label, address, latitude, longitude) VALUES (?, ?, ?, ?, ?)",
+        [req.user.uid, label, address, latitude, longitude]
+      );
+
+      const place = await getSavedPlace(result.insertId, req.user.uid);
+
+      logger.info("Saved place created", { placeId: result.insertId });
+
+      res.status(201).json({
+        message: "Place saved successfully",
+        place: formatPlace(place),
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error saving place", { error });
+      if (error.code === "ER_DUP_ENTRY") {
+        throw createError("You already have a place with this label", 409);
+      }
+      throw createError("Failed to save place. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/places/{placeId}:
+ *   get:
+ *     summary: Get a saved place
+ *     tags: [Places]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: placeId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Saved place retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Saved place retrieved successfully
+ *                 place:
+ *                   $ref: '#/components/schemas/SavedPlace'
+ *       404:
+ *         description: Saved place not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/:placeId",
+  validate({ params: placeIdParams }),
+  asyncHandler(async (req, res) => {
+    const { placeId } = req.params;
+
+    try {
+      const place = await getSavedPlace(placeId, req.user.uid);
+
+      if (!place) {
+        throw createError("Saved place not found", 404);
+      }
+
+      res.json({
+        message: "Saved place retrieved successfully",
+        place: formatPlace(place),
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error fetching saved place", { error });
+      throw createError("Failed to retrieve saved place. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/places/{placeId}:
+ *   put:
+ *     summary: Update a saved place
+ *     description: Updates the fields sent; omitted fields keep their value
+ *     tags: [Places]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: placeId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateSavedPlaceRequest'
+ *     responses:
+ *       200:
+ *         description: Place updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Place updated successfully
+ *                 place:
+ *                   $ref: '#/components/schemas/SavedPlace'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Saved place not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Label already used
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.put(
+  "/:placeId",
+  validate({ params: placeIdParams, body: updateSavedPlaceRequest }),
+  asyncHandler(async (req, res) => {
+    const { placeId } = req.params;
+    const { label, address, latitude, longitude } = req.body;
+
+    const updates = [];
+    const params = [];
+
+    if (label !== undefined) {
+      updates.push("label = ?");
+      params.push(label);
+    }
+    if (address !== undefined) {
+      updates.push("address = ?");
+      params.push(address);
+    }
+    if (latitude !== undefined) {
+      updates.push("latitude = ?");
+      params.push(latitude);
+    }
+    if (longitude !== undefined) {
+      updates.push("longitude = ?");
+      params.push(longitude);
+    }
+
+    try {
+      const result = await executeQuery(
+        `UPDATE saved_places SET ${updates.join(", ")} WHERE placeId = ? AND userUid = ?`,
+        [...params, placeId, req.user.uid]
+      );
+
+      if (result.affectedRows === 0) {
+        throw createError("Saved place not found", 404);
+      }
+
+      const place = await getSavedPlace(placeId, req.user.uid);
+
+      logger.info("Saved place updated", { placeId });
+
+      res.json({
+        message: "Place updated successfully",
+        place: formatPlace(place),
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error updating saved place", { error });
+      if (error.code === "ER_DUP_ENTRY") {
+        throw createError("You already have a place with this label", 409);
+      }
+      throw createError("Failed to update saved place. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/places/{placeId}:
+ *   delete:
+ *     summary: Delete a saved place
+ *     tags: [Places]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: placeId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Place deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Place deleted successfully
+ *       404:
+ *         description: Saved place not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete(
+  "/:placeId",
+  validate({ params: placeIdParams }),
+  asyncHandler(async (req, res) => {
+    const { placeId } = req.params;
+
+    try {
+      const result = await executeQuery(
+        "DELETE FROM saved_places WHERE placeId = ? AND userUid = ?",
+        [placeId, req.user.uid]
+      );
+
+      if (result.affectedRows === 0) {
+        throw createError("Saved place not found", 404);
+      }
+
+      logger.info("Saved place deleted", { placeId });
+
+      res.json({ message: "Place deleted successfully" });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error deleting saved place", { error });
+      throw createError("Failed to delete saved place. Please try again.", 500);
+    }
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,391 @@
+const express = require("express");
+const { checkAuth, requireAdmin } = require("../middlewares/auth");
+const { executeQuery } = require("../config/db");
+const { asyncHandler, createError } = require("../middlewares/errorHandler");
+const { logger } = require("../config/logger");
+const { validate } = require("../middlewares/validate");
+const { getBoundingBox } = require("../utils/geo");
+const {
+  parsePolygon,
+  computeZoneSurge,
+  getSurgeForPoint,
+  clearSurgeCache,
+} = require("../services/surge");
+const {
+  pricingZoneRequest,
+  updatePricingZoneRequest,
+  pointQuery,
+  zoneIdParams,
+} = require("../schemas/areas");
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(checkAuth);
+
+// Convert a zone row to the shape sent to clients
+const formatZone = (zone) => ({
+  zoneId: zone.zoneId,
+  name: zone.name,
+  polygon: parsePolygon(zone.polygon),
+  maxSurgeMultiplier: parseFloat(zone.maxSurgeMultiplier),
+  isActive: Boolean(zone.isActive),
+  createdBy: zone.createdBy,
+  createdAt: zone.createdAt.toISOString(),
+  updatedAt: zone.updatedAt.toISOString(),
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: Pricing Zones
+ *   description: Surge pricing zones
+ */
+
+/**
+ * @swagger
+ * /api/pricing-zones/surge:
+ *   get:
+ *     summary: Get the surge multiplier at a point
+ *     description: Returns the pricing zone containing the coordinate and its current surge multiplier (1 outside every zone)
+ *     tags: [Pricing Zones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: lat
+ *         required: true
+ *         schema:
+ *           type: number
+ *         description: Latitude
+ *       - in: query
+ *         name: lng
+ *         required: true
+ *         schema:
+ *           type: number
+ *         description: Longitude
+ *     responses:
+ *       200:
+ *         description: Surge retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Surge retrieved successfully
+ *                 surge:
+ *                   type: object
+ *                   properties:
+ *                     zoneId:
+ *                       type: integer
+ *                       nullable: true
+ *                       example: 3
+ *                     zoneName:
+ *                       type: string
+ *                       nullable: true
+ *                       example: Midtown
+ *                     multiplier:
+ *                       type: number
+ *                       example: 1.5
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/surge",
+  validate({ query: pointQuery }),
+  asyncHandler(async (req, res) => {
+    const { lat, lng } = req.query;
+
+    try {
+      const surge = await getSurgeForPoint(lat, lng);
+
+      res.json({
+        message: "Surge retrieved successfully",
+        surge,
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error computing surge", { error });
+      throw createError("Failed to retrieve surge. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/pricing-zones:
+ *   get:
+ *     summary: List pricing zones (admin)
+ *     description: Lists all pricing zones with the demand, supply and surge multiplier currently computed for each active zone
+ *     tags: [Pricing Zones]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Pricing zones retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Pricing zones retrieved successfully
+ *                 zones:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PricingZone'
+ *       403:
+ *         description: Admin privileges required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/",
+  requireAdmin,
+  asyncHandler(async (req, res) => {
+    try {
+      const zones = await executeQuery(
+        "SELECT * FROM pricing_zones ORDER BY createdAt DESC, zoneId DESC"
+      );
+
+      const formattedZones = [];
+      for (const zone of zones) {
+        const surge = zone.isActive ? await computeZoneSurge(zone) : null;
+        formattedZones.push({
+          ...formatZone(zone),
+          currentSurge: surge
+            ? {
+                pendingOrders: surge.pendingOrders,
+                availableDrivers: surge.availableDrivers,
+                multiplier: surge.multiplier,
+              }
+            : null,
+        });
+      }
+
+      res.json({
+        message: "Pricing zones retrieved successfully",
+        zones: formattedZones,
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error fetching pricing zones", { error });
+      throw createError("Failed to retrieve pricing zones. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/pricing-zones:
+ *   post:
+ *     summary: Create a pricing zone (admin)
+ *     tags: [Pricing Zones]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PricingZoneRequest'
+ *     responses:
+ *       201:
+ *         description: Pricing zone created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Pricing zone created successfully
+ *                 zone:
+ *                   $ref: '#/components/schemas/PricingZone'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Admin privileges required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post(
+  "/",
+  requireAdmin,
+  validate({ body: pricingZoneRequest }),
+  asyncHandler(async (req, res) => {
+    const { name, polygon, maxSurgeMultiplier, isActive } = req.body;
+    const bbox = getBoundingBox(polygon);
+
+    try {
+      const result = await executeQuery(
+        `INSERT INTO pricing_zones (
+          name, polygon, minLat, maxLat, minLng, maxLng, maxSurgeMultiplier, isActive, createdBy
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          name,
+          JSON.stringify(polygon),
+          bbox.minLat,
+          bbox.maxLat,
+          bbox.minLng,
+          bbox.maxLng,
+          maxSurgeMultiplier,
+          isActive,
+          req.user.uid,
+        ]
+      );
+
+      const [zone] = await executeQuery(
+        "SELECT * FROM pricing_zones WHERE zoneId = ?",
+        [result.insertId]
+      );
+
+      logger.info("Pricing zone created", { zoneId: result.insertId });
+
+      res.status(201).json({
+        message: "Pricing zone created successfully",
+        zone: formatZone(zone),
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error creating pricing zone", { error });
+      throw createError("Failed to create pricing zone. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/pricing-zones/{zoneId}:
+ *   put:
+ *     summary: Update a pricing zone (admin)
+ *     description: Updates any of the zone's fields. Set isActive to false to retire a zone; zones are never deleted so that orders keep a valid pricingZoneId.
+ *     tags: [Pricing Zones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: zoneId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Zone ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdatePricingZoneRequest'
+ *     responses:
+ *       200:
+ *         description: Pricing zone updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Pricing zone updated successfully
+ *                 zone:
+ *                   $ref: '#/components/schemas/PricingZone'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Admin privileges required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Pricing zone not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.put(
+  "/:zoneId",
+  requireAdmin,
+  validate({ params: zoneIdParams, body: updatePricingZoneRequest }),
+  asyncHandler(async (req, res) => {
+    const { zoneId } = req.params;
+
+    const { name, polygon, maxSurgeMultiplier, isActive } = req.body;
+
+    const updates = [];
+    const params = [];
+
+    if (name !== undefined) {
+      updates.push("name = ?");
+      params.push(name);
+    }
+
+    if (polygon !== undefined) {
+      const bbox = getBoundingBox(polygon);
+      updates.push("polygon = ?", "minLat = ?", "maxLat = ?", "minLng = ?", "maxLng = ?");
+      params.push(JSON.stringify(polygon), bbox.minLat, bbox.maxLat, bbox.minLng, bbox.maxLng);
+    }
+
+    if (maxSurgeMultiplier !== undefined) {
+      updates.push("maxSurgeMultiplier = ?");
+      params.push(maxSurgeMultiplier);
+    }
+
+    if (isActive !== undefined) {
+      updates.push("isActive = ?");
+      params.push(isActive);
+    }
+
+    try {
+      const result = await executeQuery(
+        `UPDATE pricing_zones SET ${updates.join(", ")} WHERE zoneId = ?`,
+        [...params, zoneId]
+      );
+
+      if (result.affectedRows === 0) {
+        logger.info("Pricing zone not found", { zoneId });
+        throw createError("Pricing zone not found", 404);
+      }
+
+      clearSurgeCache(zoneId);
+
+      const [zone] = await executeQuery(
+        "SELECT * FROM pricing_zones WHERE zoneId = ?",
+        [zoneId]
+      );
+
+      logger.info("Pricing zone updated", { zoneId });
+
+      res.json({
+        message: "Pricing zone updated successfully",
+        zone: formatZone(zone),
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error updating pricing zone", { error });
+      throw createError("Failed to update pricing zone. Please try again.", 500);
+    }
+  })
+);
+
+module.exports = router;
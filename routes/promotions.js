@@ -0,0 +1,329 @@
+const express = require("express");
+const { checkAuth, requireAdmin } = require("../middlewares/auth");
+const { executeQuery } = require("../config/db");
+const { asyncHandler, createError } = require("../middlewares/errorHandler");
+const { logger } = require("../config/logger");
+const { validate } = require("../middlewares/validate");
+const { parseOrderTypes } = require("../services/promotions");
+const {
+  createPromotionRequest,
+  updatePromotionRequest,
+  promotionListQuery,
+  promoIdParams,
+} = require("../schemas/promotions");
+
+const router = express.Router();
+
+// Promotions are managed by admins only
+router.use(checkAuth, requireAdmin);
+
+// Convert a promotion row to the shape sent to clients
+const formatPromotion = (promo) => ({
+  ...promo,
+  discountValue: parseFloat(promo.discountValue),
+  maxDiscountAmount:
+    promo.maxDiscountAmount === null ? null : parseFloat(promo.maxDiscountAmount),
+  minOrderAmount:
+    promo.minOrderAmount === null ? null : parseFloat(promo.minOrderAmount),
+  orderTypes: parseOrderTypes(promo.orderTypes),
+  isActive: Boolean(promo.isActive),
+  startsAt: promo.startsAt ? promo.startsAt.toISOString() : null,
+  expiresAt: promo.expiresAt.toISOString(),
+  createdAt: promo.createdAt.toISOString(),
+  updatedAt: promo.updatedAt.toISOString(),
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: Promotions
+ *   description: Promo code management (admin)
+ */
+
+/**
+ * @swagger
+ * /api/promotions:
+ *   post:
+ *     summary: Create a promo code (admin)
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreatePromotionRequest'
+ *     responses:
+ *       201:
+ *         description: Promotion created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Promotion created successfully
+ *                 promotion:
+ *                   $ref: '#/components/schemas/Promotion'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Admin privileges required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Code already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post(
+  "/",
+  validate({ body: createPromotionRequest }),
+  asyncHandler(async (req, res) => {
+    const {
+      code,
+      description,
+      discountType,
+      discountValue,
+      maxDiscountAmount,
+      minOrderAmount,
+      orderTypes,
+      startsAt,
+      expiresAt,
+      totalUsageLimit,
+      perUserLimit,
+    } = req.body;
+
+    try {
+      const result = await executeQuery(
+        `INSERT INTO promotions (
+          code, description, discountType, discountValue, maxDiscountAmount,
+          minOrderAmount, orderTypes, startsAt, expiresAt,
+          totalUsageLimit, perUserLimit, createdBy
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          code,
+          description || null,
+          discountType,
+          discountValue,
+          maxDiscountAmount,
+          minOrderAmount,
+          orderTypes ? JSON.stringify(orderTypes) : null,
+          startsAt,
+          expiresAt,
+          totalUsageLimit,
+          perUserLimit,
+          req.user.uid,
+        ]
+      );
+
+      const [promo] = await executeQuery(
+        "SELECT * FROM promotions WHERE promoId = ?",
+        [result.insertId]
+      );
+
+      logger.info("Promotion created", { promoId: promo.promoId, code });
+
+      res.status(201).json({
+        message: "Promotion created successfully",
+        promotion: formatPromotion(promo),
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error creating promotion", { error });
+      if (error.code === "ER_DUP_ENTRY") {
+        throw createError("A promotion with this code already exists", 409);
+      }
+      throw createError("Failed to create promotion. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/promotions:
+ *   get:
+ *     summary: List promo codes (admin)
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Only return active (true) or inactive (false) promotions
+ *     responses:
+ *       200:
+ *         description: Promotions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Promotions retrieved successfully
+ *                 promotions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Promotion'
+ *       403:
+ *         description: Admin privileges required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/",
+  validate({ query: promotionListQuery }),
+  asyncHandler(async (req, res) => {
+    const { active } = req.query;
+
+    try {
+      const promotions =
+        active === undefined
+          ? await executeQuery("SELECT * FROM promotions ORDER BY createdAt DESC")
+          : await executeQuery(
+              "SELECT * FROM promotions WHERE isActive = ? ORDER BY createdAt DESC",
+              [active]
+            );
+
+      res.json({
+        message: "Promotions retrieved successfully",
+        promotions: promotions.map(formatPromotion),
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error fetching promotions", { error });
+      throw createError("Failed to retrieve promotions. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/promotions/{promoId}:
+ *   patch:
+ *     summary: Update a promo code (admin)
+ *     description: Changes the description, expiry, usage caps or active flag of a promotion. The discount itself cannot change once created.
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: promoId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Promotion ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdatePromotionRequest'
+ *     responses:
+ *       200:
+ *         description: Promotion updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Promotion updated successfully
+ *                 promotion:
+ *                   $ref: '#/components/schemas/Promotion'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Promotion not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.patch(
+  "/:promoId",
+  validate({ params: promoIdParams, body: updatePromotionRequest }),
+  asyncHandler(async (req, res) => {
+    const { promoId } = req.params;
+
+    const { description, expiresAt, totalUsageLimit, perUserLimit, isActive } =
+      req.body;
+
+    const updates = [];
+    const params = [];
+
+    if (description !== undefined) {
+      updates.push("description = ?");
+      params.push(description);
+    }
+
+    if (expiresAt !== undefined) {
+      updates.push("expiresAt = ?");
+      params.push(expiresAt);
+    }
+
+    if (totalUsageLimit !== undefined) {
+      updates.push("totalUsageLimit = ?");
+      params.push(totalUsageLimit);
+    }
+
+    if (perUserLimit !== undefined) {
+      updates.push("perUserLimit = ?");
+      params.push(perUserLimit);
+    }
+
+    if (isActive !== undefined) {
+      updates.push("isActive = ?");
+      params.push(isActive);
+    }
+
+    try {
+      const result = await executeQuery(
+        `UPDATE promotions SET ${updates.join(", ")} WHERE promoId = ?`,
+        [...params, promoId]
+      );
+
+      if (result.affectedRows === 0) {
+        throw createError("Promotion not found", 404);
+      }
+
+      const [promo] = await executeQuery(
+        "SELECT * FROM promotions WHERE promoId = ?",
+        [promoId]
+      );
+
+      logger.info("Promotion updated", { promoId, code: promo.code });
+
+      res.json({
+        message: "Promotion updated successfully",
+        promotion: formatPromotion(promo),
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error updating promotion", { error });
+      throw createError("Failed to update promotion. Please try again.", 500);
+    }
+  })
+);
+
+module.exports = router;
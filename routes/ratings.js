@@ -0,0 +1,313 @@
+const express = require("express");
+const { checkAuth, requireAdmin } = require("../middlewares/auth");
+const { executeQuery } = require("../config/db");
+const { asyncHandler, createError } = require("../middlewares/errorHandler");
+const { logger } = require("../config/logger");
+const {
+  LOW_RATING_THRESHOLD,
+  LOW_RATING_MIN_COUNT,
+  getRatingSummary,
+  getLowRatedDrivers,
+} = require("../services/ratings");
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(checkAuth);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Ratings
+ *   description: Post-trip ratings and aggregate scores
+ */
+
+/**
+ * @swagger
+ * /api/ratings/me:
+ *   get:
+ *     summary: Get own aggregate rating
+ *     tags: [Ratings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [rider, driver]
+ *           default: rider
+ *         description: Rating as a rider or as a driver
+ *     responses:
+ *       200:
+ *         description: Rating retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Rating retrieved successfully
+ *                 rating:
+ *                   $ref: '#/components/schemas/RatingSummary'
+ */
+router.get(
+  "/me",
+  asyncHandler(async (req, res) => {
+    const { role = "rider" } = req.query;
+
+    if (!["rider", "driver"].includes(role)) {
+      throw createError("Invalid role. Must be one of: rider, driver", 400);
+    }
+
+    try {
+      const rating = await getRatingSummary(req.user.uid, role);
+
+      res.json({
+        message: "Rating retrieved successfully",
+        rating,
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error fetching rating", { error });
+      throw createError("Failed to retrieve rating. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/ratings/drivers/low-rated:
+ *   get:
+ *     summary: List low-rated drivers (admin)
+ *     description: Approved drivers whose average rating is below the threshold, over at least minRatings ratings, worst first
+ *     tags: [Ratings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: threshold
+ *         schema:
+ *           type: number
+ *           default: 4.0
+ *         description: Average below which a driver is listed
+ *       - in: query
+ *         name: minRatings
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *         description: Ignore drivers with fewer ratings than this
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Low-rated drivers retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Low-rated drivers retrieved successfully
+ *                 drivers:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       driverUid:
+ *                         type: string
+ *                       fullName:
+ *                         type: string
+ *                       phone:
+ *                         type: string
+ *                       isAvailable:
+ *                         type: boolean
+ *                       ratingCount:
+ *                         type: integer
+ *                       averageStars:
+ *                         type: number
+ *       403:
+ *         description: Admin privileges required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/drivers/low-rated",
+  requireAdmin,
+  asyncHandler(async (req, res) => {
+    const {
+      threshold = LOW_RATING_THRESHOLD,
+      minRatings = LOW_RATING_MIN_COUNT,
+      limit = 50,
+      offset = 0,
+    } = req.query;
+
+    const parsedThreshold = parseFloat(threshold);
+    const parsedMinRatings = parseInt(minRatings);
+
+    if (isNaN(parsedThreshold) || parsedThreshold < 1 || parsedThreshold > 5) {
+      throw createError("threshold must be a number from 1 to 5", 400);
+    }
+
+    if (isNaN(parsedMinRatings) || parsedMinRatings < 1) {
+      throw createError("minRatings must be a positive integer", 400);
+    }
+
+    const parsedLimit = Math.min(Math.max(parseInt(limit) || 50, 1), 100);
+    const parsedOffset = Math.max(parseInt(offset) || 0, 0);
+
+    try {
+      const drivers = await getLowRatedDrivers({
+        threshold: parsedThreshold,
+        minRatings: parsedMinRatings,
+        limit: parsedLimit,
+        offset: parsedOffset,
+      });
+
+      logger.debug("Low-rated drivers listed", { threshold: parsedThreshold, count: drivers.length });
+
+      res.json({
+        message: "Low-rated drivers retrieved successfully",
+        drivers,
+        threshold: parsedThreshold,
+        minRatings: parsedMinRatings,
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error fetching low-rated drivers", { error });
+      throw createError("Failed to retrieve low-rated drivers. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/ratings/drivers/{driverUid}:
+ *   get:
+ *     summary: Get a driver's aggregate rating
+ *     tags: [Ratings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: driverUid
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rating retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Rating retrieved successfully
+ *                 rating:
+ *                   $ref: '#/components/schemas/RatingSummary'
+ *       404:
+ *         description: Driver not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/drivers/:driverUid",
+  asyncHandler(async (req, res) => {
+    const { driverUid } = req.params;
+
+    try {
+      const [driver] = await executeQuery(
+        "SELECT driverUid FROM drivers WHERE driverUid = ? AND status = 'approved'",
+        [driverUid]
+      );
+
+      if (!driver) {
+        throw createError("Driver not found", 404);
+      }
+
+      const rating = await getRatingSummary(driverUid, "driver");
+
+      res.json({
+        message: "Rating retrieved successfully",
+        rating,
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error fetching driver rating", { error });
+      throw createError("Failed to retrieve rating. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/ratings/riders/{riderUid}:
+ *   get:
+ *     summary: Get a rider's aggregate rating (admin)
+ *     tags: [Ratings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: riderUid
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rating retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Rating retrieved successfully
+ *                 rating:
+ *                   $ref: '#/components/schemas/RatingSummary'
+ *       403:
+ *         description: Admin privileges required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/riders/:riderUid",
+  requireAdmin,
+  asyncHandler(async (req, res) => {
+    const { riderUid } = req.params;
+
+    try {
+      const rating = await getRatingSummary(riderUid, "rider");
+
+      res.json({
+        message: "Rating retrieved successfully",
+        rating,
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error fetching rider rating", { error });
+      throw createError("Failed to retrieve rating. Please try again.", 500);
+    }
+  })
+);
+
+module.exports = router;
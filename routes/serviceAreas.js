@@ -0,0 +1,381 @@
+const express = require("express");
+const { checkAuth, requireAdmin } = require("../middlewares/auth");
+const { executeQuery } = require("../config/db");
+const { asyncHandler, createError } = require("../middlewares/errorHandler");
+const { logger } = require("../config/logger");
+const { validate } = require("../middlewares/validate");
+const { getBoundingBox } = require("../utils/geo");
+const { ORDER_TYPE_MULTIPLIERS } = require("../services/pricing");
+const { parsePolygon } = require("../services/surge");
+const {
+  parseOrderTypes,
+  checkServiceability,
+} = require("../services/serviceAreas");
+const {
+  serviceAreaRequest,
+  updateServiceAreaRequest,
+  serviceabilityQuery,
+  areaIdParams,
+} = require("../schemas/areas");
+
+const router = express.Router();
+
+const ORDER_TYPES = Object.keys(ORDER_TYPE_MULTIPLIERS);
+
+// Convert a service area row to the shape sent to clients
+const formatArea = (area) => ({
+  areaId: area.areaId,
+  name: area.name,
+  polygon: parsePolygon(area.polygon),
+  orderTypes: parseOrderTypes(area.orderTypes),
+  isActive: Boolean(area.isActive),
+  createdBy: area.createdBy,
+  createdAt: area.createdAt.toISOString(),
+  updatedAt: area.updatedAt.toISOString(),
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: Service Areas
+ *   description: Where orders are accepted, and for which order types
+ */
+
+/**
+ * @swagger
+ * /api/service-areas/check:
+ *   get:
+ *     summary: Check whether a point is serviceable
+ *     description: Public endpoint. Returns the active service areas containing the coordinate and the order types available there.
+ *     tags: [Service Areas]
+ *     parameters:
+ *       - in: query
+ *         name: lat
+ *         required: true
+ *         schema:
+ *           type: number
+ *         description: Latitude
+ *       - in: query
+ *         name: lng
+ *         required: true
+ *         schema:
+ *           type: number
+ *         description: Longitude
+ *       - in: query
+ *         name: orderType
+ *         schema:
+ *           type: string
+ *           enum: [delivery, pickup, express, scheduled]
+ *         description: Only count the point as serviceable if this order type is available there
+ *     responses:
+ *       200:
+ *         description: Serviceability retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Serviceability retrieved successfully
+ *                 serviceable:
+ *                   type: boolean
+ *                   example: true
+ *                 orderTypes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: [delivery, express]
+ *                 areas:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       areaId:
+ *                         type: integer
+ *                         example: 2
+ *                       name:
+ *                         type: string
+ *                         example: Manhattan
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/check",
+  validate({ query: serviceabilityQuery }),
+  asyncHandler(async (req, res) => {
+    const { lat, lng, orderType } = req.query;
+
+    try {
+      const result = await checkServiceability(lat, lng, orderType);
+
+      res.json({
+        message: "Serviceability retrieved successfully",
+        ...result,
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error checking serviceability", { error });
+      throw createError("Failed to check serviceability. Please try again.", 500);
+    }
+  })
+);
+
+// Everything below is managed by admins only
+router.use(checkAuth, requireAdmin);
+
+/**
+ * @swagger
+ * /api/service-areas:
+ *   get:
+ *     summary: List service areas (admin)
+ *     tags: [Service Areas]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Service areas retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Service areas retrieved successfully
+ *                 areas:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ServiceArea'
+ *       403:
+ *         description: Admin privileges required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/",
+  asyncHandler(async (req, res) => {
+    try {
+      const areas = await executeQuery(
+        "SELECT * FROM service_areas ORDER BY createdAt DESC, areaId DESC"
+      );
+
+      res.json({
+        message: "Service areas retrieved successfully",
+        areas: areas.map(formatArea),
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error fetching service areas", { error });
+      throw createError("Failed to retrieve service areas. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/service-areas:
+ *   post:
+ *     summary: Create a service area (admin)
+ *     tags: [Service Areas]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ServiceAreaRequest'
+ *     responses:
+ *       201:
+ *         description: Service area created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Service area created successfully
+ *                 area:
+ *                   $ref: '#/components/schemas/ServiceArea'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Admin privileges required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post(
+  "/",
+  validate({ body: serviceAreaRequest }),
+  asyncHandler(async (req, res) => {
+    const { name, polygon, orderTypes = ORDER_TYPES, isActive } = req.body;
+    const bbox = getBoundingBox(polygon);
+
+    try {
+      const result = await executeQuery(
+        `INSERT INTO service_areas (
+          name, polygon, minLat, maxLat, minLng, maxLng, orderTypes, isActive, createdBy
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          name,
+          JSON.stringify(polygon),
+          bbox.minLat,
+          bbox.maxLat,
+          bbox.minLng,
+          bbox.maxLng,
+          JSON.stringify([...new Set(orderTypes)]),
+          isActive,
+          req.user.uid,
+        ]
+      );
+
+      const [area] = await executeQuery(
+        "SELECT * FROM service_areas WHERE areaId = ?",
+        [result.insertId]
+      );
+
+      logger.info("Service area created", { areaId: result.insertId });
+
+      res.status(201).json({
+        message: "Service area created successfully",
+        area: formatArea(area),
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error creating service area", { error });
+      throw createError("Failed to create service area. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/service-areas/{areaId}:
+ *   put:
+ *     summary: Update a service area (admin)
+ *     description: Updates any of the area's fields. Set isActive to false to stop accepting orders in the area.
+ *     tags: [Service Areas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: areaId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Area ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateServiceAreaRequest'
+ *     responses:
+ *       200:
+ *         description: Service area updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Service area updated successfully
+ *                 area:
+ *                   $ref: '#/components/schemas/ServiceArea'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Admin privileges required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Service area not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.put(
+  "/:areaId",
+  validate({ params: areaIdParams, body: updateServiceAreaRequest }),
+  asyncHandler(async (req, res) => {
+    const { areaId } = req.params;
+
+    const { name, polygon, orderTypes, isActive } = req.body;
+
+    const updates = [];
+    const params = [];
+
+    if (name !== undefined) {
+      updates.push("name = ?");
+      params.push(name);
+    }
+
+    if (polygon !== undefined) {
+      const bbox = getBoundingBox(polygon);
+      updates.push("polygon = ?", "minLat = ?", "maxLat = ?", "minLng = ?", "maxLng = ?");
+      params.push(JSON.stringify(polygon), bbox.minLat, bbox.maxLat, bbox.minLng, bbox.maxLng);
+    }
+
+    if (orderTypes !== undefined) {
+      updates.push("orderTypes = ?");
+      params.push(JSON.stringify([...new Set(orderTypes)]));
+    }
+
+    if (isActive !== undefined) {
+      updates.push("isActive = ?");
+      params.push(isActive);
+    }
+
+    try {
+      const result = await executeQuery(
+        `UPDATE service_areas SET ${updates.join(", ")} WHERE areaId = ?`,
+        [...params, areaId]
+      );
+
+      if (result.affectedRows === 0) {
+        logger.info("Service area not found", { areaId });
+        throw createError("Service area not found", 404);
+      }
+
+      const [area] = await executeQuery(
+        "SELECT * FROM service_areas WHERE areaId = ?",
+        [areaId]
+      );
+
+      logger.info("Service area updated", { areaId });
+
+      res.json({
+        message: "Service area updated successfully",
+        area: formatArea(area),
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error updating service area", { error });
+      throw createError("Failed to update service area. Please try again.", 500);
+    }
+  })
+);
+
+module.exports = router;
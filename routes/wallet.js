@@ -0,0 +1,428 @@
+const express = require("express");
+const { checkAuth, requireAdmin } = require("../middlewares/auth");
+const { asyncHandler, createError } = require("../middlewares/errorHandler");
+const { logger } = require("../config/logger");
+const { validate } = require("../middlewares/validate");
+const {
+  getWallet,
+  getWalletEntries,
+  topUpWallet,
+  chargeOrder,
+  refundOrder,
+} = require("../services/wallet");
+const { OrderRepository } = require("../repositories/orderRepository");
+const { orderIdParams } = require("../schemas/orders");
+const {
+  walletQuery,
+  walletTransactionsQuery,
+  topUpRequest,
+  refundRequest,
+} = require("../schemas/wallet");
+
+const router = express.Router();
+
+// Apply authentication middleware to all routes
+router.use(checkAuth);
+
+// Convert a wallet row to the shape sent to clients
+const formatWallet = (wallet) => ({
+  walletId: wallet.walletId,
+  ownerType: wallet.ownerType,
+  currency: wallet.currency,
+  balance: parseFloat(wallet.balance),
+  updatedAt: wallet.updatedAt.toISOString(),
+});
+
+// Convert an order row to the shape sent to clients
+const formatOrder = (order) => ({
+  ...order,
+  createdAt: order.createdAt.toISOString(),
+  updatedAt: order.updatedAt.toISOString(),
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: Wallet
+ *   description: Rider and driver wallets backed by a double-entry ledger
+ */
+
+/**
+ * @swagger
+ * /api/wallet:
+ *   get:
+ *     summary: Get own wallet balance
+ *     tags: [Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [rider, driver]
+ *           default: rider
+ *         description: Which of the user's wallets to return
+ *     responses:
+ *       200:
+ *         description: Wallet retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Wallet retrieved successfully
+ *                 wallet:
+ *                   $ref: '#/components/schemas/Wallet'
+ *       400:
+ *         description: Invalid role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/",
+  validate({ query: walletQuery }),
+  asyncHandler(async (req, res) => {
+    const { role } = req.query;
+
+    try {
+      const wallet = await getWallet(req.user.uid, role);
+
+      res.json({
+        message: "Wallet retrieved successfully",
+        wallet: formatWallet(wallet),
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error fetching wallet", { error });
+      throw createError("Failed to retrieve wallet. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/wallet/transactions:
+ *   get:
+ *     summary: List own wallet ledger entries
+ *     description: Returns the ledger entries of the user's wallet, newest first
+ *     tags: [Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [rider, driver]
+ *           default: rider
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Ledger entries retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Wallet transactions retrieved successfully
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LedgerEntry'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     offset:
+ *                       type: integer
+ *                     hasMore:
+ *                       type: boolean
+ */
+router.get(
+  "/transactions",
+  validate({ query: walletTransactionsQuery }),
+  asyncHandler(async (req, res) => {
+    const { role, limit, offset } = req.query;
+
+    try {
+      const wallet = await getWallet(req.user.uid, role);
+      const { total, entries } = await getWalletEntries(wallet.walletId, { limit, offset });
+
+      res.json({
+        message: "Wallet transactions retrieved successfully",
+        entries: entries.map((entry) => ({
+          ...entry,
+          amount: parseFloat(entry.amount),
+          balanceAfter: parseFloat(entry.balanceAfter),
+          createdAt: entry.createdAt.toISOString(),
+        })),
+        pagination: {
+          total,
+          limit,
+          offset,
+          hasMore: offset + limit < total,
+        },
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error fetching wallet transactions", { error });
+      throw createError("Failed to retrieve wallet transactions. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/wallet/topup:
+ *   post:
+ *     summary: Top up own rider wallet
+ *     description: Charges the payment method through the configured payment provider and credits the rider wallet. With the built-in fake provider, payment method pm_fake_declined is always declined.
+ *     tags: [Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TopUpRequest'
+ *     responses:
+ *       201:
+ *         description: Wallet topped up successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Wallet topped up successfully
+ *                 transactionId:
+ *                   type: integer
+ *                   example: 12
+ *                 wallet:
+ *                   $ref: '#/components/schemas/Wallet'
+ *       400:
+ *         description: Invalid amount
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       402:
+ *         description: Payment declined
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post(
+  "/topup",
+  validate({ body: topUpRequest }),
+  asyncHandler(async (req, res) => {
+    const { amount, paymentMethodId } = req.body;
+
+    try {
+      const { transactionId, wallet } = await topUpWallet({
+        userUid: req.user.uid,
+        amount,
+        paymentMethodId: paymentMethodId || null,
+      });
+
+      logger.info("Wallet topped up", { amount, balance: wallet.balance });
+
+      res.status(201).json({
+        message: "Wallet topped up successfully",
+        transactionId,
+        wallet: formatWallet(wallet),
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error topping up wallet", { error });
+      throw createError("Failed to top up wallet. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/wallet/orders/{orderId}/charge:
+ *   post:
+ *     summary: Retry the payment of a completed order (admin)
+ *     description: Orders are charged automatically when they complete. This retries orders whose payment failed.
+ *     tags: [Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Order ID
+ *     responses:
+ *       200:
+ *         description: Order charged successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Order charged successfully
+ *                 order:
+ *                   $ref: '#/components/schemas/Order'
+ *       402:
+ *         description: Payment declined
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Order is not completed or already paid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post(
+  "/orders/:orderId/charge",
+  requireAdmin,
+  validate({ params: orderIdParams }),
+  asyncHandler(async (req, res) => {
+    const { orderId } = req.params;
+
+    logger.info("Retrying order payment", { orderId });
+
+    try {
+      const order = await OrderRepository.findById(orderId);
+
+      if (!order) {
+        throw createError("Order not found", 404);
+      }
+
+      const updatedOrder = await chargeOrder(order, { actorUid: req.user.uid });
+
+      res.json({
+        message: "Order charged successfully",
+        order: formatOrder(updatedOrder),
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error charging order", { error });
+      throw createError("Failed to charge order. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/wallet/orders/{orderId}/refund:
+ *   post:
+ *     summary: Refund a paid order to the rider wallet (admin)
+ *     description: Refunds all or part of what the rider paid. The driver payout and platform share are reversed in proportion.
+ *     tags: [Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Order ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefundRequest'
+ *     responses:
+ *       200:
+ *         description: Order refunded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Order refunded successfully
+ *                 order:
+ *                   $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Invalid refund amount
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Order not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Order is not paid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post(
+  "/orders/:orderId/refund",
+  requireAdmin,
+  validate({ params: orderIdParams, body: refundRequest }),
+  asyncHandler(async (req, res) => {
+    const { orderId } = req.params;
+    const { amount, reason } = req.body;
+
+    logger.info("Refunding order", { orderId, amount });
+
+    try {
+      const updatedOrder = await refundOrder(orderId, {
+        amount,
+        reason,
+        actorUid: req.user.uid,
+      });
+
+      res.json({
+        message: "Order refunded successfully",
+        order: formatOrder(updatedOrder),
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error refunding order", { error });
+      throw createError("Failed to refund order. Please try again.", 500);
+    }
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,773 @@
+const express = require("express");
+const { checkAuth, requireAdmin } = require("../middlewares/auth");
+const { executeQuery } = require("../config/db");
+const { asyncHandler, createError } = require("../middlewares/errorHandler");
+const { logger } = require("../config/logger");
+const { validate } = require("../middlewares/validate");
+const {
+  WEBHOOK_PING_EVENT,
+  parseEventTypes,
+  generateSecret,
+  enqueueWebhookEvent,
+  retryDelivery,
+} = require("../services/webhooks");
+const {
+  webhookEndpointRequest,
+  updateWebhookEndpointRequest,
+  deliveryListQuery,
+  endpointIdParams,
+  deliveryIdParams,
+} = require("../schemas/webhooks");
+
+const router = express.Router();
+
+// Webhook endpoints are managed by admins only
+router.use(checkAuth, requireAdmin);
+
+// Convert an endpoint row to the shape sent to clients. The secret is only
+// returned once, when the endpoint is created.
+const formatEndpoint = (endpoint, { includeSecret = false } = {}) => ({
+  endpointId: endpoint.endpointId,
+  url: endpoint.url,
+  description: endpoint.description,
+  eventTypes: parseEventTypes(endpoint.eventTypes),
+  ...(includeSecret
+    ? { secret: endpoint.secret }
+    : { secretHint: `${endpoint.secret.slice(0, 10)}…` }),
+  isActive: Boolean(endpoint.isActive),
+  createdBy: endpoint.createdBy,
+  createdAt: endpoint.createdAt.toISOString(),
+  updatedAt: endpoint.updatedAt.toISOString(),
+});
+
+// Convert a delivery row to the shape sent to clients
+const formatDelivery = (delivery) => ({
+  deliveryId: delivery.deliveryId,
+  endpointId: delivery.endpointId,
+  eventId: delivery.eventId,
+  eventType: delivery.eventType,
+  status: delivery.status,
+  attempts: delivery.attempts,
+  nextAttemptAt:
+    delivery.status === "pending" ? delivery.nextAttemptAt.toISOString() : null,
+  lastStatusCode: delivery.lastStatusCode,
+  lastError: delivery.lastError,
+  deliveredAt: delivery.deliveredAt ? delivery.deliveredAt.toISOString() : null,
+  createdAt: delivery.createdAt.toISOString(),
+});
+
+// Load an endpoint or throw 404
+const getEndpointOrThrow = async (endpointId) => {
+  const [endpoint] = await executeQuery(
+    "SELECT * FROM webhook_endpoints WHERE endpointId = ?",
+    [endpointId]
+  );
+
+  if (!endpoint) {
+    throw createError("Webhook endpoint not found", 404);
+  }
+
+  return endpoint;
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Webhooks
+ *   description: Outbound order event webhooks (admin)
+ */
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   get:
+ *     summary: List webhook endpoints (admin)
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Webhook endpoints retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Webhook endpoints retrieved successfully
+ *                 eventTypes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: [order.created, order.status_changed]
+ *                 endpoints:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookEndpoint'
+ *       403:
+ *         description: Admin privileges required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/",
+  asyncHandler(async (req, res) => {
+    try {
+      const endpoints = await executeQuery(
+        "SELECT * FROM webhook_endpoints ORDER BY createdAt DESC, endpointId DESC"
+      );
+
+      res.json({
+        message: "Webhook endpoints retrieved successfully",
+        eventTypes: WEBHOOK_EVENT_TYPES,
+        endpoints: endpoints.map((endpoint) => formatEndpoint(endpoint)),
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error fetching webhook endpoints", { error });
+      throw createError("Failed to retrieve webhook endpoints. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   post:
+ *     summary: Register a webhook endpoint (admin)
+ *     description: |
+ *       Registers a URL to receive the chosen order events. The response contains the signing secret; it is not shown again.
+ *
+ *       Every delivery is a JSON POST with the headers `X-XRide-Event`, `X-XRide-Delivery` and
+ *       `X-XRide-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>" keyed with the secret>`.
+ *       Any 2xx answer counts as delivered; anything else is retried with exponential backoff.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookEndpointRequest'
+ *     responses:
+ *       201:
+ *         description: Webhook endpoint created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Webhook endpoint created successfully
+ *                 endpoint:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/WebhookEndpoint'
+ *                     - type: object
+ *                       properties:
+ *                         secret:
+ *                           type: string
+ *                           example: whsec_3f0c9a...
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Admin privileges required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post(
+  "/",
+  validate({ body: webhookEndpointRequest }),
+  asyncHandler(async (req, res) => {
+    const { url, description, eventTypes, isActive } = req.body;
+
+    try {
+      const result = await executeQuery(
+        `INSERT INTO webhook_endpoints (url, description, eventTypes, secret, isActive, createdBy)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          url,
+          description,
+          JSON.stringify([...new Set(eventTypes)]),
+          generateSecret(),
+          isActive,
+          req.user.uid,
+        ]
+      );
+
+      const endpoint = await getEndpointOrThrow(result.insertId);
+
+      logger.info("Webhook endpoint registered", { endpointId: result.insertId });
+
+      res.status(201).json({
+        message: "Webhook endpoint created successfully",
+        endpoint: formatEndpoint(endpoint, { includeSecret: true }),
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error creating webhook endpoint", { error });
+      throw createError("Failed to create webhook endpoint. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/webhooks/{endpointId}:
+ *   patch:
+ *     summary: Update a webhook endpoint (admin)
+ *     description: Updates any of the endpoint's fields. Set isActive to false to stop sending events to it; queued deliveries then fail on their next attempt.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: endpointId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Endpoint ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateWebhookEndpointRequest'
+ *     responses:
+ *       200:
+ *         description: Webhook endpoint updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Webhook endpoint updated successfully
+ *                 endpoint:
+ *                   $ref: '#/components/schemas/WebhookEndpoint'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Admin privileges required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Webhook endpoint not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.patch(
+  "/:endpointId",
+  validate({ params: endpointIdParams, body: updateWebhookEndpointRequest }),
+  asyncHandler(async (req, res) => {
+    const { endpointId } = req.params;
+
+    const { url, description, eventTypes, isActive } = req.body;
+
+    const updates = [];
+    const params = [];
+
+    if (url !== undefined) {
+      updates.push("url = ?");
+      params.push(url);
+    }
+
+    if (description !== undefined) {
+      updates.push("description = ?");
+      params.push(description);
+    }
+
+    if (eventTypes !== undefined) {
+      updates.push("eventTypes = ?");
+      params.push(JSON.stringify([...new Set(eventTypes)]));
+    }
+
+    if (isActive !== undefined) {
+      updates.push("isActive = ?");
+      params.push(isActive);
+    }
+
+    try {
+      const result = await executeQuery(
+        `UPDATE webhook_endpoints SET ${updates.join(", ")} WHERE endpointId = ?`,
+        [...params, endpointId]
+      );
+
+      if (result.affectedRows === 0) {
+        throw createError("Webhook endpoint not found", 404);
+      }
+
+      const endpoint = await getEndpointOrThrow(endpointId);
+
+      logger.info("Webhook endpoint updated", { endpointId });
+
+      res.json({
+        message: "Webhook endpoint updated successfully",
+        endpoint: formatEndpoint(endpoint),
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error updating webhook endpoint", { error });
+      throw createError("Failed to update webhook endpoint. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/webhooks/{endpointId}:
+ *   delete:
+ *     summary: Delete a webhook endpoint (admin)
+ *     description: Deletes the endpoint together with its delivery history.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: endpointId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Endpoint ID
+ *     responses:
+ *       200:
+ *         description: Webhook endpoint deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Webhook endpoint deleted successfully
+ *       403:
+ *         description: Admin privileges required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Webhook endpoint not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete(
+  "/:endpointId",
+  validate({ params: endpointIdParams }),
+  asyncHandler(async (req, res) => {
+    const { endpointId } = req.params;
+
+    try {
+      const result = await executeQuery(
+        "DELETE FROM webhook_endpoints WHERE endpointId = ?",
+        [endpointId]
+      );
+
+      if (result.affectedRows === 0) {
+        throw createError("Webhook endpoint not found", 404);
+      }
+
+      logger.info("Webhook endpoint deleted", { endpointId });
+
+      res.json({ message: "Webhook endpoint deleted successfully" });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error deleting webhook endpoint", { error });
+      throw createError("Failed to delete webhook endpoint. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/webhooks/{endpointId}/ping:
+ *   post:
+ *     summary: Send a test event to a webhook endpoint (admin)
+ *     description: Queues a webhook.ping event for the endpoint, whatever event types it subscribes to. Follow the returned delivery to see the outcome.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: endpointId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Endpoint ID
+ *     responses:
+ *       202:
+ *         description: Ping queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Ping queued
+ *                 deliveryId:
+ *                   type: integer
+ *                   example: 120
+ *       403:
+ *         description: Admin privileges required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Webhook endpoint not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post(
+  "/:endpointId/ping",
+  validate({ params: endpointIdParams }),
+  asyncHandler(async (req, res) => {
+    const { endpointId } = req.params;
+
+    logger.info("Pinging webhook endpoint", { endpointId });
+
+    try {
+      const endpoint = await getEndpointOrThrow(endpointId);
+      const [deliveryId] = await enqueueWebhookEvent(
+        executeQuery,
+        WEBHOOK_PING_EVENT,
+        { endpointId: endpoint.endpointId },
+        { endpointId: endpoint.endpointId }
+      );
+
+      res.status(202).json({ message: "Ping queued", deliveryId });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error pinging webhook endpoint", { error });
+      throw createError("Failed to ping webhook endpoint. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/webhooks/{endpointId}/deliveries:
+ *   get:
+ *     summary: List deliveries to a webhook endpoint (admin)
+ *     description: Newest first.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: endpointId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Endpoint ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *         description: Filter by delivery status
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: Number of deliveries to return
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Number of deliveries to skip
+ *     responses:
+ *       200:
+ *         description: Deliveries retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Deliveries retrieved successfully
+ *                 deliveries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     offset:
+ *                       type: integer
+ *                     hasMore:
+ *                       type: boolean
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Admin privileges required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Webhook endpoint not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/:endpointId/deliveries",
+  validate({ params: endpointIdParams, query: deliveryListQuery }),
+  asyncHandler(async (req, res) => {
+    const { endpointId } = req.params;
+    const { status, limit, offset } = req.query;
+
+    try {
+      const endpoint = await getEndpointOrThrow(endpointId);
+
+      const conditions = ["endpointId = ?"];
+      const params = [endpoint.endpointId];
+
+      if (status) {
+        conditions.push("status = ?");
+        params.push(status);
+      }
+
+      const whereClause = conditions.join(" AND ");
+
+      const deliveries = await executeQuery(
+        `SELECT * FROM webhook_deliveries
+         WHERE ${whereClause}
+         ORDER BY createdAt DESC, deliveryId DESC
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+
+      const [{ total }] = await executeQuery(
+        `SELECT COUNT(*) AS total FROM webhook_deliveries WHERE ${whereClause}`,
+        params
+      );
+
+      res.json({
+        message: "Deliveries retrieved successfully",
+        deliveries: deliveries.map(formatDelivery),
+        pagination: {
+          total,
+          limit,
+          offset,
+          hasMore: offset + limit < total,
+        },
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error fetching webhook deliveries", { error });
+      throw createError("Failed to retrieve deliveries. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/webhooks/deliveries/{deliveryId}:
+ *   get:
+ *     summary: Get a webhook delivery with its attempts (admin)
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Delivery ID
+ *     responses:
+ *       200:
+ *         description: Delivery retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Delivery retrieved successfully
+ *                 delivery:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/WebhookDelivery'
+ *                     - type: object
+ *                       properties:
+ *                         payload:
+ *                           type: object
+ *                           description: The event exactly as sent
+ *                         attemptLog:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/WebhookDeliveryAttempt'
+ *       403:
+ *         description: Admin privileges required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Delivery not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get(
+  "/deliveries/:deliveryId",
+  validate({ params: deliveryIdParams }),
+  asyncHandler(async (req, res) => {
+    const { deliveryId } = req.params;
+
+    try {
+      const [delivery] = await executeQuery(
+        "SELECT * FROM webhook_deliveries WHERE deliveryId = ?",
+        [deliveryId]
+      );
+
+      if (!delivery) {
+        throw createError("Delivery not found", 404);
+      }
+
+      const attempts = await executeQuery(
+        `SELECT attemptNumber, statusCode, error, durationMs, createdAt
+         FROM webhook_delivery_attempts
+         WHERE deliveryId = ?
+         ORDER BY attemptNumber ASC, attemptId ASC`,
+        [delivery.deliveryId]
+      );
+
+      res.json({
+        message: "Delivery retrieved successfully",
+        delivery: {
+          ...formatDelivery(delivery),
+          payload: JSON.parse(delivery.payload),
+          attemptLog: attempts.map((attempt) => ({
+            ...attempt,
+            createdAt: attempt.createdAt.toISOString(),
+          })),
+        },
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error fetching webhook delivery", { error });
+      throw createError("Failed to retrieve delivery. Please try again.", 500);
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /api/webhooks/deliveries/{deliveryId}/retry:
+ *   post:
+ *     summary: Retry a webhook delivery now (admin)
+ *     description: Queues a failed or pending delivery for an immediate attempt. Succeeded deliveries cannot be retried.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Delivery ID
+ *     responses:
+ *       202:
+ *         description: Delivery queued for retry
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Delivery queued for retry
+ *       403:
+ *         description: Admin privileges required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Delivery not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Delivery already succeeded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post(
+  "/deliveries/:deliveryId/retry",
+  validate({ params: deliveryIdParams }),
+  asyncHandler(async (req, res) => {
+    const { deliveryId } = req.params;
+
+    logger.info("Retrying webhook delivery", { deliveryId });
+
+    try {
+      const [delivery] = await executeQuery(
+        "SELECT deliveryId, status FROM webhook_deliveries WHERE deliveryId = ?",
+        [deliveryId]
+      );
+
+      if (!delivery) {
+        throw createError("Delivery not found", 404);
+      }
+
+      if (!(await retryDelivery(delivery.deliveryId))) {
+        throw createError("Delivery already succeeded", 409);
+      }
+
+      res.status(202).json({ message: "Delivery queued for retry" });
+    } catch (error) {
+      if (error.status) throw error;
+      logger.error("Error retrying webhook delivery", { error });
+      throw createError("Failed to retry delivery. Please try again.", 500);
+    }
+  })
+);
+
+module.exports = router;
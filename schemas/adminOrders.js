@@ -0,0 +1,48 @@
+const Joi = require("joi");
+const { ORDER_STATUSES } = require("../services/orderStatus");
+
+// Overrides must say why they were made
+const reason = () =>
+  Joi.string()
+    .trim()
+    .min(1)
+    .max(500)
+    .required()
+    .messages({
+      "any.required": "A reason of at most 500 characters is required",
+      "string.empty": "A reason of at most 500 characters is required",
+      "string.max": "A reason of at most 500 characters is required",
+    });
+
+// Orders only enter "scheduled" when they are created
+const FORCEABLE_STATUSES = ORDER_STATUSES.filter((status) => status !== "scheduled");
+
+const forceOrderStatusRequest = Joi.object({
+  status: Joi.string()
+    .valid(...FORCEABLE_STATUSES)
+    .required()
+    .description("Status to move the order to")
+    .example("completed"),
+  reason: reason()
+    .description("Why the status is forced (status history and audit log)")
+    .example("Driver confirmed drop-off by phone, app crashed"),
+}).meta({ className: "ForceOrderStatusRequest" });
+
+const reassignOrderRequest = Joi.object({
+  driverUid: Joi.string()
+    .trim()
+    .min(1)
+    .max(255)
+    .allow(null)
+    .required()
+    .description("Driver to hand the order to, or null to return a confirmed order to dispatch")
+    .example("driver-uid-456"),
+  reason: reason()
+    .description("Why the order is reassigned (audit log)")
+    .example("Original driver's vehicle broke down"),
+}).meta({ className: "ReassignOrderRequest" });
+
+module.exports = {
+  forceOrderStatusRequest,
+  reassignOrderRequest,
+};
@@ -0,0 +1,107 @@
+const Joi = require("joi");
+const { isValidPolygon } = require("../utils/geo");
+const { ORDER_TYPE_MULTIPLIERS } = require("../services/pricing");
+
+const ORDER_TYPES = Object.keys(ORDER_TYPE_MULTIPLIERS);
+
+const POLYGON_MESSAGE =
+  "Polygon must be an array of at least 3 [lat, lng] points within valid ranges";
+
+const id = () => Joi.number().integer().positive();
+
+const name = () => Joi.string().trim().min(1).max(255);
+
+// Vertices are [lat, lng] pairs; the ring may be left open
+const polygon = () =>
+  Joi.array()
+    .items(Joi.array().items(Joi.number()).length(2))
+    .min(3)
+    .custom((value, helpers) => (isValidPolygon(value) ? value : helpers.error("polygon.invalid")))
+    .messages({
+      "array.base": POLYGON_MESSAGE,
+      "array.min": POLYGON_MESSAGE,
+      "array.length": POLYGON_MESSAGE,
+      "number.base": POLYGON_MESSAGE,
+      "polygon.invalid": POLYGON_MESSAGE,
+    })
+    .description("At least 3 [lat, lng] vertices");
+
+// Updates accept any of the create fields, but at least one
+const partial = (schema) =>
+  schema.min(1).messages({ "object.min": "No fields to update" });
+
+const pricingZoneFields = {
+  name: name().example("Midtown"),
+  polygon: polygon().example([
+    [40.76, -73.99],
+    [40.76, -73.97],
+    [40.74, -73.97],
+    [40.74, -73.99],
+  ]),
+  maxSurgeMultiplier: Joi.number().min(1).max(10).example(2.5),
+  isActive: Joi.boolean().example(true),
+};
+
+const pricingZoneRequest = Joi.object(pricingZoneFields)
+  .fork(["name", "polygon"], (schema) => schema.required())
+  .fork(["maxSurgeMultiplier"], (schema) => schema.default(3))
+  .fork(["isActive"], (schema) => schema.default(true))
+  .meta({ className: "PricingZoneRequest" });
+
+const updatePricingZoneRequest = partial(Joi.object(pricingZoneFields)).meta({
+  className: "UpdatePricingZoneRequest",
+});
+
+const serviceAreaFields = {
+  name: name().example("Manhattan"),
+  polygon: polygon().example([
+    [40.7, -74.02],
+    [40.88, -73.93],
+    [40.8, -73.91],
+    [40.7, -73.97],
+  ]),
+  orderTypes: Joi.array()
+    .items(Joi.string().valid(...ORDER_TYPES))
+    .min(1)
+    .description("Order types accepted in the area (defaults to all)")
+    .example(["delivery", "express"]),
+  isActive: Joi.boolean().example(true),
+};
+
+const serviceAreaRequest = Joi.object(serviceAreaFields)
+  .fork(["name", "polygon"], (schema) => schema.required())
+  .fork(["isActive"], (schema) => schema.default(true))
+  .meta({ className: "ServiceAreaRequest" });
+
+const updateServiceAreaRequest = partial(Joi.object(serviceAreaFields)).meta({
+  className: "UpdateServiceAreaRequest",
+});
+
+// Query string of the point lookups (surge, serviceability)
+const pointQuery = Joi.object({
+  lat: Joi.number().min(-90).max(90).required(),
+  lng: Joi.number().min(-180).max(180).required(),
+});
+
+const serviceabilityQuery = pointQuery.keys({
+  orderType: Joi.string().valid(...ORDER_TYPES),
+});
+
+const zoneIdParams = Joi.object({
+  zoneId: id().required(),
+});
+
+const areaIdParams = Joi.object({
+  areaId: id().required(),
+});
+
+module.exports = {
+  pricingZoneRequest,
+  updatePricingZoneRequest,
+  serviceAreaRequest,
+  updateServiceAreaRequest,
+  pointQuery,
+  serviceabilityQuery,
+  zoneIdParams,
+  areaIdParams,
+};
@@ -0,0 +1,128 @@
+const Joi = require("joi");
+
+const DRIVER_STATUSES = ["registered", "pending_review", "approved", "rejected"];
+const VEHICLE_TYPES = ["car", "motorbike", "bicycle", "van"];
+
+const DRIVER_PHONE_PATTERN = /^\+?[0-9 ()-]{6,20}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const documentField = () => Joi.string().trim().min(1).max(100).required();
+
+const registerDriverRequest = Joi.object({
+  fullName: Joi.string()
+    .trim()
+    .min(1)
+    .max(255)
+    .required()
+    .description("Driver full name")
+    .example("Jane Doe"),
+  phone: Joi.string()
+    .trim()
+    .pattern(DRIVER_PHONE_PATTERN)
+    .required()
+    .messages({ "string.pattern.base": "{{#label}} is not a valid phone number" })
+    .description("Driver phone number")
+    .example("+1 212 555 0100"),
+}).meta({ className: "RegisterDriverRequest" });
+
+const driverDocumentsRequest = Joi.object({
+  licenseNumber: documentField().description("Driving license number").example("D1234567"),
+  licenseExpiry: Joi.string()
+    .pattern(DATE_PATTERN)
+    .required()
+    .custom((value, helpers) => {
+      const expiry = new Date(value);
+      if (isNaN(expiry.getTime())) return helpers.error("string.pattern.base");
+      if (expiry <= new Date()) return helpers.error("date.expired");
+      return value;
+    })
+    .messages({
+      "string.pattern.base": "{{#label}} must be a date in YYYY-MM-DD format",
+      "date.expired": "License has expired",
+    })
+    .description("Driving license expiry date (YYYY-MM-DD)")
+    .example("2027-06-30"),
+  vehicleType: Joi.string()
+    .lowercase()
+    .valid(...VEHICLE_TYPES)
+    .required()
+    .description("Vehicle type")
+    .example("car"),
+  vehicleMake: documentField().description("Vehicle make").example("Toyota"),
+  vehicleModel: documentField().description("Vehicle model").example("Corolla"),
+  vehiclePlate: documentField()
+    .uppercase()
+    .description("Vehicle license plate (stored upper-case)")
+    .example("ABC1234"),
+  vehicleColor: documentField().description("Vehicle color").example("Blue"),
+}).meta({ className: "DriverDocumentsRequest" });
+
+const driverAvailabilityRequest = Joi.object({
+  isAvailable: Joi.boolean()
+    .required()
+    .description("Whether the driver can receive offers")
+    .example(true),
+  latitude: Joi.number()
+    .min(-90)
+    .max(90)
+    .when("isAvailable", { is: true, then: Joi.required() })
+    .description("Current latitude (required when going online)")
+    .example(40.7128),
+  longitude: Joi.number()
+    .min(-180)
+    .max(180)
+    .when("isAvailable", { is: true, then: Joi.required() })
+    .description("Current longitude (required when going online)")
+    .example(-74.006),
+})
+  .and("latitude", "longitude")
+  .messages({ "object.and": "latitude and longitude must be sent together" })
+  .meta({ className: "DriverAvailabilityRequest" });
+
+const reviewDriverRequest = Joi.object({
+  decision: Joi.string()
+    .valid("approve", "reject")
+    .required()
+    .description("Review decision")
+    .example("approve"),
+  reason: Joi.string()
+    .trim()
+    .max(500)
+    .when("decision", {
+      is: "reject",
+      then: Joi.string().min(1).required(),
+      otherwise: Joi.allow(null, ""),
+    })
+    .messages({
+      "any.required": "A reason is required when rejecting a driver",
+      "string.empty": "A reason is required when rejecting a driver",
+    })
+    .description("Required when rejecting")
+    .example("License photo is unreadable"),
+}).meta({ className: "ReviewDriverRequest" });
+
+// Query string of GET /api/drivers
+const driverListQuery = Joi.object({
+  status: Joi.string().valid(...DRIVER_STATUSES),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0),
+});
+
+const offerParams = Joi.object({
+  offerId: Joi.number().integer().positive().required(),
+  action: Joi.string().valid("accept", "decline").required(),
+});
+
+const driverUidParams = Joi.object({
+  driverUid: Joi.string().max(255).required(),
+});
+
+module.exports = {
+  registerDriverRequest,
+  driverDocumentsRequest,
+  driverAvailabilityRequest,
+  reviewDriverRequest,
+  driverListQuery,
+  offerParams,
+  driverUidParams,
+};
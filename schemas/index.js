@@ -0,0 +1,12 @@
+// Request schemas shared by the validation middleware and the Swagger
+// components in server.js
+module.exports = {
+  ...require("./orders"),
+  ...require("./adminOrders"),
+  ...require("./drivers"),
+  ...require("./areas"),
+  ...require("./promotions"),
+  ...require("./wallet"),
+  ...require("./places"),
+  ...require("./webhooks"),
+};
@@ -0,0 +1,336 @@
+const Joi = require("joi");
+const { ORDER_STATUSES } = require("../services/orderStatus");
+const { ORDER_TYPE_MULTIPLIERS } = require("../services/pricing");
+const { MAX_ORDER_STOPS, STOP_STATUSES } = require("../services/stops");
+const { CANCELLATION_REASONS } = require("../services/cancellation");
+const { RATING_TAGS, MAX_RATING_TAGS } = require("../services/ratings");
+const {
+  PARCEL_SIZE_CLASSES,
+  MAX_PARCEL_WEIGHT_KG,
+  PHONE_PATTERN,
+} = require("../services/parcels");
+const { RECEIPT_FORMATS } = require("../services/receipts");
+const { EXPORT_FORMATS } = require("../services/orderExport");
+
+const ORDER_TYPES = Object.keys(ORDER_TYPE_MULTIPLIERS);
+const ALL_RATING_TAGS = [
+  ...new Set(Object.values(RATING_TAGS).flatMap((tags) => Object.keys(tags))),
+];
+
+const latitude = () => Joi.number().min(-90).max(90);
+const longitude = () => Joi.number().min(-180).max(180);
+const address = () => Joi.string().trim().min(1).max(500);
+const phone = () =>
+  Joi.string().pattern(PHONE_PATTERN).messages({
+    "string.pattern.base": "{{#label}} is not a valid phone number",
+  });
+const id = () => Joi.number().integer().positive();
+
+// Devices may buffer location pings while offline, but never send them
+// from the future beyond this much clock drift
+const MAX_CLOCK_DRIFT_MS = 60 * 1000;
+
+// Order types are accepted in any case and stored lower-case
+const orderType = () =>
+  Joi.string()
+    .lowercase()
+    .valid(...ORDER_TYPES)
+    .description("Type of order");
+
+// One end of a trip is either a saved place or raw address/coordinates.
+// `withAddress` is false for estimates, which only need coordinates.
+const tripEnd = (end, { withAddress }) => {
+  const placeField = `${end}PlaceId`;
+  const suffix = end === "pickup" ? "Pickup" : "Dropoff";
+  const rawField = (schema) =>
+    schema
+      .when(placeField, {
+        is: Joi.exist(),
+        then: Joi.forbidden(),
+        otherwise: Joi.required(),
+      })
+      .messages({ "any.unknown": `{{#label}} cannot be sent together with ${placeField}` });
+
+  return {
+    [placeField]: id()
+      .description(
+        `Saved place to ${end === "pickup" ? "pick up from" : "drop off at"}, instead of ${
+          withAddress ? `${end}Address/` : ""
+        }lat${suffix}/lng${suffix}`
+      )
+      .example(end === "pickup" ? 3 : 7),
+    ...(withAddress && {
+      [`${end}Address`]: rawField(address())
+        .description(`${end === "pickup" ? "Pickup" : "Dropoff"} address`)
+        .example(end === "pickup" ? "123 Main St, New York, NY 10001" : "456 Oak Ave, Brooklyn, NY 11201"),
+    }),
+    [`lat${suffix}`]: rawField(latitude())
+      .description(`${end === "pickup" ? "Pickup" : "Dropoff"} latitude`)
+      .example(end === "pickup" ? 40.7128 : 40.6782),
+    [`lng${suffix}`]: rawField(longitude())
+      .description(`${end === "pickup" ? "Pickup" : "Dropoff"} longitude`)
+      .example(end === "pickup" ? -74.006 : -73.9442),
+  };
+};
+
+const orderStopRequest = Joi.object({
+  address: address().required().example("789 Pine St, New York, NY 10005"),
+  latitude: latitude().required().example(40.7061),
+  longitude: longitude().required().example(-74.0087),
+  contactName: Joi.string().max(255).allow(null).example("Jane Doe"),
+  contactPhone: phone().allow(null).example("+1 212 555 0100"),
+  notes: Joi.string().max(500).allow(null).example("Leave with the doorman"),
+}).meta({ className: "OrderStopRequest" });
+
+const stops = () =>
+  Joi.array().items(orderStopRequest).max(MAX_ORDER_STOPS).allow(null);
+
+const parcelRequest = Joi.object({
+  sizeClass: Joi.string()
+    .valid(...PARCEL_SIZE_CLASSES)
+    .required()
+    .example("medium"),
+  weightKg: Joi.number().greater(0).max(MAX_PARCEL_WEIGHT_KG).allow(null).example(2.5),
+  isFragile: Joi.boolean().default(false).example(true),
+  recipientName: Joi.string().trim().min(1).max(255).required().example("Jane Doe"),
+  recipientPhone: phone().required().example("+1 212 555 0100"),
+})
+  .description("Required for delivery orders, rejected for other types")
+  .meta({ className: "ParcelRequest" });
+
+const createOrderRequest = Joi.object({
+  ...tripEnd("pickup", { withAddress: true }),
+  ...tripEnd("dropoff", { withAddress: true }),
+  amount: Joi.number()
+    .min(0)
+    .allow(null)
+    .description("Optional. If sent, must equal the quoted amount")
+    .example(29.99),
+  orderType: orderType().required().example("delivery"),
+  quoteToken: Joi.string()
+    .required()
+    .description("Quote token returned by POST /api/orders/estimate for the same trip")
+    .example("eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."),
+  scheduledFor: Joi.string()
+    .isoDate()
+    .when("orderType", {
+      is: "scheduled",
+      then: Joi.required(),
+      otherwise: Joi.valid(null).messages({
+        "any.only": "scheduledFor is only allowed for scheduled orders",
+      }),
+    })
+    .description("Pickup time, required for orderType scheduled and rejected for other types")
+    .example("2023-12-02T08:00:00.000Z"),
+  acceptedSurgeMultiplier: Joi.number()
+    .min(1)
+    .description("Required when the quote carries surge: must equal the quoted surgeMultiplier")
+    .example(1.5),
+  promoCode: Joi.string()
+    .max(32)
+    .allow(null, "")
+    .description("Optional promo code to redeem on this order")
+    .example("WELCOME10"),
+  stops: stops().description(
+    "Intermediate stops between pickup and dropoff, in visiting order. Must match the quote."
+  ),
+  parcel: Joi.when("orderType", {
+    is: "delivery",
+    then: parcelRequest.required(),
+    otherwise: Joi.valid(null).messages({
+      "any.only": "Parcel details are only allowed for delivery orders",
+    }),
+  }),
+})
+  .description("Each end of the trip is given either as address and coordinates or as a saved place ID")
+  .meta({ className: "CreateOrderRequest" });
+
+const estimateRequest = Joi.object({
+  ...tripEnd("pickup", { withAddress: false }),
+  ...tripEnd("dropoff", { withAddress: false }),
+  orderType: orderType().required().example("express"),
+  stops: stops().description(
+    "Intermediate stops, in visiting order. The fare covers every leg."
+  ),
+})
+  .description("Each end of the trip is given either as coordinates or as a saved place ID")
+  .meta({ className: "EstimateRequest" });
+
+const updateOrderStatusRequest = Joi.object({
+  status: Joi.string()
+    .valid(...ORDER_STATUSES)
+    .required()
+    .description("Target order status")
+    .example("confirmed"),
+  reason: Joi.string()
+    .max(500)
+    .allow(null, "")
+    .description("Optional reason for the change")
+    .example("Driver arrived early"),
+}).meta({ className: "UpdateOrderStatusRequest" });
+
+const cancelOrderRequest = Joi.object({
+  reason: Joi.string()
+    .valid(...Object.keys(CANCELLATION_REASONS))
+    .required()
+    .description("Cancellation reason code")
+    .example("changed_plans"),
+  note: Joi.string()
+    .max(500)
+    .allow(null, "")
+    .description("Optional free-text note")
+    .example("Meeting was moved"),
+}).meta({ className: "CancelOrderRequest" });
+
+const locationPingRequest = Joi.object({
+  latitude: latitude().required().description("Driver latitude").example(40.715),
+  longitude: longitude().required().description("Driver longitude").example(-74.002),
+  heading: Joi.number()
+    .min(0)
+    .less(360)
+    .allow(null)
+    .description("Heading in degrees (0-360)")
+    .example(182.5),
+  speedKmh: Joi.number().min(0).max(400).allow(null).description("Speed in km/h").example(32.4),
+  accuracyMeters: Joi.number()
+    .min(0)
+    .allow(null)
+    .description("GPS accuracy radius in meters")
+    .example(8),
+  recordedAt: Joi.string()
+    .isoDate()
+    .allow(null)
+    .custom((value, helpers) =>
+      value && new Date(value).getTime() > Date.now() + MAX_CLOCK_DRIFT_MS
+        ? helpers.error("date.future")
+        : value
+    )
+    .messages({ "date.future": "{{#label}} must not be in the future" })
+    .description("When the device took the reading (defaults to now)")
+    .example("2023-12-01T10:40:12.345Z"),
+}).meta({ className: "LocationPingRequest" });
+
+// Which tags apply depends on the rated role, which services/ratings.js
+// checks once the order is loaded
+const rateOrderRequest = Joi.object({
+  stars: Joi.number().integer().min(1).max(5).required().example(5),
+  comment: Joi.string().max(500).allow(null, "").example("Smooth ride"),
+  tags: Joi.array()
+    .items(Joi.string().valid(...ALL_RATING_TAGS))
+    .max(MAX_RATING_TAGS)
+    .unique()
+    .allow(null)
+    .description(`Up to ${MAX_RATING_TAGS} codes from GET /api/orders/rating-tags for the rated role`)
+    .example(["friendly", "clean_vehicle"]),
+}).meta({ className: "RateOrderRequest" });
+
+const rescheduleOrderRequest = Joi.object({
+  scheduledFor: Joi.string()
+    .isoDate()
+    .required()
+    .description("New pickup time")
+    .example("2023-12-02T08:00:00.000Z"),
+}).meta({ className: "RescheduleOrderRequest" });
+
+// Statuses a driver may move a stop to; stops start out pending
+const updateOrderStopRequest = Joi.object({
+  status: Joi.string()
+    .valid(...STOP_STATUSES.filter((status) => status !== "pending"))
+    .required()
+    .example("arrived"),
+}).meta({ className: "UpdateOrderStopRequest" });
+
+// Fields sent with proof of delivery, as JSON or next to the images in
+// multipart form data
+const deliveryProofRequest = Joi.object({
+  pin: Joi.string()
+    .trim()
+    .max(20)
+    .allow(null, "")
+    .description("PIN the recipient was given")
+    .example("0427"),
+  receivedBy: Joi.string()
+    .trim()
+    .max(255)
+    .allow(null, "")
+    .description("Name of whoever took the parcel")
+    .example("Jane Doe"),
+}).meta({ className: "DeliveryProofRequest" });
+
+// Query string of GET /api/orders/:orderId/receipt. The timezone is
+// checked against the IANA names Intl knows when the receipt is built.
+const receiptQuery = Joi.object({
+  format: Joi.string()
+    .valid(...RECEIPT_FORMATS)
+    .default("html"),
+  timezone: Joi.string().max(100),
+});
+
+// Query string of GET /api/orders/export
+const orderExportQuery = Joi.object({
+  format: Joi.string()
+    .valid(...Object.keys(EXPORT_FORMATS))
+    .default("csv"),
+  from: Joi.date().iso(),
+  to: Joi.date()
+    .iso()
+    .when("from", { is: Joi.exist(), then: Joi.date().greater(Joi.ref("from")) })
+    .messages({ "date.greater": "{{#label}} must be after from" }),
+});
+
+// Status filter given as "a,b" (or as a repeated parameter of such lists)
+const statusList = () =>
+  Joi.string()
+    .pattern(new RegExp(`^(${ORDER_STATUSES.join("|")})(,(${ORDER_STATUSES.join("|")}))*$`))
+    .messages({
+      "string.pattern.base": `{{#label}} must be one or more of: ${ORDER_STATUSES.join(", ")}, comma-separated`,
+    });
+
+// Query string of GET /api/orders
+const orderListQuery = Joi.object({
+  status: Joi.alternatives().try(statusList(), Joi.array().items(statusList())),
+  orderType: Joi.string().max(100),
+  from: Joi.string().isoDate(),
+  to: Joi.string().isoDate(),
+  minAmount: Joi.number().min(0),
+  maxAmount: Joi.number().min(0),
+  search: Joi.string().max(200),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0),
+  cursor: Joi.string().max(200),
+})
+  .oxor("offset", "cursor")
+  .messages({ "object.oxor": "Use either cursor or offset, not both" });
+
+// Path parameters of the /:orderId routes
+const orderIdParams = Joi.object({
+  orderId: id().required(),
+});
+
+const orderStopParams = orderIdParams.keys({
+  stopId: id().required(),
+});
+
+const proofFileParams = orderIdParams.keys({
+  file: Joi.string().valid("photo", "signature").required(),
+});
+
+module.exports = {
+  orderStopRequest,
+  parcelRequest,
+  createOrderRequest,
+  estimateRequest,
+  updateOrderStatusRequest,
+  cancelOrderRequest,
+  locationPingRequest,
+  rateOrderRequest,
+  rescheduleOrderRequest,
+  updateOrderStopRequest,
+  deliveryProofRequest,
+  receiptQuery,
+  orderExportQuery,
+  orderListQuery,
+  orderIdParams,
+  orderStopParams,
+  proofFileParams,
+};
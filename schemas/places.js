@@ -0,0 +1,33 @@
+const Joi = require("joi");
+
+const savedPlaceFields = {
+  label: Joi.string()
+    .trim()
+    .min(1)
+    .max(100)
+    .description("Name of the place, unique per user")
+    .example("Home"),
+  address: Joi.string().trim().min(1).max(500).example("123 Main St, New York, NY 10001"),
+  latitude: Joi.number().min(-90).max(90).example(40.7128),
+  longitude: Joi.number().min(-180).max(180).example(-74.006),
+};
+
+const savedPlaceRequest = Joi.object(savedPlaceFields)
+  .fork(Object.keys(savedPlaceFields), (schema) => schema.required())
+  .meta({ className: "SavedPlaceRequest" });
+
+// Updates accept any of the fields, but at least one
+const updateSavedPlaceRequest = Joi.object(savedPlaceFields)
+  .min(1)
+  .messages({ "object.min": "No fields to update" })
+  .meta({ className: "UpdateSavedPlaceRequest" });
+
+const placeIdParams = Joi.object({
+  placeId: Joi.number().integer().positive().required(),
+});
+
+module.exports = {
+  savedPlaceRequest,
+  updateSavedPlaceRequest,
+  placeIdParams,
+};
@@ -0,0 +1,94 @@
+const Joi = require("joi");
+const { ORDER_TYPE_MULTIPLIERS } = require("../services/pricing");
+const { PROMO_CODE_PATTERN } = require("../services/promotions");
+
+const ORDER_TYPES = Object.keys(ORDER_TYPE_MULTIPLIERS);
+
+const description = () => Joi.string().max(500).allow(null, "");
+
+// Redemptions allowed, null for unlimited
+const usageLimit = () => Joi.number().integer().min(1).allow(null);
+
+const createPromotionRequest = Joi.object({
+  code: Joi.string()
+    .trim()
+    .uppercase()
+    .pattern(PROMO_CODE_PATTERN)
+    .required()
+    .messages({
+      "string.pattern.base": "Code must be 3-32 characters of letters, digits, '-' or '_'",
+    })
+    .description("3-32 letters, digits, - or _ (stored upper-case)")
+    .example("WELCOME10"),
+  description: description().example("10% off your first ride"),
+  discountType: Joi.string().valid("percentage", "fixed").required().example("percentage"),
+  discountValue: Joi.number()
+    .positive()
+    .required()
+    .when("discountType", { is: "percentage", then: Joi.number().max(100) })
+    .messages({ "number.max": "Percentage discounts cannot exceed 100" })
+    .description("Percent (1-100) or fixed amount off")
+    .example(10),
+  maxDiscountAmount: Joi.number()
+    .positive()
+    .allow(null)
+    .default(null)
+    .description("Cap on the discount of percentage codes")
+    .example(5),
+  minOrderAmount: Joi.number().positive().allow(null).default(null).example(15),
+  orderTypes: Joi.array()
+    .items(Joi.string().valid(...ORDER_TYPES))
+    .min(1)
+    .allow(null)
+    .default(null)
+    .description("Order types the code applies to (null for all)")
+    .example(["delivery", "express"]),
+  startsAt: Joi.date()
+    .iso()
+    .less(Joi.ref("expiresAt"))
+    .allow(null)
+    .default(null)
+    .messages({ "date.less": "startsAt must be before expiresAt" })
+    .example("2023-12-01T00:00:00.000Z"),
+  expiresAt: Joi.date()
+    .iso()
+    .greater("now")
+    .required()
+    .messages({ "date.greater": "expiresAt must be in the future" })
+    .example("2024-01-31T23:59:59.000Z"),
+  totalUsageLimit: usageLimit()
+    .default(null)
+    .description("Total redemptions allowed (null for unlimited)")
+    .example(1000),
+  perUserLimit: usageLimit()
+    .default(1)
+    .description("Redemptions allowed per user (null for unlimited)")
+    .example(1),
+}).meta({ className: "CreatePromotionRequest" });
+
+const updatePromotionRequest = Joi.object({
+  description: description(),
+  expiresAt: Joi.date().iso(),
+  totalUsageLimit: usageLimit(),
+  perUserLimit: usageLimit(),
+  isActive: Joi.boolean(),
+})
+  .min(1)
+  .messages({ "object.min": "No fields to update" })
+  .meta({ className: "UpdatePromotionRequest" });
+
+// Query string of GET /api/promotions
+const promotionListQuery = Joi.object({
+  active: Joi.boolean(),
+});
+
+const promoIdParams = Joi.object({
+  promoId: Joi.number().integer().positive().required(),
+});
+
+module.exports = {
+  createPromotionRequest,
+  updatePromotionRequest,
+  promotionListQuery,
+  promoIdParams,
+};
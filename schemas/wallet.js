@@ -0,0 +1,51 @@
+const Joi = require("joi");
+const { MAX_TOPUP_AMOUNT, WALLET_OWNER_TYPES } = require("../services/wallet");
+
+// Query string selecting one of the caller's wallets
+const walletQuery = Joi.object({
+  role: Joi.string()
+    .valid(...WALLET_OWNER_TYPES)
+    .default("rider"),
+});
+
+const walletTransactionsQuery = walletQuery.keys({
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0),
+});
+
+const topUpRequest = Joi.object({
+  amount: Joi.number()
+    .min(0.01)
+    .max(MAX_TOPUP_AMOUNT)
+    .required()
+    // Checked rather than rounded, so nobody is charged a different amount
+    .custom((value, helpers) =>
+      Math.abs(value * 100 - Math.round(value * 100)) > 1e-6
+        ? helpers.error("number.precision", { limit: 2 })
+        : value
+    )
+    .description("Amount to add, at most 2 decimals")
+    .example(50),
+  paymentMethodId: Joi.string()
+    .max(255)
+    .allow(null, "")
+    .description("Payment method to charge (defaults to the one on file)")
+    .example("pm_fake_card"),
+}).meta({ className: "TopUpRequest" });
+
+const refundRequest = Joi.object({
+  amount: Joi.number()
+    .positive()
+    .allow(null)
+    .default(null)
+    .description("Amount to refund (defaults to everything not yet refunded)")
+    .example(10),
+  reason: Joi.string().max(500).allow(null).default(null).example("Driver took a detour"),
+}).meta({ className: "RefundRequest" });
+
+module.exports = {
+  walletQuery,
+  walletTransactionsQuery,
+  topUpRequest,
+  refundRequest,
+};
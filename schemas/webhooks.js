@@ -0,0 +1,81 @@
+const Joi = require("joi");
+const { WEBHOOK_EVENT_TYPES } = require("../services/webhooks");
+
+const DELIVERY_STATUSES = ["pending", "succeeded", "failed"];
+
+const id = () => Joi.number().integer().positive();
+
+// Plain http is only accepted outside production so a local receiver can
+// be used while developing
+const allowedProtocols = () =>
+  process.env.NODE_ENV === "production" ? ["https:"] : ["https:", "http:"];
+
+const endpointUrl = () =>
+  Joi.string()
+    .max(2048)
+    .custom((value, helpers) => {
+      let parsed;
+      try {
+        parsed = new URL(value);
+      } catch (error) {
+        return helpers.error("url.absolute");
+      }
+
+      const protocols = allowedProtocols();
+      return protocols.includes(parsed.protocol)
+        ? value
+        : helpers.error("url.protocol", {
+            protocols: protocols.map((protocol) => protocol.slice(0, -1)).join(" or "),
+          });
+    })
+    .messages({
+      "url.absolute": "{{#label}} must be an absolute URL",
+      "url.protocol": "{{#label}} must be an {{#protocols}} URL",
+    });
+
+const webhookEndpointFields = {
+  url: endpointUrl()
+    .description("Receiver URL (https in production)")
+    .example("https://partner.example.com/xride/webhooks"),
+  description: Joi.string().max(255).allow(null).example("Partner order sync"),
+  eventTypes: Joi.array()
+    .items(Joi.string().valid(...WEBHOOK_EVENT_TYPES))
+    .min(1)
+    .example(["order.created", "order.status_changed"]),
+  isActive: Joi.boolean().example(true),
+};
+
+const webhookEndpointRequest = Joi.object(webhookEndpointFields)
+  .fork(["url", "eventTypes"], (schema) => schema.required())
+  .fork(["description"], (schema) => schema.default(null))
+  .fork(["isActive"], (schema) => schema.default(true))
+  .meta({ className: "WebhookEndpointRequest" });
+
+// Updates accept any of the fields, but at least one
+const updateWebhookEndpointRequest = Joi.object(webhookEndpointFields)
+  .min(1)
+  .messages({ "object.min": "No fields to update" })
+  .meta({ className: "UpdateWebhookEndpointRequest" });
+
+// Query string of GET /api/webhooks/:endpointId/deliveries
+const deliveryListQuery = Joi.object({
+  status: Joi.string().valid(...DELIVERY_STATUSES),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0),
+});
+
+const endpointIdParams = Joi.object({
+  endpointId: id().required(),
+});
+
+const deliveryIdParams = Joi.object({
+  deliveryId: id().required(),
+});
+
+module.exports = {
+  webhookEndpointRequest,
+  updateWebhookEndpointRequest,
+  deliveryListQuery,
+  endpointIdParams,
+  deliveryIdParams,
+};
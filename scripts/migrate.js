@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+// Database migration CLI
+//
+//   node scripts/migrate.js up              Apply every pending migration
+//   node scripts/migrate.js down [steps]    Roll back the last migration(s), default 1
+//   node scripts/migrate.js status          List applied and pending migrations
+//   node scripts/migrate.js make <name>     Create the next numbered migration file
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const { getConnection, closePool } = require("../config/db");
+const {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  migrateLatest,
+  rollbackMigrations,
+  getMigrationStatus,
+} = require("../config/migrations");
+
+const MIGRATION_TEMPLATE = `module.exports = {
+  up: async (connection) => {
+    await connection.query(\`\`);
+  },
+
+  down: async (connection) => {
+    await connection.query(\`\`);
+  },
+};
+`;
+
+const USAGE = "Usage: node scripts/migrate.js <up|down [steps]|status|make <name>>";
+
+// Write an empty migration numbered after the latest one
+const makeMigration = (name) => {
+  if (!name || !/^[a-z0-9_]+$/.test(name)) {
+    throw new Error("Migration name must be snake_case, e.g. add_orders_notes_column");
+  }
+
+  const latest = loadMigrations().pop();
+  const version = String(latest ? parseInt(latest.version, 10) + 1 : 1).padStart(3, "0");
+  const file = path.join(MIGRATIONS_DIR, `${version}_${name}.js`);
+
+  fs.writeFileSync(file, MIGRATION_TEMPLATE);
+  console.log(`✅ Created ${path.relative(process.cwd(), file)}`);
+};
+
+const printStatus = (migrations) => {
+  for (const migration of migrations) {
+    if (migration.missing) {
+      console.log(`⚠️ ${migration.name}  applied ${migration.appliedAt.toISOString()} (file missing)`);
+    } else if (migration.appliedAt) {
+      console.log(`✅ ${migration.name}  applied ${migration.appliedAt.toISOString()}`);
+    } else {
+      console.log(`⏳ ${migration.name}  pending`);
+    }
+  }
+
+  const pending = migrations.filter((migration) => !migration.appliedAt).length;
+  console.log(`\n${migrations.length - pending} applied, ${pending} pending`);
+};
+
+const run = async (command, arg) => {
+  if (command === "make") {
+    makeMigration(arg);
+    return;
+  }
+
+  if (!["up", "down", "status"].includes(command)) {
+    throw new Error(USAGE);
+  }
+
+  const steps = arg === undefined ? 1 : parseInt(arg, 10);
+  if (command === "down" && (!Number.isInteger(steps) || steps < 1)) {
+    throw new Error("steps must be a positive integer");
+  }
+
+  const connection = await getConnection();
+  try {
+    if (command === "up") {
+      const applied = await migrateLatest(connection);
+      console.log(`✅ ${applied.length} migration(s) applied`);
+    } else if (command === "down") {
+      const reverted = await rollbackMigrations(connection, steps);
+      console.log(`✅ ${reverted.length} migration(s) rolled back`);
+    } else {
+      printStatus(await getMigrationStatus(connection));
+    }
+  } finally {
+    connection.release();
+    await closePool();
+  }
+};
+
+run(process.argv[2], process.argv[3]).catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
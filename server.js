@@ -1,10 +1,15 @@
 require('dotenv').config();
+const { logger } = require('./config/logger');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
+const { buildComponentSchemas } = require('./utils/joiToOpenApi');
+const requestSchemas = require('./schemas');
+const { requestId, bindRequestContext, logRequest, accessLog } = require('./middlewares/requestLogger');
+const { errorHandler } = require('./middlewares/errorHandler');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -29,61 +34,30 @@ const limiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  // Driver location pings have their own, higher limit in routes/orders.js
+  skip: (req) => req.method === 'POST' && /^\/api\/orders\/\d+\/location$/.test(req.path),
 });
 
+// Tag requests with an ID first, so everything logged for them carries it
+app.use(requestId);
+app.use(accessLog);
+
 // Security middlewares
 app.use(helmet());
 app.use(cors({
   origin: true, // Allow all origins
   credentials: true,
+  exposedHeaders: ['X-Request-Id'],
   optionsSuccessStatus: 200
 }));
 app.use(limiter);
 
 // Body parsing
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true }));
+app.use(bindRequestContext(express.json({ limit: '10mb' })));
+app.use(bindRequestContext(express.urlencoded({ extended: true })));
 
-// Request logging middleware - logs all incoming requests
-app.use((req, res, next) => {
-  const timestamp = new Date().toISOString();
-  const method = req.method;
-  const url = req.originalUrl;
-  const ip = req.ip || req.connection.remoteAddress;
-  const userAgent = req.get('User-Agent');
-  
-  console.log(`\n📥 [${timestamp}] ${method} ${url}`);
-  console.log(`   IP: ${ip}`);
-  console.log(`   User-Agent: ${userAgent}`);
-  
-  if (Object.keys(req.query).length > 0) {
-    console.log(`   Query Params:`, req.query);
-  }
-  
-  if (req.body && Object.keys(req.body).length > 0) {
-    console.log(`   Body:`, JSON.stringify(req.body, null, 2));
-  }
-  
-  if (req.headers.authorization) {
-    console.log(`   🔐 Authorization Header Present`);
-  }
-  
-  // Log response
-  const originalSend = res.send;
-  res.send = function(data) {
-    console.log(`📤 [${new Date().toISOString()}] Response: ${res.statusCode} ${res.statusMessage}`);
-    if (res.statusCode >= 400) {
-      console.log(`   ❌ Error Response:`, data);
-    } else if (res.statusCode >= 200 && res.statusCode < 300) {
-      console.log(`   ✅ Success Response (${data ? JSON.stringify(data).length : 0} chars)`);
-    }
-    console.log(`   ⏱️  Response Time: ${Date.now() - req.startTime}ms\n`);
-    originalSend.call(this, data);
-  };
-  
-  req.startTime = Date.now();
-  next();
-});
+// Log each request; bodies are redacted and only logged at debug level
+app.use(logRequest);
 
 // Swagger configuration
 const swaggerOptions = {
@@ -108,127 +82,1266 @@ const swaggerOptions = {
           bearerFormat: 'JWT',
           description: 'Firebase JWT token',
         },
-      },
-      schemas: {
-        Order: {
+      },
+      schemas: {
+        // Request bodies validated by middlewares/validate.js
+        ...buildComponentSchemas(requestSchemas),
+        Order: {
+          type: 'object',
+          properties: {
+            orderId: {
+              type: 'integer',
+              description: 'Auto-generated order ID',
+              example: 123,
+            },
+            userUid: {
+              type: 'string',
+              description: 'Firebase user UID',
+              example: 'firebase-uid-123',
+            },
+            pickupAddress: {
+              type: 'string',
+              description: 'Pickup address',
+              example: '123 Main St, New York, NY 10001',
+            },
+            dropoffAddress: {
+              type: 'string',
+              description: 'Dropoff address',
+              example: '456 Oak Ave, Brooklyn, NY 11201',
+            },
+            latPickup: {
+              type: 'number',
+              format: 'float',
+              description: 'Pickup latitude',
+              example: 40.7128,
+            },
+            lngPickup: {
+              type: 'number',
+              format: 'float',
+              description: 'Pickup longitude',
+              example: -74.0060,
+            },
+            latDropoff: {
+              type: 'number',
+              format: 'float',
+              description: 'Dropoff latitude',
+              example: 40.6782,
+            },
+            lngDropoff: {
+              type: 'number',
+              format: 'float',
+              description: 'Dropoff longitude',
+              example: -73.9442,
+            },
+            amount: {
+              type: 'number',
+              format: 'float',
+              description: 'Order amount (after any promo discount)',
+              example: 29.99,
+            },
+            originalAmount: {
+              type: 'number',
+              format: 'float',
+              nullable: true,
+              description: 'Quoted amount before any promo discount',
+              example: 29.99,
+            },
+            discountAmount: {
+              type: 'number',
+              format: 'float',
+              description: 'Promo discount taken off the quoted amount',
+              example: 0,
+            },
+            promoCode: {
+              type: 'string',
+              nullable: true,
+              description: 'Promo code redeemed on this order',
+              example: null,
+            },
+            paymentStatus: {
+              type: 'string',
+              enum: ['unpaid', 'paid', 'failed', 'partially_refunded', 'refunded'],
+              description: 'Payment state; orders are charged when they complete',
+              example: 'unpaid',
+            },
+            stops: {
+              type: 'array',
+              description: 'Intermediate stops in visiting order (returned by create and get)',
+              items: {
+                $ref: '#/components/schemas/OrderStop',
+              },
+            },
+            parcel: {
+              $ref: '#/components/schemas/Parcel',
+            },
+            surgeMultiplier: {
+              type: 'number',
+              format: 'float',
+              description: 'Surge multiplier applied when the order was priced',
+              example: 1.0,
+            },
+            pricingZoneId: {
+              type: 'integer',
+              nullable: true,
+              description: 'Pricing zone the surge was taken from',
+              example: null,
+            },
+            estimatedDistanceKm: {
+              type: 'number',
+              format: 'float',
+              nullable: true,
+              description: 'Estimated trip distance used for pricing',
+              example: 7.842,
+            },
+            estimatedDurationMinutes: {
+              type: 'integer',
+              nullable: true,
+              description: 'Estimated trip duration used for pricing',
+              example: 19,
+            },
+            orderType: {
+              type: 'string',
+              description: 'Type of order',
+              example: 'delivery',
+            },
+            status: {
+              type: 'string',
+              description: 'Order status',
+              example: 'pending',
+            },
+            cancellationReason: {
+              type: 'string',
+              nullable: true,
+              description: 'Reason code given when the order was cancelled',
+              example: null,
+            },
+            cancellationNote: {
+              type: 'string',
+              nullable: true,
+              description: 'Free-text note given when the order was cancelled',
+              example: null,
+            },
+            cancellationFee: {
+              type: 'number',
+              format: 'float',
+              nullable: true,
+              description: 'Fee charged for the cancellation (0 within the grace window)',
+              example: null,
+            },
+            cancelledAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Cancellation timestamp',
+              example: null,
+            },
+            assignedDriverUid: {
+              type: 'string',
+              nullable: true,
+              description: 'Firebase UID of the driver assigned to the order',
+              example: null,
+            },
+            scheduledFor: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Requested pickup time of a scheduled order',
+              example: null,
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Order creation timestamp',
+              example: '2023-12-01T10:30:00.000Z',
+            },
+          },
+        },
+        FareQuote: {
+          type: 'object',
+          properties: {
+            message: {
+              type: 'string',
+              example: 'Estimate computed successfully',
+            },
+            quoteToken: {
+              type: 'string',
+              description: 'Signed quote to send with POST /api/orders',
+              example: 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...',
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the quote stops being accepted',
+              example: '2023-12-01T10:35:00.000Z',
+            },
+            fare: {
+              type: 'object',
+              properties: {
+                currency: {
+                  type: 'string',
+                  example: 'USD',
+                },
+                distanceKm: {
+                  type: 'number',
+                  example: 7.842,
+                },
+                durationMinutes: {
+                  type: 'integer',
+                  example: 19,
+                },
+                baseFare: {
+                  type: 'number',
+                  example: 2.5,
+                },
+                distanceFare: {
+                  type: 'number',
+                  example: 9.41,
+                },
+                timeFare: {
+                  type: 'number',
+                  example: 4.71,
+                },
+                typeMultiplier: {
+                  type: 'number',
+                  example: 1.5,
+                },
+                surgeMultiplier: {
+                  type: 'number',
+                  example: 1.0,
+                },
+                pricingZoneId: {
+                  type: 'integer',
+                  nullable: true,
+                  example: null,
+                },
+                pricingZoneName: {
+                  type: 'string',
+                  nullable: true,
+                  example: null,
+                },
+                amount: {
+                  type: 'number',
+                  example: 24.93,
+                },
+              },
+            },
+          },
+        },
+        OrderStatusHistoryEntry: {
+          type: 'object',
+          properties: {
+            historyId: {
+              type: 'integer',
+              description: 'History entry ID',
+              example: 1,
+            },
+            orderId: {
+              type: 'integer',
+              description: 'Order ID',
+              example: 123,
+            },
+            fromStatus: {
+              type: 'string',
+              nullable: true,
+              description: 'Previous status (null when the order was created)',
+              example: 'pending',
+            },
+            toStatus: {
+              type: 'string',
+              description: 'New status',
+              example: 'confirmed',
+            },
+            actorUid: {
+              type: 'string',
+              description: 'Firebase UID of the user who made the change',
+              example: 'firebase-uid-123',
+            },
+            actorRole: {
+              type: 'string',
+              description: 'Role the actor acted in',
+              example: 'rider',
+            },
+            reason: {
+              type: 'string',
+              nullable: true,
+              description: 'Reason given for the change',
+              example: null,
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the transition happened',
+              example: '2023-12-01T10:35:00.000Z',
+            },
+          },
+        },
+        Driver: {
+          type: 'object',
+          properties: {
+            driverUid: {
+              type: 'string',
+              description: 'Firebase UID of the driver',
+              example: 'firebase-uid-456',
+            },
+            fullName: {
+              type: 'string',
+              description: 'Driver full name',
+              example: 'Jane Doe',
+            },
+            phone: {
+              type: 'string',
+              description: 'Driver phone number',
+              example: '+1 212 555 0100',
+            },
+            licenseNumber: {
+              type: 'string',
+              nullable: true,
+              description: 'Driving license number',
+              example: 'D1234567',
+            },
+            licenseExpiry: {
+              type: 'string',
+              format: 'date',
+              nullable: true,
+              description: 'Driving license expiry date',
+              example: '2027-06-30',
+            },
+            vehicleType: {
+              type: 'string',
+              nullable: true,
+              enum: ['car', 'motorbike', 'bicycle', 'van'],
+              description: 'Vehicle type',
+              example: 'car',
+            },
+            vehicleMake: {
+              type: 'string',
+              nullable: true,
+              description: 'Vehicle make',
+              example: 'Toyota',
+            },
+            vehicleModel: {
+              type: 'string',
+              nullable: true,
+              description: 'Vehicle model',
+              example: 'Corolla',
+            },
+            vehiclePlate: {
+              type: 'string',
+              nullable: true,
+              description: 'Vehicle license plate',
+              example: 'ABC1234',
+            },
+            vehicleColor: {
+              type: 'string',
+              nullable: true,
+              description: 'Vehicle color',
+              example: 'Blue',
+            },
+            status: {
+              type: 'string',
+              enum: ['registered', 'pending_review', 'approved', 'rejected'],
+              description: 'Onboarding status',
+              example: 'pending_review',
+            },
+            rejectionReason: {
+              type: 'string',
+              nullable: true,
+              description: 'Reason given by the admin when rejecting',
+              example: null,
+            },
+            reviewedBy: {
+              type: 'string',
+              nullable: true,
+              description: 'Firebase UID of the reviewing admin',
+              example: null,
+            },
+            reviewedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Review timestamp',
+              example: null,
+            },
+            isAvailable: {
+              type: 'boolean',
+              description: 'Whether the driver is online and can receive offers',
+              example: true,
+            },
+            currentLat: {
+              type: 'number',
+              format: 'float',
+              nullable: true,
+              description: 'Last reported latitude',
+              example: 40.7128,
+            },
+            currentLng: {
+              type: 'number',
+              format: 'float',
+              nullable: true,
+              description: 'Last reported longitude',
+              example: -74.0060,
+            },
+            locationUpdatedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'When the location was last reported',
+              example: '2023-12-01T10:29:50.000Z',
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Registration timestamp',
+              example: '2023-12-01T10:30:00.000Z',
+            },
+          },
+        },
+        DispatchOffer: {
+          type: 'object',
+          properties: {
+            offerId: {
+              type: 'integer',
+              description: 'Offer ID',
+              example: 17,
+            },
+            orderId: {
+              type: 'integer',
+              description: 'Offered order',
+              example: 123,
+            },
+            distanceKm: {
+              type: 'number',
+              format: 'float',
+              description: 'Great-circle distance from the driver to the pickup',
+              example: 1.284,
+            },
+            status: {
+              type: 'string',
+              enum: ['offered', 'accepted', 'declined', 'expired'],
+              description: 'Offer status',
+              example: 'offered',
+            },
+            offeredAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the offer was made',
+              example: '2023-12-01T10:30:05.000Z',
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Deadline to answer the offer',
+              example: '2023-12-01T10:30:35.000Z',
+            },
+            pickupAddress: {
+              type: 'string',
+              example: '123 Main St, New York, NY 10001',
+            },
+            dropoffAddress: {
+              type: 'string',
+              example: '456 Oak Ave, Brooklyn, NY 11201',
+            },
+            latPickup: {
+              type: 'number',
+              format: 'float',
+              example: 40.7128,
+            },
+            lngPickup: {
+              type: 'number',
+              format: 'float',
+              example: -74.0060,
+            },
+            latDropoff: {
+              type: 'number',
+              format: 'float',
+              example: 40.6782,
+            },
+            lngDropoff: {
+              type: 'number',
+              format: 'float',
+              example: -73.9442,
+            },
+            amount: {
+              type: 'number',
+              format: 'float',
+              example: 29.99,
+            },
+            orderType: {
+              type: 'string',
+              example: 'delivery',
+            },
+          },
+        },
+        OrderLocation: {
+          type: 'object',
+          properties: {
+            orderId: {
+              type: 'integer',
+              example: 123,
+            },
+            latitude: {
+              type: 'number',
+              format: 'float',
+              example: 40.7150,
+            },
+            longitude: {
+              type: 'number',
+              format: 'float',
+              example: -74.0020,
+            },
+            heading: {
+              type: 'number',
+              format: 'float',
+              nullable: true,
+              example: 182.5,
+            },
+            speedKmh: {
+              type: 'number',
+              format: 'float',
+              nullable: true,
+              example: 32.4,
+            },
+            accuracyMeters: {
+              type: 'number',
+              format: 'float',
+              nullable: true,
+              example: 8,
+            },
+            recordedAt: {
+              type: 'string',
+              format: 'date-time',
+              example: '2023-12-01T10:40:12.345Z',
+            },
+          },
+        },
+        PricingZone: {
+          type: 'object',
+          properties: {
+            zoneId: {
+              type: 'integer',
+              example: 3,
+            },
+            name: {
+              type: 'string',
+              example: 'Midtown',
+            },
+            polygon: {
+              type: 'array',
+              description: 'Zone outline as [lat, lng] vertices',
+              items: {
+                type: 'array',
+                items: {
+                  type: 'number',
+                },
+              },
+              example: [[40.76, -73.99], [40.76, -73.97], [40.74, -73.97], [40.74, -73.99]],
+            },
+            maxSurgeMultiplier: {
+              type: 'number',
+              example: 3,
+            },
+            isActive: {
+              type: 'boolean',
+              example: true,
+            },
+            createdBy: {
+              type: 'string',
+              example: 'firebase-admin-uid',
+            },
+            currentSurge: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                pendingOrders: {
+                  type: 'integer',
+                  example: 12,
+                },
+                availableDrivers: {
+                  type: 'integer',
+                  example: 4,
+                },
+                multiplier: {
+                  type: 'number',
+                  example: 2,
+                },
+              },
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              example: '2023-12-01T10:30:00.000Z',
+            },
+          },
+        },
+        Promotion: {
+          type: 'object',
+          properties: {
+            promoId: {
+              type: 'integer',
+              example: 1,
+            },
+            code: {
+              type: 'string',
+              example: 'WELCOME10',
+            },
+            description: {
+              type: 'string',
+              nullable: true,
+              example: '10% off your first ride',
+            },
+            discountType: {
+              type: 'string',
+              enum: ['percentage', 'fixed'],
+              example: 'percentage',
+            },
+            discountValue: {
+              type: 'number',
+              format: 'float',
+              example: 10,
+            },
+            maxDiscountAmount: {
+              type: 'number',
+              format: 'float',
+              nullable: true,
+              example: 5,
+            },
+            minOrderAmount: {
+              type: 'number',
+              format: 'float',
+              nullable: true,
+              example: null,
+            },
+            orderTypes: {
+              type: 'array',
+              nullable: true,
+              description: 'Order types the code applies to (null means all)',
+              items: {
+                type: 'string',
+              },
+              example: null,
+            },
+            startsAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              example: null,
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time',
+              example: '2024-01-31T23:59:59.000Z',
+            },
+            totalUsageLimit: {
+              type: 'integer',
+              nullable: true,
+              example: 1000,
+            },
+            perUserLimit: {
+              type: 'integer',
+              nullable: true,
+              example: 1,
+            },
+            usageCount: {
+              type: 'integer',
+              example: 42,
+            },
+            isActive: {
+              type: 'boolean',
+              example: true,
+            },
+            createdBy: {
+              type: 'string',
+              example: 'admin123',
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              example: '2023-12-01T10:30:00.000Z',
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+              example: '2023-12-01T10:30:00.000Z',
+            },
+          },
+        },
+        Wallet: {
+          type: 'object',
+          properties: {
+            walletId: {
+              type: 'integer',
+              example: 7,
+            },
+            ownerType: {
+              type: 'string',
+              enum: ['rider', 'driver'],
+              example: 'rider',
+            },
+            currency: {
+              type: 'string',
+              example: 'USD',
+            },
+            balance: {
+              type: 'number',
+              format: 'float',
+              example: 42.5,
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+              example: '2023-12-01T10:30:00.000Z',
+            },
+          },
+        },
+        LedgerEntry: {
+          type: 'object',
+          properties: {
+            entryId: {
+              type: 'integer',
+              example: 31,
+            },
+            transactionId: {
+              type: 'integer',
+              example: 12,
+            },
+            type: {
+              type: 'string',
+              enum: ['topup', 'order_charge', 'refund'],
+              example: 'order_charge',
+            },
+            orderId: {
+              type: 'integer',
+              nullable: true,
+              example: 1,
+            },
+            description: {
+              type: 'string',
+              nullable: true,
+              example: 'Order 1',
+            },
+            amount: {
+              type: 'number',
+              format: 'float',
+              description: 'Credit (positive) or debit (negative) to the wallet',
+              example: -29.99,
+            },
+            balanceAfter: {
+              type: 'number',
+              format: 'float',
+              example: 12.51,
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              example: '2023-12-01T10:30:00.000Z',
+            },
+          },
+        },
+        Rating: {
+          type: 'object',
+          properties: {
+            ratingId: {
+              type: 'integer',
+              example: 1,
+            },
+            orderId: {
+              type: 'integer',
+              example: 1,
+            },
+            raterUid: {
+              type: 'string',
+              example: 'user123',
+            },
+            raterRole: {
+              type: 'string',
+              enum: ['rider', 'driver'],
+              example: 'rider',
+            },
+            rateeUid: {
+              type: 'string',
+              example: 'driver456',
+            },
+            rateeRole: {
+              type: 'string',
+              enum: ['rider', 'driver'],
+              example: 'driver',
+            },
+            stars: {
+              type: 'integer',
+              minimum: 1,
+              maximum: 5,
+              example: 5,
+            },
+            comment: {
+              type: 'string',
+              nullable: true,
+              example: 'Smooth ride',
+            },
+            tags: {
+              type: 'array',
+              items: {
+                type: 'string',
+              },
+              example: ['friendly', 'clean_vehicle'],
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              example: '2023-12-01T10:30:00.000Z',
+            },
+          },
+        },
+        RatingSummary: {
+          type: 'object',
+          properties: {
+            uid: {
+              type: 'string',
+              example: 'driver456',
+            },
+            role: {
+              type: 'string',
+              enum: ['rider', 'driver'],
+              example: 'driver',
+            },
+            ratingCount: {
+              type: 'integer',
+              example: 128,
+            },
+            averageStars: {
+              type: 'number',
+              nullable: true,
+              example: 4.82,
+            },
+            distribution: {
+              type: 'object',
+              description: 'Number of ratings per star value',
+              example: { 1: 1, 2: 0, 3: 3, 4: 14, 5: 110 },
+            },
+            tags: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  code: {
+                    type: 'string',
+                  },
+                  label: {
+                    type: 'string',
+                  },
+                  count: {
+                    type: 'integer',
+                  },
+                },
+              },
+            },
+          },
+        },
+        OrderStop: {
+          type: 'object',
+          properties: {
+            stopId: {
+              type: 'integer',
+              example: 1,
+            },
+            sequence: {
+              type: 'integer',
+              description: 'Position of the stop between pickup and dropoff, starting at 1',
+              example: 1,
+            },
+            address: {
+              type: 'string',
+              example: '789 Pine St, New York, NY 10005',
+            },
+            latitude: {
+              type: 'number',
+              format: 'float',
+              example: 40.7061,
+            },
+            longitude: {
+              type: 'number',
+              format: 'float',
+              example: -74.0087,
+            },
+            contactName: {
+              type: 'string',
+              nullable: true,
+              example: 'Jane Doe',
+            },
+            contactPhone: {
+              type: 'string',
+              nullable: true,
+              example: '+1 212 555 0100',
+            },
+            notes: {
+              type: 'string',
+              nullable: true,
+              example: 'Leave with the doorman',
+            },
+            status: {
+              type: 'string',
+              enum: ['pending', 'arrived', 'completed', 'skipped'],
+              example: 'pending',
+            },
+            arrivedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              example: null,
+            },
+            completedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              example: null,
+            },
+          },
+        },
+        Parcel: {
+          type: 'object',
+          nullable: true,
+          properties: {
+            sizeClass: {
+              type: 'string',
+              enum: ['small', 'medium', 'large', 'extra_large'],
+              example: 'medium',
+            },
+            weightKg: {
+              type: 'number',
+              format: 'float',
+              nullable: true,
+              example: 2.5,
+            },
+            isFragile: {
+              type: 'boolean',
+              example: true,
+            },
+            recipientName: {
+              type: 'string',
+              example: 'Jane Doe',
+            },
+            recipientPhone: {
+              type: 'string',
+              example: '+1 212 555 0100',
+            },
+            deliveryPin: {
+              type: 'string',
+              description: 'Only returned to the rider who placed the order',
+              example: '0427',
+            },
+          },
+        },
+        DeliveryProof: {
           type: 'object',
           properties: {
             orderId: {
               type: 'integer',
-              description: 'Auto-generated order ID',
-              example: 123,
+              example: 1,
             },
-            userUid: {
+            method: {
               type: 'string',
-              description: 'Firebase user UID',
-              example: 'firebase-uid-123',
+              enum: ['pin', 'photo'],
+              example: 'photo',
             },
-            pickupAddress: {
+            receivedBy: {
               type: 'string',
-              description: 'Pickup address',
-              example: '123 Main St, New York, NY 10001',
+              nullable: true,
+              example: 'Jane Doe',
             },
-            dropoffAddress: {
+            deliveredBy: {
               type: 'string',
-              description: 'Dropoff address',
-              example: '456 Oak Ave, Brooklyn, NY 11201',
+              example: 'driver456',
             },
-            latPickup: {
+            deliveredAt: {
+              type: 'string',
+              format: 'date-time',
+              example: '2023-12-01T11:05:00.000Z',
+            },
+            photoUrl: {
+              type: 'string',
+              nullable: true,
+              example: '/api/orders/1/proof-of-delivery/photo',
+            },
+            signatureUrl: {
+              type: 'string',
+              nullable: true,
+              example: '/api/orders/1/proof-of-delivery/signature',
+            },
+          },
+        },
+        SavedPlace: {
+          type: 'object',
+          properties: {
+            placeId: {
+              type: 'integer',
+              example: 3,
+            },
+            label: {
+              type: 'string',
+              example: 'Home',
+            },
+            address: {
+              type: 'string',
+              example: '123 Main St, New York, NY 10001',
+            },
+            latitude: {
               type: 'number',
               format: 'float',
-              description: 'Pickup latitude',
               example: 40.7128,
             },
-            lngPickup: {
+            longitude: {
               type: 'number',
               format: 'float',
-              description: 'Pickup longitude',
               example: -74.0060,
             },
-            latDropoff: {
-              type: 'number',
-              format: 'float',
-              description: 'Dropoff latitude',
-              example: 40.6782,
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              example: '2023-12-01T10:00:00.000Z',
             },
-            lngDropoff: {
-              type: 'number',
-              format: 'float',
-              description: 'Dropoff longitude',
-              example: -73.9442,
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+              example: '2023-12-01T10:00:00.000Z',
             },
-            amount: {
-              type: 'number',
-              format: 'float',
-              description: 'Order amount',
-              example: 29.99,
+          },
+        },
+        ServiceArea: {
+          type: 'object',
+          properties: {
+            areaId: {
+              type: 'integer',
+              example: 2,
             },
-            orderType: {
+            name: {
               type: 'string',
-              description: 'Type of order',
-              example: 'delivery',
+              example: 'Manhattan',
             },
-            status: {
+            polygon: {
+              type: 'array',
+              items: {
+                type: 'array',
+                items: {
+                  type: 'number',
+                },
+              },
+              example: [[40.70, -74.02], [40.88, -73.93], [40.80, -73.91], [40.70, -73.97]],
+            },
+            orderTypes: {
+              type: 'array',
+              items: {
+                type: 'string',
+              },
+              example: ['delivery', 'express'],
+            },
+            isActive: {
+              type: 'boolean',
+              example: true,
+            },
+            createdBy: {
               type: 'string',
-              description: 'Order status',
-              example: 'pending',
+              example: 'admin-uid-123',
             },
             createdAt: {
               type: 'string',
               format: 'date-time',
-              description: 'Order creation timestamp',
-              example: '2023-12-01T10:30:00.000Z',
+              example: '2023-12-01T10:00:00.000Z',
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+              example: '2023-12-01T10:00:00.000Z',
             },
           },
         },
-        CreateOrderRequest: {
+        AdminAuditEntry: {
           type: 'object',
-          required: ['pickupAddress', 'dropoffAddress', 'latPickup', 'lngPickup', 'latDropoff', 'lngDropoff', 'amount', 'orderType'],
           properties: {
-            pickupAddress: {
+            auditId: {
+              type: 'integer',
+              example: 12,
+            },
+            adminUid: {
               type: 'string',
-              description: 'Pickup address',
-              example: '123 Main St, New York, NY 10001',
+              example: 'admin-uid-123',
             },
-            dropoffAddress: {
+            action: {
               type: 'string',
-              description: 'Dropoff address',
-              example: '456 Oak Ave, Brooklyn, NY 11201',
+              enum: ['force_status', 'reassign'],
+              example: 'reassign',
             },
-            latPickup: {
-              type: 'number',
-              format: 'float',
-              description: 'Pickup latitude',
-              example: 40.7128,
+            orderId: {
+              type: 'integer',
+              example: 123,
             },
-            lngPickup: {
-              type: 'number',
-              format: 'float',
-              description: 'Pickup longitude',
-              example: -74.0060,
+            reason: {
+              type: 'string',
+              example: "Original driver's vehicle broke down",
             },
-            latDropoff: {
-              type: 'number',
-              format: 'float',
-              description: 'Dropoff latitude',
-              example: 40.6782,
+            details: {
+              type: 'object',
+              description: 'What changed, e.g. fromDriverUid/toDriverUid or fromStatus/toStatus',
+              example: { fromDriverUid: 'driver-uid-123', toDriverUid: 'driver-uid-456', fromStatus: 'confirmed', toStatus: 'confirmed' },
             },
-            lngDropoff: {
-              type: 'number',
-              format: 'float',
-              description: 'Dropoff longitude',
-              example: -73.9442,
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              example: '2023-12-01T10:00:00.000Z',
             },
-            amount: {
-              type: 'number',
-              format: 'float',
-              description: 'Order amount',
-              example: 29.99,
+          },
+        },
+        ReportPeriod: {
+          type: 'object',
+          description: 'Period a report covers, as local dates in the requested timezone',
+          properties: {
+            timezone: {
+              type: 'string',
+              example: 'Africa/Lagos',
             },
-            orderType: {
+            from: {
               type: 'string',
-              description: 'Type of order',
-              example: 'delivery',
+              format: 'date',
+              example: '2024-03-01',
+            },
+            to: {
+              type: 'string',
+              format: 'date',
+              example: '2024-03-31',
+            },
+          },
+        },
+        WebhookEndpoint: {
+          type: 'object',
+          properties: {
+            endpointId: {
+              type: 'integer',
+              example: 3,
+            },
+            url: {
+              type: 'string',
+              example: 'https://partner.example.com/xride/webhooks',
+            },
+            description: {
+              type: 'string',
+              nullable: true,
+              example: 'Partner order sync',
+            },
+            eventTypes: {
+              type: 'array',
+              items: {
+                type: 'string',
+              },
+              example: ['order.created', 'order.status_changed'],
+            },
+            secretHint: {
+              type: 'string',
+              description: 'Start of the signing secret',
+              example: 'whsec_3f0c…',
+            },
+            isActive: {
+              type: 'boolean',
+              example: true,
+            },
+            createdBy: {
+              type: 'string',
+              example: 'admin-uid-123',
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              example: '2023-12-01T10:00:00.000Z',
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+              example: '2023-12-01T10:00:00.000Z',
+            },
+          },
+        },
+        WebhookDelivery: {
+          type: 'object',
+          properties: {
+            deliveryId: {
+              type: 'integer',
+              example: 120,
+            },
+            endpointId: {
+              type: 'integer',
+              example: 3,
+            },
+            eventId: {
+              type: 'string',
+              description: 'Shared by the deliveries of one event to different endpoints',
+              example: 'evt_5b1f0c2e9d8a4b7c8e6f1a2b3c4d5e6f',
+            },
+            eventType: {
+              type: 'string',
+              example: 'order.status_changed',
+            },
+            status: {
+              type: 'string',
+              enum: ['pending', 'succeeded', 'failed'],
+              example: 'pending',
+            },
+            attempts: {
+              type: 'integer',
+              example: 2,
+            },
+            nextAttemptAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'When a pending delivery is tried next',
+              example: '2023-12-01T10:01:00.000Z',
+            },
+            lastStatusCode: {
+              type: 'integer',
+              nullable: true,
+              example: 503,
+            },
+            lastError: {
+              type: 'string',
+              nullable: true,
+              example: 'Receiver answered 503',
+            },
+            deliveredAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              example: null,
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              example: '2023-12-01T10:00:00.000Z',
+            },
+          },
+        },
+        WebhookDeliveryAttempt: {
+          type: 'object',
+          properties: {
+            attemptNumber: {
+              type: 'integer',
+              example: 1,
+            },
+            statusCode: {
+              type: 'integer',
+              nullable: true,
+              description: 'Null when the receiver could not be reached',
+              example: 503,
+            },
+            error: {
+              type: 'string',
+              nullable: true,
+              example: 'Receiver answered 503',
+            },
+            durationMs: {
+              type: 'integer',
+              example: 184,
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              example: '2023-12-01T10:00:05.000Z',
             },
           },
         },
@@ -245,6 +1358,32 @@ const swaggerOptions = {
               description: 'Detailed error information',
               example: 'pickupAddress is required',
             },
+            errors: {
+              type: 'array',
+              description: 'Every field that failed request validation',
+              items: {
+                type: 'object',
+                properties: {
+                  location: {
+                    type: 'string',
+                    enum: ['params', 'query', 'body'],
+                    example: 'body',
+                  },
+                  field: {
+                    type: 'string',
+                    example: 'pickupAddress',
+                  },
+                  message: {
+                    type: 'string',
+                    example: 'pickupAddress is required',
+                  },
+                  type: {
+                    type: 'string',
+                    example: 'any.required',
+                  },
+                },
+              },
+            },
           },
         },
       },
@@ -291,83 +1430,21 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec, {
  *                   example: 2023-12-01T10:30:00.000Z
  */
 app.get('/health', (req, res) => {
-  console.log('🏥 Health check requested');
   res.json({
     status: 'ok',
     timestamp: new Date().toISOString(),
   });
 });
 
-// Global error handler
-const errorHandler = (err, req, res, next) => {
-  console.error('❌ Error caught by global handler:', err);
-
-  // Default error
-  let error = {
-    message: err.message || 'Internal Server Error',
-    status: err.status || err.statusCode || 500,
-  };
-
-  // MySQL/Database errors
-  if (err.code === 'ER_DUP_ENTRY') {
-    error = {
-      message: 'Duplicate entry. Resource already exists.',
-      status: 409,
-    };
-  }
-
-  if (err.code === 'ER_NO_SUCH_TABLE') {
-    error = {
-      message: 'Database table not found.',
-      status: 500,
-    };
-  }
-
-  if (err.code === 'ECONNREFUSED') {
-    error = {
-      message: 'Database connection failed.',
-      status: 500,
-    };
-  }
-
-  // Firebase Auth errors
-  if (err.code && err.code.startsWith('auth/')) {
-    error = {
-      message: 'Authentication error.',
-      status: 401,
-    };
-  }
-
-  // Syntax errors (malformed JSON)
-  if (err instanceof SyntaxError && err.status === 400 && 'body' in err) {
-    error = {
-      message: 'Invalid JSON format in request body.',
-      status: 400,
-    };
-  }
-
-  // Don't expose sensitive error details in production
-  const response = {
-    error: error.message,
-    ...(process.env.NODE_ENV === 'development' && {
-      stack: err.stack,
-      details: err,
-    }),
-  };
-
-  res.status(error.status).json(response);
-};
-
 // Initialize services first
 async function initializeServices() {
   try {
-    console.log('🔧 Initializing services...');
-    
+    logger.info('Initializing services');
+
     // Initialize Firebase
     const { initializeFirebase } = require('./config/firebase');
     await initializeFirebase();
-    console.log('✅ Firebase Admin SDK initialized');
-    
+
     // Initialize database
     const db = require('./config/db');
 
@@ -378,26 +1455,25 @@ async function initializeServices() {
         const conn = await db.getConnection();
         await conn.execute('SELECT 1');
         conn.release();
-        console.log('✅ MySQL database connected and reachable');
+        logger.info('MySQL database connected and reachable');
       } catch (dbTestErr) {
-        console.error('❌ MySQL connected but test query failed:', dbTestErr.message || dbTestErr);
+        logger.error('MySQL connected but test query failed', { error: dbTestErr });
         return false;
       }
     } catch (dbInitErr) {
-      console.error('❌ MySQL database initialization failed:', dbInitErr.message || dbInitErr);
+      logger.error('MySQL database initialization failed', { error: dbInitErr });
       return false;
     }
 
     return true;
   } catch (error) {
-    console.error('❌ Service initialization failed:', error.message);
+    logger.error('Service initialization failed', { error });
     return false;
   }
 }
 
 // API routes (loaded after services are initialized)
 app.get('/api/test', (req, res) => {
-  console.log('🧪 Test endpoint requested');
   res.json({
     message: 'API is working!',
     timestamp: new Date().toISOString(),
@@ -405,17 +1481,6 @@ app.get('/api/test', (req, res) => {
   });
 });
 
-// 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({
-    error: 'Route not found',
-    message: `Cannot ${req.method} ${req.originalUrl}`,
-  });
-});
-
-// Global error handler (must be last)
-app.use(errorHandler);
-
 // Start server
 async function startServer() {
   try {
@@ -425,51 +1490,87 @@ async function startServer() {
     if (servicesReady) {
       // Load routes after services are ready
       const orderRoutes = require('./routes/orders');
+      const driverRoutes = require('./routes/drivers');
+      const pricingZoneRoutes = require('./routes/pricingZones');
+      const promotionRoutes = require('./routes/promotions');
+      const walletRoutes = require('./routes/wallet');
+      const ratingRoutes = require('./routes/ratings');
+      const placeRoutes = require('./routes/places');
+      const serviceAreaRoutes = require('./routes/serviceAreas');
+      const adminOrderRoutes = require('./routes/adminOrders');
+      const analyticsRoutes = require('./routes/analytics');
+      const webhookRoutes = require('./routes/webhooks');
       app.use('/api/orders', orderRoutes);
-      console.log('✅ Routes loaded');
+      app.use('/api/drivers', driverRoutes);
+      app.use('/api/pricing-zones', pricingZoneRoutes);
+      app.use('/api/promotions', promotionRoutes);
+      app.use('/api/wallet', walletRoutes);
+      app.use('/api/ratings', ratingRoutes);
+      app.use('/api/places', placeRoutes);
+      app.use('/api/service-areas', serviceAreaRoutes);
+      app.use('/api/admin/orders', adminOrderRoutes);
+      app.use('/api/analytics', analyticsRoutes);
+      app.use('/api/webhooks', webhookRoutes);
+      logger.info('Routes loaded');
+
+      // Start assigning pending orders to nearby drivers
+      const { startDispatcher } = require('./services/dispatch');
+      startDispatcher();
+
+      // Reload scheduled orders from MySQL and release them as they come due
+      const { startScheduler } = require('./services/scheduler');
+      startScheduler();
+
+      // Deliver queued webhook events, including any left over from before a restart
+      const { startWebhookWorker } = require('./services/webhooks');
+      startWebhookWorker();
     }
+
+    // 404 handler (registered after the routes so it doesn't shadow them)
+    app.use('*', (req, res) => {
+      res.status(404).json({
+        error: 'Route not found',
+        message: `Cannot ${req.method} ${req.originalUrl}`,
+      });
+    });
+
+    // Global error handler (must be last)
+    app.use(errorHandler);
     
     // Start server
     app.listen(PORT, '0.0.0.0', () => {
-      console.log(`\n🎉 ===============================================`);
-      console.log(`🚀 XRide Backend Server running on port ${PORT}`);
-      console.log(`📊 COMPREHENSIVE LOGGING ENABLED - All actions will be logged`);
-      console.log(`===============================================\n`);
-      
-      try {
-        const docsUrl = new URL('/api-docs', BASE_URL).toString();
-        const healthUrl = new URL('/health', BASE_URL).toString();
-        const testUrl = new URL('/api/test', BASE_URL).toString();
-
-        console.log(`📚 API Documentation: ${docsUrl}`);
-        console.log(`🏥 Health Check: ${healthUrl}`);
-        console.log(`🧪 Test Endpoint: ${testUrl}`);
-      } catch (e) {
-        // Fallbacks if BASE_URL is not a full URL
-        console.log(`📚 API Documentation: ${BASE_URL.replace(/\/$/, '')}/api-docs`);
-        console.log(`🏥 Health Check: ${BASE_URL.replace(/\/$/, '')}/health`);
-        console.log(`🧪 Test Endpoint: ${BASE_URL.replace(/\/$/, '')}/api/test`);
-      }
+      // Fall back to plain concatenation if BASE_URL is not a full URL
+      const urlFor = (route) => {
+        try {
+          return new URL(route, BASE_URL).toString();
+        } catch (e) {
+          return `${BASE_URL.replace(/\/$/, '')}${route}`;
+        }
+      };
 
-      console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-      console.log(`⚡ XRide Backend v1.0.0 - Ready for requests!`);
-      console.log(`📝 Logging includes: Requests, Responses, Auth, Database, Errors`);
-      console.log(`===============================================\n`);
+      logger.info('XRide Backend server started', {
+        port: PORT,
+        environment: process.env.NODE_ENV || 'development',
+        version: '1.0.0',
+        docsUrl: urlFor('/api-docs'),
+        healthUrl: urlFor('/health'),
+        testUrl: urlFor('/api/test'),
+      });
     });
   } catch (error) {
-    console.error('❌ Failed to start server:', error.message);
+    logger.error('Failed to start server', { error });
     process.exit(1);
   }
 }
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully');
+  logger.info('SIGTERM received, shutting down gracefully');
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully');
+  logger.info('SIGINT received, shutting down gracefully');
   process.exit(0);
 });
 
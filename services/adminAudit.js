@@ -0,0 +1,36 @@
+const { executeQuery } = require("../config/db");
+const { logger } = require("../config/logger");
+
+// Record a staff override. `details` holds what changed (before/after).
+// `query` is executeQuery or the transaction that makes the change.
+const recordAdminAction = async (
+  query,
+  { adminUid, action, orderId = null, reason, details = null }
+) => {
+  await query(
+    `INSERT INTO admin_audit_log (adminUid, action, orderId, reason, details)
+     VALUES (?, ?, ?, ?, ?)`,
+    [adminUid, action, orderId, reason, details === null ? null : JSON.stringify(details)]
+  );
+
+  logger.info("Admin action recorded", { adminUid, action, orderId, reason });
+};
+
+// Staff overrides on an order, oldest first
+const getOrderAuditLog = async (orderId) => {
+  const rows = await executeQuery(
+    "SELECT * FROM admin_audit_log WHERE orderId = ? ORDER BY createdAt ASC, auditId ASC",
+    [orderId]
+  );
+
+  return rows.map((row) => ({
+    ...row,
+    details: typeof row.details === "string" ? JSON.parse(row.details) : row.details,
+    createdAt: row.createdAt.toISOString(),
+  }));
+};
+
+module.exports = {
+  recordAdminAction,
+  getOrderAuditLog,
+};
@@ -0,0 +1,243 @@
+const { executeQuery } = require("../config/db");
+const { createError } = require("../middlewares/errorHandler");
+
+// Longest reporting period, in days
+const ANALYTICS_MAX_RANGE_DAYS = process.env.ANALYTICS_MAX_RANGE_DAYS
+  ? parseInt(process.env.ANALYTICS_MAX_RANGE_DAYS, 10)
+  : 731;
+
+// Reporting period when none is given, in days
+const ANALYTICS_DEFAULT_RANGE_DAYS = 30;
+
+// Period start of each bucket, as a local YYYY-MM-DD string. Weeks start on
+// Monday.
+const GRANULARITY_BUCKETS = {
+  day: (local) => `DATE_FORMAT(${local}, '%Y-%m-%d')`,
+  week: (local) =>
+    `DATE_FORMAT(DATE_SUB(DATE(${local}), INTERVAL WEEKDAY(${local}) DAY), '%Y-%m-%d')`,
+  month: (local) => `DATE_FORMAT(${local}, '%Y-%m-01')`,
+};
+
+const OFFSET_PATTERN = /^[+-](0\d|1[0-4]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// No time zone is more than 14 hours from UTC, so a local date range always
+// lies inside the UTC range padded by this much. The padded range keeps the
+// createdAt index usable; the exact bounds are checked on local time.
+const UTC_PADDING_HOURS = 14;
+
+// Check a timezone parameter (a "+05:30" offset or an IANA name such as
+// "Africa/Lagos") and return today's date there. The DB pool runs in UTC,
+// so all grouping converts createdAt with CONVERT_TZ; IANA names need the
+// MySQL time zone tables to be loaded.
+const resolveTimezone = async (timezone = "+00:00") => {
+  if (typeof timezone !== "string" || timezone.length > 64) {
+    throw createError("Invalid timezone", 400);
+  }
+
+  if (!OFFSET_PATTERN.test(timezone)) {
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    } catch (error) {
+      throw createError(
+        `Unknown timezone: ${timezone}. Use an IANA name such as Africa/Lagos or an offset such as +01:00`,
+        400
+      );
+    }
+  }
+
+  const [{ today }] = await executeQuery(
+    "SELECT DATE_FORMAT(CONVERT_TZ(UTC_TIMESTAMP(), '+00:00', ?), '%Y-%m-%d') AS today",
+    [timezone]
+  );
+
+  if (!today) {
+    throw createError(
+      `The database does not know the timezone ${timezone}. Load the MySQL time zone tables or use an offset such as +01:00`,
+      400
+    );
+  }
+
+  return { timezone, today };
+};
+
+// Parse a YYYY-MM-DD date into a UTC midnight Date, or null
+const parseDate = (value, name) => {
+  if (value === undefined) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  if (!DATE_PATTERN.test(value) || isNaN(date.getTime())) {
+    throw createError(`${name} must be a date in YYYY-MM-DD format`, 400);
+  }
+  return date;
+};
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+// Resolve the reporting period from the query string. `from` and `to` are
+// local dates in the requested timezone, both inclusive. Defaults to the
+// last 30 days up to today.
+const resolveReportRange = async ({ from, to, timezone }) => {
+  const resolved = await resolveTimezone(timezone);
+
+  const toDate = parseDate(to, "to") || parseDate(resolved.today, "today");
+  const fromDate =
+    parseDate(from, "from") ||
+    new Date(toDate.getTime() - (ANALYTICS_DEFAULT_RANGE_DAYS - 1) * MS_PER_DAY);
+
+  if (fromDate > toDate) {
+    throw createError("from must not be after to", 400);
+  }
+
+  const days = Math.round((toDate - fromDate) / MS_PER_DAY) + 1;
+  if (days > ANALYTICS_MAX_RANGE_DAYS) {
+    throw createError(`The period can span at most ${ANALYTICS_MAX_RANGE_DAYS} days`, 400);
+  }
+
+  return {
+    timezone: resolved.timezone,
+    from: formatDate(fromDate),
+    to: formatDate(toDate),
+  };
+};
+
+// WHERE clause and parameters selecting the orders created in a range
+const rangeFilter = ({ timezone, from, to }) => ({
+  clause: `createdAt >= CAST(? AS DATETIME) - INTERVAL ${UTC_PADDING_HOURS} HOUR
+       AND createdAt < CAST(? AS DATETIME) + INTERVAL ${24 + UTC_PADDING_HOURS} HOUR
+       AND CONVERT_TZ(createdAt, '+00:00', ?) >= CAST(? AS DATETIME)
+       AND CONVERT_TZ(createdAt, '+00:00', ?) < CAST(? AS DATETIME) + INTERVAL 1 DAY`,
+  params: [from, to, timezone, from, timezone, to],
+});
+
+const toAmount = (value) => Math.round(parseFloat(value || 0) * 100) / 100;
+
+// Orders and gross order value per day, week or month. Gross order value
+// is the sum of amounts of orders that were not cancelled.
+const getOrderVolume = async (range, granularity) => {
+  const filter = rangeFilter(range);
+
+  const rows = await executeQuery(
+    `SELECT ${GRANULARITY_BUCKETS[granularity]("localCreatedAt")} AS period,
+       COUNT(*) AS orders,
+       SUM(status = 'completed') AS completedOrders,
+       SUM(status = 'cancelled') AS cancelledOrders,
+       SUM(CASE WHEN status <> 'cancelled' THEN amount ELSE 0 END) AS grossOrderValue
+     FROM (
+       SELECT CONVERT_TZ(createdAt, '+00:00', ?) AS localCreatedAt, status, amount
+       FROM orders
+       WHERE ${filter.clause}
+     ) AS ranged
+     GROUP BY period
+     ORDER BY period ASC`,
+    [range.timezone, ...filter.params]
+  );
+
+  return rows.map((row) => ({
+    period: row.period,
+    orders: Number(row.orders),
+    completedOrders: Number(row.completedOrders),
+    cancelledOrders: Number(row.cancelledOrders),
+    grossOrderValue: toAmount(row.grossOrderValue),
+  }));
+};
+
+// Orders and gross order value per order type and per status
+const getOrderBreakdown = async (range) => {
+  const filter = rangeFilter(range);
+
+  const byOrderType = await executeQuery(
+    `SELECT orderType,
+       COUNT(*) AS orders,
+       SUM(CASE WHEN status <> 'cancelled' THEN amount ELSE 0 END) AS grossOrderValue
+     FROM orders
+     WHERE ${filter.clause}
+     GROUP BY orderType
+     ORDER BY orders DESC`,
+    filter.params
+  );
+
+  const byStatus = await executeQuery(
+    `SELECT status, COUNT(*) AS orders, SUM(amount) AS totalAmount
+     FROM orders
+     WHERE ${filter.clause}
+     GROUP BY status
+     ORDER BY orders DESC`,
+    filter.params
+  );
+
+  return {
+    byOrderType: byOrderType.map((row) => ({
+      orderType: row.orderType,
+      orders: Number(row.orders),
+      grossOrderValue: toAmount(row.grossOrderValue),
+    })),
+    byStatus: byStatus.map((row) => ({
+      status: row.status,
+      orders: Number(row.orders),
+      totalAmount: toAmount(row.totalAmount),
+    })),
+  };
+};
+
+// Headline figures: cancellation rate and average ticket size (mean
+// amount of completed orders)
+const getOrderSummary = async (range) => {
+  const filter = rangeFilter(range);
+
+  const [row] = await executeQuery(
+    `SELECT COUNT(*) AS orders,
+       SUM(status = 'completed') AS completedOrders,
+       SUM(status = 'cancelled') AS cancelledOrders,
+       SUM(CASE WHEN status <> 'cancelled' THEN amount ELSE 0 END) AS grossOrderValue,
+       AVG(CASE WHEN status = 'completed' THEN amount END) AS averageTicketSize
+     FROM orders
+     WHERE ${filter.clause}`,
+    filter.params
+  );
+
+  const orders = Number(row.orders);
+  const cancelledOrders = Number(row.cancelledOrders || 0);
+
+  return {
+    orders,
+    completedOrders: Number(row.completedOrders || 0),
+    cancelledOrders,
+    cancellationRate: orders === 0 ? 0 : Math.round((cancelledOrders / orders) * 10000) / 10000,
+    grossOrderValue: toAmount(row.grossOrderValue),
+    averageTicketSize: row.averageTicketSize === null ? null : toAmount(row.averageTicketSize),
+  };
+};
+
+// Orders per local hour of pickup (the scheduled time for scheduled
+// orders, otherwise the booking time). Every hour is listed, busiest first.
+const getPeakPickupHours = async (range) => {
+  const filter = rangeFilter(range);
+
+  const rows = await executeQuery(
+    `SELECT HOUR(CONVERT_TZ(COALESCE(scheduledFor, createdAt), '+00:00', ?)) AS hour,
+       COUNT(*) AS orders
+     FROM orders
+     WHERE ${filter.clause}
+     GROUP BY hour`,
+    [range.timezone, ...filter.params]
+  );
+
+  const counts = new Map(rows.map((row) => [Number(row.hour), Number(row.orders)]));
+
+  return Array.from({ length: 24 }, (_, hour) => ({
+    hour,
+    orders: counts.get(hour) || 0,
+  })).sort((a, b) => b.orders - a.orders || a.hour - b.hour);
+};
+
+module.exports = {
+  ANALYTICS_MAX_RANGE_DAYS,
+  GRANULARITY_BUCKETS,
+  resolveReportRange,
+  getOrderVolume,
+  getOrderBreakdown,
+  getOrderSummary,
+  getPeakPickupHours,
+};
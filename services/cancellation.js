@@ -0,0 +1,43 @@
+// Fixed catalogue of reasons a rider can give when cancelling
+const CANCELLATION_REASONS = {
+  changed_plans: "Plans changed",
+  driver_delayed: "Driver is taking too long",
+  wrong_address: "Entered the wrong address",
+  found_alternative: "Found another ride",
+  price_too_high: "Price is too high",
+  other: "Other",
+};
+
+// Free cancellation window after createdAt (minutes)
+const CANCELLATION_GRACE_MINUTES = process.env.CANCELLATION_GRACE_MINUTES
+  ? parseFloat(process.env.CANCELLATION_GRACE_MINUTES)
+  : 5;
+
+// Fee charged after the grace window, by the order's status at cancellation
+const CANCELLATION_FEES = {
+  pending: parseFloat(process.env.CANCELLATION_FEE_PENDING || "0"),
+  confirmed: parseFloat(process.env.CANCELLATION_FEE_CONFIRMED || "3.00"),
+  in_progress: parseFloat(process.env.CANCELLATION_FEE_IN_PROGRESS || "5.00"),
+};
+
+// Work out the cancellation fee for an order at a given moment.
+// The fee never exceeds the order amount.
+const calculateCancellationFee = (order, now = new Date()) => {
+  const elapsedMs = now.getTime() - new Date(order.createdAt).getTime();
+  const withinGracePeriod = elapsedMs <= CANCELLATION_GRACE_MINUTES * 60 * 1000;
+
+  if (withinGracePeriod) {
+    return { fee: 0, withinGracePeriod };
+  }
+
+  const baseFee = CANCELLATION_FEES[order.status] || 0;
+  const fee = Math.min(baseFee, parseFloat(order.amount));
+  return { fee: Math.round(fee * 100) / 100, withinGracePeriod };
+};
+
+module.exports = {
+  CANCELLATION_REASONS,
+  CANCELLATION_GRACE_MINUTES,
+  CANCELLATION_FEES,
+  calculateCancellationFee,
+};
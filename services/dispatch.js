@@ -0,0 +1,375 @@
+const { executeQuery, withTransaction } = require("../config/db");
+const { OrderRepository, createOrderRepository } = require("../repositories/orderRepository");
+const { createError } = require("../middlewares/errorHandler");
+const { logger } = require("../config/logger");
+const { transitionOrderStatus, forceOrderStatus } = require("./orderStatus");
+const { haversineDistanceKm, toRadians } = require("../utils/geo");
+
+// Only drivers within this distance of the pickup are offered an order
+const DISPATCH_RADIUS_KM = process.env.DISPATCH_RADIUS_KM
+  ? parseFloat(process.env.DISPATCH_RADIUS_KM)
+  : 10;
+
+// How long a driver has to accept or decline an offer
+const OFFER_TIMEOUT_SECONDS = process.env.DISPATCH_OFFER_TIMEOUT_SECONDS
+  ? parseInt(process.env.DISPATCH_OFFER_TIMEOUT_SECONDS, 10)
+  : 30;
+
+// Drivers whose last location is older than this are not considered
+const DRIVER_LOCATION_MAX_AGE_SECONDS = process.env
+  .DRIVER_LOCATION_MAX_AGE_SECONDS
+  ? parseInt(process.env.DRIVER_LOCATION_MAX_AGE_SECONDS, 10)
+  : 300;
+
+// How often expired offers and unassigned orders are swept
+const DISPATCH_SWEEP_INTERVAL_MS = process.env.DISPATCH_SWEEP_INTERVAL_MS
+  ? parseInt(process.env.DISPATCH_SWEEP_INTERVAL_MS, 10)
+  : 5000;
+
+let sweepTimer = null;
+let sweepRunning = false;
+
+// Find available drivers near a point, nearest first.
+// A bounding box narrows the candidates in SQL; their exact great-circle
+// distance is then computed here. Drivers who were already offered this
+// order, who hold another open offer, or who are busy with an active order
+// are skipped.
+const findNearbyDrivers = async (
+  lat,
+  lng,
+  { radiusKm = DISPATCH_RADIUS_KM, excludeOrderId = null, limit = 10 } = {}
+) => {
+  const latitude = parseFloat(lat);
+  const longitude = parseFloat(lng);
+  const latDelta = radiusKm / 111.045;
+  const lngDelta =
+    radiusKm / (111.045 * Math.max(Math.cos(toRadians(latitude)), 0.01));
+
+  const candidates = await executeQuery(
+    `SELECT d.driverUid, d.fullName, d.vehicleType, d.currentLat, d.currentLng
+     FROM drivers d
+     WHERE d.status = 'approved'
+       AND d.isAvailable = TRUE
+       AND d.locationUpdatedAt >= NOW() - INTERVAL ? SECOND
+       AND d.currentLat BETWEEN ? AND ?
+       AND d.currentLng BETWEEN ? AND ?
+       AND NOT EXISTS (
+         SELECT 1 FROM dispatch_offers f
+         WHERE f.driverUid = d.driverUid
+           AND (f.orderId = ? OR f.status = 'offered')
+       )
+       AND NOT EXISTS (
+         SELECT 1 FROM orders a
+         WHERE a.assignedDriverUid = d.driverUid
+           AND a.status IN ('confirmed', 'in_progress')
+       )`,
+    [
+      DRIVER_LOCATION_MAX_AGE_SECONDS,
+      latitude - latDelta,
+      latitude + latDelta,
+      longitude - lngDelta,
+      longitude + lngDelta,
+      excludeOrderId || 0,
+    ]
+  );
+
+  // The box's corners lie outside the radius
+  return candidates
+    .map((driver) => ({
+      ...driver,
+      distanceKm: haversineDistanceKm(
+        latitude,
+        longitude,
+        parseFloat(driver.currentLat),
+        parseFloat(driver.currentLng)
+      ),
+    }))
+    .filter((driver) => driver.distanceKm <= radiusKm)
+    .sort((a, b) => a.distanceKm - b.distanceKm)
+    .slice(0, limit);
+};
+
+// Offer a pending order to the nearest driver who hasn't seen it yet.
+// Returns the new offer, or null when the order needs no offer or no
+// driver is in range (the sweep will retry later).
+const dispatchOrder = async (orderId) => {
+  logger.debug("Dispatching order", { orderId });
+
+  const order = await OrderRepository.findById(orderId);
+
+  if (!order || order.status !== "pending" || order.assignedDriverUid) {
+    logger.debug("Order no longer needs a driver", { orderId });
+    return null;
+  }
+
+  const [candidate] = await findNearbyDrivers(
+    order.latPickup,
+    order.lngPickup,
+    { excludeOrderId: order.orderId, limit: 1 }
+  );
+
+  if (!candidate) {
+    logger.info("No available driver in range", { orderId, radiusKm: DISPATCH_RADIUS_KM });
+    return null;
+  }
+
+  // Only one open offer per order: the insert is a no-op if another
+  // dispatch run got there first
+  const result = await executeQuery(
+    `INSERT INTO dispatch_offers (orderId, driverUid, distanceKm, status, expiresAt)
+     SELECT ?, ?, ?, 'offered', NOW() + INTERVAL ? SECOND FROM DUAL
+     WHERE NOT EXISTS (
+       SELECT 1 FROM dispatch_offers WHERE orderId = ? AND status = 'offered'
+     )`,
+    [
+      order.orderId,
+      candidate.driverUid,
+      candidate.distanceKm.toFixed(3),
+      OFFER_TIMEOUT_SECONDS,
+      order.orderId,
+    ]
+  );
+
+  if (result.affectedRows === 0) {
+    logger.debug("Order already has an open offer", { orderId });
+    return null;
+  }
+
+  logger.info("Order offered to driver", {
+    orderId,
+    driverUid: candidate.driverUid,
+    distanceKm: Number(candidate.distanceKm.toFixed(2)),
+  });
+
+  const [offer] = await executeQuery(
+    "SELECT * FROM dispatch_offers WHERE offerId = ?",
+    [result.insertId]
+  );
+  return offer;
+};
+
+// Fire-and-forget dispatch used after events that may free up a driver
+const triggerDispatch = (orderId) => {
+  dispatchOrder(orderId).catch((error) => {
+    logger.error("Dispatch failed", { orderId, error });
+  });
+};
+
+// Accept or decline an open offer on behalf of a driver
+const respondToOffer = async (offerId, driverUid, accept) => {
+  logger.debug("Driver responding to offer", { offerId, driverUid, accept });
+
+  const [offer] = await executeQuery(
+    "SELECT * FROM dispatch_offers WHERE offerId = ? AND driverUid = ?",
+    [offerId, driverUid]
+  );
+
+  if (!offer) {
+    throw createError("Offer not found", 404);
+  }
+
+  const result = await executeQuery(
+    `UPDATE dispatch_offers SET status = ?, respondedAt = CURRENT_TIMESTAMP
+     WHERE offerId = ? AND status = 'offered' AND expiresAt > NOW()`,
+    [accept ? "accepted" : "declined", offerId]
+  );
+
+  if (result.affectedRows === 0) {
+    logger.info("Offer is no longer open", { offerId });
+    throw createError("Offer is no longer available", 409);
+  }
+
+  if (!accept) {
+    logger.info("Offer declined", { offerId, orderId: offer.orderId });
+    triggerDispatch(offer.orderId);
+    return { offer: { ...offer, status: "declined" }, order: null };
+  }
+
+  const order = await OrderRepository.findById(offer.orderId);
+
+  try {
+    const confirmedOrder = await transitionOrderStatus(order, "confirmed", {
+      actorUid: driverUid,
+      actorRole: "driver",
+      fields: { assignedDriverUid: driverUid },
+    });
+
+    logger.info("Order assigned to driver", { orderId: offer.orderId, driverUid });
+    return { offer: { ...offer, status: "accepted" }, order: confirmedOrder };
+  } catch (error) {
+    // The order was cancelled or changed while the offer was open
+    await executeQuery(
+      "UPDATE dispatch_offers SET status = 'expired' WHERE offerId = ?",
+      [offerId]
+    );
+    if (error.status === 409) {
+      throw createError("Order is no longer available", 409);
+    }
+    throw error;
+  }
+};
+
+// Admin reassignment. A driver takes over a pending, confirmed or
+// in-progress order (a pending order becomes confirmed); with no driver a
+// confirmed order goes back to pending and is dispatched again.
+// `inTransaction(query, updatedOrder)` writes other rows (e.g. the audit
+// entry) in the reassignment's transaction.
+const reassignOrder = async (order, driverUid, { actorUid, reason, inTransaction }) => {
+  logger.info("Reassigning order", {
+    orderId: order.orderId,
+    fromDriverUid: order.assignedDriverUid,
+    toDriverUid: driverUid,
+  });
+
+  if (!["pending", "confirmed", "in_progress"].includes(order.status)) {
+    throw createError(`Cannot reassign a ${order.status} order`, 409);
+  }
+
+  if (driverUid === order.assignedDriverUid) {
+    throw createError("Order is already assigned to this driver", 409);
+  }
+
+  if (driverUid === null) {
+    if (order.status !== "confirmed") {
+      throw createError("Only confirmed orders can be returned to dispatch", 409);
+    }
+
+    const pendingOrder = await forceOrderStatus(order, "pending", {
+      actorUid,
+      reason,
+      fields: { assignedDriverUid: null },
+      inTransaction,
+    });
+    triggerDispatch(order.orderId);
+    return pendingOrder;
+  }
+
+  const [driver] = await executeQuery(
+    "SELECT driverUid, status FROM drivers WHERE driverUid = ?",
+    [driverUid]
+  );
+
+  if (!driver) {
+    throw createError("Driver not found", 404);
+  }
+
+  if (driver.status !== "approved") {
+    throw createError("Only approved drivers can be assigned orders", 409);
+  }
+
+  if (order.status === "pending") {
+    // Withdraw any open offer so the old candidate cannot accept it
+    await executeQuery(
+      "UPDATE dispatch_offers SET status = 'expired' WHERE orderId = ? AND status = 'offered'",
+      [order.orderId]
+    );
+
+    return transitionOrderStatus(order, "confirmed", {
+      actorUid,
+      actorRole: "admin",
+      reason,
+      fields: { assignedDriverUid: driverUid },
+      inTransaction,
+    });
+  }
+
+  const reassignedOrder = await withTransaction(async (query) => {
+    const orders = createOrderRepository(query);
+
+    const reassigned = await orders.reassignDriver(order, driverUid);
+    if (!reassigned) {
+      throw createError("Order was changed by another request. Please retry.", 409);
+    }
+
+    const updated = await orders.findById(order.orderId);
+    if (inTransaction) {
+      await inTransaction(query, updated);
+    }
+    return updated;
+  });
+
+  logger.info("Order reassigned", { orderId: order.orderId, driverUid });
+
+  return reassignedOrder;
+};
+
+// Expire timed-out offers and (re)dispatch every pending order without an
+// open offer. Runs on an interval, so it also picks work back up after a
+// restart.
+const sweepDispatch = async () => {
+  if (sweepRunning) return;
+  sweepRunning = true;
+
+  try {
+    const expiredOffers = await executeQuery(
+      "SELECT offerId, orderId FROM dispatch_offers WHERE status = 'offered' AND expiresAt <= NOW()"
+    );
+
+    for (const offer of expiredOffers) {
+      const result = await executeQuery(
+        "UPDATE dispatch_offers SET status = 'expired' WHERE offerId = ? AND status = 'offered'",
+        [offer.offerId]
+      );
+      if (result.affectedRows > 0) {
+        logger.info("Offer timed out", { offerId: offer.offerId, orderId: offer.orderId });
+      }
+    }
+
+    const waitingOrders = await OrderRepository.findAwaitingDispatch(50);
+
+    for (const { orderId } of waitingOrders) {
+      await dispatchOrder(orderId);
+    }
+  } catch (error) {
+    logger.error("Dispatch sweep failed", { error });
+  } finally {
+    sweepRunning = false;
+  }
+};
+
+// Every dispatch offer made for an order, oldest first
+const getOrderOffers = (orderId) =>
+  executeQuery(
+    "SELECT * FROM dispatch_offers WHERE orderId = ? ORDER BY offeredAt ASC, offerId ASC",
+    [orderId]
+  );
+
+// Store a driver's latest position, used to match them to nearby orders
+const updateDriverPosition = (driverUid, latitude, longitude) =>
+  executeQuery(
+    `UPDATE drivers SET currentLat = ?, currentLng = ?, locationUpdatedAt = CURRENT_TIMESTAMP
+     WHERE driverUid = ?`,
+    [latitude, longitude, driverUid]
+  );
+
+// Start the background dispatch sweep
+const startDispatcher = () => {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(sweepDispatch, DISPATCH_SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+  logger.info("Dispatcher started", { intervalMs: DISPATCH_SWEEP_INTERVAL_MS });
+};
+
+// Stop the background dispatch sweep (for graceful shutdown)
+const stopDispatcher = () => {
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+};
+
+module.exports = {
+  DISPATCH_RADIUS_KM,
+  OFFER_TIMEOUT_SECONDS,
+  DRIVER_LOCATION_MAX_AGE_SECONDS,
+  findNearbyDrivers,
+  dispatchOrder,
+  triggerDispatch,
+  respondToOffer,
+  reassignOrder,
+  getOrderOffers,
+  updateDriverPosition,
+  sweepDispatch,
+  startDispatcher,
+  stopDispatcher,
+};
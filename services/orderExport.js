@@ -0,0 +1,105 @@
+const { Transform } = require("stream");
+const { streamQuery } = require("../config/db");
+
+// Columns of an order history export, in order
+const EXPORT_COLUMNS = [
+  "orderId",
+  "createdAt",
+  "status",
+  "orderType",
+  "pickupAddress",
+  "dropoffAddress",
+  "estimatedDistanceKm",
+  "originalAmount",
+  "discountAmount",
+  "promoCode",
+  "amount",
+  "cancellationFee",
+  "paymentStatus",
+  "scheduledFor",
+  "cancelledAt",
+];
+
+const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  json: { contentType: "application/json; charset=utf-8", extension: "json" },
+};
+
+const toExportValue = (value) => (value instanceof Date ? value.toISOString() : value);
+
+// Quote a CSV cell. Cells that a spreadsheet would run as a formula are
+// prefixed with an apostrophe (addresses and codes come from users).
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = String(toExportValue(value));
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Row stream → CSV text
+const csvTransform = () => {
+  let headerWritten = false;
+  return new Transform({
+    writableObjectMode: true,
+    transform(row, encoding, callback) {
+      const header = headerWritten ? "" : `${EXPORT_COLUMNS.join(",")}\r\n`;
+      headerWritten = true;
+      callback(null, `${header}${EXPORT_COLUMNS.map((c) => toCsvCell(row[c])).join(",")}\r\n`);
+    },
+    flush(callback) {
+      callback(null, headerWritten ? "" : `${EXPORT_COLUMNS.join(",")}\r\n`);
+    },
+  });
+};
+
+// Row stream → JSON array text
+const jsonTransform = () => {
+  let first = true;
+  return new Transform({
+    writableObjectMode: true,
+    transform(row, encoding, callback) {
+      const order = Object.fromEntries(
+        EXPORT_COLUMNS.map((c) => [c, toExportValue(row[c])])
+      );
+      callback(null, `${first ? "[\n" : ",\n"}${JSON.stringify(order)}`);
+      first = false;
+    },
+    flush(callback) {
+      callback(null, first ? "[]\n" : "\n]\n");
+    },
+  });
+};
+
+// Stream a user's orders created in [from, to), oldest first, as a
+// readable of rows plus the transform that serialises them
+const createOrderExport = async (userUid, { from = null, to = null, format }) => {
+  const conditions = ["userUid = ?"];
+  const params = [userUid];
+
+  if (from) {
+    conditions.push("createdAt >= ?");
+    params.push(from);
+  }
+
+  if (to) {
+    conditions.push("createdAt < ?");
+    params.push(to);
+  }
+
+  const rows = await streamQuery(
+    `SELECT ${EXPORT_COLUMNS.join(", ")} FROM orders
+     WHERE ${conditions.join(" AND ")}
+     ORDER BY createdAt ASC, orderId ASC`,
+    params
+  );
+
+  return { rows, serializer: format === "csv" ? csvTransform() : jsonTransform() };
+};
+
+module.exports = {
+  EXPORT_COLUMNS,
+  EXPORT_FORMATS,
+  createOrderExport,
+};
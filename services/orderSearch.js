@@ -0,0 +1,155 @@
+const { createError } = require("../middlewares/errorHandler");
+const { ORDER_STATUSES } = require("./orderStatus");
+
+// Shortest word the addresses full-text index holds (InnoDB's default
+// innodb_ft_min_token_size); shorter words cannot be searched for
+const SEARCH_MIN_WORD_LENGTH = 3;
+
+// Parse an optional ISO date query parameter
+const parseDateParam = (value, name) => {
+  if (value === undefined) return null;
+  const date = new Date(value);
+  if (typeof value !== "string" || isNaN(date.getTime())) {
+    throw createError(`${name} must be an ISO 8601 date-time`, 400);
+  }
+  return date;
+};
+
+// Parse an optional amount query parameter
+const parseAmountParam = (value, name) => {
+  if (value === undefined) return null;
+  const amount = parseFloat(value);
+  if (isNaN(amount) || amount < 0) {
+    throw createError(`${name} must be a non-negative number`, 400);
+  }
+  return amount;
+};
+
+// Parse a status filter given as "a,b" or as a repeated parameter
+const parseStatusParam = (value) => {
+  if (value === undefined) return [];
+  const statuses = [].concat(value).flatMap((item) => String(item).split(","));
+  const invalid = statuses.filter((status) => !ORDER_STATUSES.includes(status));
+  if (statuses.length === 0 || invalid.length > 0) {
+    throw createError(
+      `Invalid status. Must be one or more of: ${ORDER_STATUSES.join(", ")}`,
+      400
+    );
+  }
+  return [...new Set(statuses)];
+};
+
+// Turn free text into a boolean-mode full-text query in which every word
+// must appear, as a prefix, in the pickup or dropoff address
+const parseSearchParam = (value) => {
+  if (value === undefined) return null;
+  if (typeof value !== "string" || value.length > 200) {
+    throw createError("search must be a string of at most 200 characters", 400);
+  }
+
+  const words = value
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((word) => word.length >= SEARCH_MIN_WORD_LENGTH);
+
+  if (words.length === 0) {
+    throw createError(
+      `search must contain a word of at least ${SEARCH_MIN_WORD_LENGTH} letters or digits`,
+      400
+    );
+  }
+
+  return words.map((word) => `+${word}*`).join(" ");
+};
+
+// Opaque page cursors: the (createdAt, orderId) of the last order returned
+const encodeCursor = (order) =>
+  Buffer.from(JSON.stringify([order.createdAt.toISOString(), order.orderId])).toString(
+    "base64url"
+  );
+
+const decodeCursor = (cursor) => {
+  try {
+    const [createdAt, orderId] = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    const date = new Date(createdAt);
+    if (isNaN(date.getTime()) || !Number.isInteger(orderId)) {
+      throw new Error("Malformed cursor");
+    }
+    return { createdAt: date, orderId };
+  } catch (error) {
+    throw createError("Invalid cursor", 400);
+  }
+};
+
+// Parse the order list filters shared by the rider and admin lists into
+// WHERE conditions and their parameters
+const buildOrderFilters = (query) => {
+  const statuses = parseStatusParam(query.status);
+  const from = parseDateParam(query.from, "from");
+  const to = parseDateParam(query.to, "to");
+  const minAmount = parseAmountParam(query.minAmount, "minAmount");
+  const maxAmount = parseAmountParam(query.maxAmount, "maxAmount");
+  const search = parseSearchParam(query.search);
+
+  if (from && to && from >= to) {
+    throw createError("from must be before to", 400);
+  }
+
+  if (minAmount !== null && maxAmount !== null && minAmount > maxAmount) {
+    throw createError("minAmount cannot exceed maxAmount", 400);
+  }
+
+  const conditions = [];
+  const params = [];
+
+  if (statuses.length > 0) {
+    conditions.push(`status IN (${statuses.map(() => "?").join(", ")})`);
+    params.push(...statuses);
+  }
+
+  if (query.orderType) {
+    conditions.push("orderType = ?");
+    params.push(String(query.orderType).toLowerCase());
+  }
+
+  if (from) {
+    conditions.push("createdAt >= ?");
+    params.push(from);
+  }
+
+  if (to) {
+    conditions.push("createdAt < ?");
+    params.push(to);
+  }
+
+  if (minAmount !== null) {
+    conditions.push("amount >= ?");
+    params.push(minAmount);
+  }
+
+  if (maxAmount !== null) {
+    conditions.push("amount <= ?");
+    params.push(maxAmount);
+  }
+
+  if (search) {
+    conditions.push("MATCH(pickupAddress, dropoffAddress) AGAINST (? IN BOOLEAN MODE)");
+    params.push(search);
+  }
+
+  return { conditions, params };
+};
+
+// Condition selecting the orders after a cursor, newest first
+const cursorCondition = (cursor) => ({
+  condition: "(createdAt < ? OR (createdAt = ? AND orderId < ?))",
+  params: [cursor.createdAt, cursor.createdAt, cursor.orderId],
+});
+
+module.exports = {
+  parseDateParam,
+  parseAmountParam,
+  buildOrderFilters,
+  encodeCursor,
+  decodeCursor,
+  cursorCondition,
+};
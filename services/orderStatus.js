@@ -0,0 +1,195 @@
+const { executeQuery, withTransaction } = require("../config/db");
+const { createOrderRepository } = require("../repositories/orderRepository");
+const { createError } = require("../middlewares/errorHandler");
+const { logger } = require("../config/logger");
+const { publishStatus } = require("./tracking");
+const { enqueueWebhookEvent } = require("./webhooks");
+
+// Every status an order can be in (mirrors the orders.status ENUM)
+const ORDER_STATUSES = [
+  "scheduled",
+  "pending",
+  "confirmed",
+  "in_progress",
+  "completed",
+  "cancelled",
+];
+
+// Legal transitions: scheduled orders are released into pending by the
+// scheduler, completed and cancelled are terminal
+const ORDER_STATUS_TRANSITIONS = {
+  scheduled: ["pending", "cancelled"],
+  pending: ["confirmed", "cancelled"],
+  confirmed: ["in_progress", "cancelled"],
+  in_progress: ["completed", "cancelled"],
+  completed: [],
+  cancelled: [],
+};
+
+// Check whether an order may move from one status to another
+const canTransition = (fromStatus, toStatus) =>
+  (ORDER_STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+
+// Append an entry to order_status_history (fromStatus is null on creation).
+// `query` is executeQuery or a transaction's executor.
+const recordStatusHistory = async (
+  query,
+  orderId,
+  fromStatus,
+  toStatus,
+  { actorUid, actorRole, reason = null }
+) => {
+  await query(
+    `INSERT INTO order_status_history (
+      orderId, fromStatus, toStatus, actorUid, actorRole, reason
+    ) VALUES (?, ?, ?, ?, ?, ?)`,
+    [orderId, fromStatus, toStatus, actorUid, actorRole, reason]
+  );
+};
+
+// Write a status change guarded on the current status, record it in the
+// history and queue its webhooks in one transaction, then notify tracking
+// subscribers.
+// `inTransaction(query, updatedOrder)` runs in the same transaction after
+// the change, for rows that must be written together with it.
+const applyStatusChange = async (
+  order,
+  toStatus,
+  { actorUid, actorRole, reason, fields, inTransaction }
+) => {
+  const updatedOrder = await withTransaction(async (query) => {
+    const orders = createOrderRepository(query);
+
+    const changed = await orders.updateStatus(order.orderId, order.status, toStatus, fields);
+    if (!changed) {
+      logger.info("Order changed concurrently", { orderId: order.orderId });
+      throw createError(
+        "Order status was changed by another request. Please retry.",
+        409
+      );
+    }
+
+    await recordStatusHistory(query, order.orderId, order.status, toStatus, {
+      actorUid,
+      actorRole,
+      reason,
+    });
+
+    const updated = await orders.findById(order.orderId);
+    if (inTransaction) {
+      await inTransaction(query, updated);
+    }
+
+    await enqueueWebhookEvent(query, "order.status_changed", {
+      previousStatus: order.status,
+      status: toStatus,
+      actorRole,
+      order: updated,
+    });
+
+    return updated;
+  });
+
+  logger.info("Order status changed", {
+    orderId: order.orderId,
+    from: order.status,
+    to: toStatus,
+    actorUid,
+    actorRole,
+  });
+  publishStatus(order.orderId, toStatus);
+
+  return updatedOrder;
+};
+
+// Move an order to a new status and record the change in order_status_history.
+// The UPDATE is guarded on the current status so two concurrent transitions
+// cannot both succeed. `fields` lets callers set extra order columns in the
+// same statement (column names must come from code, never from user input)
+// and `inTransaction(query, updatedOrder)` write other rows in the same
+// transaction.
+const transitionOrderStatus = async (
+  order,
+  toStatus,
+  { actorUid, actorRole, reason = null, fields = {}, inTransaction } = {}
+) => {
+  if (!ORDER_STATUSES.includes(toStatus)) {
+    throw createError(
+      `Invalid status. Must be one of: ${ORDER_STATUSES.join(", ")}`,
+      400
+    );
+  }
+
+  if (!canTransition(order.status, toStatus)) {
+    logger.info("Illegal status transition", { orderId: order.orderId, from: order.status, to: toStatus });
+    throw createError(
+      `Cannot change order status from ${order.status} to ${toStatus}`,
+      409
+    );
+  }
+
+  return applyStatusChange(order, toStatus, {
+    actorUid,
+    actorRole,
+    reason,
+    fields,
+    inTransaction,
+  });
+};
+
+// Admin override: move an order to any other status, bypassing the
+// transition rules. A reason is mandatory and lands in the history.
+// Payments are left untouched; use the wallet endpoints to charge or refund.
+const forceOrderStatus = async (order, toStatus, { actorUid, reason, fields = {}, inTransaction }) => {
+  logger.warn("Forcing order status", {
+    orderId: order.orderId,
+    from: order.status,
+    to: toStatus,
+    reason,
+  });
+
+  if (!ORDER_STATUSES.includes(toStatus) || toStatus === "scheduled") {
+    throw createError(
+      `Invalid status. Must be one of: ${ORDER_STATUSES.filter((s) => s !== "scheduled").join(", ")}`,
+      400
+    );
+  }
+
+  if (order.status === toStatus) {
+    throw createError(`Order is already ${toStatus}`, 409);
+  }
+
+  return applyStatusChange(order, toStatus, {
+    actorUid,
+    actorRole: "admin",
+    reason,
+    fields,
+    inTransaction,
+  });
+};
+
+// Fetch the status history of an order, oldest first
+const getOrderStatusHistory = async (orderId) => {
+  const rows = await executeQuery(
+    `SELECT historyId, orderId, fromStatus, toStatus, actorUid, actorRole, reason, createdAt
+     FROM order_status_history
+     WHERE orderId = ?
+     ORDER BY createdAt ASC, historyId ASC`,
+    [orderId]
+  );
+
+  return rows.map((row) => ({
+    ...row,
+    createdAt: row.createdAt.toISOString(),
+  }));
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_STATUS_TRANSITIONS,
+  canTransition,
+  recordStatusHistory,
+  transitionOrderStatus,
+  forceOrderStatus,
+  getOrderStatusHistory,
+};
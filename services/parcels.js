@@ -0,0 +1,211 @@
+const crypto = require("crypto");
+const { executeQuery } = require("../config/db");
+const { createError } = require("../middlewares/errorHandler");
+const { logger } = require("../config/logger");
+const { getStorage } = require("./storage");
+
+const PARCEL_SIZE_CLASSES = ["small", "medium", "large", "extra_large"];
+
+// Heaviest parcel accepted (kg)
+const MAX_PARCEL_WEIGHT_KG = process.env.MAX_PARCEL_WEIGHT_KG
+  ? parseFloat(process.env.MAX_PARCEL_WEIGHT_KG)
+  : 50;
+
+// Wrong PINs a courier may enter before photo proof is required
+const DELIVERY_PIN_MAX_ATTEMPTS = 5;
+
+// Accepted proof images and their file extensions
+const PROOF_IMAGE_TYPES = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+};
+
+const PHONE_PATTERN = /^\+?[0-9 ()-]{6,32}$/;
+
+// Content type of an image from its leading bytes, or null. The type the
+// client declares for an upload is not trusted.
+const detectImageType = (buffer) => {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return "image/jpeg";
+  }
+  if (
+    buffer.length >= 8 &&
+    buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  ) {
+    return "image/png";
+  }
+  if (
+    buffer.length >= 12 &&
+    buffer.toString("latin1", 0, 4) === "RIFF" &&
+    buffer.toString("latin1", 8, 12) === "WEBP"
+  ) {
+    return "image/webp";
+  }
+  return null;
+};
+
+// Store the parcel of a new delivery order with the given query function.
+// A random PIN is issued for the rider to share with the recipient.
+const insertParcel = async (query, orderId, parcel) => {
+  const deliveryPin = crypto.randomInt(0, 10000).toString().padStart(4, "0");
+
+  await query(
+    `INSERT INTO order_parcels (
+      orderId, sizeClass, weightKg, isFragile, recipientName, recipientPhone, deliveryPin
+    ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      orderId,
+      parcel.sizeClass,
+      parcel.weightKg ?? null,
+      parcel.isFragile === true,
+      parcel.recipientName.trim(),
+      parcel.recipientPhone,
+      deliveryPin,
+    ]
+  );
+};
+
+const getParcel = async (orderId) => {
+  const [parcel] = await executeQuery(
+    "SELECT * FROM order_parcels WHERE orderId = ?",
+    [orderId]
+  );
+  return parcel || null;
+};
+
+// Convert a parcel row to the shape sent to clients. Only the rider who
+// placed the order gets to see the delivery PIN.
+const formatParcel = (parcel, { includePin = false } = {}) => ({
+  sizeClass: parcel.sizeClass,
+  weightKg: parcel.weightKg === null ? null : parseFloat(parcel.weightKg),
+  isFragile: Boolean(parcel.isFragile),
+  recipientName: parcel.recipientName,
+  recipientPhone: parcel.recipientPhone,
+  ...(includePin ? { deliveryPin: parcel.deliveryPin } : {}),
+});
+
+// Check the PIN given by the recipient. Every attempt is counted up front
+// so concurrent guesses cannot exceed the limit; once it is used up the
+// courier has to fall back to photo proof.
+const verifyDeliveryPin = async (orderId, pin) => {
+  const parcel = await getParcel(orderId);
+
+  if (!parcel) {
+    throw createError("This order has no parcel", 409);
+  }
+
+  const attempt = await executeQuery(
+    "UPDATE order_parcels SET pinAttempts = pinAttempts + 1 WHERE orderId = ? AND pinAttempts < ?",
+    [orderId, DELIVERY_PIN_MAX_ATTEMPTS]
+  );
+
+  if (attempt.affectedRows === 0) {
+    throw createError("Too many wrong PINs. Submit a photo and signature instead.", 423);
+  }
+
+  const matches =
+    typeof pin === "string" &&
+    pin.length === parcel.deliveryPin.length &&
+    crypto.timingSafeEqual(Buffer.from(pin), Buffer.from(parcel.deliveryPin));
+
+  if (!matches) {
+    const remaining = Math.max(DELIVERY_PIN_MAX_ATTEMPTS - parcel.pinAttempts - 1, 0);
+    throw createError(`Incorrect delivery PIN. ${remaining} attempt(s) left.`, 400);
+  }
+};
+
+// Save the photo and signature of a photo proof and return their keys.
+// Each file must really be one of the accepted images; its stored type (and
+// the type it is served with) comes from its content.
+const storeProofImages = async (orderId, { photo, signature }) => {
+  const photoType = detectImageType(photo.buffer);
+  const signatureType = detectImageType(signature.buffer);
+
+  if (!photoType || !signatureType) {
+    throw createError("Proof images must be JPEG, PNG or WebP files", 400);
+  }
+
+  const storage = getStorage();
+  const suffix = crypto.randomBytes(6).toString("hex");
+  const photoKey = `proofs/${orderId}/photo-${suffix}.${PROOF_IMAGE_TYPES[photoType]}`;
+  const signatureKey = `proofs/${orderId}/signature-${suffix}.${PROOF_IMAGE_TYPES[signatureType]}`;
+
+  await storage.put(photoKey, photo.buffer);
+  await storage.put(signatureKey, signature.buffer);
+
+  return { photoKey, signatureKey };
+};
+
+// Remove proof images that ended up unused
+const discardProofImages = async ({ photoKey, signatureKey }) => {
+  const storage = getStorage();
+  await Promise.all(
+    [photoKey, signatureKey].map((key) =>
+      storage
+        .remove(key)
+        .catch((error) => logger.error("Failed to remove proof image", { key, error }))
+    )
+  );
+};
+
+// Insert the proof row of a delivered order. `query` is executeQuery or a
+// transaction's executor.
+const recordDeliveryProof = (
+  query,
+  orderId,
+  { method, photoKey = null, signatureKey = null, receivedBy = null, deliveredBy }
+) =>
+  query(
+    `INSERT INTO order_delivery_proofs (orderId, method, photoKey, signatureKey, receivedBy, deliveredBy)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [orderId, method, photoKey, signatureKey, receivedBy, deliveredBy]
+  );
+
+const getDeliveryProof = async (orderId) => {
+  const [proof] = await executeQuery(
+    "SELECT * FROM order_delivery_proofs WHERE orderId = ?",
+    [orderId]
+  );
+  return proof || null;
+};
+
+// Content type of a stored proof image, from its key
+const proofContentType = (key) =>
+  Object.keys(PROOF_IMAGE_TYPES).find(
+    (type) => key.endsWith(`.${PROOF_IMAGE_TYPES[type]}`)
+  ) || "application/octet-stream";
+
+// Convert a delivery proof row to the shape sent to clients
+const formatDeliveryProof = (proof) => ({
+  orderId: proof.orderId,
+  method: proof.method,
+  receivedBy: proof.receivedBy,
+  deliveredBy: proof.deliveredBy,
+  deliveredAt: proof.deliveredAt.toISOString(),
+  photoUrl: proof.photoKey
+    ? `/api/orders/${proof.orderId}/proof-of-delivery/photo`
+    : null,
+  signatureUrl: proof.signatureKey
+    ? `/api/orders/${proof.orderId}/proof-of-delivery/signature`
+    : null,
+});
+
+module.exports = {
+  PARCEL_SIZE_CLASSES,
+  MAX_PARCEL_WEIGHT_KG,
+  PHONE_PATTERN,
+  DELIVERY_PIN_MAX_ATTEMPTS,
+  PROOF_IMAGE_TYPES,
+  detectImageType,
+  insertParcel,
+  getParcel,
+  formatParcel,
+  verifyDeliveryPin,
+  storeProofImages,
+  discardProofImages,
+  recordDeliveryProof,
+  getDeliveryProof,
+  proofContentType,
+  formatDeliveryProof,
+};
@@ -0,0 +1,50 @@
+const crypto = require("crypto");
+const { createError } = require("../../middlewares/errorHandler");
+const { logger } = require("../../config/logger");
+
+// Local stand-in for a payment gateway. Every charge succeeds except for
+// the test payment methods below, so the wallet flow can be exercised
+// end to end without real cards.
+const DECLINING_PAYMENT_METHODS = {
+  pm_fake_declined: "Card declined",
+  pm_fake_insufficient_funds: "Insufficient funds on card",
+};
+
+const CHARGE_REFERENCE_PREFIX = "fake_ch_";
+
+const charge = async ({ amount, currency, customerUid, paymentMethodId }) => {
+  const method = paymentMethodId || "pm_fake_card";
+
+  if (DECLINING_PAYMENT_METHODS[method]) {
+    logger.info("Fake provider declined charge", { amount, currency, customerUid, paymentMethodId: method });
+    throw createError(DECLINING_PAYMENT_METHODS[method], 402);
+  }
+
+  const reference = `${CHARGE_REFERENCE_PREFIX}${crypto.randomBytes(12).toString("hex")}`;
+
+  logger.info("Fake provider charged", { amount, currency, customerUid, reference });
+
+  return { reference, status: "succeeded" };
+};
+
+// Keeps no state, so charges made before a restart can still be refunded.
+// The ledger records each charge's providerReference and amount; callers
+// refund at most what it shows was charged.
+const refund = async ({ reference, amount }) => {
+  if (typeof reference !== "string" || !reference.startsWith(CHARGE_REFERENCE_PREFIX)) {
+    throw createError("Unknown charge reference", 404);
+  }
+
+  logger.info("Fake provider refunded", { amount, reference });
+
+  return {
+    reference: `fake_re_${crypto.randomBytes(12).toString("hex")}`,
+    status: "succeeded",
+  };
+};
+
+module.exports = {
+  name: "fake",
+  charge,
+  refund,
+};
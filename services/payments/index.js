@@ -0,0 +1,35 @@
+const fakeProvider = require("./fakeProvider");
+
+// A payment provider moves money between a customer's payment method and
+// the platform. It implements:
+//
+//   charge({ amount, currency, customerUid, paymentMethodId, description })
+//     -> { reference, status }   (throws a 402 error when declined)
+//   refund({ reference, amount }) -> { reference, status }
+//
+// Amounts are in major currency units. A null paymentMethodId means the
+// customer's default payment method.
+const PROVIDERS = {
+  fake: fakeProvider,
+};
+
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || "fake";
+
+if (!PROVIDERS[PAYMENT_PROVIDER]) {
+  throw new Error(`Unknown PAYMENT_PROVIDER: ${PAYMENT_PROVIDER}`);
+}
+
+// The fake provider accepts every charge, so in production it would let
+// any user credit their wallet for free
+if (PAYMENT_PROVIDER === "fake" && process.env.NODE_ENV === "production") {
+  throw new Error(
+    "PAYMENT_PROVIDER 'fake' cannot be used in production: wallet top-ups would not be backed by real payments"
+  );
+}
+
+const getPaymentProvider = () => PROVIDERS[PAYMENT_PROVIDER];
+
+module.exports = {
+  PAYMENT_PROVIDER,
+  getPaymentProvider,
+};
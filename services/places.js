@@ -0,0 +1,78 @@
+const { executeQuery } = require("../config/db");
+const { createError } = require("../middlewares/errorHandler");
+const { logger } = require("../config/logger");
+
+// Most saved places a rider can keep
+const MAX_SAVED_PLACES = process.env.MAX_SAVED_PLACES
+  ? parseInt(process.env.MAX_SAVED_PLACES, 10)
+  : 50;
+
+// Fetch one of the user's saved places
+const getSavedPlace = async (placeId, userUid) => {
+  const [place] = await executeQuery(
+    "SELECT * FROM saved_places WHERE placeId = ? AND userUid = ?",
+    [placeId, userUid]
+  );
+  return place || null;
+};
+
+// Fill pickup/dropoff address and coordinates from pickupPlaceId and
+// dropoffPlaceId. Returns a new body; raw fields cannot be mixed with a
+// place ID for the same end of the trip.
+const resolveSavedPlaces = async (body, userUid) => {
+  const resolved = { ...body };
+  const ends = [
+    { idField: "pickupPlaceId", address: "pickupAddress", lat: "latPickup", lng: "lngPickup" },
+    { idField: "dropoffPlaceId", address: "dropoffAddress", lat: "latDropoff", lng: "lngDropoff" },
+  ];
+
+  for (const end of ends) {
+    const placeId = body[end.idField];
+    if (placeId === undefined || placeId === null) {
+      continue;
+    }
+
+    if (!Number.isInteger(placeId)) {
+      throw createError(`${end.idField} must be an integer`, 400);
+    }
+
+    if ([end.address, end.lat, end.lng].some((field) => body[field] !== undefined)) {
+      throw createError(
+        `Send either ${end.idField} or ${end.address}/${end.lat}/${end.lng}, not both`,
+        400
+      );
+    }
+
+    const place = await getSavedPlace(placeId, userUid);
+    if (!place) {
+      logger.info("Saved place not found", { placeId });
+      throw createError(`Saved place ${placeId} not found`, 404);
+    }
+
+    logger.debug("Using saved place", { placeId, field: end.idField });
+
+    resolved[end.address] = place.address;
+    resolved[end.lat] = parseFloat(place.latitude);
+    resolved[end.lng] = parseFloat(place.longitude);
+  }
+
+  return resolved;
+};
+
+// Convert a saved place row to the shape sent to clients
+const formatPlace = (place) => ({
+  placeId: place.placeId,
+  label: place.label,
+  address: place.address,
+  latitude: parseFloat(place.latitude),
+  longitude: parseFloat(place.longitude),
+  createdAt: place.createdAt.toISOString(),
+  updatedAt: place.updatedAt.toISOString(),
+});
+
+module.exports = {
+  MAX_SAVED_PLACES,
+  getSavedPlace,
+  resolveSavedPlaces,
+  formatPlace,
+};
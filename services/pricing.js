@@ -0,0 +1,179 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { createError } = require("../middlewares/errorHandler");
+const { logger } = require("../config/logger");
+const { haversineDistanceKm } = require("../utils/geo");
+const { getSurgeForPoint } = require("./surge");
+
+// Fare components (in the platform currency)
+const PRICING = {
+  currency: process.env.PRICING_CURRENCY || "USD",
+  baseFare: parseFloat(process.env.PRICING_BASE_FARE || "2.50"),
+  perKm: parseFloat(process.env.PRICING_PER_KM || "1.20"),
+  perMinute: parseFloat(process.env.PRICING_PER_MINUTE || "0.25"),
+  minimumFare: parseFloat(process.env.PRICING_MINIMUM_FARE || "5.00"),
+};
+
+// Price multiplier per orderType
+const ORDER_TYPE_MULTIPLIERS = {
+  delivery: 1.0,
+  pickup: 1.0,
+  express: 1.5,
+  scheduled: 1.1,
+};
+
+// Without a map service, road distance is approximated from the
+// great-circle distance and travel time from an average city speed
+const ROAD_DISTANCE_FACTOR = 1.3;
+const AVERAGE_SPEED_KMH = 25;
+
+// How long a quote can be used to create an order
+const QUOTE_TTL_SECONDS = process.env.QUOTE_TTL_SECONDS
+  ? parseInt(process.env.QUOTE_TTL_SECONDS, 10)
+  : 300;
+
+// Coordinates in a quote must match the order to this precision (degrees)
+const COORDINATE_TOLERANCE = 1e-6;
+
+let quoteSecret = process.env.QUOTE_SECRET;
+if (!quoteSecret) {
+  logger.warn(
+    "QUOTE_SECRET not set - using a random secret, quotes will not survive restarts or work across instances"
+  );
+  quoteSecret = crypto.randomBytes(32).toString("hex");
+}
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Compute the fare of a trip from its coordinates, orderType and the surge
+// multiplier in force at the pickup
+const calculateFare = ({
+  latPickup,
+  lngPickup,
+  latDropoff,
+  lngDropoff,
+  orderType,
+  stops = [],
+  surgeMultiplier = 1,
+}) => {
+  // Pickup, then each intermediate stop in order, then dropoff
+  const route = [
+    [latPickup, lngPickup],
+    ...stops.map((stop) => [stop.latitude, stop.longitude]),
+    [latDropoff, lngDropoff],
+  ].map(([lat, lng]) => [parseFloat(lat), parseFloat(lng)]);
+
+  let straightLineKm = 0;
+  for (let i = 1; i < route.length; i++) {
+    straightLineKm += haversineDistanceKm(...route[i - 1], ...route[i]);
+  }
+  const distanceKm = straightLineKm * ROAD_DISTANCE_FACTOR;
+  const durationMinutes = (distanceKm / AVERAGE_SPEED_KMH) * 60;
+
+  const distanceFare = distanceKm * PRICING.perKm;
+  const timeFare = durationMinutes * PRICING.perMinute;
+  const typeMultiplier = ORDER_TYPE_MULTIPLIERS[orderType] || 1;
+  const subtotal =
+    (PRICING.baseFare + distanceFare + timeFare) *
+    typeMultiplier *
+    surgeMultiplier;
+
+  return {
+    currency: PRICING.currency,
+    distanceKm: Math.round(distanceKm * 1000) / 1000,
+    durationMinutes: Math.ceil(durationMinutes),
+    baseFare: roundMoney(PRICING.baseFare),
+    distanceFare: roundMoney(distanceFare),
+    timeFare: roundMoney(timeFare),
+    typeMultiplier,
+    surgeMultiplier,
+    amount: roundMoney(Math.max(subtotal, PRICING.minimumFare)),
+  };
+};
+
+// Price a trip, including any surge at the pickup, and sign the result so
+// the client can present it when creating the order
+const createQuote = async (userUid, trip) => {
+  const surge = await getSurgeForPoint(trip.latPickup, trip.lngPickup);
+  const fare = {
+    ...calculateFare({ ...trip, surgeMultiplier: surge.multiplier }),
+    pricingZoneId: surge.zoneId,
+    pricingZoneName: surge.zoneName,
+  };
+  const expiresAt = new Date(Date.now() + QUOTE_TTL_SECONDS * 1000);
+
+  const quoteToken = jwt.sign(
+    {
+      trip: {
+        latPickup: parseFloat(trip.latPickup),
+        lngPickup: parseFloat(trip.lngPickup),
+        latDropoff: parseFloat(trip.latDropoff),
+        lngDropoff: parseFloat(trip.lngDropoff),
+        stops: (trip.stops || []).map((stop) => [
+          parseFloat(stop.latitude),
+          parseFloat(stop.longitude),
+        ]),
+        orderType: trip.orderType,
+      },
+      fare,
+    },
+    quoteSecret,
+    { subject: userUid, expiresIn: QUOTE_TTL_SECONDS, algorithm: "HS256" }
+  );
+
+  return { quoteToken, fare, expiresAt: expiresAt.toISOString() };
+};
+
+// Check a quote token against the order being created and return its fare.
+// Throws a 400 if the token is expired, forged, issued to another user or
+// quoted for a different trip.
+const verifyQuote = (quoteToken, userUid, trip) => {
+  let payload;
+  try {
+    payload = jwt.verify(quoteToken, quoteSecret, {
+      algorithms: ["HS256"],
+      subject: userUid,
+    });
+  } catch (error) {
+    if (error.name === "TokenExpiredError") {
+      throw createError("Quote has expired. Please request a new estimate.", 400);
+    }
+    throw createError("Invalid quote token", 400);
+  }
+
+  const coordinateFields = ["latPickup", "lngPickup", "latDropoff", "lngDropoff"];
+  const mismatched = coordinateFields.filter(
+    (field) =>
+      Math.abs(payload.trip[field] - parseFloat(trip[field])) >
+      COORDINATE_TOLERANCE
+  );
+
+  const quotedStops = payload.trip.stops || [];
+  const stops = trip.stops || [];
+  const stopsMatch =
+    quotedStops.length === stops.length &&
+    quotedStops.every(
+      ([lat, lng], index) =>
+        Math.abs(lat - parseFloat(stops[index].latitude)) <= COORDINATE_TOLERANCE &&
+        Math.abs(lng - parseFloat(stops[index].longitude)) <= COORDINATE_TOLERANCE
+    );
+
+  if (
+    mismatched.length > 0 ||
+    !stopsMatch ||
+    payload.trip.orderType !== trip.orderType
+  ) {
+    throw createError("Quote does not match the order details", 400);
+  }
+
+  return payload.fare;
+};
+
+module.exports = {
+  PRICING,
+  ORDER_TYPE_MULTIPLIERS,
+  QUOTE_TTL_SECONDS,
+  calculateFare,
+  createQuote,
+  verifyQuote,
+};
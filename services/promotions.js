@@ -0,0 +1,138 @@
+const { createError } = require("../middlewares/errorHandler");
+const { logger } = require("../config/logger");
+
+const PROMO_CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Normalise a user-entered promo code
+const normalizeCode = (code) =>
+  typeof code === "string" ? code.trim().toUpperCase() : "";
+
+// Parse the orderTypes column (null means every orderType)
+const parseOrderTypes = (orderTypes) =>
+  typeof orderTypes === "string" ? JSON.parse(orderTypes) : orderTypes;
+
+// Discount a promotion gives on an amount. Never more than the amount.
+const calculateDiscount = (promo, amount) => {
+  let discount =
+    promo.discountType === "percentage"
+      ? (amount * parseFloat(promo.discountValue)) / 100
+      : parseFloat(promo.discountValue);
+
+  if (promo.maxDiscountAmount !== null && promo.maxDiscountAmount !== undefined) {
+    discount = Math.min(discount, parseFloat(promo.maxDiscountAmount));
+  }
+
+  return roundMoney(Math.min(discount, amount));
+};
+
+// Check that a promotion can be used for an order right now (everything
+// except the per-user cap, which needs a redemption count)
+const assertPromotionApplies = (promo, { orderType, amount }, now = new Date()) => {
+  if (!promo || !promo.isActive) {
+    throw createError("Invalid promo code", 400);
+  }
+
+  if (promo.startsAt && new Date(promo.startsAt) > now) {
+    throw createError("Promo code is not active yet", 400);
+  }
+
+  if (new Date(promo.expiresAt) <= now) {
+    throw createError("Promo code has expired", 400);
+  }
+
+  if (
+    promo.totalUsageLimit !== null &&
+    promo.usageCount >= promo.totalUsageLimit
+  ) {
+    throw createError("Promo code has been fully redeemed", 409);
+  }
+
+  if (
+    promo.minOrderAmount !== null &&
+    amount < parseFloat(promo.minOrderAmount)
+  ) {
+    throw createError(
+      `Promo code requires a minimum order amount of ${parseFloat(promo.minOrderAmount)}`,
+      400
+    );
+  }
+
+  const orderTypes = parseOrderTypes(promo.orderTypes);
+  if (orderTypes && !orderTypes.includes(orderType)) {
+    throw createError(
+      `Promo code is only valid for: ${orderTypes.join(", ")}`,
+      400
+    );
+  }
+};
+
+// Redeem a promo code and insert the discounted order. Must run inside the
+// caller's withTransaction, whose executor is `query`: the promotion row is
+// locked FOR UPDATE, so concurrent redemptions of the same code are
+// serialised and the usage caps cannot be overrun.
+//
+// `insertOrder(pricing)` receives { originalAmount, discountAmount, amount,
+// promoCode } and must insert the order through the same transaction and
+// return its orderId.
+const redeemPromotionForOrder = async (
+  query,
+  { code, userUid, orderType, amount },
+  insertOrder
+) => {
+  const promoCode = normalizeCode(code);
+  if (!PROMO_CODE_PATTERN.test(promoCode)) {
+    throw createError("Invalid promo code", 400);
+  }
+
+  const [promo] = await query(
+    "SELECT * FROM promotions WHERE code = ? FOR UPDATE",
+    [promoCode]
+  );
+
+  assertPromotionApplies(promo, { orderType, amount });
+
+  if (promo.perUserLimit !== null) {
+    const [{ used }] = await query(
+      "SELECT COUNT(*) AS used FROM promo_redemptions WHERE promoId = ? AND userUid = ?",
+      [promo.promoId, userUid]
+    );
+    if (used >= promo.perUserLimit) {
+      throw createError("You have already used this promo code", 409);
+    }
+  }
+
+  const discountAmount = calculateDiscount(promo, amount);
+  const finalAmount = roundMoney(amount - discountAmount);
+
+  const orderId = await insertOrder({
+    originalAmount: amount,
+    discountAmount,
+    amount: finalAmount,
+    promoCode: promo.code,
+  });
+
+  await query(
+    "INSERT INTO promo_redemptions (promoId, userUid, orderId, discountAmount) VALUES (?, ?, ?, ?)",
+    [promo.promoId, userUid, orderId, discountAmount]
+  );
+
+  await query(
+    "UPDATE promotions SET usageCount = usageCount + 1 WHERE promoId = ?",
+    [promo.promoId]
+  );
+
+  logger.info("Promotion redeemed", { promoId: promo.promoId, code: promo.code, orderId, discountAmount });
+
+  return { orderId, discountAmount, amount: finalAmount };
+};
+
+module.exports = {
+  PROMO_CODE_PATTERN,
+  normalizeCode,
+  parseOrderTypes,
+  calculateDiscount,
+  assertPromotionApplies,
+  redeemPromotionForOrder,
+};
@@ -0,0 +1,214 @@
+const { executeQuery } = require("../config/db");
+const { createError } = require("../middlewares/errorHandler");
+
+// Tags that can be attached to a rating, by the role being rated
+const RATING_TAGS = {
+  driver: {
+    friendly: "Friendly",
+    clean_vehicle: "Clean vehicle",
+    safe_driving: "Safe driving",
+    on_time: "On time",
+    good_navigation: "Good navigation",
+    rude: "Rude",
+    unsafe_driving: "Unsafe driving",
+    late: "Late",
+    dirty_vehicle: "Dirty vehicle",
+    wrong_route: "Took a wrong route",
+  },
+  rider: {
+    polite: "Polite",
+    on_time: "Ready on time",
+    clear_instructions: "Clear instructions",
+    rude: "Rude",
+    late: "Kept the driver waiting",
+    wrong_address: "Wrong address",
+  },
+};
+
+// How long after completion an order can be rated (hours)
+const RATING_WINDOW_HOURS = process.env.RATING_WINDOW_HOURS
+  ? parseFloat(process.env.RATING_WINDOW_HOURS)
+  : 72;
+
+// Drivers averaging below this, over at least the minimum number of
+// ratings, are listed as low-rated
+const LOW_RATING_THRESHOLD = process.env.LOW_RATING_THRESHOLD
+  ? parseFloat(process.env.LOW_RATING_THRESHOLD)
+  : 4.0;
+const LOW_RATING_MIN_COUNT = process.env.LOW_RATING_MIN_COUNT
+  ? parseInt(process.env.LOW_RATING_MIN_COUNT, 10)
+  : 5;
+
+const MAX_RATING_TAGS = 5;
+
+// The shape of a rating is checked by schemas/orders.js; which tags apply
+// depends on the role being rated
+const validateRatingTags = (tags, rateeRole) => {
+  if (!tags) return;
+
+  const allowed = Object.keys(RATING_TAGS[rateeRole]);
+  const invalid = tags.filter((tag) => !allowed.includes(tag));
+  if (invalid.length > 0) {
+    throw createError(
+      `Tags ${invalid.join(", ")} do not apply to a ${rateeRole}. Use: ${allowed.join(", ")}`,
+      400
+    );
+  }
+};
+
+// Store the rating one party of a completed order gives the other
+const submitRating = async (order, { raterUid, raterRole, stars, comment, tags }) => {
+  if (order.status !== "completed") {
+    throw createError("Only completed orders can be rated", 409);
+  }
+
+  const rateeRole = raterRole === "rider" ? "driver" : "rider";
+  const rateeUid = rateeRole === "driver" ? order.assignedDriverUid : order.userUid;
+
+  if (!rateeUid) {
+    throw createError("This order has no driver to rate", 409);
+  }
+
+  validateRatingTags(tags, rateeRole);
+
+  const [completion] = await executeQuery(
+    `SELECT MAX(createdAt) AS completedAt FROM order_status_history
+     WHERE orderId = ? AND toStatus = 'completed'`,
+    [order.orderId]
+  );
+  const completedAt = completion.completedAt || order.updatedAt;
+
+  if (Date.now() - new Date(completedAt).getTime() > RATING_WINDOW_HOURS * 60 * 60 * 1000) {
+    throw createError(
+      `Orders can only be rated within ${RATING_WINDOW_HOURS} hours of completion`,
+      409
+    );
+  }
+
+  try {
+    const result = await executeQuery(
+      `INSERT INTO order_ratings (orderId, raterUid, raterRole, rateeUid, rateeRole, stars, comment, tags)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        order.orderId,
+        raterUid,
+        raterRole,
+        rateeUid,
+        rateeRole,
+        stars,
+        comment || null,
+        tags && tags.length > 0 ? JSON.stringify(tags) : null,
+      ]
+    );
+
+    const [rating] = await executeQuery(
+      "SELECT * FROM order_ratings WHERE ratingId = ?",
+      [result.insertId]
+    );
+    return rating;
+  } catch (error) {
+    if (error.code === "ER_DUP_ENTRY") {
+      throw createError("You have already rated this order", 409);
+    }
+    throw error;
+  }
+};
+
+// Aggregate score of a user in one role
+const getRatingSummary = async (uid, role) => {
+  const [totals] = await executeQuery(
+    `SELECT COUNT(*) AS ratingCount, AVG(stars) AS averageStars,
+            SUM(stars = 1) AS s1, SUM(stars = 2) AS s2, SUM(stars = 3) AS s3,
+            SUM(stars = 4) AS s4, SUM(stars = 5) AS s5
+     FROM order_ratings
+     WHERE rateeUid = ? AND rateeRole = ?`,
+    [uid, role]
+  );
+
+  const tagRows = await executeQuery(
+    "SELECT tags FROM order_ratings WHERE rateeUid = ? AND rateeRole = ? AND tags IS NOT NULL",
+    [uid, role]
+  );
+
+  const tagCounts = {};
+  for (const row of tagRows) {
+    const tags = typeof row.tags === "string" ? JSON.parse(row.tags) : row.tags;
+    for (const tag of tags) {
+      tagCounts[tag] = (tagCounts[tag] || 0) + 1;
+    }
+  }
+
+  return {
+    uid,
+    role,
+    ratingCount: totals.ratingCount,
+    averageStars:
+      totals.averageStars === null
+        ? null
+        : Math.round(parseFloat(totals.averageStars) * 100) / 100,
+    distribution: {
+      1: Number(totals.s1 || 0),
+      2: Number(totals.s2 || 0),
+      3: Number(totals.s3 || 0),
+      4: Number(totals.s4 || 0),
+      5: Number(totals.s5 || 0),
+    },
+    tags: Object.entries(tagCounts)
+      .sort((a, b) => b[1] - a[1])
+      .map(([code, count]) => ({ code, label: RATING_TAGS[role][code], count })),
+  };
+};
+
+// Approved drivers whose average is below the threshold, worst first
+const getLowRatedDrivers = async ({ threshold, minRatings, limit, offset }) => {
+  const rows = await executeQuery(
+    `SELECT d.driverUid, d.fullName, d.phone, d.isAvailable,
+            r.ratingCount, r.averageStars
+     FROM drivers d
+     JOIN (
+       SELECT rateeUid, COUNT(*) AS ratingCount, AVG(stars) AS averageStars
+       FROM order_ratings
+       WHERE rateeRole = 'driver'
+       GROUP BY rateeUid
+       HAVING COUNT(*) >= ? AND AVG(stars) < ?
+     ) r ON r.rateeUid = d.driverUid
+     WHERE d.status = 'approved'
+     ORDER BY r.averageStars ASC, r.ratingCount DESC
+     LIMIT ? OFFSET ?`,
+    [minRatings, threshold, limit, offset]
+  );
+
+  return rows.map((row) => ({
+    ...row,
+    isAvailable: Boolean(row.isAvailable),
+    averageStars: Math.round(parseFloat(row.averageStars) * 100) / 100,
+  }));
+};
+
+// Both sides' ratings of an order, oldest first
+const getOrderRatings = (orderId) =>
+  executeQuery(
+    "SELECT * FROM order_ratings WHERE orderId = ? ORDER BY createdAt ASC",
+    [orderId]
+  );
+
+// Convert a rating row to the shape sent to clients
+const formatRating = (rating) => ({
+  ...rating,
+  tags:
+    typeof rating.tags === "string" ? JSON.parse(rating.tags) : rating.tags || [],
+  createdAt: rating.createdAt.toISOString(),
+});
+
+module.exports = {
+  RATING_TAGS,
+  MAX_RATING_TAGS,
+  RATING_WINDOW_HOURS,
+  LOW_RATING_THRESHOLD,
+  LOW_RATING_MIN_COUNT,
+  submitRating,
+  getRatingSummary,
+  getLowRatedDrivers,
+  getOrderRatings,
+  formatRating,
+};
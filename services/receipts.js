@@ -0,0 +1,186 @@
+const PDFDocument = require("pdfkit");
+const { executeQuery } = require("../config/db");
+const { createError } = require("../middlewares/errorHandler");
+const { PRICING } = require("./pricing");
+const { getOrderStops } = require("./stops");
+
+// Name printed at the top of every receipt
+const RECEIPT_ISSUER = process.env.RECEIPT_ISSUER || "XRide";
+
+// Formats GET /api/orders/:orderId/receipt renders
+const RECEIPT_FORMATS = ["html", "pdf"];
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const formatMoney = (amount) =>
+  `${parseFloat(amount).toFixed(2)} ${PRICING.currency}`;
+
+// Check a timezone for displaying receipt timestamps (IANA name)
+const assertValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+  } catch (error) {
+    throw createError(`Unknown timezone: ${timezone}`, 400);
+  }
+};
+
+const formatTimestamp = (date, timezone) =>
+  date
+    ? `${new Intl.DateTimeFormat("en-GB", {
+        timeZone: timezone,
+        dateStyle: "medium",
+        timeStyle: "short",
+      }).format(date)} (${timezone})`
+    : null;
+
+// Gather what goes on the receipt of an order. Only completed orders, and
+// cancelled orders that were charged a fee, have a receipt.
+const buildReceipt = async (order, { timezone = "UTC" } = {}) => {
+  assertValidTimezone(timezone);
+
+  const cancellationFee = parseFloat(order.cancellationFee || 0);
+  if (order.status !== "completed" && !(order.status === "cancelled" && cancellationFee > 0)) {
+    throw createError("Receipts are only available for completed or charged orders", 409);
+  }
+
+  const [completion] = await executeQuery(
+    `SELECT createdAt FROM order_status_history
+     WHERE orderId = ? AND toStatus = 'completed'
+     ORDER BY createdAt DESC LIMIT 1`,
+    [order.orderId]
+  );
+  const stops = await getOrderStops(order.orderId);
+
+  const lines =
+    order.status === "completed"
+      ? [
+          ...(order.originalAmount !== null && parseFloat(order.discountAmount) > 0
+            ? [
+                { label: "Fare", amount: formatMoney(order.originalAmount) },
+                {
+                  label: `Discount${order.promoCode ? ` (${order.promoCode})` : ""}`,
+                  amount: `-${formatMoney(order.discountAmount)}`,
+                },
+              ]
+            : []),
+          { label: "Total", amount: formatMoney(order.amount) },
+        ]
+      : [{ label: "Cancellation fee", amount: formatMoney(cancellationFee) }];
+
+  return {
+    issuer: RECEIPT_ISSUER,
+    receiptNumber: `R-${String(order.orderId).padStart(8, "0")}`,
+    orderId: order.orderId,
+    orderType: order.orderType,
+    status: order.status,
+    paymentStatus: order.paymentStatus,
+    route: [
+      order.pickupAddress,
+      ...stops.map((stop) => stop.address),
+      order.dropoffAddress,
+    ],
+    distanceKm:
+      order.estimatedDistanceKm === null ? null : parseFloat(order.estimatedDistanceKm),
+    lines,
+    timestamps: [
+      { label: "Booked", value: formatTimestamp(order.createdAt, timezone) },
+      { label: "Scheduled for", value: formatTimestamp(order.scheduledFor, timezone) },
+      {
+        label: "Completed",
+        value: formatTimestamp(completion && completion.createdAt, timezone),
+      },
+      { label: "Cancelled", value: formatTimestamp(order.cancelledAt, timezone) },
+    ].filter((timestamp) => timestamp.value),
+  };
+};
+
+// Standalone HTML page of a receipt. Every value is escaped: addresses
+// come from riders.
+const renderReceiptHtml = (receipt) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(receipt.issuer)} receipt ${escapeHtml(receipt.receiptNumber)}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 640px; margin: 40px auto; }
+  h1 { font-size: 22px; margin-bottom: 4px; }
+  .muted { color: #777; }
+  table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+  td { padding: 6px 0; border-bottom: 1px solid #eee; }
+  td.amount { text-align: right; }
+  tr.total td { font-weight: bold; border-bottom: none; }
+  ol { padding-left: 20px; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(receipt.issuer)} receipt</h1>
+<div class="muted">${escapeHtml(receipt.receiptNumber)} · Order #${escapeHtml(receipt.orderId)} · ${escapeHtml(receipt.orderType)}</div>
+<h2>Route</h2>
+<ol>
+${receipt.route.map((address) => `  <li>${escapeHtml(address)}</li>`).join("\n")}
+</ol>
+${receipt.distanceKm === null ? "" : `<div class="muted">${escapeHtml(receipt.distanceKm)} km</div>`}
+<table>
+${receipt.timestamps
+  .map((t) => `  <tr><td>${escapeHtml(t.label)}</td><td class="amount">${escapeHtml(t.value)}</td></tr>`)
+  .join("\n")}
+</table>
+<table>
+${receipt.lines
+  .map(
+    (line, index) =>
+      `  <tr${index === receipt.lines.length - 1 ? ' class="total"' : ""}><td>${escapeHtml(line.label)}</td><td class="amount">${escapeHtml(line.amount)}</td></tr>`
+  )
+  .join("\n")}
+</table>
+<p class="muted">Payment status: ${escapeHtml(receipt.paymentStatus)}</p>
+</body>
+</html>
+`;
+
+// Write a receipt as a PDF into a writable stream (e.g. the response)
+const writeReceiptPdf = (receipt, output) => {
+  const doc = new PDFDocument({ size: "A4", margin: 50 });
+  doc.pipe(output);
+
+  doc.fontSize(20).text(`${receipt.issuer} receipt`);
+  doc
+    .fontSize(10)
+    .fillColor("#777777")
+    .text(`${receipt.receiptNumber} · Order #${receipt.orderId} · ${receipt.orderType}`)
+    .moveDown();
+
+  doc.fillColor("#222222").fontSize(13).text("Route").fontSize(11);
+  receipt.route.forEach((address, index) => doc.text(`${index + 1}. ${address}`));
+  if (receipt.distanceKm !== null) {
+    doc.fillColor("#777777").text(`${receipt.distanceKm} km`).fillColor("#222222");
+  }
+  doc.moveDown();
+
+  receipt.timestamps.forEach(({ label, value }) => doc.text(`${label}: ${value}`));
+  doc.moveDown();
+
+  receipt.lines.forEach(({ label, amount }, index) => {
+    if (index === receipt.lines.length - 1) doc.font("Helvetica-Bold");
+    const y = doc.y;
+    doc.text(label, doc.page.margins.left, y);
+    doc.text(amount, doc.page.margins.left, y, { align: "right" });
+  });
+  doc.font("Helvetica").moveDown();
+
+  doc.fillColor("#777777").text(`Payment status: ${receipt.paymentStatus}`);
+  doc.end();
+};
+
+module.exports = {
+  RECEIPT_FORMATS,
+  buildReceipt,
+  renderReceiptHtml,
+  writeReceiptPdf,
+};
@@ -0,0 +1,156 @@
+const { OrderRepository } = require("../repositories/orderRepository");
+const { createError } = require("../middlewares/errorHandler");
+const { logger } = require("../config/logger");
+const { transitionOrderStatus } = require("./orderStatus");
+const { triggerDispatch } = require("./dispatch");
+
+// Scheduled orders enter the pending flow this long before pickup
+const SCHEDULED_RELEASE_LEAD_MINUTES = process.env
+  .SCHEDULED_RELEASE_LEAD_MINUTES
+  ? parseInt(process.env.SCHEDULED_RELEASE_LEAD_MINUTES, 10)
+  : 15;
+
+// Allowed window for scheduledFor, relative to now
+const SCHEDULED_MIN_LEAD_MINUTES = process.env.SCHEDULED_MIN_LEAD_MINUTES
+  ? parseInt(process.env.SCHEDULED_MIN_LEAD_MINUTES, 10)
+  : 30;
+const SCHEDULED_MAX_DAYS_AHEAD = process.env.SCHEDULED_MAX_DAYS_AHEAD
+  ? parseInt(process.env.SCHEDULED_MAX_DAYS_AHEAD, 10)
+  : 14;
+
+// How often MySQL is polled for scheduled orders coming due. Only orders
+// due before the next poll get an in-memory timer; the rest stay in the DB.
+const SCHEDULER_POLL_INTERVAL_MS = process.env.SCHEDULER_POLL_INTERVAL_MS
+  ? parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS, 10)
+  : 60 * 1000;
+
+const timers = new Map();
+let pollTimer = null;
+
+// Validate a requested pickup time and return it as a Date
+const parseScheduledFor = (scheduledFor) => {
+  const date = new Date(scheduledFor);
+
+  if (typeof scheduledFor !== "string" || isNaN(date.getTime())) {
+    throw createError("scheduledFor must be an ISO 8601 date-time", 400);
+  }
+
+  const earliest = Date.now() + SCHEDULED_MIN_LEAD_MINUTES * 60 * 1000;
+  const latest = Date.now() + SCHEDULED_MAX_DAYS_AHEAD * 24 * 60 * 60 * 1000;
+
+  if (date.getTime() < earliest || date.getTime() > latest) {
+    throw createError(
+      `scheduledFor must be between ${SCHEDULED_MIN_LEAD_MINUTES} minutes and ${SCHEDULED_MAX_DAYS_AHEAD} days from now`,
+      400
+    );
+  }
+
+  return date;
+};
+
+// When a scheduled order should be released into the pending flow
+const getReleaseTime = (scheduledFor) =>
+  new Date(scheduledFor).getTime() - SCHEDULED_RELEASE_LEAD_MINUTES * 60 * 1000;
+
+// Move a scheduled order to pending and start dispatch. Safe to call more
+// than once or from several instances: only the first call transitions.
+const releaseOrder = async (orderId) => {
+  timers.delete(orderId);
+
+  try {
+    const order = await OrderRepository.findById(orderId);
+
+    if (!order || order.status !== "scheduled") {
+      return;
+    }
+
+    // The pickup may have been moved since the timer was set
+    if (getReleaseTime(order.scheduledFor) > Date.now()) {
+      scheduleOrder(order);
+      return;
+    }
+
+    logger.info("Releasing scheduled order", { orderId });
+
+    await transitionOrderStatus(order, "pending", {
+      actorUid: "system",
+      actorRole: "system",
+      reason: "Scheduled pickup approaching",
+    });
+
+    triggerDispatch(orderId);
+  } catch (error) {
+    if (error.status === 409) {
+      // Released or cancelled concurrently
+      return;
+    }
+    logger.error("Failed to release scheduled order", { orderId, error });
+  }
+};
+
+// Arm (or re-arm) the release timer of an order if it comes due before the
+// next poll. Later orders are picked up by a future poll.
+const scheduleOrder = (order) => {
+  const existing = timers.get(order.orderId);
+  if (existing) {
+    clearTimeout(existing);
+    timers.delete(order.orderId);
+  }
+
+  const delay = Math.max(getReleaseTime(order.scheduledFor) - Date.now(), 0);
+  if (delay > SCHEDULER_POLL_INTERVAL_MS) {
+    return;
+  }
+
+  const timer = setTimeout(() => releaseOrder(order.orderId), delay);
+  timer.unref();
+  timers.set(order.orderId, timer);
+};
+
+// Load every scheduled order due before the next poll (including ones that
+// became overdue while the server was down) and arm their timers
+const pollScheduledOrders = async () => {
+  try {
+    const dueOrders = await OrderRepository.findScheduledDueWithin(
+      SCHEDULED_RELEASE_LEAD_MINUTES * 60 + Math.ceil(SCHEDULER_POLL_INTERVAL_MS / 1000)
+    );
+
+    for (const order of dueOrders) {
+      if (!timers.has(order.orderId)) {
+        scheduleOrder(order);
+      }
+    }
+  } catch (error) {
+    logger.error("Scheduled order poll failed", { error });
+  }
+};
+
+// Start the scheduler: reload pending work from MySQL now and on every poll
+const startScheduler = () => {
+  if (pollTimer) return;
+  pollScheduledOrders();
+  pollTimer = setInterval(pollScheduledOrders, SCHEDULER_POLL_INTERVAL_MS);
+  pollTimer.unref();
+  logger.info("Scheduler started", { intervalMs: SCHEDULER_POLL_INTERVAL_MS });
+};
+
+// Stop the scheduler and drop all armed timers
+const stopScheduler = () => {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+  for (const timer of timers.values()) {
+    clearTimeout(timer);
+  }
+  timers.clear();
+};
+
+module.exports = {
+  SCHEDULED_RELEASE_LEAD_MINUTES,
+  parseScheduledFor,
+  scheduleOrder,
+  releaseOrder,
+  startScheduler,
+  stopScheduler,
+};
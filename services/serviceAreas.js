@@ -0,0 +1,87 @@
+const { executeQuery } = require("../config/db");
+const { createError } = require("../middlewares/errorHandler");
+const { logger } = require("../config/logger");
+const { isPointInPolygon } = require("../utils/geo");
+const { parsePolygon } = require("./surge");
+
+// Parse the orderTypes column (mysql2 already decodes JSON columns)
+const parseOrderTypes = (orderTypes) =>
+  typeof orderTypes === "string" ? JSON.parse(orderTypes) : orderTypes;
+
+// Active service areas containing a point, newest first
+const findServiceAreasForPoint = async (lat, lng) => {
+  const latitude = parseFloat(lat);
+  const longitude = parseFloat(lng);
+
+  const candidates = await executeQuery(
+    `SELECT * FROM service_areas
+     WHERE isActive = TRUE
+       AND ? BETWEEN minLat AND maxLat
+       AND ? BETWEEN minLng AND maxLng
+     ORDER BY createdAt DESC, areaId DESC`,
+    [latitude, longitude]
+  );
+
+  return candidates.filter((area) =>
+    isPointInPolygon(latitude, longitude, parsePolygon(area.polygon))
+  );
+};
+
+// Whether a point is served, and for which order types. With `orderType`,
+// the point only counts as serviceable if an area enables that type.
+const checkServiceability = async (lat, lng, orderType) => {
+  const areas = await findServiceAreasForPoint(lat, lng);
+  const orderTypes = [
+    ...new Set(areas.flatMap((area) => parseOrderTypes(area.orderTypes))),
+  ];
+
+  return {
+    serviceable: orderType ? orderTypes.includes(orderType) : orderTypes.length > 0,
+    orderTypes,
+    areas: areas.map((area) => ({ areaId: area.areaId, name: area.name })),
+  };
+};
+
+// Reject a trip whose pickup, stops or dropoff fall outside every active
+// service area enabled for the order type. The error names the first
+// uncovered point.
+const assertTripServiceable = async ({
+  latPickup,
+  lngPickup,
+  latDropoff,
+  lngDropoff,
+  stops,
+  orderType,
+}) => {
+  const type = orderType.toLowerCase();
+  const points = [
+    { name: "pickup", lat: latPickup, lng: lngPickup },
+    ...(stops || []).map((stop, index) => ({
+      name: `stop ${index + 1}`,
+      lat: stop.latitude,
+      lng: stop.longitude,
+    })),
+    { name: "dropoff", lat: latDropoff, lng: lngDropoff },
+  ];
+
+  for (const point of points) {
+    const { serviceable, orderTypes } = await checkServiceability(point.lat, point.lng, type);
+
+    if (!serviceable) {
+      logger.info("Location not serviceable", { point: point.name, orderType: type });
+      throw createError(
+        orderTypes.length === 0
+          ? `The ${point.name} location is outside our service area`
+          : `Order type ${type} is not available at the ${point.name} location`,
+        422
+      );
+    }
+  }
+};
+
+module.exports = {
+  parseOrderTypes,
+  findServiceAreasForPoint,
+  checkServiceability,
+  assertTripServiceable,
+};
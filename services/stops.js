@@ -0,0 +1,107 @@
+const { executeQuery } = require("../config/db");
+
+// Most intermediate stops an order can have
+const MAX_ORDER_STOPS = process.env.MAX_ORDER_STOPS
+  ? parseInt(process.env.MAX_ORDER_STOPS, 10)
+  : 10;
+
+const STOP_STATUSES = ["pending", "arrived", "completed", "skipped"];
+
+// Allowed stop status changes
+const STOP_STATUS_TRANSITIONS = {
+  pending: ["arrived", "skipped"],
+  arrived: ["completed", "skipped"],
+  completed: [],
+  skipped: [],
+};
+
+// Insert the stops of a new order with the given query function
+const insertStops = async (query, orderId, stops) => {
+  for (const [index, stop] of stops.entries()) {
+    await query(
+      `INSERT INTO order_stops (
+        orderId, sequence, address, latitude, longitude,
+        contactName, contactPhone, notes
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        orderId,
+        index + 1,
+        stop.address.trim(),
+        stop.latitude,
+        stop.longitude,
+        stop.contactName || null,
+        stop.contactPhone || null,
+        stop.notes || null,
+      ]
+    );
+  }
+};
+
+// Stops of an order in visiting order. `query` defaults to executeQuery;
+// pass a transaction's executor to read stops it has just written.
+const getOrderStops = (orderId, query = executeQuery) =>
+  query(
+    "SELECT * FROM order_stops WHERE orderId = ? ORDER BY sequence ASC",
+    [orderId]
+  );
+
+// A stop of an order, or null
+const getOrderStop = async (orderId, stopId) => {
+  const [stop] = await executeQuery(
+    "SELECT * FROM order_stops WHERE stopId = ? AND orderId = ?",
+    [stopId, orderId]
+  );
+  return stop || null;
+};
+
+// Number of stops the driver has not finished yet
+const countOpenStops = async (orderId) => {
+  const [{ openStops }] = await executeQuery(
+    "SELECT COUNT(*) AS openStops FROM order_stops WHERE orderId = ? AND status IN ('pending', 'arrived')",
+    [orderId]
+  );
+  return openStops;
+};
+
+// Move a stop to a new status, recording when the driver reached and
+// finished it. Guarded on its current status; returns false when the stop
+// changed concurrently.
+const updateStopStatus = async (stop, status) => {
+  const timestampColumn = { arrived: "arrivedAt", completed: "completedAt" }[status];
+  const setClause = timestampColumn
+    ? `status = ?, ${timestampColumn} = NOW()`
+    : "status = ?";
+
+  const result = await executeQuery(
+    `UPDATE order_stops SET ${setClause} WHERE stopId = ? AND status = ?`,
+    [status, stop.stopId, stop.status]
+  );
+  return result.affectedRows > 0;
+};
+
+// Convert a stop row to the shape sent to clients
+const formatStop = (stop) => ({
+  stopId: stop.stopId,
+  sequence: stop.sequence,
+  address: stop.address,
+  latitude: parseFloat(stop.latitude),
+  longitude: parseFloat(stop.longitude),
+  contactName: stop.contactName,
+  contactPhone: stop.contactPhone,
+  notes: stop.notes,
+  status: stop.status,
+  arrivedAt: stop.arrivedAt ? stop.arrivedAt.toISOString() : null,
+  completedAt: stop.completedAt ? stop.completedAt.toISOString() : null,
+});
+
+module.exports = {
+  MAX_ORDER_STOPS,
+  STOP_STATUSES,
+  STOP_STATUS_TRANSITIONS,
+  insertStops,
+  getOrderStops,
+  getOrderStop,
+  countOpenStops,
+  updateStopStatus,
+  formatStop,
+};
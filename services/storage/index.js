@@ -0,0 +1,24 @@
+const localDiskStorage = require("./localDiskStorage");
+
+// A storage backend keeps binary files (delivery photos, signatures) under
+// string keys such as "proofs/42/photo.jpg". It implements:
+//
+//   put(key, buffer) -> key
+//   createReadStream(key) -> Readable   (throws a 404 error if missing)
+//   remove(key)
+const BACKENDS = {
+  local: localDiskStorage,
+};
+
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || "local";
+
+if (!BACKENDS[STORAGE_DRIVER]) {
+  throw new Error(`Unknown STORAGE_DRIVER: ${STORAGE_DRIVER}`);
+}
+
+const getStorage = () => BACKENDS[STORAGE_DRIVER];
+
+module.exports = {
+  STORAGE_DRIVER,
+  getStorage,
+};
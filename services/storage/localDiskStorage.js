@@ -0,0 +1,45 @@
+const fs = require("fs");
+const path = require("path");
+const { createError } = require("../../middlewares/errorHandler");
+
+// Files are kept under this directory, one file per key
+const LOCAL_STORAGE_DIR = path.resolve(
+  process.env.LOCAL_STORAGE_DIR || path.join(__dirname, "../../uploads")
+);
+
+// Map a key to a path, refusing anything that escapes the storage root
+const resolveKey = (key) => {
+  const filePath = path.resolve(LOCAL_STORAGE_DIR, key);
+  if (!filePath.startsWith(LOCAL_STORAGE_DIR + path.sep)) {
+    throw createError("Invalid storage key", 400);
+  }
+  return filePath;
+};
+
+const put = async (key, buffer) => {
+  const filePath = resolveKey(key);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, buffer);
+  return key;
+};
+
+const createReadStream = async (key) => {
+  const filePath = resolveKey(key);
+  try {
+    await fs.promises.access(filePath);
+  } catch (error) {
+    throw createError("File not found", 404);
+  }
+  return fs.createReadStream(filePath);
+};
+
+const remove = async (key) => {
+  await fs.promises.rm(resolveKey(key), { force: true });
+};
+
+module.exports = {
+  name: "local",
+  put,
+  createReadStream,
+  remove,
+};
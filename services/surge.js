@@ -0,0 +1,147 @@
+const { executeQuery } = require("../config/db");
+const { isPointInPolygon } = require("../utils/geo");
+const { DRIVER_LOCATION_MAX_AGE_SECONDS } = require("./dispatch");
+
+// Pending orders created within this window count as current demand
+const SURGE_DEMAND_WINDOW_MINUTES = process.env.SURGE_DEMAND_WINDOW_MINUTES
+  ? parseInt(process.env.SURGE_DEMAND_WINDOW_MINUTES, 10)
+  : 15;
+
+// Surge starts once demand exceeds supply by this ratio...
+const SURGE_RATIO_THRESHOLD = process.env.SURGE_RATIO_THRESHOLD
+  ? parseFloat(process.env.SURGE_RATIO_THRESHOLD)
+  : 1.0;
+
+// ...and grows by this much per unit of ratio above the threshold
+const SURGE_SENSITIVITY = process.env.SURGE_SENSITIVITY
+  ? parseFloat(process.env.SURGE_SENSITIVITY)
+  : 0.5;
+
+// Computed multipliers are reused for this long
+const SURGE_CACHE_TTL_MS = 30 * 1000;
+
+const surgeCache = new Map();
+
+// Parse the polygon column (mysql2 already decodes JSON columns, but be
+// lenient with strings)
+const parsePolygon = (polygon) =>
+  typeof polygon === "string" ? JSON.parse(polygon) : polygon;
+
+// Find the active pricing zone containing a point, if any. When zones
+// overlap the most recently created one wins.
+const findZoneForPoint = async (lat, lng) => {
+  const latitude = parseFloat(lat);
+  const longitude = parseFloat(lng);
+
+  const candidates = await executeQuery(
+    `SELECT * FROM pricing_zones
+     WHERE isActive = TRUE
+       AND ? BETWEEN minLat AND maxLat
+       AND ? BETWEEN minLng AND maxLng
+     ORDER BY createdAt DESC, zoneId DESC`,
+    [latitude, longitude]
+  );
+
+  return (
+    candidates.find((zone) =>
+      isPointInPolygon(latitude, longitude, parsePolygon(zone.polygon))
+    ) || null
+  );
+};
+
+// Turn a demand/supply pair into a multiplier between 1 and the zone cap
+const multiplierFromDemand = (pendingOrders, availableDrivers, maxMultiplier) => {
+  const ratio = pendingOrders / Math.max(availableDrivers, 1);
+  if (ratio <= SURGE_RATIO_THRESHOLD) {
+    return 1;
+  }
+  const raw = 1 + (ratio - SURGE_RATIO_THRESHOLD) * SURGE_SENSITIVITY;
+  // Round to one decimal so riders see stable, readable multipliers
+  return Math.min(Math.round(raw * 10) / 10, parseFloat(maxMultiplier));
+};
+
+// Measure current demand and supply inside a zone and derive its multiplier
+const computeZoneSurge = async (zone) => {
+  const cached = surgeCache.get(zone.zoneId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.surge;
+  }
+
+  const polygon = parsePolygon(zone.polygon);
+  const bbox = [zone.minLat, zone.maxLat, zone.minLng, zone.maxLng];
+
+  const pendingOrders = await executeQuery(
+    `SELECT latPickup, lngPickup FROM orders
+     WHERE status = 'pending'
+       AND createdAt >= NOW() - INTERVAL ? MINUTE
+       AND latPickup BETWEEN ? AND ?
+       AND lngPickup BETWEEN ? AND ?`,
+    [SURGE_DEMAND_WINDOW_MINUTES, ...bbox]
+  );
+
+  const availableDrivers = await executeQuery(
+    `SELECT currentLat, currentLng FROM drivers
+     WHERE status = 'approved'
+       AND isAvailable = TRUE
+       AND locationUpdatedAt >= NOW() - INTERVAL ? SECOND
+       AND currentLat BETWEEN ? AND ?
+       AND currentLng BETWEEN ? AND ?`,
+    [DRIVER_LOCATION_MAX_AGE_SECONDS, ...bbox]
+  );
+
+  const demand = pendingOrders.filter((order) =>
+    isPointInPolygon(
+      parseFloat(order.latPickup),
+      parseFloat(order.lngPickup),
+      polygon
+    )
+  ).length;
+
+  const supply = availableDrivers.filter((driver) =>
+    isPointInPolygon(
+      parseFloat(driver.currentLat),
+      parseFloat(driver.currentLng),
+      polygon
+    )
+  ).length;
+
+  const surge = {
+    zoneId: zone.zoneId,
+    zoneName: zone.name,
+    pendingOrders: demand,
+    availableDrivers: supply,
+    multiplier: multiplierFromDemand(demand, supply, zone.maxSurgeMultiplier),
+  };
+
+  surgeCache.set(zone.zoneId, {
+    surge,
+    expiresAt: Date.now() + SURGE_CACHE_TTL_MS,
+  });
+
+  return surge;
+};
+
+// Surge that applies to a pickup point. Outside every zone there is no surge.
+const getSurgeForPoint = async (lat, lng) => {
+  const zone = await findZoneForPoint(lat, lng);
+  if (!zone) {
+    return { zoneId: null, zoneName: null, multiplier: 1 };
+  }
+
+  const { zoneId, zoneName, multiplier } = await computeZoneSurge(zone);
+  return { zoneId, zoneName, multiplier };
+};
+
+// Forget a cached multiplier (after a zone is edited)
+const clearSurgeCache = (zoneId) => {
+  surgeCache.delete(zoneId);
+};
+
+module.exports = {
+  parsePolygon,
+  findZoneForPoint,
+  multiplierFromDemand,
+  computeZoneSurge,
+  getSurgeForPoint,
+  clearSurgeCache,
+};
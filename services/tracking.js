@@ -0,0 +1,34 @@
+const { EventEmitter } = require("events");
+
+// In-process pub/sub for live order tracking. Subscribers only receive
+// events published by the same server instance.
+const trackingEvents = new EventEmitter();
+trackingEvents.setMaxListeners(0);
+
+const channelFor = (orderId) => `order:${orderId}`;
+
+// Publish a new driver position for an order
+const publishLocation = (orderId, location) => {
+  trackingEvents.emit(channelFor(orderId), { type: "location", data: location });
+};
+
+// Publish an order status change
+const publishStatus = (orderId, status) => {
+  trackingEvents.emit(channelFor(orderId), {
+    type: "status",
+    data: { orderId, status },
+  });
+};
+
+// Listen to tracking events of an order. Returns an unsubscribe function.
+const subscribe = (orderId, listener) => {
+  const channel = channelFor(orderId);
+  trackingEvents.on(channel, listener);
+  return () => trackingEvents.off(channel, listener);
+};
+
+module.exports = {
+  publishLocation,
+  publishStatus,
+  subscribe,
+};
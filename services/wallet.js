@@ -0,0 +1,356 @@
+const { executeQuery, withTransaction } = require("../config/db");
+const { OrderRepository, createOrderRepository } = require("../repositories/orderRepository");
+const { createError } = require("../middlewares/errorHandler");
+const { logger } = require("../config/logger");
+const { PRICING } = require("./pricing");
+const { getPaymentProvider } = require("./payments");
+
+// Share of an order's (undiscounted) fare paid to its driver. The platform
+// keeps the rest and absorbs promo discounts.
+const DRIVER_PAYOUT_RATE = process.env.DRIVER_PAYOUT_RATE
+  ? parseFloat(process.env.DRIVER_PAYOUT_RATE)
+  : 0.8;
+
+// Largest single wallet top-up
+const MAX_TOPUP_AMOUNT = process.env.MAX_TOPUP_AMOUNT
+  ? parseFloat(process.env.MAX_TOPUP_AMOUNT)
+  : 500;
+
+// Platform-owned ledger accounts
+const SYSTEM_ACCOUNTS = {
+  // Money received from (or returned to) the payment provider
+  payments: "payment_clearing",
+  // Platform commission
+  revenue: "platform_revenue",
+};
+
+const WALLET_OWNER_TYPES = ["rider", "driver"];
+
+// The ledger works in integer cents to avoid float drift
+const toCents = (amount) => Math.round(parseFloat(amount) * 100);
+const fromCents = (cents) => cents / 100;
+
+// Fetch a wallet, creating an empty one on first use
+const getOrCreateWallet = async (query, ownerUid, ownerType) => {
+  await query(
+    "INSERT IGNORE INTO wallets (ownerUid, ownerType, currency) VALUES (?, ?, ?)",
+    [ownerUid, ownerType, PRICING.currency]
+  );
+
+  const [wallet] = await query(
+    "SELECT * FROM wallets WHERE ownerUid = ? AND ownerType = ?",
+    [ownerUid, ownerType]
+  );
+  return wallet;
+};
+
+// Append a balanced transaction to the ledger and update the cached
+// balances. `entries` is a list of { walletId, cents }; credits are
+// positive, debits negative, and they must sum to zero. Rider wallets can
+// never go below zero.
+const postTransaction = async (
+  query,
+  { type, orderId = null, uniqueKey = null, providerReference = null, description = null, createdBy, entries }
+) => {
+  const total = entries.reduce((sum, entry) => sum + entry.cents, 0);
+  if (total !== 0) {
+    throw new Error(`Unbalanced ledger transaction (${type}): entries sum to ${total}`);
+  }
+
+  // Lock the wallets in a fixed order so concurrent postings cannot deadlock
+  const walletIds = [...new Set(entries.map((entry) => entry.walletId))].sort(
+    (a, b) => a - b
+  );
+  const wallets = await query(
+    `SELECT * FROM wallets WHERE walletId IN (${walletIds.map(() => "?").join(", ")})
+     ORDER BY walletId FOR UPDATE`,
+    walletIds
+  );
+  const balances = new Map(
+    wallets.map((wallet) => [wallet.walletId, toCents(wallet.balance)])
+  );
+  const ownerTypes = new Map(
+    wallets.map((wallet) => [wallet.walletId, wallet.ownerType])
+  );
+
+  let result;
+  try {
+    result = await query(
+      `INSERT INTO ledger_transactions (type, orderId, uniqueKey, providerReference, description, createdBy)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [type, orderId, uniqueKey, providerReference, description, createdBy]
+    );
+  } catch (error) {
+    if (error.code === "ER_DUP_ENTRY") {
+      throw createError("This payment has already been recorded", 409);
+    }
+    throw error;
+  }
+
+  for (const entry of entries) {
+    const balanceAfter = balances.get(entry.walletId) + entry.cents;
+
+    if (entry.cents < 0 && balanceAfter < 0 && ownerTypes.get(entry.walletId) === "rider") {
+      throw createError("Insufficient wallet balance", 402);
+    }
+
+    balances.set(entry.walletId, balanceAfter);
+
+    await query("UPDATE wallets SET balance = ? WHERE walletId = ?", [
+      fromCents(balanceAfter),
+      entry.walletId,
+    ]);
+    await query(
+      "INSERT INTO ledger_entries (transactionId, walletId, amount, balanceAfter) VALUES (?, ?, ?, ?)",
+      [result.insertId, entry.walletId, fromCents(entry.cents), fromCents(balanceAfter)]
+    );
+  }
+
+  return result.insertId;
+};
+
+// Wallet of a user, created empty if it doesn't exist yet
+const getWallet = (ownerUid, ownerType) =>
+  getOrCreateWallet(executeQuery, ownerUid, ownerType);
+
+// Ledger entries of a wallet, newest first
+const getWalletEntries = async (walletId, { limit, offset }) => {
+  const [{ total }] = await executeQuery(
+    "SELECT COUNT(*) AS total FROM ledger_entries WHERE walletId = ?",
+    [walletId]
+  );
+
+  const entries = await executeQuery(
+    `SELECT e.entryId, e.transactionId, t.type, t.orderId, t.description,
+            e.amount, e.balanceAfter, e.createdAt
+     FROM ledger_entries e
+     JOIN ledger_transactions t ON t.transactionId = e.transactionId
+     WHERE e.walletId = ?
+     ORDER BY e.entryId DESC
+     LIMIT ? OFFSET ?`,
+    [walletId, limit, offset]
+  );
+
+  return { total, entries };
+};
+
+// Charge a payment method and credit the rider wallet with the amount
+const topUpWallet = async ({ userUid, amount, paymentMethodId = null, description = "Wallet top-up" }) => {
+  const cents = toCents(amount);
+  const provider = getPaymentProvider();
+
+  const payment = await provider.charge({
+    amount: fromCents(cents),
+    currency: PRICING.currency,
+    customerUid: userUid,
+    paymentMethodId,
+    description,
+  });
+
+  try {
+    return await withTransaction(async (query) => {
+      const wallet = await getOrCreateWallet(query, userUid, "rider");
+      const clearing = await getOrCreateWallet(query, SYSTEM_ACCOUNTS.payments, "system");
+
+      const transactionId = await postTransaction(query, {
+        type: "topup",
+        providerReference: payment.reference,
+        description,
+        createdBy: userUid,
+        entries: [
+          { walletId: clearing.walletId, cents: -cents },
+          { walletId: wallet.walletId, cents },
+        ],
+      });
+
+      const [updatedWallet] = await query(
+        "SELECT * FROM wallets WHERE walletId = ?",
+        [wallet.walletId]
+      );
+      return { transactionId, wallet: updatedWallet };
+    });
+  } catch (error) {
+    // Don't keep money we failed to book
+    logger.error("Top-up not recorded, refunding payment", {
+      userUid,
+      paymentReference: payment.reference,
+      error,
+    });
+    await provider
+      .refund({ reference: payment.reference, amount: fromCents(cents) })
+      .catch((refundError) =>
+        logger.error("Top-up refund failed", { paymentReference: payment.reference, error: refundError })
+      );
+    throw error;
+  }
+};
+
+// Charge a completed order to the rider wallet and split it between the
+// driver and the platform. A wallet that cannot cover the fare is topped up
+// from the rider's payment method first. Returns the updated order.
+const chargeOrder = async (order, { paymentMethodId = null, actorUid = "system" } = {}) => {
+  if (order.status !== "completed") {
+    throw createError("Only completed orders can be charged", 409);
+  }
+
+  if (!["unpaid", "failed"].includes(order.paymentStatus)) {
+    throw createError(`Order payment is already ${order.paymentStatus}`, 409);
+  }
+
+  logger.info("Charging order", { orderId: order.orderId, amount: order.amount, currency: PRICING.currency });
+
+  const amountCents = toCents(order.amount);
+  const grossCents = toCents(order.originalAmount ?? order.amount);
+  const driverCents = order.assignedDriverUid
+    ? Math.round(grossCents * DRIVER_PAYOUT_RATE)
+    : 0;
+
+  try {
+    const wallet = await getWallet(order.userUid, "rider");
+    const shortfall = amountCents - toCents(wallet.balance);
+
+    if (shortfall > 0) {
+      logger.info("Wallet short, charging payment method", { orderId: order.orderId, shortfall: fromCents(shortfall) });
+      await topUpWallet({
+        userUid: order.userUid,
+        amount: fromCents(shortfall),
+        paymentMethodId,
+        description: `Top-up for order ${order.orderId}`,
+      });
+    }
+
+    await withTransaction(async (query) => {
+      const riderWallet = await getOrCreateWallet(query, order.userUid, "rider");
+      const revenue = await getOrCreateWallet(query, SYSTEM_ACCOUNTS.revenue, "system");
+      const entries = [
+        { walletId: riderWallet.walletId, cents: -amountCents },
+        { walletId: revenue.walletId, cents: amountCents - driverCents },
+      ];
+
+      if (driverCents > 0) {
+        const driverWallet = await getOrCreateWallet(query, order.assignedDriverUid, "driver");
+        entries.push({ walletId: driverWallet.walletId, cents: driverCents });
+      }
+
+      await postTransaction(query, {
+        type: "order_charge",
+        orderId: order.orderId,
+        uniqueKey: `order_charge:${order.orderId}`,
+        description: `Order ${order.orderId}`,
+        createdBy: actorUid,
+        entries,
+      });
+
+      await createOrderRepository(query).setPaymentStatus(order.orderId, "paid");
+    });
+
+    logger.info("Order paid", { orderId: order.orderId });
+  } catch (error) {
+    if (error.status !== 409) {
+      await OrderRepository.setPaymentStatus(order.orderId, "failed", { from: "unpaid" });
+    }
+    throw error;
+  }
+
+  return OrderRepository.findById(order.orderId);
+};
+
+// Refund (part of) a paid order to the rider wallet. The driver payout and
+// platform share are reversed in proportion. Returns the updated order.
+const refundOrder = async (orderId, { amount = null, reason = null, actorUid }) => {
+  await withTransaction(async (query) => {
+    // Locking the order serialises concurrent refunds of it
+    const order = await createOrderRepository(query).findById(orderId, { forUpdate: true });
+
+    if (!order) {
+      throw createError("Order not found", 404);
+    }
+
+    if (!["paid", "partially_refunded"].includes(order.paymentStatus)) {
+      throw createError("Only paid orders can be refunded", 409);
+    }
+
+    const riderWallet = await getOrCreateWallet(query, order.userUid, "rider");
+
+    // Net amount the rider paid for the order, after earlier refunds
+    const [{ charged, refunded }] = await query(
+      `SELECT
+         COALESCE(-SUM(CASE WHEN t.type = 'order_charge' THEN e.amount END), 0) AS charged,
+         COALESCE(SUM(CASE WHEN t.type = 'refund' THEN e.amount END), 0) AS refunded
+       FROM ledger_entries e
+       JOIN ledger_transactions t ON t.transactionId = e.transactionId
+       WHERE t.orderId = ? AND e.walletId = ?`,
+      [orderId, riderWallet.walletId]
+    );
+    const chargedCents = toCents(charged);
+    const remainingCents = chargedCents - toCents(refunded);
+    const refundCents = amount === null ? remainingCents : toCents(amount);
+
+    if (refundCents <= 0 || refundCents > remainingCents) {
+      throw createError(
+        `Refund amount must be between 0.01 and ${fromCents(remainingCents)}`,
+        400
+      );
+    }
+
+    const [{ driverCharged }] = await query(
+      `SELECT COALESCE(SUM(e.amount), 0) AS driverCharged
+       FROM ledger_entries e
+       JOIN ledger_transactions t ON t.transactionId = e.transactionId
+       JOIN wallets w ON w.walletId = e.walletId
+       WHERE t.orderId = ? AND t.type = 'order_charge' AND w.ownerType = 'driver'`,
+      [orderId]
+    );
+    const driverRefundCents = Math.round(
+      (refundCents * toCents(driverCharged)) / chargedCents
+    );
+
+    const revenue = await getOrCreateWallet(query, SYSTEM_ACCOUNTS.revenue, "system");
+    const entries = [
+      { walletId: riderWallet.walletId, cents: refundCents },
+      { walletId: revenue.walletId, cents: -(refundCents - driverRefundCents) },
+    ];
+
+    if (driverRefundCents > 0) {
+      const driverWallet = await getOrCreateWallet(query, order.assignedDriverUid, "driver");
+      entries.push({ walletId: driverWallet.walletId, cents: -driverRefundCents });
+    }
+
+    await postTransaction(query, {
+      type: "refund",
+      orderId,
+      description: reason || `Refund for order ${orderId}`,
+      createdBy: actorUid,
+      entries,
+    });
+
+    await createOrderRepository(query).setPaymentStatus(
+      orderId,
+      refundCents === remainingCents ? "refunded" : "partially_refunded"
+    );
+
+    logger.info("Order refunded", { orderId, amount: fromCents(refundCents) });
+  });
+
+  return OrderRepository.findById(orderId);
+};
+
+// Ledger transactions booked against an order, oldest first
+const getOrderTransactions = (orderId) =>
+  executeQuery(
+    "SELECT * FROM ledger_transactions WHERE orderId = ? ORDER BY createdAt ASC, transactionId ASC",
+    [orderId]
+  );
+
+module.exports = {
+  DRIVER_PAYOUT_RATE,
+  MAX_TOPUP_AMOUNT,
+  SYSTEM_ACCOUNTS,
+  WALLET_OWNER_TYPES,
+  getWallet,
+  getWalletEntries,
+  topUpWallet,
+  chargeOrder,
+  refundOrder,
+  getOrderTransactions,
+};
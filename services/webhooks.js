@@ -0,0 +1,308 @@
+const crypto = require("crypto");
+const http = require("http");
+const https = require("https");
+const { executeQuery } = require("../config/db");
+const { createError } = require("../middlewares/errorHandler");
+const { logger } = require("../config/logger");
+
+// Events partners can subscribe to
+const WEBHOOK_EVENT_TYPES = ["order.created", "order.status_changed"];
+
+// Sent only by the ping endpoint, to every endpoint regardless of its events
+const WEBHOOK_PING_EVENT = "webhook.ping";
+
+// Delivery attempts before a delivery is marked failed
+const WEBHOOK_MAX_ATTEMPTS = process.env.WEBHOOK_MAX_ATTEMPTS
+  ? parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10)
+  : 8;
+
+// First retry delay; each further retry doubles it, up to the cap
+const WEBHOOK_RETRY_BASE_SECONDS = process.env.WEBHOOK_RETRY_BASE_SECONDS
+  ? parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS, 10)
+  : 30;
+const WEBHOOK_RETRY_MAX_SECONDS = 6 * 60 * 60;
+
+// How long a receiver has to answer
+const WEBHOOK_TIMEOUT_MS = process.env.WEBHOOK_TIMEOUT_MS
+  ? parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10)
+  : 10000;
+
+// How often the outbox is polled for due deliveries
+const WEBHOOK_POLL_INTERVAL_MS = process.env.WEBHOOK_POLL_INTERVAL_MS
+  ? parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 10)
+  : 5000;
+
+// A claimed delivery is hidden from other workers for this long. If the
+// worker dies mid-attempt the delivery becomes due again afterwards.
+const WEBHOOK_CLAIM_SECONDS = Math.ceil(WEBHOOK_TIMEOUT_MS / 1000) + 30;
+
+const SIGNATURE_HEADER = "X-XRide-Signature";
+
+let pollTimer = null;
+let pollRunning = false;
+
+// Parse the eventTypes column (mysql2 already decodes JSON columns)
+const parseEventTypes = (eventTypes) =>
+  typeof eventTypes === "string" ? JSON.parse(eventTypes) : eventTypes;
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString("hex")}`;
+
+// Signature header value: the timestamp and an HMAC-SHA256 of
+// "<timestamp>.<body>" keyed with the endpoint secret. Receivers should
+// recompute it and reject stale timestamps to stop replays.
+const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+};
+
+// Queue an event for every active endpoint subscribed to it. Each endpoint
+// gets its own outbox row so retries are tracked per receiver. `query` is
+// executeQuery or the transaction of the change the event describes, so
+// the event is queued exactly when that change commits.
+const enqueueWebhookEvent = async (query, eventType, data, { endpointId = null } = {}) => {
+  const endpoints = endpointId
+    ? await query(
+        "SELECT endpointId, eventTypes FROM webhook_endpoints WHERE endpointId = ?",
+        [endpointId]
+      )
+    : await query(
+        "SELECT endpointId, eventTypes FROM webhook_endpoints WHERE isActive = TRUE"
+      );
+
+  const targets = endpointId
+    ? endpoints
+    : endpoints.filter((endpoint) => parseEventTypes(endpoint.eventTypes).includes(eventType));
+
+  if (targets.length === 0) {
+    return [];
+  }
+
+  const eventId = `evt_${crypto.randomUUID().replace(/-/g, "")}`;
+  const payload = JSON.stringify({
+    id: eventId,
+    type: eventType,
+    createdAt: new Date().toISOString(),
+    data,
+  });
+
+  const deliveryIds = [];
+  for (const endpoint of targets) {
+    const result = await query(
+      `INSERT INTO webhook_deliveries (endpointId, eventId, eventType, payload)
+       VALUES (?, ?, ?, ?)`,
+      [endpoint.endpointId, eventId, eventType, payload]
+    );
+    deliveryIds.push(result.insertId);
+  }
+
+  logger.debug("Webhook event queued", { eventType, eventId, endpointCount: targets.length });
+  return deliveryIds;
+};
+
+// POST a payload to a URL. Resolves with the status code; network errors
+// and timeouts reject.
+const postJson = (url, body, headers) =>
+  new Promise((resolve, reject) => {
+    const client = url.startsWith("https:") ? https : http;
+    const request = client.request(
+      url,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Content-Length": Buffer.byteLength(body),
+          "User-Agent": "XRide-Webhooks/1.0",
+          ...headers,
+        },
+        timeout: WEBHOOK_TIMEOUT_MS,
+      },
+      (response) => {
+        // Drain the body; only the status matters
+        response.resume();
+        response.on("end", () => resolve(response.statusCode));
+      }
+    );
+
+    request.on("timeout", () => {
+      request.destroy(new Error(`Timed out after ${WEBHOOK_TIMEOUT_MS}ms`));
+    });
+    request.on("error", reject);
+    request.end(body);
+  });
+
+// Delay before the next attempt after `attempts` failures, with jitter so
+// a recovering receiver is not hit by every retry at once
+const retryDelaySeconds = (attempts) => {
+  const delay = Math.min(
+    WEBHOOK_RETRY_BASE_SECONDS * 2 ** (attempts - 1),
+    WEBHOOK_RETRY_MAX_SECONDS
+  );
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+// Make one attempt at a delivery and record its outcome. The delivery is
+// claimed first so that two workers never send it at the same time.
+const attemptDelivery = async (deliveryId) => {
+  const claim = await executeQuery(
+    `UPDATE webhook_deliveries
+     SET attempts = attempts + 1, nextAttemptAt = NOW() + INTERVAL ? SECOND
+     WHERE deliveryId = ? AND status = 'pending' AND nextAttemptAt <= NOW()`,
+    [WEBHOOK_CLAIM_SECONDS, deliveryId]
+  );
+
+  if (claim.affectedRows === 0) {
+    return null;
+  }
+
+  const [delivery] = await executeQuery(
+    `SELECT d.*, e.url, e.secret, e.isActive
+     FROM webhook_deliveries d
+     JOIN webhook_endpoints e ON e.endpointId = d.endpointId
+     WHERE d.deliveryId = ?`,
+    [deliveryId]
+  );
+
+  const startTime = Date.now();
+  let statusCode = null;
+  let errorMessage = null;
+
+  try {
+    statusCode = await postJson(delivery.url, delivery.payload, {
+      [SIGNATURE_HEADER]: signPayload(delivery.secret, delivery.payload),
+      "X-XRide-Event": delivery.eventType,
+      "X-XRide-Delivery": String(delivery.deliveryId),
+    });
+    if (statusCode < 200 || statusCode >= 300) {
+      errorMessage = `Receiver answered ${statusCode}`;
+    }
+  } catch (error) {
+    errorMessage = error.message;
+  }
+
+  const durationMs = Date.now() - startTime;
+  const succeeded = errorMessage === null;
+
+  await executeQuery(
+    `INSERT INTO webhook_delivery_attempts (deliveryId, attemptNumber, statusCode, error, durationMs)
+     VALUES (?, ?, ?, ?, ?)`,
+    [deliveryId, delivery.attempts, statusCode, errorMessage && errorMessage.slice(0, 500), durationMs]
+  );
+
+  if (succeeded) {
+    await executeQuery(
+      `UPDATE webhook_deliveries
+       SET status = 'succeeded', lastStatusCode = ?, lastError = NULL, deliveredAt = NOW()
+       WHERE deliveryId = ?`,
+      [statusCode, deliveryId]
+    );
+    logger.info("Webhook delivery succeeded", {
+      deliveryId,
+      eventType: delivery.eventType,
+      statusCode,
+      durationMs,
+    });
+    return "succeeded";
+  }
+
+  // Deliveries to a disabled endpoint are not retried
+  const giveUp = delivery.attempts >= WEBHOOK_MAX_ATTEMPTS || !delivery.isActive;
+
+  await executeQuery(
+    `UPDATE webhook_deliveries
+     SET status = ?, lastStatusCode = ?, lastError = ?,
+         nextAttemptAt = NOW() + INTERVAL ? SECOND
+     WHERE deliveryId = ?`,
+    [
+      giveUp ? "failed" : "pending",
+      statusCode,
+      errorMessage.slice(0, 500),
+      giveUp ? 0 : retryDelaySeconds(delivery.attempts),
+      deliveryId,
+    ]
+  );
+
+  logger.warn("Webhook delivery failed", {
+    deliveryId,
+    eventType: delivery.eventType,
+    attempt: delivery.attempts,
+    statusCode,
+    errorMessage,
+    giveUp,
+  });
+  return giveUp ? "failed" : "pending";
+};
+
+// Send every due delivery. Runs on an interval, so pending work is picked
+// back up after a restart.
+const pollWebhookOutbox = async () => {
+  if (pollRunning) return;
+  pollRunning = true;
+
+  try {
+    const due = await executeQuery(
+      `SELECT deliveryId FROM webhook_deliveries
+       WHERE status = 'pending' AND nextAttemptAt <= NOW()
+       ORDER BY nextAttemptAt ASC, deliveryId ASC
+       LIMIT 50`
+    );
+
+    for (const { deliveryId } of due) {
+      try {
+        await attemptDelivery(deliveryId);
+      } catch (error) {
+        logger.error("Webhook delivery errored", { deliveryId, error });
+      }
+    }
+  } catch (error) {
+    logger.error("Webhook outbox poll failed", { error });
+  } finally {
+    pollRunning = false;
+  }
+};
+
+// Put a failed (or still pending) delivery back at the front of the queue
+const retryDelivery = async (deliveryId) => {
+  const result = await executeQuery(
+    `UPDATE webhook_deliveries
+     SET status = 'pending', nextAttemptAt = NOW()
+     WHERE deliveryId = ? AND status <> 'succeeded'`,
+    [deliveryId]
+  );
+  return result.affectedRows > 0;
+};
+
+// Start the background outbox worker
+const startWebhookWorker = () => {
+  if (pollTimer) return;
+  pollTimer = setInterval(pollWebhookOutbox, WEBHOOK_POLL_INTERVAL_MS);
+  pollTimer.unref();
+  logger.info("Webhook worker started", { intervalMs: WEBHOOK_POLL_INTERVAL_MS });
+};
+
+// Stop the background outbox worker
+const stopWebhookWorker = () => {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+};
+
+module.exports = {
+  WEBHOOK_EVENT_TYPES,
+  WEBHOOK_PING_EVENT,
+  WEBHOOK_MAX_ATTEMPTS,
+  SIGNATURE_HEADER,
+  parseEventTypes,
+  generateSecret,
+  signPayload,
+  enqueueWebhookEvent,
+  retryDelaySeconds,
+  attemptDelivery,
+  pollWebhookOutbox,
+  retryDelivery,
+  startWebhookWorker,
+  stopWebhookWorker,
+};
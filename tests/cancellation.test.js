@@ -0,0 +1,55 @@
+const {
+  CANCELLATION_GRACE_MINUTES,
+  CANCELLATION_FEES,
+  calculateCancellationFee,
+} = require("../services/cancellation");
+
+const createdAt = new Date("2026-01-01T12:00:00Z");
+const minutesAfter = (minutes) => new Date(createdAt.getTime() + minutes * 60 * 1000);
+
+describe("calculateCancellationFee", () => {
+  test("is free within the grace period", () => {
+    const order = { createdAt, status: "in_progress", amount: "20.00" };
+
+    expect(calculateCancellationFee(order, minutesAfter(0))).toEqual({
+      fee: 0,
+      withinGracePeriod: true,
+    });
+    expect(calculateCancellationFee(order, minutesAfter(CANCELLATION_GRACE_MINUTES))).toEqual({
+      fee: 0,
+      withinGracePeriod: true,
+    });
+  });
+
+  test.each(["pending", "confirmed", "in_progress"])(
+    "charges the %s fee after the grace period",
+    (status) => {
+      const order = { createdAt, status, amount: "100.00" };
+
+      expect(calculateCancellationFee(order, minutesAfter(CANCELLATION_GRACE_MINUTES + 1))).toEqual({
+        fee: CANCELLATION_FEES[status],
+        withinGracePeriod: false,
+      });
+    }
+  );
+
+  test("never charges more than the order amount", () => {
+    const order = { createdAt, status: "in_progress", amount: "1.50" };
+
+    expect(calculateCancellationFee(order, minutesAfter(60)).fee).toBe(
+      Math.min(CANCELLATION_FEES.in_progress, 1.5)
+    );
+  });
+
+  test("charges nothing for statuses without a fee", () => {
+    const order = { createdAt, status: "scheduled", amount: "20.00" };
+
+    expect(calculateCancellationFee(order, minutesAfter(60)).fee).toBe(0);
+  });
+
+  test("accepts createdAt as a string", () => {
+    const order = { createdAt: createdAt.toISOString(), status: "confirmed", amount: "20.00" };
+
+    expect(calculateCancellationFee(order, minutesAfter(60)).withinGracePeriod).toBe(false);
+  });
+});
@@ -0,0 +1,181 @@
+// Dispatch runs its selection in SQL, so these tests need a MySQL database
+// they can wipe. Set TEST_DB_NAME (and DB_HOST, DB_USER, DB_PASS) to run
+// them; they are skipped otherwise. Migrations are applied on start.
+const TEST_DB_NAME = process.env.TEST_DB_NAME;
+if (TEST_DB_NAME) {
+  process.env.DB_NAME = TEST_DB_NAME;
+}
+
+const { initializeDatabase, executeQuery, closePool } = require("../config/db");
+const {
+  findNearbyDrivers,
+  dispatchOrder,
+  respondToOffer,
+  sweepDispatch,
+} = require("../services/dispatch");
+
+const describeWithDb = TEST_DB_NAME ? describe : describe.skip;
+
+const PICKUP = { lat: 40.7128, lng: -74.006 };
+
+// Roughly `km` kilometres north of the pickup
+const northOfPickup = (km) => PICKUP.lat + km / 111.045;
+
+const insertDriver = (driverUid, latitude, { isAvailable = true, locationAgeSeconds = 0 } = {}) =>
+  executeQuery(
+    `INSERT INTO drivers (driverUid, fullName, phone, status, isAvailable, currentLat, currentLng, locationUpdatedAt)
+     VALUES (?, ?, '+15550000000', 'approved', ?, ?, ?, NOW() - INTERVAL ? SECOND)`,
+    [driverUid, `Driver ${driverUid}`, isAvailable, latitude, PICKUP.lng, locationAgeSeconds]
+  );
+
+const insertOrder = async () => {
+  const result = await executeQuery(
+    `INSERT INTO orders (userUid, pickupAddress, dropoffAddress, latPickup, lngPickup,
+       latDropoff, lngDropoff, amount, orderType, status)
+     VALUES ('rider-1', 'Pickup', 'Dropoff', ?, ?, ?, ?, 12.5, 'delivery', 'pending')`,
+    [PICKUP.lat, PICKUP.lng, PICKUP.lat + 0.05, PICKUP.lng]
+  );
+  return result.insertId;
+};
+
+const getOffers = (orderId) =>
+  executeQuery(
+    "SELECT offerId, driverUid, status FROM dispatch_offers WHERE orderId = ? ORDER BY offerId ASC",
+    [orderId]
+  );
+
+// Poll until `check` returns something truthy (for fire-and-forget dispatch)
+const waitFor = async (check, timeoutMs = 2000) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result || Date.now() > deadline) return result;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  }
+};
+
+describeWithDb("dispatch (MySQL)", () => {
+  beforeAll(async () => {
+    await initializeDatabase();
+  });
+
+  beforeEach(async () => {
+    // Offers and status history are deleted with their orders and drivers
+    await executeQuery("DELETE FROM orders");
+    await executeQuery("DELETE FROM drivers");
+  });
+
+  afterAll(async () => {
+    await closePool();
+  });
+
+  describe("findNearbyDrivers", () => {
+    test("returns drivers within the radius, nearest first", async () => {
+      await insertDriver("far", northOfPickup(6));
+      await insertDriver("near", northOfPickup(1));
+      await insertDriver("middle", northOfPickup(3));
+      await insertDriver("out-of-range", northOfPickup(25));
+
+      const drivers = await findNearbyDrivers(PICKUP.lat, PICKUP.lng, { radiusKm: 10 });
+
+      expect(drivers.map((driver) => driver.driverUid)).toEqual(["near", "middle", "far"]);
+      expect(drivers[0].distanceKm).toBeCloseTo(1, 1);
+      expect(drivers[2].distanceKm).toBeCloseTo(6, 1);
+    });
+
+    test("honours a smaller radius and the limit", async () => {
+      await insertDriver("near", northOfPickup(1));
+      await insertDriver("middle", northOfPickup(3));
+      await insertDriver("far", northOfPickup(6));
+
+      const withinTwo = await findNearbyDrivers(PICKUP.lat, PICKUP.lng, { radiusKm: 2 });
+      const nearestTwo = await findNearbyDrivers(PICKUP.lat, PICKUP.lng, { limit: 2 });
+
+      expect(withinTwo.map((driver) => driver.driverUid)).toEqual(["near"]);
+      expect(nearestTwo.map((driver) => driver.driverUid)).toEqual(["near", "middle"]);
+    });
+
+    test("skips offline drivers and stale locations", async () => {
+      await insertDriver("offline", northOfPickup(1), { isAvailable: false });
+      await insertDriver("stale", northOfPickup(1), { locationAgeSeconds: 3600 });
+      await insertDriver("online", northOfPickup(4));
+
+      const drivers = await findNearbyDrivers(PICKUP.lat, PICKUP.lng);
+
+      expect(drivers.map((driver) => driver.driverUid)).toEqual(["online"]);
+    });
+  });
+
+  describe("offers", () => {
+    let orderId;
+
+    beforeEach(async () => {
+      await insertDriver("near", northOfPickup(1));
+      await insertDriver("next", northOfPickup(3));
+      orderId = await insertOrder();
+    });
+
+    test("offers the order to the nearest driver first", async () => {
+      const offer = await dispatchOrder(orderId);
+
+      expect(offer.driverUid).toBe("near");
+      expect(offer.status).toBe("offered");
+    });
+
+    test("sweepDispatch expires a timed-out offer and moves to the next driver", async () => {
+      const offer = await dispatchOrder(orderId);
+      await executeQuery(
+        "UPDATE dispatch_offers SET expiresAt = NOW() - INTERVAL 1 SECOND WHERE offerId = ?",
+        [offer.offerId]
+      );
+
+      await sweepDispatch();
+
+      expect(await getOffers(orderId)).toEqual([
+        { offerId: offer.offerId, driverUid: "near", status: "expired" },
+        { offerId: expect.any(Number), driverUid: "next", status: "offered" },
+      ]);
+    });
+
+    test("respondToOffer rejects an expired offer", async () => {
+      const offer = await dispatchOrder(orderId);
+      await executeQuery(
+        "UPDATE dispatch_offers SET expiresAt = NOW() - INTERVAL 1 SECOND WHERE offerId = ?",
+        [offer.offerId]
+      );
+
+      await expect(respondToOffer(offer.offerId, "near", true)).rejects.toMatchObject({
+        status: 409,
+      });
+
+      const [order] = await executeQuery("SELECT status, assignedDriverUid FROM orders WHERE orderId = ?", [orderId]);
+      expect(order).toEqual({ status: "pending", assignedDriverUid: null });
+    });
+
+    test("declining moves the order to the next driver", async () => {
+      const offer = await dispatchOrder(orderId);
+
+      const result = await respondToOffer(offer.offerId, "near", false);
+      expect(result.offer.status).toBe("declined");
+
+      const offers = await waitFor(async () => {
+        const rows = await getOffers(orderId);
+        return rows.length === 2 && rows;
+      });
+
+      expect(offers).toEqual([
+        { offerId: offer.offerId, driverUid: "near", status: "declined" },
+        { offerId: expect.any(Number), driverUid: "next", status: "offered" },
+      ]);
+    });
+
+    test("accepting assigns the driver and confirms the order", async () => {
+      const offer = await dispatchOrder(orderId);
+
+      const result = await respondToOffer(offer.offerId, "near", true);
+
+      expect(result.offer.status).toBe("accepted");
+      expect(result.order).toMatchObject({ status: "confirmed", assignedDriverUid: "near" });
+    });
+  });
+});
@@ -0,0 +1,329 @@
+// Dispatch without MySQL: executeQuery answers from the in-memory tables
+// below, so the selection, timeout and decline flows run as in production.
+// tests/dispatch.db.test.js runs the same flows against a real database.
+jest.mock("../config/db", () => ({
+  executeQuery: jest.fn(),
+  withTransaction: jest.fn(),
+}));
+
+const { executeQuery, withTransaction } = require("../config/db");
+const {
+  findNearbyDrivers,
+  dispatchOrder,
+  respondToOffer,
+  sweepDispatch,
+} = require("../services/dispatch");
+
+const PICKUP = { lat: 40.7128, lng: -74.006 };
+
+// Roughly `km` kilometres north (and `eastKm` east) of the pickup
+const nearPickup = (km, eastKm = 0) => ({
+  currentLat: (PICKUP.lat + km / 111.045).toFixed(8),
+  currentLng: (PICKUP.lng + eastKm / (111.045 * Math.cos((PICKUP.lat * Math.PI) / 180))).toFixed(8),
+});
+
+let drivers;
+let orders;
+let offers;
+
+const openOffer = (orderId) =>
+  offers.find((offer) => offer.orderId === orderId && offer.status === "offered");
+
+// The statements dispatch and the order status flow run, against the
+// tables above. Availability and location age are the database's job and
+// are not modelled: every driver listed is online.
+const fakeQuery = async (sql, params = []) => {
+  const now = new Date();
+
+  if (sql.includes("FROM drivers d")) {
+    const [, minLat, maxLat, minLng, maxLng, excludeOrderId] = params;
+    return drivers
+      .filter(
+        (driver) =>
+          driver.currentLat >= minLat &&
+          driver.currentLat <= maxLat &&
+          driver.currentLng >= minLng &&
+          driver.currentLng <= maxLng
+      )
+      .filter(
+        (driver) =>
+          !offers.some(
+            (offer) =>
+              offer.driverUid === driver.driverUid &&
+              (offer.orderId === excludeOrderId || offer.status === "offered")
+          )
+      )
+      .filter(
+        (driver) =>
+          ![...orders.values()].some(
+            (order) =>
+              order.assignedDriverUid === driver.driverUid &&
+              ["confirmed", "in_progress"].includes(order.status)
+          )
+      )
+      .map((driver) => ({ ...driver, currentLat: String(driver.currentLat), currentLng: String(driver.currentLng) }));
+  }
+
+  if (sql.includes("INSERT INTO dispatch_offers")) {
+    const [orderId, driverUid, distanceKm, timeoutSeconds] = params;
+    if (openOffer(orderId)) {
+      return { affectedRows: 0 };
+    }
+    const offer = {
+      offerId: offers.length + 1,
+      orderId,
+      driverUid,
+      distanceKm,
+      status: "offered",
+      expiresAt: new Date(now.getTime() + timeoutSeconds * 1000),
+    };
+    offers.push(offer);
+    return { affectedRows: 1, insertId: offer.offerId };
+  }
+
+  if (sql.includes("FROM dispatch_offers WHERE offerId = ? AND driverUid = ?")) {
+    return offers
+      .filter((offer) => offer.offerId === params[0] && offer.driverUid === params[1])
+      .map((offer) => ({ ...offer }));
+  }
+
+  if (sql.includes("FROM dispatch_offers WHERE offerId = ?")) {
+    return offers.filter((offer) => offer.offerId === params[0]).map((offer) => ({ ...offer }));
+  }
+
+  if (sql.includes("SET status = ?, respondedAt")) {
+    const [status, offerId] = params;
+    const offer = offers.find(
+      (candidate) =>
+        candidate.offerId === offerId && candidate.status === "offered" && candidate.expiresAt > now
+    );
+    if (offer) offer.status = status;
+    return { affectedRows: offer ? 1 : 0 };
+  }
+
+  if (sql.includes("WHERE status = 'offered' AND expiresAt <= NOW()")) {
+    return offers
+      .filter((offer) => offer.status === "offered" && offer.expiresAt <= now)
+      .map(({ offerId, orderId }) => ({ offerId, orderId }));
+  }
+
+  if (sql.includes("UPDATE dispatch_offers SET status = 'expired' WHERE offerId = ?")) {
+    const offer = offers.find(
+      (candidate) =>
+        candidate.offerId === params[0] &&
+        (!sql.includes("AND status = 'offered'") || candidate.status === "offered")
+    );
+    if (offer) offer.status = "expired";
+    return { affectedRows: offer ? 1 : 0 };
+  }
+
+  if (sql.includes("SELECT o.orderId FROM orders o")) {
+    return [...orders.values()]
+      .filter((order) => order.status === "pending" && !order.assignedDriverUid && !openOffer(order.orderId))
+      .map(({ orderId }) => ({ orderId }));
+  }
+
+  if (sql.includes("SELECT * FROM orders WHERE orderId = ?")) {
+    const order = orders.get(params[0]);
+    return order ? [{ ...order }] : [];
+  }
+
+  if (sql.includes("UPDATE orders SET status = ?")) {
+    const columns = sql
+      .match(/SET (.*) WHERE/)[1]
+      .split(", ")
+      .map((assignment) => assignment.split(" = ")[0]);
+    const [orderId, fromStatus] = params.slice(columns.length);
+    const order = orders.get(orderId);
+    if (!order || order.status !== fromStatus) {
+      return { affectedRows: 0 };
+    }
+    columns.forEach((column, index) => {
+      order[column] = params[index];
+    });
+    return { affectedRows: 1 };
+  }
+
+  if (sql.includes("INSERT INTO order_status_history")) {
+    return { affectedRows: 1, insertId: 1 };
+  }
+
+  if (sql.includes("FROM webhook_endpoints")) {
+    return [];
+  }
+
+  throw new Error(`Unexpected query: ${sql}`);
+};
+
+// Let fire-and-forget dispatch runs finish
+const settle = async () => {
+  for (let i = 0; i < 20; i++) {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+};
+
+const expireOffer = (offerId) => {
+  offers.find((offer) => offer.offerId === offerId).expiresAt = new Date(Date.now() - 1000);
+};
+
+beforeEach(() => {
+  drivers = [];
+  orders = new Map();
+  offers = [];
+  executeQuery.mockReset();
+  executeQuery.mockImplementation(fakeQuery);
+  withTransaction.mockReset();
+  withTransaction.mockImplementation((fn) => fn(executeQuery));
+});
+
+describe("findNearbyDrivers", () => {
+  test("returns drivers nearest first, whatever order the database uses", async () => {
+    drivers = [
+      { driverUid: "far", ...nearPickup(6) },
+      { driverUid: "near", ...nearPickup(1) },
+      { driverUid: "middle", ...nearPickup(0, 3) },
+    ];
+
+    const found = await findNearbyDrivers(PICKUP.lat, PICKUP.lng, { radiusKm: 10 });
+
+    expect(found.map((driver) => driver.driverUid)).toEqual(["near", "middle", "far"]);
+    expect(found[0].distanceKm).toBeCloseTo(1, 1);
+    expect(found[1].distanceKm).toBeCloseTo(3, 1);
+    expect(found[2].distanceKm).toBeCloseTo(6, 1);
+  });
+
+  test("drops drivers in the corners of the search box, beyond the radius", async () => {
+    drivers = [
+      { driverUid: "corner", ...nearPickup(8, 8) },
+      { driverUid: "inside", ...nearPickup(9) },
+    ];
+
+    const found = await findNearbyDrivers(PICKUP.lat, PICKUP.lng, { radiusKm: 10 });
+
+    expect(found.map((driver) => driver.driverUid)).toEqual(["inside"]);
+  });
+
+  test("searches a box around the pickup as wide as the radius", async () => {
+    await findNearbyDrivers(PICKUP.lat, PICKUP.lng, { radiusKm: 5, excludeOrderId: 9 });
+
+    const [, params] = executeQuery.mock.calls[0];
+    const [, minLat, maxLat, minLng, maxLng, excludeOrderId] = params;
+    expect(maxLat - minLat).toBeCloseTo((2 * 5) / 111.045, 6);
+    expect((minLat + maxLat) / 2).toBeCloseTo(PICKUP.lat, 6);
+    expect(maxLng - minLng).toBeGreaterThan(maxLat - minLat);
+    expect((minLng + maxLng) / 2).toBeCloseTo(PICKUP.lng, 6);
+    expect(excludeOrderId).toBe(9);
+  });
+
+  test("honours the limit", async () => {
+    drivers = [1, 2, 3, 4].map((km) => ({ driverUid: `d${km}`, ...nearPickup(km) }));
+
+    const found = await findNearbyDrivers(PICKUP.lat, PICKUP.lng, { limit: 2 });
+
+    expect(found.map((driver) => driver.driverUid)).toEqual(["d1", "d2"]);
+  });
+});
+
+describe("offers", () => {
+  const orderId = 7;
+
+  beforeEach(() => {
+    drivers = [
+      { driverUid: "next", ...nearPickup(3) },
+      { driverUid: "nearest", ...nearPickup(1) },
+      { driverUid: "last", ...nearPickup(5) },
+    ];
+    orders.set(orderId, {
+      orderId,
+      status: "pending",
+      assignedDriverUid: null,
+      latPickup: String(PICKUP.lat),
+      lngPickup: String(PICKUP.lng),
+    });
+  });
+
+  test("dispatchOrder offers the order to the nearest driver", async () => {
+    const offer = await dispatchOrder(orderId);
+
+    expect(offer).toMatchObject({ orderId, driverUid: "nearest", status: "offered" });
+    expect(offer.expiresAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test("dispatchOrder keeps a single open offer per order", async () => {
+    await dispatchOrder(orderId);
+
+    await expect(dispatchOrder(orderId)).resolves.toBeNull();
+    expect(offers).toHaveLength(1);
+  });
+
+  test("dispatchOrder leaves orders that no longer need a driver", async () => {
+    orders.get(orderId).status = "confirmed";
+
+    await expect(dispatchOrder(orderId)).resolves.toBeNull();
+    expect(offers).toHaveLength(0);
+  });
+
+  test("sweepDispatch expires a timed-out offer and moves to the next driver", async () => {
+    const first = await dispatchOrder(orderId);
+    expireOffer(first.offerId);
+
+    await sweepDispatch();
+
+    expect(offers.map(({ driverUid, status }) => ({ driverUid, status }))).toEqual([
+      { driverUid: "nearest", status: "expired" },
+      { driverUid: "next", status: "offered" },
+    ]);
+  });
+
+  test("sweepDispatch works down the list as offers keep timing out", async () => {
+    await dispatchOrder(orderId);
+
+    for (let i = 0; i < 3; i++) {
+      expireOffer(offers[offers.length - 1].offerId);
+      await sweepDispatch();
+    }
+
+    expect(offers.map((offer) => offer.driverUid)).toEqual(["nearest", "next", "last"]);
+    expect(offers.every((offer) => offer.status === "expired")).toBe(true);
+  });
+
+  test("respondToOffer rejects an offer that has timed out", async () => {
+    const offer = await dispatchOrder(orderId);
+    expireOffer(offer.offerId);
+
+    await expect(respondToOffer(offer.offerId, "nearest", true)).rejects.toMatchObject({
+      status: 409,
+    });
+    expect(orders.get(orderId)).toMatchObject({ status: "pending", assignedDriverUid: null });
+  });
+
+  test("respondToOffer only answers the driver's own offers", async () => {
+    const offer = await dispatchOrder(orderId);
+
+    await expect(respondToOffer(offer.offerId, "next", true)).rejects.toMatchObject({
+      status: 404,
+    });
+  });
+
+  test("declining moves the order to the next driver", async () => {
+    const offer = await dispatchOrder(orderId);
+
+    const result = await respondToOffer(offer.offerId, "nearest", false);
+    await settle();
+
+    expect(result).toMatchObject({ offer: { status: "declined" }, order: null });
+    expect(offers.map(({ driverUid, status }) => ({ driverUid, status }))).toEqual([
+      { driverUid: "nearest", status: "declined" },
+      { driverUid: "next", status: "offered" },
+    ]);
+  });
+
+  test("accepting assigns the driver and confirms the order", async () => {
+    const offer = await dispatchOrder(orderId);
+
+    const result = await respondToOffer(offer.offerId, "nearest", true);
+
+    expect(result.offer.status).toBe("accepted");
+    expect(result.order).toMatchObject({ status: "confirmed", assignedDriverUid: "nearest" });
+  });
+});
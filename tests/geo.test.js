@@ -0,0 +1,57 @@
+const { isPointInPolygon } = require("../utils/geo");
+
+const square = [
+  [0, 0],
+  [0, 10],
+  [10, 10],
+  [10, 0],
+];
+
+// An L shape: the square without its top-right quarter
+const lShape = [
+  [0, 0],
+  [0, 10],
+  [5, 10],
+  [5, 5],
+  [10, 5],
+  [10, 0],
+];
+
+describe("isPointInPolygon", () => {
+  test("finds points inside", () => {
+    expect(isPointInPolygon(5, 5, square)).toBe(true);
+    expect(isPointInPolygon(0.1, 9.9, square)).toBe(true);
+  });
+
+  test("rejects points outside", () => {
+    expect(isPointInPolygon(-1, 5, square)).toBe(false);
+    expect(isPointInPolygon(5, 11, square)).toBe(false);
+    expect(isPointInPolygon(20, 20, square)).toBe(false);
+  });
+
+  test("accepts closed rings", () => {
+    const closed = [...square, square[0]];
+
+    expect(isPointInPolygon(5, 5, closed)).toBe(true);
+    expect(isPointInPolygon(-1, 5, closed)).toBe(false);
+  });
+
+  test("handles concave polygons", () => {
+    expect(isPointInPolygon(2, 8, lShape)).toBe(true);
+    expect(isPointInPolygon(8, 2, lShape)).toBe(true);
+    expect(isPointInPolygon(8, 8, lShape)).toBe(false);
+  });
+
+  test("works with real coordinates", () => {
+    // Rough box around Manhattan
+    const manhattan = [
+      [40.7, -74.02],
+      [40.88, -73.93],
+      [40.8, -73.9],
+      [40.7, -73.97],
+    ];
+
+    expect(isPointInPolygon(40.758, -73.9855, manhattan)).toBe(true);
+    expect(isPointInPolygon(40.6782, -73.9442, manhattan)).toBe(false);
+  });
+});
@@ -0,0 +1,39 @@
+const { ORDER_STATUSES, canTransition } = require("../services/orderStatus");
+
+describe("canTransition", () => {
+  test.each([
+    ["scheduled", "pending"],
+    ["scheduled", "cancelled"],
+    ["pending", "confirmed"],
+    ["pending", "cancelled"],
+    ["confirmed", "in_progress"],
+    ["confirmed", "cancelled"],
+    ["in_progress", "completed"],
+    ["in_progress", "cancelled"],
+  ])("allows %s → %s", (fromStatus, toStatus) => {
+    expect(canTransition(fromStatus, toStatus)).toBe(true);
+  });
+
+  test.each([
+    ["pending", "in_progress"],
+    ["pending", "completed"],
+    ["confirmed", "pending"],
+    ["in_progress", "confirmed"],
+    ["scheduled", "confirmed"],
+    ["pending", "pending"],
+  ])("rejects %s → %s", (fromStatus, toStatus) => {
+    expect(canTransition(fromStatus, toStatus)).toBe(false);
+  });
+
+  test("treats completed and cancelled as terminal", () => {
+    for (const toStatus of ORDER_STATUSES) {
+      expect(canTransition("completed", toStatus)).toBe(false);
+      expect(canTransition("cancelled", toStatus)).toBe(false);
+    }
+  });
+
+  test("rejects unknown statuses", () => {
+    expect(canTransition("lost", "pending")).toBe(false);
+    expect(canTransition("pending", "lost")).toBe(false);
+  });
+});
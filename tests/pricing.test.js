@@ -0,0 +1,72 @@
+// Quotes are not under test; a fixed secret keeps the startup warning quiet
+process.env.QUOTE_SECRET = process.env.QUOTE_SECRET || "test-secret";
+
+const { PRICING, ORDER_TYPE_MULTIPLIERS, calculateFare } = require("../services/pricing");
+
+// About 11 km north of the pickup
+const trip = {
+  latPickup: 40.7128,
+  lngPickup: -74.006,
+  latDropoff: 40.8128,
+  lngDropoff: -74.006,
+  orderType: "delivery",
+};
+
+describe("calculateFare", () => {
+  test("adds base, distance and time fares", () => {
+    const fare = calculateFare(trip);
+
+    expect(fare.currency).toBe(PRICING.currency);
+    expect(fare.distanceKm).toBeCloseTo(11.119 * 1.3, 1);
+    expect(fare.baseFare).toBe(PRICING.baseFare);
+    expect(fare.typeMultiplier).toBe(1);
+    expect(fare.surgeMultiplier).toBe(1);
+    expect(fare.amount).toBeCloseTo(fare.baseFare + fare.distanceFare + fare.timeFare, 1);
+  });
+
+  test("charges the minimum fare for very short trips", () => {
+    const fare = calculateFare({ ...trip, latDropoff: trip.latPickup, lngDropoff: trip.lngPickup });
+
+    expect(fare.distanceKm).toBe(0);
+    expect(fare.amount).toBe(PRICING.minimumFare);
+  });
+
+  test("applies the orderType multiplier", () => {
+    const delivery = calculateFare(trip);
+    const express = calculateFare({ ...trip, orderType: "express" });
+
+    expect(express.typeMultiplier).toBe(ORDER_TYPE_MULTIPLIERS.express);
+    expect(express.amount).toBeCloseTo(delivery.amount * ORDER_TYPE_MULTIPLIERS.express, 1);
+  });
+
+  test("applies the surge multiplier", () => {
+    const normal = calculateFare(trip);
+    const surged = calculateFare({ ...trip, surgeMultiplier: 2 });
+
+    expect(surged.surgeMultiplier).toBe(2);
+    expect(surged.amount).toBeCloseTo(normal.amount * 2, 1);
+  });
+
+  test("routes through intermediate stops", () => {
+    const direct = calculateFare(trip);
+    const detour = calculateFare({
+      ...trip,
+      stops: [{ latitude: "40.7628", longitude: "-73.906" }],
+    });
+
+    expect(detour.distanceKm).toBeGreaterThan(direct.distanceKm);
+    expect(detour.amount).toBeGreaterThan(direct.amount);
+  });
+
+  test("accepts coordinates as strings (DECIMAL columns)", () => {
+    const fromStrings = calculateFare({
+      ...trip,
+      latPickup: String(trip.latPickup),
+      lngPickup: String(trip.lngPickup),
+      latDropoff: String(trip.latDropoff),
+      lngDropoff: String(trip.lngDropoff),
+    });
+
+    expect(fromStrings).toEqual(calculateFare(trip));
+  });
+});
@@ -0,0 +1,30 @@
+const { multiplierFromDemand } = require("../services/surge");
+
+// These use the default SURGE_RATIO_THRESHOLD (1.0) and SURGE_SENSITIVITY (0.5)
+describe("multiplierFromDemand", () => {
+  test("is 1 while demand does not exceed supply", () => {
+    expect(multiplierFromDemand(0, 0, 3)).toBe(1);
+    expect(multiplierFromDemand(4, 4, 3)).toBe(1);
+    expect(multiplierFromDemand(2, 5, 3)).toBe(1);
+  });
+
+  test("grows with the demand/supply ratio", () => {
+    expect(multiplierFromDemand(2, 1, 3)).toBe(1.5);
+    expect(multiplierFromDemand(3, 1, 3)).toBe(2);
+  });
+
+  test("treats no drivers as one driver", () => {
+    expect(multiplierFromDemand(3, 0, 3)).toBe(multiplierFromDemand(3, 1, 3));
+  });
+
+  test("rounds to one decimal", () => {
+    // ratio 1.25 gives 1.125
+    expect(multiplierFromDemand(5, 4, 3)).toBe(1.1);
+  });
+
+  test("is capped at the zone maximum", () => {
+    expect(multiplierFromDemand(50, 1, 2.5)).toBe(2.5);
+    // DECIMAL columns arrive as strings
+    expect(multiplierFromDemand(50, 1, "2.50")).toBe(2.5);
+  });
+});
@@ -0,0 +1,227 @@
+const crypto = require("crypto");
+const http = require("http");
+
+// attemptDelivery keeps its state in MySQL; the outbox rows are faked here
+// and the HTTP side runs against a real local receiver
+jest.mock("../config/db", () => ({ executeQuery: jest.fn() }));
+
+const { executeQuery } = require("../config/db");
+const {
+  WEBHOOK_MAX_ATTEMPTS,
+  SIGNATURE_HEADER,
+  signPayload,
+  retryDelaySeconds,
+  attemptDelivery,
+} = require("../services/webhooks");
+
+describe("signPayload", () => {
+  const body = JSON.stringify({ id: "evt_1", type: "order.created" });
+
+  test("signs the timestamp and body with HMAC-SHA256", () => {
+    const expected = crypto
+      .createHmac("sha256", "whsec_test")
+      .update(`1700000000.${body}`)
+      .digest("hex");
+
+    expect(signPayload("whsec_test", body, 1700000000)).toBe(`t=1700000000,v1=${expected}`);
+  });
+
+  test("defaults the timestamp to now, in seconds", () => {
+    const before = Math.floor(Date.now() / 1000);
+    const [, timestamp] = signPayload("whsec_test", body).match(/^t=(\d+),v1=[0-9a-f]{64}$/);
+
+    expect(Number(timestamp)).toBeGreaterThanOrEqual(before);
+    expect(Number(timestamp)).toBeLessThanOrEqual(before + 1);
+  });
+
+  test("depends on the secret and the body", () => {
+    const signature = signPayload("whsec_test", body, 1700000000);
+
+    expect(signPayload("whsec_other", body, 1700000000)).not.toBe(signature);
+    expect(signPayload("whsec_test", `${body} `, 1700000000)).not.toBe(signature);
+  });
+});
+
+// These use the default WEBHOOK_RETRY_BASE_SECONDS (30)
+describe("retryDelaySeconds", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("doubles with every failed attempt", () => {
+    jest.spyOn(Math, "random").mockReturnValue(0.5);
+
+    expect([1, 2, 3, 4].map(retryDelaySeconds)).toEqual([30, 60, 120, 240]);
+  });
+
+  test("adds up to 20% jitter either way", () => {
+    jest.spyOn(Math, "random").mockReturnValue(0);
+    expect(retryDelaySeconds(2)).toBe(48);
+
+    Math.random.mockReturnValue(0.999999);
+    expect(retryDelaySeconds(2)).toBe(72);
+  });
+
+  test("is capped at 6 hours", () => {
+    jest.spyOn(Math, "random").mockReturnValue(0.5);
+
+    expect(retryDelaySeconds(20)).toBe(6 * 60 * 60);
+  });
+});
+
+describe("attemptDelivery", () => {
+  let server;
+  let url;
+  let received;
+  let respondWith;
+
+  const payload = JSON.stringify({ id: "evt_1", type: "order.created", data: { orderId: 7 } });
+
+  // Answer the outbox queries of one delivery
+  const fakeOutbox = ({ claimed = true, attempts = 1, isActive = true, deliveryUrl = url } = {}) => {
+    executeQuery.mockImplementation(async (sql) => {
+      if (sql.includes("SET attempts = attempts + 1")) {
+        return { affectedRows: claimed ? 1 : 0 };
+      }
+      if (sql.includes("JOIN webhook_endpoints")) {
+        return [
+          {
+            deliveryId: 42,
+            eventType: "order.created",
+            payload,
+            attempts,
+            url: deliveryUrl,
+            secret: "whsec_test",
+            isActive,
+          },
+        ];
+      }
+      return { affectedRows: 1, insertId: 1 };
+    });
+  };
+
+  // The final UPDATE of the delivery row and its parameters
+  const finalUpdate = () => {
+    const calls = executeQuery.mock.calls.filter(([sql]) =>
+      /UPDATE webhook_deliveries\s+SET status/.test(sql)
+    );
+    return calls[calls.length - 1];
+  };
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => {
+        body += chunk;
+      });
+      req.on("end", () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = respondWith;
+        res.end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    url = `http://127.0.0.1:${server.address().port}/hooks`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    received = [];
+    respondWith = 200;
+    executeQuery.mockReset();
+  });
+
+  test("POSTs the signed payload and marks the delivery succeeded", async () => {
+    fakeOutbox();
+
+    await expect(attemptDelivery(42)).resolves.toBe("succeeded");
+
+    expect(received).toHaveLength(1);
+    const [{ headers, body }] = received;
+    expect(body).toBe(payload);
+    expect(headers["content-type"]).toBe("application/json");
+    expect(headers["x-xride-event"]).toBe("order.created");
+    expect(headers["x-xride-delivery"]).toBe("42");
+
+    const [, timestamp] = headers[SIGNATURE_HEADER.toLowerCase()].match(/^t=(\d+),/);
+    expect(headers[SIGNATURE_HEADER.toLowerCase()]).toBe(
+      signPayload("whsec_test", body, Number(timestamp))
+    );
+
+    const [sql, params] = finalUpdate();
+    expect(sql).toContain("status = 'succeeded'");
+    expect(params).toEqual([200, 42]);
+  });
+
+  test("records the attempt", async () => {
+    fakeOutbox({ attempts: 3 });
+    respondWith = 204;
+
+    await attemptDelivery(42);
+
+    const [, params] = executeQuery.mock.calls.find(([sql]) =>
+      sql.includes("INSERT INTO webhook_delivery_attempts")
+    );
+    expect(params).toEqual([42, 3, 204, null, expect.any(Number)]);
+  });
+
+  test("schedules a retry when the receiver fails", async () => {
+    fakeOutbox({ attempts: 2 });
+    respondWith = 500;
+
+    await expect(attemptDelivery(42)).resolves.toBe("pending");
+
+    const [, params] = finalUpdate();
+    expect(params[0]).toBe("pending");
+    expect(params[1]).toBe(500);
+    expect(params[2]).toBe("Receiver answered 500");
+    expect(params[3]).toBeGreaterThan(0);
+  });
+
+  test("schedules a retry when the receiver is unreachable", async () => {
+    // Nothing listens on the port of a closed server
+    const closed = http.createServer();
+    await new Promise((resolve) => closed.listen(0, "127.0.0.1", resolve));
+    const { port } = closed.address();
+    await new Promise((resolve) => closed.close(resolve));
+
+    fakeOutbox({ deliveryUrl: `http://127.0.0.1:${port}/hooks` });
+
+    await expect(attemptDelivery(42)).resolves.toBe("pending");
+
+    const [, params] = finalUpdate();
+    expect(params[0]).toBe("pending");
+    expect(params[1]).toBeNull();
+    expect(params[2]).toMatch(/ECONNREFUSED/);
+  });
+
+  test("gives up after the last attempt", async () => {
+    fakeOutbox({ attempts: WEBHOOK_MAX_ATTEMPTS });
+    respondWith = 503;
+
+    await expect(attemptDelivery(42)).resolves.toBe("failed");
+
+    const [, params] = finalUpdate();
+    expect(params[0]).toBe("failed");
+    expect(params[3]).toBe(0);
+  });
+
+  test("does not retry deliveries to a disabled endpoint", async () => {
+    fakeOutbox({ isActive: false });
+    respondWith = 410;
+
+    await expect(attemptDelivery(42)).resolves.toBe("failed");
+  });
+
+  test("skips a delivery another worker has claimed", async () => {
+    fakeOutbox({ claimed: false });
+
+    await expect(attemptDelivery(42)).resolves.toBeNull();
+
+    expect(received).toHaveLength(0);
+    expect(executeQuery).toHaveBeenCalledTimes(1);
+  });
+});
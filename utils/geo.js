@@ -0,0 +1,66 @@
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Coordinate range checks shared by every endpoint that accepts a position
+const isValidLatitude = (lat) => typeof lat === "number" && lat >= -90 && lat <= 90;
+const isValidLongitude = (lng) =>
+  typeof lng === "number" && lng >= -180 && lng <= 180;
+
+// Great-circle distance between two points in kilometres (haversine formula)
+const haversineDistanceKm = (lat1, lng1, lat2, lng2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) *
+      Math.cos(toRadians(lat2)) *
+      Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// Ray-casting point-in-polygon test. `polygon` is an array of [lat, lng]
+// vertices; the ring may be open or closed.
+const isPointInPolygon = (lat, lng, polygon) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [latI, lngI] = polygon[i];
+    const [latJ, lngJ] = polygon[j];
+    const crosses =
+      latI > lat !== latJ > lat &&
+      lng < ((lngJ - lngI) * (lat - latI)) / (latJ - latI) + lngI;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+};
+
+// Bounding box of a polygon of [lat, lng] vertices
+const getBoundingBox = (polygon) => ({
+  minLat: Math.min(...polygon.map(([lat]) => lat)),
+  maxLat: Math.max(...polygon.map(([lat]) => lat)),
+  minLng: Math.min(...polygon.map(([, lng]) => lng)),
+  maxLng: Math.max(...polygon.map(([, lng]) => lng)),
+});
+
+// Check that a value is a polygon of at least 3 valid [lat, lng] vertices
+const isValidPolygon = (polygon) =>
+  Array.isArray(polygon) &&
+  polygon.length >= 3 &&
+  polygon.every(
+    (point) =>
+      Array.isArray(point) &&
+      point.length === 2 &&
+      isValidLatitude(point[0]) &&
+      isValidLongitude(point[1])
+  );
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  toRadians,
+  isValidLatitude,
+  isValidLongitude,
+  haversineDistanceKm,
+  isPointInPolygon,
+  getBoundingBox,
+  isValidPolygon,
+};
@@ -0,0 +1,188 @@
+// Convert Joi schemas into OpenAPI 3.0 schema objects, so the Swagger docs
+// are generated from the same schemas the validation middleware enforces.
+// Covers the subset of Joi the schemas in schemas/ use.
+
+const className = (description) =>
+  (description.metas || []).map((meta) => meta.className).find(Boolean);
+
+const presenceOf = (description) =>
+  description && description.flags && description.flags.presence;
+
+// The sibling field a field stands in for: it is forbidden when that field
+// is sent and required otherwise, like the raw pickup fields and
+// pickupPlaceId. Returns null for any other field.
+const alternativeTo = (description) => {
+  const when = (description.whens || []).find(
+    (candidate) =>
+      candidate.ref &&
+      presenceOf(candidate.is) === "required" &&
+      !candidate.is.allow &&
+      presenceOf(candidate.then) === "forbidden" &&
+      presenceOf(candidate.otherwise) === "required"
+  );
+  return when ? when.ref.path.join(".") : null;
+};
+
+// Document a schema with `when`s. A field is shown as required when it is
+// required by default, i.e. in the `otherwise` branch, unless it is an
+// alternative to another field (documented as a oneOf on the object).
+// Parcel, required only for delivery orders, is shown as optional. A typed
+// schema keeps its type; an untyped one documents the branch that accepts a
+// value (e.g. the parcel object rather than the "forbidden" alternative).
+const resolveWhen = (description) => {
+  if (!description.whens) {
+    return description;
+  }
+
+  const defaultPresence = alternativeTo(description)
+    ? undefined
+    : description.whens
+        .map((when) => presenceOf(when.otherwise))
+        .find((presence) => presence === "required");
+
+  if (description.type !== "any") {
+    return defaultPresence
+      ? { ...description, flags: { ...description.flags, presence: defaultPresence } }
+      : description;
+  }
+
+  const branches = description.whens.flatMap((when) => [when.then, when.otherwise]);
+  const branch =
+    branches.find((candidate) => candidate && candidate.type !== "any") ||
+    branches.find((candidate) => candidate && !(candidate.flags && candidate.flags.presence === "forbidden"));
+  if (!branch) {
+    return description;
+  }
+
+  const { presence, ...flags } = branch.flags || {};
+  return { ...branch, flags: { ...flags, ...(defaultPresence && { presence: defaultPresence }) } };
+};
+
+const isRequired = (description) =>
+  Boolean(description.flags && description.flags.presence === "required");
+
+const applyRules = (schema, description) => {
+  for (const rule of description.rules || []) {
+    const { name, args = {} } = rule;
+
+    if (description.type === "string") {
+      if (name === "min") schema.minLength = args.limit;
+      if (name === "max") schema.maxLength = args.limit;
+      if (name === "length") schema.minLength = schema.maxLength = args.limit;
+      if (name === "pattern") schema.pattern = args.regex.replace(/^\/|\/[a-z]*$/g, "");
+      if (name === "isoDate") schema.format = "date-time";
+    }
+
+    if (description.type === "number") {
+      if (name === "integer") schema.type = "integer";
+      if (name === "min") schema.minimum = args.limit;
+      if (name === "max") schema.maximum = args.limit;
+      if (name === "greater") Object.assign(schema, { minimum: args.limit, exclusiveMinimum: true });
+      if (name === "less") Object.assign(schema, { maximum: args.limit, exclusiveMaximum: true });
+      if (name === "sign" && args.sign === "positive") {
+        Object.assign(schema, { minimum: 0, exclusiveMinimum: true });
+      }
+    }
+
+    if (description.type === "array") {
+      if (name === "min") schema.minItems = args.limit;
+      if (name === "max") schema.maxItems = args.limit;
+      if (name === "length") schema.minItems = schema.maxItems = args.limit;
+      if (name === "unique") schema.uniqueItems = true;
+    }
+  }
+};
+
+// Convert a Joi description (schema.describe()). Nested schemas carrying a
+// className meta become $refs to the component of that name.
+const convertDescription = (rawDescription, { root = false } = {}) => {
+  const description = resolveWhen(rawDescription);
+  const name = className(description);
+
+  if (name && !root) {
+    return { $ref: `#/components/schemas/${name}` };
+  }
+
+  const flags = description.flags || {};
+  const schema = {};
+
+  switch (description.type) {
+    case "object": {
+      schema.type = "object";
+      const keys = Object.entries(description.keys || {});
+      const required = keys.filter(([, key]) => isRequired(resolveWhen(key))).map(([key]) => key);
+      if (required.length > 0) schema.required = required;
+
+      // Either the field or the ones standing in for it must be sent
+      const alternatives = {};
+      for (const [key, value] of keys) {
+        const other = alternativeTo(value);
+        if (other) alternatives[other] = [...(alternatives[other] || []), key];
+      }
+      const choices = Object.entries(alternatives).map(([other, fields]) => ({
+        oneOf: [{ required: [other] }, { required: fields }],
+      }));
+      if (choices.length === 1) Object.assign(schema, choices[0]);
+      if (choices.length > 1) schema.allOf = choices;
+      schema.properties = Object.fromEntries(
+        keys
+          .filter(([, key]) => !(key.flags && key.flags.presence === "forbidden"))
+          .map(([key, value]) => [key, convertDescription(value)])
+      );
+      break;
+    }
+    case "array":
+      schema.type = "array";
+      if (description.items && description.items.length > 0) {
+        schema.items = convertDescription(description.items[0]);
+      }
+      break;
+    case "date":
+      schema.type = "string";
+      schema.format = "date-time";
+      break;
+    case "string":
+    case "number":
+    case "boolean":
+      schema.type = description.type;
+      break;
+    default:
+      break;
+  }
+
+  applyRules(schema, description);
+
+  const allowed = description.allow || [];
+  if (allowed.includes(null)) {
+    schema.nullable = true;
+  }
+  if (flags.only) {
+    const values = allowed.filter((value) => value !== null && typeof value !== "object");
+    if (values.length > 0) schema.enum = values;
+  }
+
+  if (flags.description) schema.description = flags.description;
+  if (flags.default !== undefined && typeof flags.default !== "function") {
+    schema.default = flags.default;
+  }
+  if (description.examples && description.examples.length > 0) {
+    schema.example = description.examples[0];
+  }
+
+  return schema;
+};
+
+// Component schemas for every Joi schema with a className meta, keyed by
+// that name
+const buildComponentSchemas = (schemas) =>
+  Object.fromEntries(
+    Object.values(schemas)
+      .filter((schema) => schema && typeof schema.describe === "function")
+      .map((schema) => schema.describe())
+      .filter((description) => className(description))
+      .map((description) => [className(description), convertDescription(description, { root: true })])
+  );
+
+module.exports = {
+  buildComponentSchemas,
+};